@@ -0,0 +1,183 @@
+/**
+ * Build src/data/geography/zipCrosswalk.js from the HUD-USPS ZIP crosswalk
+ *
+ * Download the latest quarter from https://www.huduser.gov/portal/datasets/usps_crosswalk.html
+ * (ZIP-COUNTY, ZIP-CBSA and ZIP-CD, saved as CSV) and, for names, the Census
+ * county list (national_county2020.txt) and CBSA delineation file (saved as CSV).
+ *
+ * Run with:
+ *   node build-zip-crosswalk.js --county ZIP_COUNTY.csv --cbsa ZIP_CBSA.csv --cd ZIP_CD.csv \
+ *     [--county-names national_county2020.txt] [--cbsa-names list1_2023.csv] [--congress 119] [--delineation 2023] \
+ *     [--json zip-crosswalk.json]
+ *
+ * With --json the full table is written as a data file for the API server to
+ * load at startup (ZIP_CROSSWALK_FILE) instead of being bundled into the
+ * module, which keeps every ZIP out of the browser bundle.
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+
+const OUTPUT = 'src/data/geography/zipCrosswalk.js';
+// Outside any CBSA
+const NO_CBSA = '99999';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return args;
+}
+
+/**
+ * Parse a CSV (or pipe-delimited) file into objects keyed by upper-case header
+ */
+async function readTable(file) {
+  const text = (await readFile(file, 'utf8')).replace(/^\uFEFF/, '');
+  const lines = text.split(/\r?\n/).filter(Boolean);
+  const delimiter = lines[0].includes('|') ? '|' : ',';
+
+  const splitLine = line => {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (const char of line) {
+      if (char === '"') quoted = !quoted;
+      else if (char === delimiter && !quoted) { cells.push(cell); cell = ''; }
+      else cell += char;
+    }
+    cells.push(cell);
+    return cells.map(value => value.trim());
+  };
+
+  const headers = splitLine(lines[0]).map(header => header.toUpperCase());
+  return lines.slice(1).map(line => {
+    const cells = splitLine(line);
+    return Object.fromEntries(headers.map((header, i) => [header, cells[i] ?? '']));
+  });
+}
+
+/**
+ * Group crosswalk rows by ZIP as [[code, share]], largest share first. Shares
+ * are residential ratios; ZIPs with no homes (PO boxes, businesses) use total ratios.
+ */
+function groupByZip(rows, codeColumn, { skip = null, pad = 0 } = {}) {
+  const byZip = new Map();
+  rows.forEach(row => {
+    const zip = row.ZIP.padStart(5, '0');
+    const code = row[codeColumn].padStart(pad, '0');
+    if (!code || code === skip) return;
+    if (!byZip.has(zip)) byZip.set(zip, []);
+    byZip.get(zip).push({ code, res: Number(row.RES_RATIO) || 0, tot: Number(row.TOT_RATIO) || 0 });
+  });
+
+  const grouped = new Map();
+  byZip.forEach((matches, zip) => {
+    const useRes = matches.some(match => match.res > 0);
+    grouped.set(zip, matches
+      .map(match => [match.code, Math.round((useRes ? match.res : match.tot) * 10000) / 10000])
+      .filter(([, share]) => share > 0)
+      .sort((a, b) => b[1] - a[1]));
+  });
+  return grouped;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.county || !args.cbsa || !args.cd) {
+    console.error('Usage: node build-zip-crosswalk.js --county ZIP_COUNTY.csv --cbsa ZIP_CBSA.csv --cd ZIP_CD.csv');
+    process.exit(1);
+  }
+
+  const countyRows = await readTable(args.county);
+  const counties = groupByZip(countyRows, 'COUNTY', { pad: 5 });
+  const cbsas = groupByZip(await readTable(args.cbsa), 'CBSA', { skip: NO_CBSA });
+  const districts = groupByZip(await readTable(args.cd), 'CD', { pad: 4 });
+
+  const places = new Map();
+  countyRows.forEach(row => {
+    const zip = row.ZIP.padStart(5, '0');
+    if (!places.has(zip)) places.set(zip, { city: row.USPS_ZIP_PREF_CITY, state: row.USPS_ZIP_PREF_STATE });
+  });
+
+  const countyNames = {};
+  if (args['county-names']) {
+    (await readTable(args['county-names'])).forEach(row => {
+      countyNames[`${row.STATEFP}${row.COUNTYFP}`] = row.COUNTYNAME;
+    });
+  }
+  const cbsaNames = {};
+  if (args['cbsa-names']) {
+    (await readTable(args['cbsa-names'])).forEach(row => {
+      if (row['CBSA CODE']) cbsaNames[row['CBSA CODE']] = row['CBSA TITLE'];
+    });
+  }
+
+  const titleCase = text => text.toLowerCase().replace(/\b\w/g, char => char.toUpperCase());
+  const entries = [...places.keys()].sort().map(zip => [zip, {
+    city: titleCase(places.get(zip).city),
+    state: places.get(zip).state,
+    counties: counties.get(zip) || [],
+    cbsa: cbsas.get(zip)?.[0]?.[0] || null,
+    districts: districts.get(zip) || [],
+  }]);
+  const lines = entries.map(([zip, entry]) => `  '${zip}': ${JSON.stringify(entry)},`);
+
+  const usedCounties = new Set([...counties.values()].flat().map(([fips]) => fips));
+  const usedCbsas = new Set([...cbsas.values()].map(matches => matches[0]?.[0]));
+  const usedNames = (names, used) => Object.keys(names).sort()
+    .filter(code => used.has(code))
+    .map(code => [code, names[code]]);
+  const nameLines = (names, used) => usedNames(names, used)
+    .map(([code, name]) => `  '${code}': ${JSON.stringify(name)},`);
+  const vintage = {
+    congress: Number(args.congress) || 119,
+    cbsaDelineation: args.delineation || '2023',
+  };
+
+  if (args.json) {
+    await writeFile(args.json, JSON.stringify({
+      vintage,
+      zips: Object.fromEntries(entries),
+      counties: Object.fromEntries(usedNames(countyNames, usedCounties)),
+      cbsas: Object.fromEntries(usedNames(cbsaNames, usedCbsas)),
+    }));
+    console.log(`✅ Wrote ${entries.length} ZIPs to ${args.json}`);
+    return;
+  }
+
+  const source = await readFile(OUTPUT, 'utf8');
+  const header = source.slice(0, source.indexOf('export const CROSSWALK_VINTAGE'));
+
+  await writeFile(OUTPUT, `${header}export const CROSSWALK_VINTAGE = {
+  congress: ${vintage.congress},
+  cbsaDelineation: '${vintage.cbsaDelineation}',
+};
+
+export const ZIP_CROSSWALK = {
+${lines.join('\n')}
+};
+
+export const COUNTY_NAMES = {
+${nameLines(countyNames, usedCounties).join('\n')}
+};
+
+export const CBSA_NAMES = {
+${nameLines(cbsaNames, usedCbsas).join('\n')}
+};
+
+export default {
+  CROSSWALK_VINTAGE,
+  ZIP_CROSSWALK,
+  COUNTY_NAMES,
+  CBSA_NAMES,
+};
+`);
+
+  console.log(`✅ Wrote ${lines.length} ZIPs to ${OUTPUT}`);
+}
+
+main().catch(error => {
+  console.error('❌ Failed to build ZIP crosswalk:', error.message);
+  process.exit(1);
+});
@@ -1,17 +1,43 @@
 import dotenv from 'dotenv';
+import { CONFIG_SCOPES, describeConfig, getFeatures, validateConfig } from './src/services/config.js';
 
 dotenv.config();
 
-console.log('Environment Variables Check:\n');
+// Lists every setting in src/services/config.js with where it came from (secrets masked)
+console.log('Configuration Check:\n');
 
-console.log('VITE_SUPABASE_URL:', process.env.VITE_SUPABASE_URL ? 'SET (' + process.env.VITE_SUPABASE_URL.substring(0, 30) + '...)' : 'NOT SET');
-console.log('VITE_SUPABASE_ANON_KEY:', process.env.VITE_SUPABASE_ANON_KEY ? 'SET (' + process.env.VITE_SUPABASE_ANON_KEY.substring(0, 30) + '...)' : 'NOT SET');
+const STATUS_LABELS = {
+  set: 'SET',
+  default: 'default',
+  fallback: 'fallback',
+  unset: 'NOT SET',
+  placeholder: 'PLACEHOLDER',
+  invalid: 'INVALID',
+};
 
-console.log('\nAll ENV variables starting with VITE_:');
-Object.keys(process.env)
-  .filter(key => key.startsWith('VITE_'))
-  .forEach(key => {
-    const value = process.env[key];
-    const display = value.length > 40 ? value.substring(0, 40) + '...' : value;
-    console.log(`  ${key}: ${display}`);
-  });
+Object.values(CONFIG_SCOPES).forEach(scope => {
+  console.log(scope === CONFIG_SCOPES.SERVER ? 'Server-only settings:' : 'Public settings (shipped to the browser):');
+  describeConfig()
+    .filter(setting => setting.scope === scope)
+    .forEach(setting => {
+      const from = setting.from && setting.from !== setting.name ? ` via ${setting.from}` : '';
+      const value = setting.display ? ` = ${setting.display}` : '';
+      console.log(`  ${setting.name.padEnd(28)} ${STATUS_LABELS[setting.status].padEnd(11)}${from}${value}`.trimEnd());
+    });
+  console.log('');
+});
+
+const features = getFeatures();
+console.log('Features:');
+console.log(`  AI: ${features.aiProvider || 'off'}`);
+console.log(`  Database: ${features.database ? 'on' : 'off'}`);
+Object.entries(features.sources).forEach(([source, enabled]) => {
+  console.log(`  ${source}: ${enabled ? 'key set' : 'no key'}`);
+});
+
+const { valid, errors, warnings } = validateConfig();
+console.log('');
+warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+errors.forEach(error => console.log(`❌ ${error}`));
+console.log(valid ? '✅ Configuration valid' : '❌ Configuration invalid - the API server will not start');
+process.exitCode = valid ? 0 : 1;
@@ -4,12 +4,82 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+// Refuse to start on settings that can't work; warn about risky ones
+const { getConfig, getFeatures, validateConfig } = await import('./src/services/config.js');
+const configCheck = validateConfig();
+configCheck.warnings.forEach(warning => console.warn(`⚠️  Config: ${warning}`));
+if (!configCheck.valid) {
+  configCheck.errors.forEach(error => console.error(`❌ Config: ${error}`));
+  console.error('Fix the settings above (see .env.example) and restart.');
+  process.exit(1);
+}
+
+// Service modules read API keys at import time, so load them after dotenv
+const { verifyStory } = await import('./src/services/storyVerification.js');
+const { extractClaims } = await import('./src/services/claimExtraction.js');
+const {
+  getSupabaseAdmin,
+  getStory,
+  listScoreHistory,
+  listVerificationRecords,
+  getVerificationRecord,
+} = await import('./server/supabaseAdmin.js');
+const { withoutRawData } = await import('./server/verificationAudit.js');
+const {
+  VALID_POLICY_AREAS,
+  validateStorySubmission,
+  enqueueCreativeBrief,
+  createStory,
+} = await import('./server/storySubmission.js');
+const { JOB_STATUS, enqueueJob, getJob, listJobs, retryJob, startJobWorker } = await import('./server/jobQueue.js');
+const { registerStoryJobs } = await import('./server/storyJobs.js');
+const { recordVerification, runReverificationSweep, startReverificationScheduler } = await import('./server/reverification.js');
+const { runDistrictBackfill } = await import('./server/districtBackfill.js');
+const { loadZipCrosswalkFile } = await import('./server/zipCrosswalkFile.js');
+const { CACHE_POLICIES, setCacheStore, getCacheStats, clearCache } = await import('./src/services/responseCache.js');
+const { createResponseCacheStore, registerCacheServeScope } = await import('./server/responseCacheStore.js');
+const { QUOTA_PRIORITY, setQuotaStore, getQuotaStatus } = await import('./src/services/quotaManager.js');
+const { createQuotaStore, registerQuotaPriority, registerQuotaRefusalScope, withQuotaPriority } = await import('./server/quotaStore.js');
+const { getSourceStatus, startSourceMonitor } = await import('./server/sourceStatus.js');
+const { getStoryContext } = await import('./server/storyContext.js');
+const { isAdminRequest, requireAdmin } = await import('./server/adminAuth.js');
+
+const MAX_TIME_BUDGET_MS = 60000;
+
+// Full HUD ZIP crosswalk for district resolution; a configured file that
+// can't be loaded stops startup rather than resolving districts from the seed
+try {
+  const crosswalk = await loadZipCrosswalkFile();
+  if (crosswalk.loaded) {
+    console.log(`Loaded ZIP crosswalk: ${crosswalk.zips} ZIPs`);
+  } else {
+    console.warn(`⚠️  Config: ZIP_CROSSWALK_FILE not set; districts resolve only for the ${crosswalk.zips} seed ZIPs`);
+  }
+} catch (error) {
+  console.error(`❌ Config: ZIP_CROSSWALK_FILE could not be loaded: ${error.message}`);
+  process.exit(1);
+}
+
+// Cached federal responses persist across restarts (Postgres, or disk locally);
+// cache serves are tracked per verification run
+setCacheStore(createResponseCacheStore());
+registerCacheServeScope();
+
+// API quotas are shared by every server process; citizen-facing routes get first claim.
+// Refusals are tracked per verification run
+setQuotaStore(createQuotaStore());
+registerQuotaPriority();
+registerQuotaRefusalScope();
+const citizenPriority = withQuotaPriority(QUOTA_PRIORITY.CITIZEN);
+const dashboardPriority = withQuotaPriority(QUOTA_PRIORITY.DASHBOARD);
+
 const app = express();
-const PORT = process.env.PORT || 3001;
+const PORT = getConfig('PORT');
+const CORS_ORIGINS = getConfig('CORS_ORIGINS');
 
-// Enable CORS for the Vite dev server
+// Browser origins allowed to call the API (CORS_ORIGINS; * allows any)
 app.use(cors({
-  origin: ['http://localhost:5173', 'http://148.230.81.154:5173'],
+  origin: CORS_ORIGINS.includes('*') ? true : CORS_ORIGINS,
   credentials: true
 }));
 
@@ -20,85 +90,394 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', message: 'API server is running' });
 });
 
-// Proxy endpoint for Anthropic API
-app.post('/api/generate-creative-brief', async (req, res) => {
+// Which features are configured - booleans only, never keys
+app.get('/api/config/features', (req, res) => {
+  res.json(getFeatures());
+});
+
+/**
+ * Validate a story submitted for verification
+ * @param {Object} story - Story from the request body
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateStoryForVerification(story) {
+  if (!story || typeof story !== 'object') return 'Story is required';
+  if (typeof story.story !== 'string' || !story.story.trim()) return 'Story text is required';
+  if (!VALID_POLICY_AREAS.includes(story.policyArea)) return `policyArea must be one of: ${VALID_POLICY_AREAS.join(', ')}`;
+  if (story.location && typeof story.location !== 'object') return 'location must be an object';
+  return null;
+}
+
+/**
+ * Read an optional time budget from the request body
+ */
+function getTimeBudget(body) {
+  const budget = Number(body?.timeBudgetMs);
+  return Number.isFinite(budget) && budget > 0 ? Math.min(budget, MAX_TIME_BUDGET_MS) : undefined;
+}
+
+/**
+ * Extract structured claims (AI when configured, heuristics otherwise)
+ */
+async function getClaims(story) {
+  if (Array.isArray(story.claims)) return story.claims;
+  const { claims } = await extractClaims(story);
+  return claims;
+}
+
+// Submit a citizen story: validate, enrich and save with the service role client
+app.post('/api/stories', citizenPriority, async (req, res) => {
   try {
-    const { prompt } = req.body;
+    const errors = validateStorySubmission(req.body);
 
-    if (!prompt) {
-      return res.status(400).json({ error: 'Prompt is required' });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid story submission', details: errors });
     }
 
-    const ANTHROPIC_API_KEY = process.env.VITE_ANTHROPIC_API_KEY;
+    if (!getSupabaseAdmin()) {
+      return res.status(503).json({ error: 'Database not configured on server' });
+    }
+
+    const { story, verification, jobs } = await createStory(req.body);
+
+    res.status(201).json({ story, verification: withoutRawData(verification), jobs });
+  } catch (error) {
+    console.error('Error in story submission endpoint:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Verify an unsaved story with server-side API keys
+app.post('/api/verify', citizenPriority, async (req, res) => {
+  try {
+    const { story } = req.body;
+    const validationError = validateStoryForVerification(story);
 
-    if (!ANTHROPIC_API_KEY) {
-      return res.status(500).json({
-        error: 'Anthropic API key not configured on server',
-        useMock: true
-      });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
-    console.log('Calling Anthropic API...');
+    const storyToVerify = { headline: '', ...story };
+    const verification = await verifyStory(storyToVerify, {
+      claims: await getClaims(storyToVerify),
+      timeBudgetMs: getTimeBudget(req.body),
+    });
+
+    res.json({ verification: withoutRawData(verification) });
+  } catch (error) {
+    console.error('Error in verify endpoint:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
 
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01',
-        'anthropic-beta': 'prompt-caching-2024-07-31',
+// Verify a saved story and store the results
+app.post('/api/stories/:id/verify', citizenPriority, async (req, res) => {
+  try {
+    if (!getSupabaseAdmin()) {
+      return res.status(503).json({ error: 'Database not configured on server' });
+    }
+
+    const story = await getStory(req.params.id);
+
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+
+    const verification = await verifyStory(story, {
+      claims: await getClaims(story),
+      timeBudgetMs: getTimeBudget(req.body),
+      // Slow sources finish after the response; store their results when they do
+      onUpdate: (completeVerification) => {
+        recordVerification(story.id, completeVerification, 'manual')
+          .then(() => console.log(`Stored late verification results for ${story.id}`))
+          .catch(error => console.error(`Failed to store late verification for ${story.id}:`, error));
       },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-5-20250929',
-        max_tokens: 8192,
-        temperature: 0.7,
-        system: [
-          {
-            type: 'text',
-            text: 'You are a document generation system. Generate complete documents without any conversational text, questions, or meta-commentary. Never ask if the user wants you to continue - always generate the complete document in one response.',
-            cache_control: { type: 'ephemeral' }
-          }
-        ],
-        messages: [
-          {
-            role: 'user',
-            content: [
-              {
-                type: 'text',
-                text: prompt,
-                cache_control: { type: 'ephemeral' }
-              }
-            ]
-          },
-        ],
-      }),
     });
 
-    if (!response.ok) {
-      const error = await response.json();
-      console.error('Anthropic API error:', error);
-      return res.status(response.status).json({
-        error: error.error?.message || 'Anthropic API request failed',
-        useMock: true
-      });
+    await recordVerification(story.id, verification, 'manual');
+
+    res.json({ verification: withoutRawData(verification) });
+  } catch (error) {
+    console.error('Error in story verify endpoint:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Federal data panels for a story's detail view, looked up with server credentials
+app.get('/api/stories/:id/context', dashboardPriority, async (req, res) => {
+  try {
+    if (!getSupabaseAdmin()) {
+      return res.status(503).json({ error: 'Database not configured on server' });
     }
 
-    const data = await response.json();
-    const briefContent = data.content[0].text;
+    const story = await getStory(req.params.id);
 
-    console.log('Successfully generated creative brief');
-    res.json({ brief: briefContent });
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
 
+    res.json({ storyId: story.id, panels: await getStoryContext(story) });
   } catch (error) {
-    console.error('Error in generate-creative-brief endpoint:', error);
-    res.status(500).json({
-      error: error.message || 'Internal server error',
-      useMock: true
+    console.error('Error in story context endpoint:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Verification audit trail for a story (raw source data with ?includeRawData=true, admin only)
+app.get('/api/stories/:id/verifications', async (req, res) => {
+  try {
+    const includeRawData = req.query.includeRawData === 'true';
+
+    if (includeRawData && !isAdminRequest(req)) {
+      return res.status(401).json({ error: 'Admin token required for raw source data' });
+    }
+
+    if (!getSupabaseAdmin()) {
+      return res.status(503).json({ error: 'Database not configured on server' });
+    }
+
+    const story = await getStory(req.params.id);
+
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+
+    const verifications = await listVerificationRecords(story.id, {
+      includeRawData,
+      limit: Math.min(Number(req.query.limit) || 50, 200),
+    });
+
+    res.json({ storyId: story.id, verifications });
+  } catch (error) {
+    console.error('Error fetching verification history:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// One verification run, with the raw source data it was based on for admins
+app.get('/api/stories/:id/verifications/:verificationId', async (req, res) => {
+  try {
+    if (!getSupabaseAdmin()) {
+      return res.status(503).json({ error: 'Database not configured on server' });
+    }
+
+    if (!/^[0-9a-f-]{36}$/i.test(req.params.verificationId)) {
+      return res.status(404).json({ error: 'Verification not found' });
+    }
+
+    const verification = await getVerificationRecord(req.params.id, req.params.verificationId, {
+      includeRawData: isAdminRequest(req),
+    });
+
+    if (!verification) {
+      return res.status(404).json({ error: 'Verification not found' });
+    }
+
+    res.json({ verification });
+  } catch (error) {
+    console.error('Error fetching verification:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Verification score history for a story
+app.get('/api/stories/:id/score-history', async (req, res) => {
+  try {
+    if (!getSupabaseAdmin()) {
+      return res.status(503).json({ error: 'Database not configured on server' });
+    }
+
+    const history = await listScoreHistory({ storyId: req.params.id });
+    res.json({ history });
+  } catch (error) {
+    console.error('Error fetching score history:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Significant verification score changes across all stories (newest first)
+app.get('/api/score-changes', async (req, res) => {
+  try {
+    if (!getSupabaseAdmin()) {
+      return res.status(503).json({ error: 'Database not configured on server' });
+    }
+
+    const days = Math.min(Number(req.query.days) || 30, 365);
+    const changes = await listScoreHistory({
+      flaggedOnly: true,
+      since: new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString(),
     });
+    res.json({ changes });
+  } catch (error) {
+    console.error('Error fetching score changes:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Run the re-verification sweep now instead of waiting for the schedule (admin)
+app.post('/api/reverification/run', requireAdmin, async (req, res) => {
+  try {
+    if (!getSupabaseAdmin()) {
+      return res.status(503).json({ error: 'Database not configured on server' });
+    }
+
+    const result = await runReverificationSweep();
+    res.json(result);
+  } catch (error) {
+    console.error('Error running re-verification sweep:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Resolve congressional districts for stories missing one or resolved on old boundaries (admin)
+app.post('/api/stories/districts/backfill', requireAdmin, async (req, res) => {
+  try {
+    if (!getSupabaseAdmin()) {
+      return res.status(503).json({ error: 'Database not configured on server' });
+    }
+
+    const result = await runDistrictBackfill();
+    res.json(result);
+  } catch (error) {
+    console.error('Error running district backfill:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Queue a saved story's creative brief; poll GET /api/jobs/:id for the result.
+// Asking again returns the story's existing brief job rather than a new AI call.
+app.post('/api/creative-briefs', async (req, res) => {
+  try {
+    const { storyId } = req.body || {};
+
+    if (typeof storyId !== 'string' || !storyId) {
+      return res.status(400).json({ error: 'storyId is required' });
+    }
+
+    if (!getSupabaseAdmin()) {
+      return res.status(503).json({ error: 'Database not configured on server' });
+    }
+
+    const story = await getStory(storyId);
+
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+
+    const job = await enqueueCreativeBrief(story.id);
+
+    res.status(202).json({ job });
+  } catch (error) {
+    console.error('Error in creative brief endpoint:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// List background jobs (filter by storyId, type, status) (admin)
+app.get('/api/jobs', requireAdmin, async (req, res) => {
+  try {
+    const { storyId, type, status } = req.query;
+
+    if (status && !Object.values(JOB_STATUS).includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${Object.values(JOB_STATUS).join(', ')}` });
+    }
+
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const jobs = await listJobs({ storyId, type, status, limit });
+
+    res.json({ jobs });
+  } catch (error) {
+    console.error('Error listing jobs:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Get a background job's status (and result once completed)
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ job });
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Requeue a dead-lettered job (admin)
+app.post('/api/jobs/:id/retry', requireAdmin, async (req, res) => {
+  try {
+    const job = await retryJob(req.params.id);
+
+    if (!job) {
+      return res.status(409).json({ error: 'Only dead jobs can be retried' });
+    }
+
+    res.json({ job });
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Federal API response cache hit/miss stats
+app.get('/api/cache/stats', (req, res) => {
+  res.json(getCacheStats());
+});
+
+// Drop cached responses (all sources, or ?source=fred) (admin)
+app.delete('/api/cache', requireAdmin, async (req, res) => {
+  try {
+    const { source } = req.query;
+
+    if (source && !CACHE_POLICIES[source]) {
+      return res.status(400).json({ error: `source must be one of: ${Object.keys(CACHE_POLICIES).join(', ')}` });
+    }
+
+    await clearCache(source || null);
+    res.json({ cleared: source || 'all' });
+  } catch (error) {
+    console.error('Error clearing response cache:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// API quota usage per source for the current window
+app.get('/api/quotas', async (req, res) => {
+  try {
+    res.json({ quotas: await getQuotaStatus() });
+  } catch (error) {
+    console.error('Error fetching quota status:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Health of each federal data source: probe result, latency, credentials and
+// recent errors. Probes are reused for a few minutes unless ?refresh=true. (admin)
+app.get('/api/sources/status', requireAdmin, async (req, res) => {
+  try {
+    res.json(await getSourceStatus({ refresh: req.query.refresh === 'true' }));
+  } catch (error) {
+    console.error('Error fetching source status:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
   }
 });
 
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`API server running on http://0.0.0.0:${PORT}`);
-  console.log(`Anthropic API key configured: ${!!process.env.VITE_ANTHROPIC_API_KEY}`);
+  console.log(`Allowed origins: ${CORS_ORIGINS.join(', ')}`);
+  const features = getFeatures();
+  const sources = Object.keys(features.sources).filter(source => features.sources[source]);
+  console.log(`Features: AI ${features.aiProvider || 'off'}, database ${features.database ? 'on' : 'off'}, keyed sources: ${sources.join(', ') || 'none'}`);
+
+  registerStoryJobs();
+  startJobWorker();
+  startReverificationScheduler();
+  startSourceMonitor();
+  runDistrictBackfill()
+    .catch(error => console.error('District backfill failed:', error.message || error));
 });
@@ -0,0 +1,49 @@
+/**
+ * Admin Authentication for the API Server
+ *
+ * Maintenance routes (sweeps, backfills, job retries, cache clears) and raw
+ * upstream data are only for operators. They require the ADMIN_API_TOKEN
+ * setting, sent as `Authorization: Bearer <token>`. With no token
+ * configured the admin routes are switched off rather than left open.
+ */
+
+import { timingSafeEqual } from 'crypto';
+import { getConfig } from '../src/services/config.js';
+
+/**
+ * Check whether a request carries the admin token
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+export function isAdminRequest(req) {
+  const token = getConfig('ADMIN_API_TOKEN');
+  const [scheme, supplied] = (req.get('authorization') || '').split(' ');
+
+  if (!token || scheme !== 'Bearer' || !supplied) return false;
+
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(supplied);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Middleware for admin-only routes: 503 when no admin token is configured,
+ * 401 when the request doesn't carry it
+ */
+export function requireAdmin(req, res, next) {
+  if (!getConfig('ADMIN_API_TOKEN')) {
+    return res.status(503).json({ error: 'Admin endpoints disabled. Set ADMIN_API_TOKEN on the server.' });
+  }
+
+  if (!isAdminRequest(req)) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+
+  next();
+}
+
+export default {
+  isAdminRequest,
+  requireAdmin,
+};
@@ -0,0 +1,64 @@
+/**
+ * Congressional District Backfill
+ *
+ * Resolves the district of stories stored before district resolution existed,
+ * stored under an earlier Congress's boundaries, or left unresolved, from
+ * their ZIP (see congressionalDistricts.js). Street addresses are never
+ * stored, so backfilled districts are always ZIP-based. ZIPs the crosswalk
+ * doesn't cover are left as they are and counted as unresolved.
+ */
+
+import {
+  CURRENT_CONGRESS,
+  DISTRICT_METHODS,
+  resolveDistrictByZip,
+  toLocationDistrict,
+} from '../src/services/congressionalDistricts.js';
+import { getSupabaseAdmin, listStoriesForDistrictBackfill, updateStoryRecord } from './supabaseAdmin.js';
+
+const BACKFILL_BATCH_SIZE = 200;
+
+/**
+ * Resolve the district of every story that needs one
+ * @param {Object} options - { batchSize }
+ * @returns {Promise<Object>} { checked, updated, unresolved }
+ */
+export async function runDistrictBackfill({ batchSize = BACKFILL_BATCH_SIZE } = {}) {
+  const result = { checked: 0, updated: 0, unresolved: 0 };
+  if (!getSupabaseAdmin()) return result;
+
+  let afterId = null;
+  for (;;) {
+    const stories = await listStoriesForDistrictBackfill({ congress: CURRENT_CONGRESS, afterId, limit: batchSize });
+    if (stories.length === 0) break;
+
+    for (const story of stories) {
+      result.checked++;
+      const resolution = resolveDistrictByZip(story.location?.zip);
+
+      // Keep whatever the story has rather than overwrite it with 'Unknown';
+      // it is picked up again once the crosswalk covers its ZIP
+      if (resolution.method === DISTRICT_METHODS.UNRESOLVED) {
+        result.unresolved++;
+        continue;
+      }
+
+      try {
+        await updateStoryRecord(story.id, { location: toLocationDistrict(resolution) });
+        result.updated++;
+      } catch (error) {
+        console.error(`Failed to backfill district for ${story.id}:`, error.message);
+      }
+    }
+
+    afterId = stories[stories.length - 1].id;
+    if (stories.length < batchSize) break;
+  }
+
+  console.log(`District backfill: checked ${result.checked} stories, updated ${result.updated}, ${result.unresolved} unresolved`);
+  return result;
+}
+
+export default {
+  runDistrictBackfill,
+};
@@ -0,0 +1,530 @@
+/**
+ * Background Job Queue
+ *
+ * Runs story enrichment, verification and creative brief generation outside
+ * the request that triggered them. Jobs are stored in the story_jobs table when
+ * the service role client is configured, and in memory otherwise (local
+ * development - jobs are lost on restart).
+ *
+ * Lifecycle: queued → running → completed
+ *                        ↓
+ *            queued again with backoff, until maxAttempts → dead
+ *
+ * Dead jobs stay in the table (dead-letter) until retried through the API.
+ *
+ * A worker stamps the jobs it claims with its worker ID and refreshes their
+ * heartbeat while they run. A running job whose heartbeat stops is requeued,
+ * however long it has been running, and a worker only records the outcome of
+ * a job it still holds.
+ */
+
+import { randomUUID } from 'crypto';
+import { getSupabaseAdmin } from './supabaseAdmin.js';
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  DEAD: 'dead',
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const ACTIVE_STATUSES = [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING];
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 30 * 60 * 1000;
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+// A running job whose heartbeat is older than this was orphaned by a crash or restart
+const STALE_HEARTBEAT_MS = 2 * 60 * 1000;
+
+// Identifies the jobs this process is running
+const WORKER_ID = randomUUID();
+
+/**
+ * Delay before the next attempt: 30s, 1m, 2m, 4m... capped at 30 minutes
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_DELAY_MS);
+}
+
+// ============================================================================
+// Storage
+// ============================================================================
+
+/**
+ * Transform a story_jobs row into a job object
+ */
+function transformJobFromDB(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    storyId: row.story_id,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    payload: row.payload || {},
+    result: row.result ?? null,
+    lastError: row.last_error,
+    runAt: row.run_at,
+    startedAt: row.started_at,
+    workerId: row.worker_id,
+    heartbeatAt: row.heartbeat_at,
+    completedAt: row.completed_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+const JOB_COLUMNS = {
+  status: 'status',
+  attempts: 'attempts',
+  result: 'result',
+  lastError: 'last_error',
+  runAt: 'run_at',
+  startedAt: 'started_at',
+  workerId: 'worker_id',
+  heartbeatAt: 'heartbeat_at',
+  completedAt: 'completed_at',
+};
+
+/**
+ * Transform job field updates into story_jobs column updates
+ */
+function jobUpdatesToDB(updates) {
+  const dbUpdates = {};
+  for (const [field, column] of Object.entries(JOB_COLUMNS)) {
+    if (updates[field] !== undefined) dbUpdates[column] = updates[field];
+  }
+  return dbUpdates;
+}
+
+/**
+ * Supabase-backed job store (story_jobs table)
+ */
+function createSupabaseStore(client) {
+  return {
+    async insert(job) {
+      const { data, error } = await client
+        .from('story_jobs')
+        .insert([{
+          id: job.id,
+          type: job.type,
+          story_id: job.storyId,
+          status: job.status,
+          attempts: job.attempts,
+          max_attempts: job.maxAttempts,
+          payload: job.payload,
+          run_at: job.runAt,
+        }])
+        .select()
+        .single();
+      if (error) throw error;
+      return transformJobFromDB(data);
+    },
+
+    async get(jobId) {
+      const { data, error } = await client
+        .from('story_jobs')
+        .select('*')
+        .eq('id', jobId)
+        .maybeSingle();
+      if (error) throw error;
+      return data ? transformJobFromDB(data) : null;
+    },
+
+    async update(jobId, updates, expected = {}) {
+      let query = client
+        .from('story_jobs')
+        .update(jobUpdatesToDB(updates))
+        .eq('id', jobId);
+      // Conditional update so two workers can't claim (or finish) the same job
+      for (const [column, value] of Object.entries(jobUpdatesToDB(expected))) {
+        query = value === null ? query.is(column, null) : query.eq(column, value);
+      }
+      const { data, error } = await query.select().maybeSingle();
+      if (error) throw error;
+      return data ? transformJobFromDB(data) : null;
+    },
+
+    async list({ storyId, type, statuses, dueBefore, heartbeatBefore, limit = 50 } = {}) {
+      let query = client.from('story_jobs').select('*');
+      if (storyId) query = query.eq('story_id', storyId);
+      if (type) query = query.eq('type', type);
+      if (statuses) query = query.in('status', statuses);
+      if (dueBefore) query = query.lte('run_at', dueBefore);
+      // Jobs claimed before heartbeats existed have none
+      if (heartbeatBefore) query = query.or(`heartbeat_at.is.null,heartbeat_at.lte."${heartbeatBefore}"`);
+      const { data, error } = await query
+        .order(dueBefore ? 'run_at' : 'created_at', { ascending: !!dueBefore })
+        .limit(limit);
+      if (error) throw error;
+      return data.map(transformJobFromDB);
+    },
+
+    async storyIdsWithJobs(type, storyIds) {
+      if (storyIds.length === 0) return new Set();
+      const { data, error } = await client
+        .from('story_jobs')
+        .select('story_id')
+        .eq('type', type)
+        .in('story_id', storyIds);
+      if (error) throw error;
+      return new Set(data.map(row => row.story_id));
+    },
+  };
+}
+
+/**
+ * In-memory job store for local development without a service role key
+ */
+function createMemoryStore() {
+  const jobs = new Map();
+
+  return {
+    async insert(job) {
+      const now = new Date().toISOString();
+      const stored = {
+        ...job,
+        result: null,
+        lastError: null,
+        startedAt: null,
+        workerId: null,
+        heartbeatAt: null,
+        completedAt: null,
+        createdAt: now,
+        updatedAt: now,
+      };
+      jobs.set(job.id, stored);
+      return { ...stored };
+    },
+
+    async get(jobId) {
+      const job = jobs.get(jobId);
+      return job ? { ...job } : null;
+    },
+
+    async update(jobId, updates, expected = {}) {
+      const job = jobs.get(jobId);
+      if (!job || Object.entries(expected).some(([field, value]) => job[field] !== value)) return null;
+      Object.assign(job, updates, { updatedAt: new Date().toISOString() });
+      return { ...job };
+    },
+
+    async list({ storyId, type, statuses, dueBefore, heartbeatBefore, limit = 50 } = {}) {
+      return [...jobs.values()]
+        .filter(job => !storyId || job.storyId === storyId)
+        .filter(job => !type || job.type === type)
+        .filter(job => !statuses || statuses.includes(job.status))
+        .filter(job => !dueBefore || job.runAt <= dueBefore)
+        .filter(job => !heartbeatBefore || !job.heartbeatAt || job.heartbeatAt <= heartbeatBefore)
+        .sort((a, b) => (dueBefore
+          ? a.runAt.localeCompare(b.runAt)
+          : b.createdAt.localeCompare(a.createdAt)))
+        .slice(0, limit)
+        .map(job => ({ ...job }));
+    },
+
+    async storyIdsWithJobs(type, storyIds) {
+      return new Set([...jobs.values()]
+        .filter(job => job.type === type && storyIds.includes(job.storyId))
+        .map(job => job.storyId));
+    },
+  };
+}
+
+let store = null;
+
+/**
+ * Get the job store (Supabase when configured, memory otherwise)
+ */
+function getStore() {
+  if (!store) {
+    const client = getSupabaseAdmin();
+    store = client ? createSupabaseStore(client) : createMemoryStore();
+    if (!client) {
+      console.warn('Job queue using in-memory storage - jobs will not survive a restart.');
+    }
+  }
+  return store;
+}
+
+// ============================================================================
+// Queue API
+// ============================================================================
+
+/**
+ * Add a job to the queue. By default a story can only have one active job of
+ * each type; enqueueing again returns the existing job. Pass
+ * `dedupeStatuses: [JOB_STATUS.QUEUED]` to let a running job queue its own follow-up.
+ * @param {string} type - Job type (must have a registered handler)
+ * @param {Object} options - { storyId, payload, maxAttempts, delayMs, dedupe, dedupeStatuses }
+ * @returns {Promise<Object>} The queued (or existing) job
+ */
+export async function enqueueJob(type, options = {}) {
+  const {
+    storyId = null,
+    payload = {},
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    delayMs = 0,
+    dedupe = true,
+    dedupeStatuses = ACTIVE_STATUSES,
+  } = options;
+
+  if (dedupe && storyId) {
+    const [existing] = await getStore().list({ storyId, type, statuses: dedupeStatuses, limit: 1 });
+    if (existing) return existing;
+  }
+
+  const job = await getStore().insert({
+    id: randomUUID(),
+    type,
+    storyId,
+    status: JOB_STATUS.QUEUED,
+    attempts: 0,
+    maxAttempts,
+    payload,
+    runAt: new Date(Date.now() + delayMs).toISOString(),
+  });
+
+  console.log(`Queued ${type} job ${job.id}${storyId ? ` for ${storyId}` : ''}`);
+  return job;
+}
+
+/**
+ * Get a job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getJob(jobId) {
+  if (!UUID_PATTERN.test(jobId)) return null;
+  return getStore().get(jobId);
+}
+
+/**
+ * List jobs
+ * @param {Object} filters - { storyId, type, status, limit }
+ * @returns {Promise<Array>} Jobs, newest first
+ */
+export async function listJobs({ storyId, type, status, limit } = {}) {
+  return getStore().list({ storyId, type, statuses: status ? [status] : undefined, limit });
+}
+
+/**
+ * Put a dead job back on the queue with a fresh set of attempts
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} The requeued job, or null if it isn't dead
+ */
+export async function retryJob(jobId) {
+  if (!UUID_PATTERN.test(jobId)) return null;
+  return getStore().update(jobId, {
+    status: JOB_STATUS.QUEUED,
+    attempts: 0,
+    lastError: null,
+    runAt: new Date().toISOString(),
+  }, { status: JOB_STATUS.DEAD });
+}
+
+/**
+ * Find which of the given stories have ever had a job of this type
+ * @param {string} type - Job type
+ * @param {Array<string>} storyIds - Story IDs
+ * @returns {Promise<Set<string>>}
+ */
+export async function getStoryIdsWithJobs(type, storyIds) {
+  return getStore().storyIdsWithJobs(type, storyIds);
+}
+
+// ============================================================================
+// Worker
+// ============================================================================
+
+const handlers = new Map();
+let pollTimer = null;
+let polling = false;
+
+/**
+ * Register the function that processes a job type
+ * @param {string} type - Job type
+ * @param {Function} handler - async (job) => result; throw to retry
+ */
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Record a claimed job's outcome, unless it was requeued (and possibly claimed
+ * by another worker) after this worker's heartbeat lapsed
+ */
+async function finishJob(job, updates) {
+  const finished = await getStore().update(job.id, updates, {
+    status: JOB_STATUS.RUNNING,
+    workerId: WORKER_ID,
+    attempts: job.attempts,
+  });
+  if (!finished) {
+    console.warn(`${job.type} job ${job.id} was requeued while running; discarding this attempt's outcome`);
+  }
+  return finished;
+}
+
+/**
+ * Run one claimed job, refreshing its heartbeat until it finishes, and record
+ * the outcome
+ */
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  const attempts = job.attempts;
+
+  const heartbeat = setInterval(() => {
+    getStore().update(job.id, { heartbeatAt: new Date().toISOString() }, {
+      status: JOB_STATUS.RUNNING,
+      workerId: WORKER_ID,
+    }).catch(error => console.error(`Heartbeat failed for ${job.type} job ${job.id}:`, error.message || error));
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref?.();
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type "${job.type}"`);
+    }
+
+    const result = await handler(job);
+
+    if (await finishJob(job, {
+      status: JOB_STATUS.COMPLETED,
+      result: result ?? null,
+      lastError: null,
+      completedAt: new Date().toISOString(),
+    })) {
+      console.log(`Completed ${job.type} job ${job.id}`);
+    }
+  } catch (error) {
+    const message = error?.message || String(error);
+
+    if (attempts >= job.maxAttempts) {
+      if (await finishJob(job, { status: JOB_STATUS.DEAD, lastError: message })) {
+        console.error(`${job.type} job ${job.id} failed ${attempts} times, moved to dead-letter:`, message);
+      }
+    } else {
+      const delay = getRetryDelay(attempts);
+      if (await finishJob(job, {
+        status: JOB_STATUS.QUEUED,
+        lastError: message,
+        runAt: new Date(Date.now() + delay).toISOString(),
+      })) {
+        console.warn(`${job.type} job ${job.id} failed (attempt ${attempts}/${job.maxAttempts}), retrying in ${Math.round(delay / 1000)}s:`, message);
+      }
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Requeue running jobs whose worker stopped sending heartbeats (it crashed or
+ * restarted). Jobs that are still heartbeating are left alone however long
+ * they have been running.
+ */
+async function recoverStaleJobs() {
+  const stale = await getStore().list({
+    statuses: [JOB_STATUS.RUNNING],
+    heartbeatBefore: new Date(Date.now() - STALE_HEARTBEAT_MS).toISOString(),
+  });
+
+  let requeued = 0;
+  for (const job of stale) {
+    // Only if nothing has touched the job since it was listed as stale
+    const updated = await getStore().update(job.id, {
+      status: JOB_STATUS.QUEUED,
+      lastError: 'Worker stopped while job was running',
+      runAt: new Date().toISOString(),
+    }, { status: JOB_STATUS.RUNNING, workerId: job.workerId, heartbeatAt: job.heartbeatAt });
+    if (updated) requeued++;
+  }
+
+  if (requeued > 0) {
+    console.warn(`Requeued ${requeued} stale running job(s)`);
+  }
+}
+
+/**
+ * Claim and run every job that is due, one at a time
+ * @returns {Promise<number>} Number of jobs processed
+ */
+export async function processDueJobs() {
+  if (polling) return 0;
+  polling = true;
+  let processed = 0;
+
+  try {
+    await recoverStaleJobs();
+
+    for (;;) {
+      const [next] = await getStore().list({
+        statuses: [JOB_STATUS.QUEUED],
+        dueBefore: new Date().toISOString(),
+        limit: 1,
+      });
+      if (!next) break;
+
+      const now = new Date().toISOString();
+      const claimed = await getStore().update(next.id, {
+        status: JOB_STATUS.RUNNING,
+        attempts: next.attempts + 1,
+        startedAt: now,
+        workerId: WORKER_ID,
+        heartbeatAt: now,
+      }, { status: JOB_STATUS.QUEUED, attempts: next.attempts });
+      if (!claimed) continue;
+
+      await runJob(claimed);
+      processed++;
+    }
+  } catch (error) {
+    console.error('Job worker error:', error.message || error);
+  } finally {
+    polling = false;
+  }
+
+  return processed;
+}
+
+/**
+ * Start polling for due jobs
+ * @param {Object} options - { pollIntervalMs }
+ */
+export function startJobWorker({ pollIntervalMs = DEFAULT_POLL_INTERVAL_MS } = {}) {
+  if (pollTimer) return;
+  pollTimer = setInterval(processDueJobs, pollIntervalMs);
+  processDueJobs();
+  console.log(`Job worker started (polling every ${pollIntervalMs / 1000}s)`);
+}
+
+/**
+ * Stop polling (a job already running finishes)
+ */
+export function stopJobWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+export default {
+  JOB_STATUS,
+  enqueueJob,
+  getJob,
+  listJobs,
+  retryJob,
+  getStoryIdsWithJobs,
+  registerJobHandler,
+  processDueJobs,
+  startJobWorker,
+  stopJobWorker,
+};
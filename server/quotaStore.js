@@ -0,0 +1,208 @@
+/**
+ * Shared Quota Store and Request Priority for the API Server
+ *
+ * Backs src/services/quotaManager.js so every server process draws on the
+ * same per-source quotas. Usage goes to the api_quota_usage table (consumed
+ * atomically by the consume_api_quota function) when the service role client
+ * is configured, and to a JSON file otherwise (local development;
+ * QUOTA_USAGE_FILE, default .cache/api-quota-usage.json). The file is re-read
+ * under a lock file for every consume, so processes on one machine share it.
+ *
+ * Also tracks the priority of the request being served: routes wrapped in
+ * `withQuotaPriority` (or run through `runWithQuotaPriority`) spend quota at
+ * that priority, everything else (job worker, re-verification sweeps) runs as
+ * background work. Quota refusals are likewise tied to the verification run
+ * or probe that hit them (registerQuotaRefusalScope).
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { mkdir, open, readFile, rename, rm, stat, writeFile } from 'fs/promises';
+import path from 'path';
+import { getSupabaseAdmin } from './supabaseAdmin.js';
+import { QUOTA_PRIORITY, setPriorityResolver, setRefusalScope } from '../src/services/quotaManager.js';
+import { getConfig } from '../src/services/config.js';
+
+// Windows older than this are dropped from the usage file
+const USAGE_RETENTION_MS = 2 * 24 * 60 * 60 * 1000;
+// A lock file older than this was left behind by a process that died holding it
+const LOCK_STALE_MS = 10 * 1000;
+const LOCK_RETRY_MS = 10;
+
+/**
+ * Supabase-backed store (api_quota_usage table)
+ */
+function createSupabaseStore(client) {
+  return {
+    async consume(source, windowStart, amount, max) {
+      const { data, error } = await client.rpc('consume_api_quota', {
+        p_source: source,
+        p_window_start: new Date(windowStart).toISOString(),
+        p_amount: amount,
+        p_max: max,
+      });
+      if (error) throw error;
+      const [row] = data || [];
+      return { allowed: !!row?.allowed, count: row?.used ?? 0 };
+    },
+
+    async getUsage(source, windowStart) {
+      const { data, error } = await client
+        .from('api_quota_usage')
+        .select('request_count')
+        .eq('source', source)
+        .eq('window_start', new Date(windowStart).toISOString())
+        .maybeSingle();
+      if (error) throw error;
+      return data?.request_count || 0;
+    },
+  };
+}
+
+/**
+ * Run fn while holding `${file}.lock`, which other processes using the same
+ * file wait on (a lock left by a crashed process is taken over once stale)
+ */
+async function withFileLock(file, fn) {
+  const lockFile = `${file}.lock`;
+
+  for (;;) {
+    try {
+      await (await open(lockFile, 'wx')).close();
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      const age = await stat(lockFile).then(info => Date.now() - info.mtimeMs, () => 0);
+      if (age > LOCK_STALE_MS) {
+        await rm(lockFile, { force: true });
+      } else {
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+      }
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await rm(lockFile, { force: true });
+  }
+}
+
+/**
+ * File-backed store: one JSON file of { "source|windowStart": count }
+ */
+function createFileStore(file) {
+  // Serialize read-modify-write cycles within this process; the lock file covers other processes
+  let queue = Promise.resolve();
+
+  async function load() {
+    try {
+      return JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn(`Quota usage file unreadable, starting fresh: ${error.message}`);
+      return {};
+    }
+  }
+
+  async function save(usage) {
+    const cutoff = Date.now() - USAGE_RETENTION_MS;
+    Object.keys(usage).forEach(key => {
+      if (Number(key.split('|')[1]) < cutoff) delete usage[key];
+    });
+    // Write then rename, so unlocked readers never see a half-written file
+    const temporary = `${file}.${process.pid}.tmp`;
+    await writeFile(temporary, JSON.stringify(usage));
+    await rename(temporary, file);
+  }
+
+  return {
+    consume(source, windowStart, amount, max) {
+      const result = queue.then(async () => {
+        await mkdir(path.dirname(file), { recursive: true });
+        return withFileLock(file, async () => {
+          const usage = await load();
+          const key = `${source}|${windowStart}`;
+          const count = usage[key] || 0;
+          if (max !== null && count + amount > max) return { allowed: false, count };
+          usage[key] = count + amount;
+          await save(usage);
+          return { allowed: true, count: usage[key] };
+        });
+      });
+      queue = result.catch(() => {});
+      return result;
+    },
+
+    async getUsage(source, windowStart) {
+      const usage = await load();
+      return usage[`${source}|${windowStart}`] || 0;
+    },
+  };
+}
+
+/**
+ * Create the shared quota store for this environment
+ * @returns {Object} Store for quotaManager.setQuotaStore
+ */
+export function createQuotaStore() {
+  const client = getSupabaseAdmin();
+  if (client) {
+    return createSupabaseStore(client);
+  }
+
+  const file = getConfig('QUOTA_USAGE_FILE');
+  console.warn(`API quota usage stored on disk (${file})`);
+  return createFileStore(file);
+}
+
+// ============================================================================
+// Request priority
+// ============================================================================
+
+const priorityContext = new AsyncLocalStorage();
+
+/**
+ * Resolve quota priority from the request being served (background otherwise)
+ */
+export function registerQuotaPriority() {
+  setPriorityResolver(() => priorityContext.getStore() || null, QUOTA_PRIORITY.BACKGROUND);
+}
+
+const refusalContext = new AsyncLocalStorage();
+
+/**
+ * Record quota refusals against the trackQuotaRefusals call they happen under
+ */
+export function registerQuotaRefusalScope() {
+  setRefusalScope({
+    run: (refusals, fn) => refusalContext.run(refusals, fn),
+    current: () => refusalContext.getStore() || null,
+  });
+}
+
+/**
+ * Express middleware: API requests made while handling the route spend
+ * quota at the given priority
+ * @param {string} priority - QUOTA_PRIORITY value
+ * @returns {Function} Middleware
+ */
+export function withQuotaPriority(priority) {
+  return (req, res, next) => priorityContext.run(priority, next);
+}
+
+/**
+ * Run work outside a route (e.g. a scheduled task) at a given quota priority
+ * @param {string} priority - QUOTA_PRIORITY value
+ * @param {Function} fn - Work to run
+ * @returns {*} Whatever fn returns
+ */
+export function runWithQuotaPriority(priority, fn) {
+  return priorityContext.run(priority, fn);
+}
+
+export default {
+  createQuotaStore,
+  registerQuotaPriority,
+  registerQuotaRefusalScope,
+  withQuotaPriority,
+  runWithQuotaPriority,
+};
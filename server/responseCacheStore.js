@@ -0,0 +1,142 @@
+/**
+ * Persistent Store for the API Response Cache
+ *
+ * Backs src/services/responseCache.js so cached federal data survives server
+ * restarts. Entries go to the api_response_cache table when the service role
+ * client is configured, and to JSON files on disk otherwise (local
+ * development; RESPONSE_CACHE_DIR, default .cache/api-responses).
+ *
+ * Also scopes cache serves to the work that made them, so concurrent
+ * verifications each see only their own cached responses.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { createHash } from 'crypto';
+import { mkdir, readFile, writeFile, rm } from 'fs/promises';
+import path from 'path';
+import { getSupabaseAdmin } from './supabaseAdmin.js';
+import { setServeScope } from '../src/services/responseCache.js';
+import { getConfig } from '../src/services/config.js';
+
+/**
+ * Hash a cache key (keys embed full URLs and bodies, too long for file names or a primary key)
+ */
+function hashKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Supabase-backed store (api_response_cache table)
+ */
+function createSupabaseStore(client) {
+  return {
+    async get(key) {
+      const { data, error } = await client
+        .from('api_response_cache')
+        .select('*')
+        .eq('key_hash', hashKey(key))
+        .maybeSingle();
+      if (error) throw error;
+      if (!data) return null;
+      return {
+        source: data.source,
+        data: data.data,
+        storedAt: data.stored_at,
+        expiresAt: data.expires_at,
+        staleUntil: data.stale_until,
+      };
+    },
+
+    async set(key, entry) {
+      const { error } = await client
+        .from('api_response_cache')
+        .upsert({
+          key_hash: hashKey(key),
+          cache_key: key,
+          source: entry.source,
+          data: entry.data,
+          stored_at: entry.storedAt,
+          expires_at: entry.expiresAt,
+          stale_until: entry.staleUntil,
+        });
+      if (error) throw error;
+    },
+
+    async delete(key) {
+      const { error } = await client.from('api_response_cache').delete().eq('key_hash', hashKey(key));
+      if (error) throw error;
+    },
+
+    async clear(source = null) {
+      let query = client.from('api_response_cache').delete();
+      query = source ? query.eq('source', source) : query.neq('key_hash', '');
+      const { error } = await query;
+      if (error) throw error;
+    },
+  };
+}
+
+/**
+ * File-backed store: one JSON file per entry, grouped by source
+ */
+function createDiskStore(directory) {
+  const filePath = (key) => path.join(directory, key.split('|')[0], `${hashKey(key)}.json`);
+
+  return {
+    async get(key) {
+      try {
+        const { entry } = JSON.parse(await readFile(filePath(key), 'utf8'));
+        return entry;
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async set(key, entry) {
+      const file = filePath(key);
+      await mkdir(path.dirname(file), { recursive: true });
+      await writeFile(file, JSON.stringify({ key, entry }));
+    },
+
+    async delete(key) {
+      await rm(filePath(key), { force: true });
+    },
+
+    async clear(source = null) {
+      await rm(source ? path.join(directory, source) : directory, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Create the persistent cache store for this environment
+ * @returns {Object} Store for responseCache.setCacheStore
+ */
+export function createResponseCacheStore() {
+  const client = getSupabaseAdmin();
+  if (client) {
+    return createSupabaseStore(client);
+  }
+
+  const directory = getConfig('RESPONSE_CACHE_DIR');
+  console.warn(`Response cache using disk storage (${directory})`);
+  return createDiskStore(directory);
+}
+
+const serveContext = new AsyncLocalStorage();
+
+/**
+ * Record cache serves against the trackCachedServes call they happen under
+ */
+export function registerCacheServeScope() {
+  setServeScope({
+    run: (serves, fn) => serveContext.run(serves, fn),
+    current: () => serveContext.getStore() || null,
+  });
+}
+
+export default {
+  createResponseCacheStore,
+  registerCacheServeScope,
+};
@@ -0,0 +1,230 @@
+/**
+ * Verification Records and Scheduled Re-verification
+ *
+ * Every stored verification goes through `recordVerification`, which updates
+ * the story, appends to the audit trail (verificationAudit.js) and score
+ * history, and flags significant score moves.
+ *
+ * The scheduler periodically checks each story's data sources for a newer
+ * release than the one it was verified against (see `getVintage` in
+ * verifierRegistry.js) and queues re-verification when one appears.
+ */
+
+import { getVerifiers } from '../src/services/verifierRegistry.js';
+import { fetchCurrentVintage } from '../src/services/storyVerification.js';
+import {
+  getSupabaseAdmin,
+  getStory,
+  updateStoryRecord,
+  insertScoreHistory,
+  insertVerificationRecord,
+  listStoriesForReverification,
+  markStoriesChecked,
+} from './supabaseAdmin.js';
+import { buildVerificationRecord } from './verificationAudit.js';
+import { JOB_STATUS, enqueueJob } from './jobQueue.js';
+import { JOB_TYPES, verificationToStoryUpdates } from './storySubmission.js';
+
+// Score moves of at least this many points are flagged for review
+export const SIGNIFICANT_SCORE_CHANGE = 15;
+
+const SWEEP_INTERVAL_MS = 6 * 60 * 60 * 1000;
+// Don't re-check stories verified more recently than this
+const MIN_RECHECK_AGE_MS = 24 * 60 * 60 * 1000;
+// Stories with no vintage-aware sources are re-verified on this schedule instead
+const MAX_UNCHECKED_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const SWEEP_BATCH_SIZE = 200;
+// Give the quota window a moment to roll over before retrying
+const QUOTA_RETRY_GRACE_MS = 60 * 1000;
+
+let sweepTimer = null;
+
+/**
+ * Store a verification result on a story, in the audit trail and in its score history
+ * @param {string} storyId - Story ID
+ * @param {Object} verification - Verification from storyVerification.verifyStory
+ * @param {string} reason - Why verification ran ('submission', 'manual', 'background', 'data_refresh', 'scheduled', 'quota_reset')
+ * @returns {Promise<Object>} The updated story
+ */
+export async function recordVerification(storyId, verification, reason) {
+  const previous = await getStory(storyId);
+  const previousScore = previous?.verificationScore ?? null;
+  const updates = {
+    ...verificationToStoryUpdates(verification),
+    verificationVintages: verification.vintages || {},
+    lastVerifiedAt: new Date().toISOString(),
+  };
+
+  const delta = previousScore === null ? 0 : updates.verificationScore - previousScore;
+  const flagged = Math.abs(delta) >= SIGNIFICANT_SCORE_CHANGE;
+
+  if (flagged) {
+    updates.verificationScoreChange = {
+      previousScore,
+      score: updates.verificationScore,
+      delta,
+      direction: delta > 0 ? 'up' : 'down',
+      reason,
+      detectedAt: updates.lastVerifiedAt,
+    };
+    console.log(`Verification score for ${storyId} moved ${previousScore} → ${updates.verificationScore} (${reason})`);
+  }
+
+  const story = await updateStoryRecord(storyId, updates);
+
+  try {
+    await insertVerificationRecord(buildVerificationRecord(storyId, verification, reason));
+  } catch (error) {
+    console.error(`Failed to record verification audit for ${storyId}:`, error.message);
+  }
+
+  try {
+    await insertScoreHistory({
+      storyId,
+      score: updates.verificationScore,
+      previousScore,
+      verificationStatus: updates.verificationStatus,
+      vintages: updates.verificationVintages,
+      reason,
+      flagged,
+    });
+  } catch (error) {
+    console.error(`Failed to record score history for ${storyId}:`, error.message);
+  }
+
+  if (verification.quotaLimitedSources?.length > 0) {
+    try {
+      await scheduleQuotaRetry(storyId, verification.quotaLimitedSources);
+    } catch (error) {
+      console.error(`Failed to schedule quota retry for ${storyId}:`, error.message);
+    }
+  }
+
+  return story;
+}
+
+/**
+ * Queue re-verification for when the quotas that limited a verification reset
+ * @param {string} storyId - Story ID
+ * @param {Array<Object>} quotaLimitedSources - [{ id, name, retryAt }]
+ * @returns {Promise<Object>} The queued job
+ */
+async function scheduleQuotaRetry(storyId, quotaLimitedSources) {
+  const retryAt = Math.max(...quotaLimitedSources.map(source => new Date(source.retryAt).getTime()));
+
+  // Only dedupe against queued jobs - this usually runs inside the verify job being retried
+  return enqueueJob(JOB_TYPES.VERIFY_STORY, {
+    storyId,
+    payload: {
+      reason: 'quota_reset',
+      quotaLimitedSources: quotaLimitedSources.map(source => source.id),
+    },
+    delayMs: Math.max(retryAt - Date.now(), 0) + QUOTA_RETRY_GRACE_MS,
+    dedupeStatuses: [JOB_STATUS.QUEUED],
+  });
+}
+
+/**
+ * Find the sources whose data has moved on since the story was verified
+ * @param {Object} story - Story with verificationVintages
+ * @param {Map} vintageCache - Current vintages fetched during this sweep
+ * @returns {Promise<Array<string>>} Verifier ids with newer data
+ */
+async function findRefreshedSources(story, vintageCache) {
+  const verifiers = new Map(getVerifiers().map(verifier => [verifier.id, verifier]));
+  const refreshed = [];
+
+  for (const [sourceId, storedVintage] of Object.entries(story.verificationVintages || {})) {
+    const verifier = verifiers.get(sourceId);
+    if (!verifier) continue;
+
+    // Most sources vary by state at most, so stories share lookups
+    const key = `${sourceId}|${story.location?.state}|${story.location?.zip}`;
+    if (!vintageCache.has(key)) {
+      vintageCache.set(key, fetchCurrentVintage(verifier, story));
+    }
+
+    const currentVintage = await vintageCache.get(key);
+    if (currentVintage && currentVintage !== storedVintage) {
+      refreshed.push(sourceId);
+    }
+  }
+
+  return refreshed;
+}
+
+/**
+ * Check stories for refreshed upstream data and queue re-verification
+ * @returns {Promise<Object>} { checked, queued }
+ */
+export async function runReverificationSweep() {
+  if (!getSupabaseAdmin()) return { checked: 0, queued: 0 };
+
+  const now = Date.now();
+  const stories = await listStoriesForReverification({
+    verifiedBefore: new Date(now - MIN_RECHECK_AGE_MS).toISOString(),
+    limit: SWEEP_BATCH_SIZE,
+  });
+
+  const vintageCache = new Map();
+  const checkedIds = [];
+  let queued = 0;
+
+  try {
+    for (const story of stories) {
+      const refreshedSources = await findRefreshedSources(story, vintageCache);
+      const lastVerified = story.lastVerifiedAt ? new Date(story.lastVerifiedAt).getTime() : 0;
+      const overdue = Object.keys(story.verificationVintages || {}).length === 0
+        && now - lastVerified >= MAX_UNCHECKED_AGE_MS;
+
+      if (refreshedSources.length > 0 || overdue) {
+        await enqueueJob(JOB_TYPES.VERIFY_STORY, {
+          storyId: story.id,
+          payload: {
+            reason: refreshedSources.length > 0 ? 'data_refresh' : 'scheduled',
+            refreshedSources,
+          },
+        });
+        queued++;
+      }
+      checkedIds.push(story.id);
+    }
+  } finally {
+    // Stamp skipped stories too, or the next sweep would pick the same batch
+    await markStoriesChecked(checkedIds, new Date(now).toISOString());
+  }
+
+  console.log(`Re-verification sweep: checked ${stories.length} stories, queued ${queued}`);
+  return { checked: stories.length, queued };
+}
+
+/**
+ * Start the periodic re-verification sweep
+ * @param {Object} options - { intervalMs }
+ */
+export function startReverificationScheduler({ intervalMs = SWEEP_INTERVAL_MS } = {}) {
+  if (sweepTimer || !getSupabaseAdmin()) return;
+
+  const sweep = () => runReverificationSweep()
+    .catch(error => console.error('Re-verification sweep failed:', error.message || error));
+  sweepTimer = setInterval(sweep, intervalMs);
+  sweep();
+}
+
+/**
+ * Stop the periodic re-verification sweep
+ */
+export function stopReverificationScheduler() {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+export default {
+  SIGNIFICANT_SCORE_CHANGE,
+  recordVerification,
+  runReverificationSweep,
+  startReverificationScheduler,
+  stopReverificationScheduler,
+};
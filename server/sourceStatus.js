@@ -0,0 +1,291 @@
+/**
+ * Federal Data Source Status
+ *
+ * Probes every data source the verification pipeline depends on (each
+ * registered verifier, plus Census for story locations) and reports it as
+ * up, degraded or down, alongside what real traffic has seen (latency, last
+ * success, recent error types - see src/services/sourceHealth.js) and
+ * whether its credentials are configured.
+ *
+ * Probes go through the shared HTTP client, so they use the response cache
+ * and spend quota at dashboard priority. Results are reused for a few
+ * minutes, a monitor re-probes on a schedule, and each source keeps a short
+ * probe history in memory for the admin view.
+ */
+
+import { getVerifiers } from '../src/services/verifierRegistry.js';
+import { getDemographicsByZip } from '../src/services/censusApi.js';
+import { getSourceHealth } from '../src/services/sourceHealth.js';
+import { trackCachedServes } from '../src/services/responseCache.js';
+import { QUOTA_PRIORITY, trackQuotaRefusals } from '../src/services/quotaManager.js';
+import { getErrorType } from '../src/services/httpClient.js';
+import { isSynthetic, getProvenance } from '../src/services/provenance.js';
+import { runWithQuotaPriority } from './quotaStore.js';
+// Registers every verifier
+import '../src/services/storyVerification.js';
+
+export const SOURCE_STATUS = {
+  UP: 'up',
+  DEGRADED: 'degraded',
+  DOWN: 'down',
+};
+
+// Reuse probe results younger than this unless a refresh is requested
+const PROBE_MAX_AGE_MS = 5 * 60 * 1000;
+const PROBE_TIMEOUT_MS = 20000;
+// Probes slower than this report the source as degraded
+const SLOW_PROBE_MS = 10000;
+const MONITOR_INTERVAL_MS = 30 * 60 * 1000;
+const MAX_HISTORY = 48;
+const MAX_REPORTED_ERRORS = 5;
+
+// Default probe for verifiers without one: their own fetch, for a sample story
+const SAMPLE_STORY = {
+  id: 'source-probe',
+  headline: '',
+  story: '',
+  policyArea: null,
+  location: { state: 'TX', zip: '78701' },
+};
+const SAMPLE_CONTEXT = { stateCode: 'TX', stateName: 'Texas', zip: '78701', storyText: '', claims: [] };
+
+// Census isn't a verifier, but submissions need it to resolve the story location
+const CENSUS_SOURCE = {
+  id: 'census',
+  name: 'Census',
+  probe: () => getDemographicsByZip(SAMPLE_CONTEXT.zip),
+};
+
+const history = new Map();
+let lastRun = null;
+let inFlightRun = null;
+let monitorTimer = null;
+
+/**
+ * Sources to probe
+ * @returns {Array<Object>} { id, name, probe, hasCredentials }
+ */
+export function getProbeSources() {
+  const verifierSources = getVerifiers().map(verifier => ({
+    id: verifier.id,
+    name: verifier.name,
+    probe: verifier.probe || (() => verifier.fetch(SAMPLE_STORY, SAMPLE_CONTEXT)),
+    hasCredentials: verifier.hasCredentials,
+  }));
+  return [...verifierSources, CENSUS_SOURCE];
+}
+
+/**
+ * Find the failure a service reported in its return value, if any. Services
+ * report errors as `{ error: true, errorType }`, `{ success: false }`,
+ * `{ status: 'unavailable' }` or null.
+ * @param {*} data - Probe result
+ * @returns {Object|null} { errorType, message }
+ */
+function getReportedFailure(data) {
+  if (data === null || data === undefined) {
+    return { errorType: 'no_data', message: 'No data returned' };
+  }
+  if (data.error || data.success === false || data.status === 'unavailable') {
+    return {
+      errorType: data.errorType || 'error',
+      message: data.errorMessage || data.errorDetails || (typeof data.error === 'string' ? data.error : null) || data.message || null,
+    };
+  }
+  return null;
+}
+
+/**
+ * Decide a source's status from one probe
+ * @param {Object} probe - { failure, synthetic, syntheticReason, quotaLimited, fromCache, latencyMs }
+ * @param {Object} health - Recorded request outcomes (sourceHealth.getSourceHealth)
+ * @returns {Object} { status, note }
+ */
+export function classifyProbe(probe, health) {
+  if (probe.quotaLimited) {
+    return { status: SOURCE_STATUS.DEGRADED, note: 'Request quota exhausted' };
+  }
+  if (probe.failure) {
+    return { status: SOURCE_STATUS.DOWN, note: probe.failure.message || probe.failure.errorType };
+  }
+  if (probe.synthetic) {
+    return { status: SOURCE_STATUS.DEGRADED, note: `Serving estimated data: ${probe.syntheticReason || 'live data unavailable'}` };
+  }
+  const lastRequestFailed = health.lastFailureAt
+    && (!health.lastSuccessAt || health.lastFailureAt > health.lastSuccessAt);
+  if (probe.fromCache && lastRequestFailed) {
+    return { status: SOURCE_STATUS.DEGRADED, note: 'Serving cached data - the last live request failed' };
+  }
+  if (probe.latencyMs !== null && probe.latencyMs > SLOW_PROBE_MS) {
+    return { status: SOURCE_STATUS.DEGRADED, note: `Slow response (${Math.round(probe.latencyMs / 1000)}s)` };
+  }
+  return { status: SOURCE_STATUS.UP, note: null };
+}
+
+/**
+ * Describe whether a source's credentials are configured
+ */
+function getCredentialStatus(source) {
+  if (typeof source.hasCredentials !== 'function') return 'not_required';
+  try {
+    return source.hasCredentials() ? 'present' : 'missing';
+  } catch (error) {
+    return 'missing';
+  }
+}
+
+/**
+ * Probe one source
+ * @param {Object} source - { id, name, probe, hasCredentials }
+ * @returns {Promise<Object>} Probe result (see getSourceStatus)
+ */
+export async function probeSource(source) {
+  const startedAt = Date.now();
+  let data;
+  let serves = new Map();
+  let refusals = new Map();
+  let failure = null;
+  let timer;
+
+  try {
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(Object.assign(new Error(`Probe timed out after ${PROBE_TIMEOUT_MS / 1000}s`), { type: 'timeout' })), PROBE_TIMEOUT_MS);
+    });
+    const tracked = trackQuotaRefusals(() => trackCachedServes(() => source.probe()));
+    ({ result: { result: data, serves }, refusals } = await Promise.race([tracked, timeout]));
+    failure = getReportedFailure(data);
+  } catch (error) {
+    failure = { errorType: error.type || getErrorType(error), message: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const health = getSourceHealth(source.id);
+  const fromCache = !failure && serves.size > 0;
+  const probe = {
+    failure,
+    synthetic: !failure && isSynthetic(data),
+    syntheticReason: getProvenance(data)?.reason || null,
+    quotaLimited: refusals.size > 0 || failure?.errorType === 'quota_exhausted',
+    fromCache,
+    // A cache hit says nothing about the API's speed; report the last real request
+    latencyMs: fromCache ? health.lastLatencyMs : Date.now() - startedAt,
+  };
+  const { status, note } = classifyProbe(probe, health);
+
+  return {
+    id: source.id,
+    name: source.name,
+    status,
+    note,
+    errorType: failure?.errorType || null,
+    latencyMs: probe.latencyMs,
+    fromCache,
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Probe every source and append the results to their history
+ * @returns {Promise<Object>} { checkedAt, results: { [id]: probe result } }
+ */
+export function runSourceProbes() {
+  if (inFlightRun) return inFlightRun;
+
+  inFlightRun = runWithQuotaPriority(QUOTA_PRIORITY.DASHBOARD, async () => {
+    const results = await Promise.all(getProbeSources().map(probeSource));
+
+    results.forEach(result => {
+      const entries = history.get(result.id) || [];
+      entries.unshift({
+        checkedAt: result.checkedAt,
+        status: result.status,
+        latencyMs: result.latencyMs,
+        errorType: result.errorType,
+        note: result.note,
+      });
+      entries.length = Math.min(entries.length, MAX_HISTORY);
+      history.set(result.id, entries);
+    });
+
+    lastRun = {
+      checkedAt: new Date().toISOString(),
+      results: Object.fromEntries(results.map(result => [result.id, result])),
+    };
+    return lastRun;
+  }).finally(() => {
+    inFlightRun = null;
+  });
+
+  return inFlightRun;
+}
+
+/**
+ * Get the status of every data source, probing first if the last results are stale
+ * @param {Object} options - { refresh } to probe regardless of age
+ * @returns {Promise<Object>} { checkedAt, summary: { up, degraded, down }, sources: [{
+ *   id, name, status, note, errorType, latencyMs, fromCache, checkedAt, credentials,
+ *   lastSuccessAt, lastFailureAt, requests, failures, recentErrors, history }] }
+ */
+export async function getSourceStatus({ refresh = false } = {}) {
+  const stale = !lastRun || Date.now() - new Date(lastRun.checkedAt).getTime() > PROBE_MAX_AGE_MS;
+  const run = refresh || stale ? await runSourceProbes() : lastRun;
+
+  const sources = getProbeSources().map(source => {
+    const health = getSourceHealth(source.id);
+    const result = run.results[source.id];
+    return {
+      ...result,
+      id: source.id,
+      name: source.name,
+      credentials: getCredentialStatus(source),
+      lastSuccessAt: health.lastSuccessAt,
+      lastFailureAt: health.lastFailureAt,
+      requests: health.requests,
+      failures: health.failures,
+      recentErrors: health.recentErrors.slice(0, MAX_REPORTED_ERRORS),
+      history: history.get(source.id) || [],
+    };
+  });
+
+  const summary = { up: 0, degraded: 0, down: 0 };
+  sources.forEach(source => {
+    if (summary[source.status] !== undefined) summary[source.status]++;
+  });
+
+  return { checkedAt: run.checkedAt, summary, sources };
+}
+
+/**
+ * Start re-probing every source on a schedule
+ * @param {Object} options - { intervalMs }
+ */
+export function startSourceMonitor({ intervalMs = MONITOR_INTERVAL_MS } = {}) {
+  if (monitorTimer) return;
+
+  const probe = () => runSourceProbes()
+    .catch(error => console.error('Source status probe failed:', error.message || error));
+  monitorTimer = setInterval(probe, intervalMs);
+  probe();
+}
+
+/**
+ * Stop the scheduled probes
+ */
+export function stopSourceMonitor() {
+  if (monitorTimer) {
+    clearInterval(monitorTimer);
+    monitorTimer = null;
+  }
+}
+
+export default {
+  SOURCE_STATUS,
+  getProbeSources,
+  classifyProbe,
+  probeSource,
+  runSourceProbes,
+  getSourceStatus,
+  startSourceMonitor,
+  stopSourceMonitor,
+};
@@ -0,0 +1,133 @@
+/**
+ * Story Context Panels
+ *
+ * The story detail view shows federal data next to the story: Census
+ * demographics for its ZIP and state-level energy, climate, housing,
+ * infrastructure, emergency, crime victimization and (for election stories)
+ * campaign finance figures, each with the panel's own verification. These
+ * lookups need API keys, so they run here with server credentials and the
+ * browser only gets the summaries the panels render.
+ *
+ * Panels are looked up in parallel. One failing doesn't fail the others; it
+ * comes back as `{ error }` and the detail view shows it as unavailable.
+ */
+
+import { getAcsTrends, getDemographicsByZip, getPolicyIndicators, verifyStoryDemographics } from '../src/services/censusApi.js';
+import { getStateEnergyData, verifyEnergyStory } from '../src/services/eiaApi.js';
+import { getStateClimateData, verifyClimateStory } from '../src/services/ncdcApi.js';
+import { getStateHousingData, verifyHousingStory } from '../src/services/hudApi.js';
+import { getStateInfrastructureData, verifyInfrastructureStory } from '../src/services/dotApi.js';
+import { getStateEmergencyData, verifyEmergencyStory } from '../src/services/femaApi.js';
+import { getVictimizationByYear, verifyCrimeStory } from '../src/services/bjsNcvsApi.js';
+import { searchCandidates, searchCommittees, searchContributions, verifyCampaignFinanceStory } from '../src/services/fecApi.js';
+
+// NCVS publishes with a two-year lag
+const NCVS_LAG_YEARS = 2;
+const FEC_CYCLE = 2024;
+const FEC_PAGE_SIZE = 10;
+
+/**
+ * Throw a service error object ({ error: true, errorMessage }) so the panel
+ * reports it instead of rendering it as data
+ */
+function ensureData(data) {
+  if (data?.error === true) throw new Error(data.errorMessage || 'Lookup failed');
+  return data;
+}
+
+const CONTEXT_PANELS = [
+  {
+    id: 'census',
+    async load(story) {
+      const demographics = ensureData(await getDemographicsByZip(story.location.zip));
+      // Trends only add claim checks, so the snapshot still shows without them
+      const trends = await getAcsTrends({ zipCode: story.location.zip }).catch(() => null);
+      return {
+        data: demographics,
+        verification: verifyStoryDemographics(story, demographics, trends),
+        indicators: getPolicyIndicators(story, demographics),
+      };
+    },
+  },
+  {
+    id: 'eia',
+    async load(story) {
+      const data = ensureData(await getStateEnergyData(story.location.state));
+      return { data, verification: verifyEnergyStory(story, data) };
+    },
+  },
+  {
+    id: 'ncdc',
+    async load(story) {
+      const data = ensureData(await getStateClimateData(story.location.state));
+      return { data, verification: verifyClimateStory(story, data) };
+    },
+  },
+  {
+    id: 'hud',
+    async load(story) {
+      const data = ensureData(await getStateHousingData(story.location.state, story.location.zip || null));
+      return { data, verification: verifyHousingStory(story, data) };
+    },
+  },
+  {
+    id: 'dot',
+    async load(story) {
+      const data = ensureData(await getStateInfrastructureData(story.location.state));
+      return { data, verification: verifyInfrastructureStory(story, data) };
+    },
+  },
+  {
+    id: 'fema',
+    async load(story) {
+      const data = ensureData(await getStateEmergencyData(story.location.state));
+      return { data, verification: verifyEmergencyStory(story, data) };
+    },
+  },
+  {
+    id: 'ncvs',
+    async load(story) {
+      const year = String(new Date().getFullYear() - NCVS_LAG_YEARS);
+      const data = ensureData(await getVictimizationByYear(year, 'personal'));
+      return { data, verification: verifyCrimeStory(story, data) };
+    },
+  },
+  {
+    id: 'fec',
+    appliesTo: story => story.policyArea === 'election',
+    async load(story) {
+      const { state } = story.location;
+      const [candidates, committees, contributions] = await Promise.all([
+        searchCandidates('', { state, cycle: FEC_CYCLE, perPage: FEC_PAGE_SIZE }),
+        searchCommittees({ state, cycle: FEC_CYCLE, perPage: FEC_PAGE_SIZE }),
+        searchContributions({ contributorState: state, perPage: FEC_PAGE_SIZE }),
+      ]);
+      const data = { candidates, committees, contributions, state };
+      return { data, verification: verifyCampaignFinanceStory(story, data) };
+    },
+  },
+];
+
+/**
+ * Look up every context panel that applies to a story
+ * @param {Object} story - Story with location { state, zip } and policyArea
+ * @returns {Promise<Object>} { [panelId]: { data, verification, indicators? } | { error } }
+ */
+export async function getStoryContext(story) {
+  const panels = CONTEXT_PANELS.filter(panel => !panel.appliesTo || panel.appliesTo(story));
+
+  const results = await Promise.all(panels.map(async (panel) => {
+    try {
+      return [panel.id, await panel.load(story)];
+    } catch (error) {
+      console.error(`Failed to load ${panel.id} context for story ${story.id}:`, error.message || error);
+      return [panel.id, { error: error.message || 'Lookup failed' }];
+    }
+  }));
+
+  return Object.fromEntries(results);
+}
+
+export default {
+  getStoryContext,
+};
@@ -0,0 +1,148 @@
+/**
+ * Story Job Handlers
+ *
+ * Background work for citizen stories, run by the job queue worker:
+ * - enrich_census   - Census location and demographics
+ * - analyze_story   - Messaging analysis (storyAnalyzer)
+ * - verify_story    - Claim extraction and federal data verification
+ * - creative_brief  - Creative brief generation (result stored on the job)
+ *
+ * Handlers throw to have the queue retry with backoff.
+ */
+
+import { getAcsTrends, getDemographicsByZip, verifyStoryDemographics } from '../src/services/censusApi.js';
+import { generateCreativeBrief } from '../src/services/creativeBriefAI.js';
+import { getSupabaseAdmin, getStory, updateStoryRecord, listPendingStories } from './supabaseAdmin.js';
+import {
+  JOB_TYPES,
+  lookupLocation,
+  analyzeStoryForMessaging,
+  verifyStoryForRecord,
+} from './storySubmission.js';
+import { recordVerification } from './reverification.js';
+import { enqueueJob, registerJobHandler, getStoryIdsWithJobs } from './jobQueue.js';
+
+// Background jobs aren't holding up a citizen, so give slow sources longer
+const JOB_VERIFICATION_BUDGET_MS = 60000;
+
+// Pending stories younger than this may still be finishing inline verification
+const STUCK_STORY_AGE_MS = 10 * 60 * 1000;
+const STUCK_STORY_SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+
+let sweepTimer = null;
+
+/**
+ * Load the story a job refers to
+ */
+async function loadJobStory(job) {
+  const story = await getStory(job.storyId);
+  if (!story) {
+    throw new Error(`Story ${job.storyId} not found`);
+  }
+  return story;
+}
+
+async function handleEnrichCensus(job) {
+  const story = await loadJobStory(job);
+  const updates = await lookupLocation(story.location.zip);
+  await updateStoryRecord(story.id, updates);
+
+  // Verification without a location is mostly guesswork - run it again now
+  if (story.verificationStatus === 'pending') {
+    await enqueueJob(JOB_TYPES.VERIFY_STORY, { storyId: story.id });
+  }
+
+  return { location: updates.location };
+}
+
+async function handleAnalyzeStory(job) {
+  const story = await loadJobStory(job);
+  const aiAnalysis = await analyzeStoryForMessaging(story);
+  await updateStoryRecord(story.id, { aiAnalysis });
+  return { messageResonance: aiAnalysis.messageResonance };
+}
+
+async function handleVerifyStory(job) {
+  const story = await loadJobStory(job);
+  const reason = job.payload.reason || 'background';
+
+  const verification = await verifyStoryForRecord(story, {
+    timeBudgetMs: JOB_VERIFICATION_BUDGET_MS,
+    onUpdate: (completeVerification) => {
+      recordVerification(story.id, completeVerification, reason)
+        .catch(error => console.error(`Failed to store late verification for ${story.id}:`, error.message));
+    },
+  });
+
+  const updated = await recordVerification(story.id, verification, reason);
+
+  return {
+    previousScore: story.verificationScore,
+    score: updated.verificationScore,
+    verified: verification.verified,
+    dataSource: verification.dataSource,
+    pendingSources: verification.pendingSources || [],
+    quotaLimitedSources: verification.quotaLimitedSources || [],
+    syntheticSources: verification.syntheticSources || [],
+  };
+}
+
+async function handleCreativeBrief(job) {
+  const story = await loadJobStory(job);
+
+  // The brief is built around local demographics, so retry until Census responds
+  const censusData = await getDemographicsByZip(story.location.zip);
+  const trends = await getAcsTrends({ zipCode: story.location.zip }).catch(() => null);
+  const censusVerification = verifyStoryDemographics(story, censusData, trends);
+
+  const brief = await generateCreativeBrief(story, censusData, censusVerification, false);
+  return { brief };
+}
+
+/**
+ * Queue verification for pending stories that never got a background job -
+ * e.g. submitted before the queue existed, or while the server was restarting.
+ * @returns {Promise<number>} Number of jobs queued
+ */
+export async function queueStuckStories() {
+  if (!getSupabaseAdmin()) return 0;
+
+  const stories = await listPendingStories({
+    submittedBefore: new Date(Date.now() - STUCK_STORY_AGE_MS).toISOString(),
+  });
+  const alreadyQueued = await getStoryIdsWithJobs(JOB_TYPES.VERIFY_STORY, stories.map(story => story.id));
+
+  let queued = 0;
+  for (const story of stories) {
+    if (alreadyQueued.has(story.id)) continue;
+    await enqueueJob(JOB_TYPES.VERIFY_STORY, { storyId: story.id });
+    queued++;
+  }
+
+  if (queued > 0) {
+    console.log(`Queued verification for ${queued} stuck pending stories`);
+  }
+  return queued;
+}
+
+/**
+ * Register the story job handlers and start sweeping for stuck stories
+ */
+export function registerStoryJobs() {
+  registerJobHandler(JOB_TYPES.ENRICH_CENSUS, handleEnrichCensus);
+  registerJobHandler(JOB_TYPES.ANALYZE_STORY, handleAnalyzeStory);
+  registerJobHandler(JOB_TYPES.VERIFY_STORY, handleVerifyStory);
+  registerJobHandler(JOB_TYPES.CREATIVE_BRIEF, handleCreativeBrief);
+
+  if (!sweepTimer) {
+    const sweep = () => queueStuckStories()
+      .catch(error => console.error('Stuck story sweep failed:', error.message || error));
+    sweepTimer = setInterval(sweep, STUCK_STORY_SWEEP_INTERVAL_MS);
+    sweep();
+  }
+}
+
+export default {
+  registerStoryJobs,
+  queueStuckStories,
+};
@@ -0,0 +1,367 @@
+/**
+ * Story Submission
+ *
+ * Validates citizen story submissions, enriches them (Census location and
+ * demographics, AI analysis, claim extraction, federal data verification) and
+ * saves them with the service role client.
+ *
+ * Import after dotenv has loaded - the service modules read API keys at import time.
+ */
+
+import { randomBytes } from 'crypto';
+import { getDemographicsByZip } from '../src/services/censusApi.js';
+import { analyzeStory } from '../src/services/storyAnalyzer.js';
+import { extractClaims } from '../src/services/claimExtraction.js';
+import { verifyStory } from '../src/services/storyVerification.js';
+import { resolveZip } from '../src/services/geography.js';
+import { resolveDistrict, resolveDistrictByZip, toLocationDistrict } from '../src/services/congressionalDistricts.js';
+import { insertStory, isDuplicateKeyError } from './supabaseAdmin.js';
+import { JOB_STATUS, enqueueJob } from './jobQueue.js';
+import { recordVerification } from './reverification.js';
+
+export const JOB_TYPES = {
+  ENRICH_CENSUS: 'enrich_census',
+  ANALYZE_STORY: 'analyze_story',
+  VERIFY_STORY: 'verify_story',
+  CREATIVE_BRIEF: 'creative_brief',
+};
+
+export const VALID_POLICY_AREAS = [
+  'education', 'healthcare', 'employment', 'housing', 'environment',
+  'immigration', 'infrastructure', 'justice', 'election', 'energy',
+];
+export const VALID_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+export const STORY_MIN_LENGTH = 20;
+export const STORY_MAX_LENGTH = 5000;
+const HEADLINE_MAX_LENGTH = 80;
+const MAX_ID_ATTEMPTS = 3;
+const ADDRESS_MAX_LENGTH = 200;
+const CREATIVE_BRIEF_MAX_ATTEMPTS = 3;
+
+/**
+ * Validate a story submission
+ * @param {Object} submission - { zipCode, policyArea, story, consent, severity?, address? }
+ * @returns {Array<Object>} Validation errors ({ field, message }); empty when valid
+ */
+export function validateStorySubmission(submission) {
+  const errors = [];
+
+  if (!submission || typeof submission !== 'object') {
+    return [{ field: 'body', message: 'Submission is required' }];
+  }
+
+  const { zipCode, policyArea, story, consent, severity, address } = submission;
+
+  if (typeof zipCode !== 'string' || !/^\d{5}$/.test(zipCode)) {
+    errors.push({ field: 'zipCode', message: 'ZIP code must be 5 digits' });
+  }
+
+  if (!VALID_POLICY_AREAS.includes(policyArea)) {
+    errors.push({ field: 'policyArea', message: `Policy area must be one of: ${VALID_POLICY_AREAS.join(', ')}` });
+  }
+
+  const storyText = typeof story === 'string' ? story.trim() : '';
+  if (storyText.length < STORY_MIN_LENGTH) {
+    errors.push({ field: 'story', message: `Story must be at least ${STORY_MIN_LENGTH} characters` });
+  } else if (storyText.length > STORY_MAX_LENGTH) {
+    errors.push({ field: 'story', message: `Story must be at most ${STORY_MAX_LENGTH} characters` });
+  }
+
+  if (consent !== true) {
+    errors.push({ field: 'consent', message: 'Consent is required to submit a story' });
+  }
+
+  if (severity !== undefined && !VALID_SEVERITIES.includes(severity)) {
+    errors.push({ field: 'severity', message: `Severity must be one of: ${VALID_SEVERITIES.join(', ')}` });
+  }
+
+  if (address !== undefined && (typeof address !== 'string' || address.length > ADDRESS_MAX_LENGTH)) {
+    errors.push({ field: 'address', message: `Address must be text of at most ${ADDRESS_MAX_LENGTH} characters` });
+  }
+
+  return errors;
+}
+
+/**
+ * Generate a random story ID (e.g. CS-2025-4F9A1C2E).
+ * Random rather than sequential so concurrent submissions can't collide;
+ * insert retries with a new ID on the rare duplicate.
+ * @returns {string}
+ */
+export function generateStoryId() {
+  return `CS-${new Date().getFullYear()}-${randomBytes(4).toString('hex').toUpperCase()}`;
+}
+
+/**
+ * Build a headline from the first sentence of the story
+ * @param {string} storyText - Story text
+ * @returns {string}
+ */
+function buildHeadline(storyText) {
+  const firstSentence = storyText.split('.')[0].trim();
+  return firstSentence.length > HEADLINE_MAX_LENGTH
+    ? firstSentence.substring(0, HEADLINE_MAX_LENGTH - 3) + '...'
+    : firstSentence;
+}
+
+/**
+ * Save a story, retrying with a fresh ID if the generated one already exists
+ * @param {Object} story - Story object (id is replaced on retry)
+ * @returns {Promise<Object>} The inserted story
+ */
+async function insertWithUniqueId(story) {
+  for (let attempt = 1; attempt <= MAX_ID_ATTEMPTS; attempt++) {
+    try {
+      return await insertStory(story);
+    } catch (error) {
+      if (!isDuplicateKeyError(error) || attempt === MAX_ID_ATTEMPTS) {
+        throw error;
+      }
+      story.id = generateStoryId();
+    }
+  }
+  return null;
+}
+
+/**
+ * Map a verification result onto story fields
+ * @param {Object} verification - Verification from storyVerification.verifyStory
+ * @returns {Object} Story field updates
+ */
+export function verificationToStoryUpdates(verification) {
+  return {
+    verificationStatus: verification.verified ? 'verified' : 'pending',
+    verificationScore: verification.confidence || 0,
+  };
+}
+
+/**
+ * Place a ZIP code from the bundled geography crosswalk (no network), so a
+ * story has a state to verify against even when the Census lookup fails.
+ * The district is the ZIP's largest; see congressionalDistricts.js.
+ * @param {string} zipCode - 5-digit ZIP code
+ * @returns {Object} location story field
+ */
+export function locateZip(zipCode) {
+  const place = resolveZip(zipCode);
+  return {
+    zip: zipCode,
+    city: place?.city || 'Unknown',
+    state: place?.state || 'Unknown',
+    county: place?.county?.name || 'Unknown',
+    ...toLocationDistrict(resolveDistrictByZip(zipCode)),
+  };
+}
+
+/**
+ * Look up location and demographics for a ZIP code. The location leaves the
+ * district alone; it comes from resolveDistrict, not the Census ACS.
+ * @param {string} zipCode - 5-digit ZIP code
+ * @returns {Promise<Object>} { location, demographics } story fields
+ */
+export async function lookupLocation(zipCode) {
+  const censusData = await getDemographicsByZip(zipCode);
+  if (!censusData || censusData.error) {
+    throw new Error(censusData?.errorMessage || 'Census lookup returned no data');
+  }
+
+  const place = locateZip(zipCode);
+  return {
+    location: {
+      zip: zipCode,
+      city: censusData.city || place.city,
+      state: place.state !== 'Unknown' ? place.state : censusData.state || 'Unknown',
+      county: censusData.county || place.county,
+    },
+    demographics: censusData.demographics || {},
+  };
+}
+
+/**
+ * Run messaging analysis on a story
+ * @param {Object} story - Story object
+ * @returns {Promise<Object>} aiAnalysis story field
+ */
+export async function analyzeStoryForMessaging(story) {
+  const analysis = await analyzeStory(story);
+  return {
+    messageResonance: analysis.messageResonance,
+    demographicAppeal: analysis.demographicAppeal,
+    recommendedTalkingPoints: analysis.recommendedTalkingPoints,
+    competitiveVulnerability: analysis.competitiveVulnerability,
+  };
+}
+
+/**
+ * Extract claims and verify a story against federal data
+ * @param {Object} story - Story object
+ * @param {Object} options - verifyStory options ({ timeBudgetMs, onUpdate })
+ * @returns {Promise<Object>} Verification object
+ * @throws {Error} If the verification system itself failed
+ */
+export async function verifyStoryForRecord(story, options = {}) {
+  const { claims } = await extractClaims(story);
+  const verification = await verifyStory(story, { claims, ...options });
+
+  // verifyStory reports unexpected failures as an insight rather than throwing
+  if (verification.insights?.some(insight => insight.type === 'system_error')) {
+    throw new Error('Verification system encountered an error');
+  }
+
+  return verification;
+}
+
+/**
+ * Queue the creative brief for a saved story. A story gets one brief: while
+ * one is queued, running or done, that job is returned instead of paying for
+ * another AI call. Only a dead-lettered brief is generated again.
+ * @param {string} storyId - Saved story ID
+ * @returns {Promise<Object>} The brief job
+ */
+export async function enqueueCreativeBrief(storyId) {
+  return enqueueJob(JOB_TYPES.CREATIVE_BRIEF, {
+    storyId,
+    maxAttempts: CREATIVE_BRIEF_MAX_ATTEMPTS,
+    dedupeStatuses: [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING, JOB_STATUS.COMPLETED],
+  });
+}
+
+/**
+ * Enrich and save a validated story submission
+ * @param {Object} submission - Validated submission
+ * @returns {Promise<Object>} { story, verification, jobs } - jobs queued for failed
+ *   steps, and the story's creative brief
+ */
+export async function createStory(submission) {
+  const storyText = submission.story.trim();
+
+  const newStory = {
+    id: generateStoryId(),
+    submittedAt: new Date().toISOString(),
+    location: locateZip(submission.zipCode),
+    policyArea: submission.policyArea,
+    severity: submission.severity || 'medium',
+    verificationStatus: 'pending',
+    verificationScore: 0,
+    headline: buildHeadline(storyText),
+    story: storyText,
+    evidence: [],
+    demographics: {},
+    impact: {
+      economic: 0,
+      affected_population: 0,
+      timeframe: 'unknown',
+      correlation_confidence: 0,
+    },
+    aiAnalysis: {
+      messageResonance: 0,
+      demographicAppeal: [],
+      recommendedTalkingPoints: [],
+      competitiveVulnerability: 'unknown',
+    },
+  };
+
+  // Steps that fail here are queued to run again once the story is saved
+  const retryJobs = [];
+
+  // A street address pins down the district when the ZIP is split, and the
+  // census tract; the address itself isn't stored
+  if (submission.address) {
+    const resolution = await resolveDistrict({ zip: submission.zipCode, address: submission.address });
+    Object.assign(newStory.location, toLocationDistrict(resolution));
+  }
+
+  // Location and demographics from the Census API
+  try {
+    const { location, demographics } = await lookupLocation(submission.zipCode);
+    newStory.location = { ...newStory.location, ...location };
+    newStory.demographics = demographics;
+  } catch (error) {
+    console.error('Census lookup failed:', error.message);
+    retryJobs.push(JOB_TYPES.ENRICH_CENSUS);
+  }
+
+  // AI (or heuristic) messaging analysis
+  try {
+    newStory.aiAnalysis = await analyzeStoryForMessaging(newStory);
+  } catch (error) {
+    console.error('Story analysis failed:', error.message);
+    retryJobs.push(JOB_TYPES.ANALYZE_STORY);
+  }
+
+  // Federal data verification; late sources update the saved story
+  let resolveSaved;
+  const saved = new Promise(resolve => { resolveSaved = resolve; });
+  let verification = null;
+
+  try {
+    verification = await verifyStoryForRecord(newStory, {
+      onUpdate: async (completeVerification) => {
+        const savedStory = await saved;
+        if (!savedStory) return;
+        try {
+          await recordVerification(savedStory.id, completeVerification, 'submission');
+          console.log(`Stored late verification results for ${savedStory.id}`);
+        } catch (error) {
+          console.error(`Failed to store late verification for ${savedStory.id}:`, error.message);
+        }
+      },
+    });
+
+    Object.assign(newStory, verificationToStoryUpdates(verification));
+  } catch (error) {
+    console.error('Story verification failed:', error.message);
+    retryJobs.push(JOB_TYPES.VERIFY_STORY);
+  }
+
+  try {
+    let savedStory = await insertWithUniqueId(newStory);
+
+    // Start the story's score history and remember which data releases were used
+    if (verification) {
+      try {
+        savedStory = await recordVerification(savedStory.id, verification, 'submission');
+      } catch (error) {
+        console.error(`Failed to record verification for ${savedStory.id}:`, error.message);
+      }
+    }
+    resolveSaved(savedStory);
+
+    const jobs = [];
+    for (const type of retryJobs) {
+      try {
+        jobs.push(await enqueueJob(type, { storyId: savedStory.id }));
+      } catch (error) {
+        console.error(`Failed to queue ${type} for ${savedStory.id}:`, error.message);
+      }
+    }
+
+    // Generated in the background so it's ready when a strategist opens the story
+    try {
+      jobs.push(await enqueueCreativeBrief(savedStory.id));
+    } catch (error) {
+      console.error(`Failed to queue creative brief for ${savedStory.id}:`, error.message);
+    }
+
+    return { story: { ...newStory, ...savedStory }, verification, jobs };
+  } catch (error) {
+    resolveSaved(null);
+    throw error;
+  }
+}
+
+export default {
+  VALID_POLICY_AREAS,
+  VALID_SEVERITIES,
+  JOB_TYPES,
+  validateStorySubmission,
+  generateStoryId,
+  verificationToStoryUpdates,
+  locateZip,
+  lookupLocation,
+  analyzeStoryForMessaging,
+  verifyStoryForRecord,
+  enqueueCreativeBrief,
+  createStory,
+};
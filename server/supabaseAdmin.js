@@ -0,0 +1,412 @@
+/**
+ * Server-side Supabase Client
+ *
+ * Uses the service role key, which bypasses Row Level Security. Only the API
+ * server may load this module - the key must never reach the browser bundle.
+ *
+ * Settings (config.js): SUPABASE_URL (or VITE_SUPABASE_URL) and
+ * SUPABASE_SERVICE_ROLE_KEY
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import {
+  storyToDBRow,
+  storyUpdatesToDB,
+  transformStoryFromDB,
+} from '../src/services/supabaseClient.js';
+import { getConfig } from '../src/services/config.js';
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+let adminClient = null;
+
+/**
+ * Get the service role client (created on first use, after dotenv has loaded)
+ * @returns {Object|null} Supabase client, or null if not configured
+ */
+export function getSupabaseAdmin() {
+  if (adminClient) return adminClient;
+
+  const url = getConfig('SUPABASE_URL');
+  const serviceRoleKey = getConfig('SUPABASE_SERVICE_ROLE_KEY');
+
+  if (!url || !serviceRoleKey) {
+    return null;
+  }
+
+  adminClient = createClient(url, serviceRoleKey, {
+    auth: {
+      persistSession: false,
+      autoRefreshToken: false,
+    },
+  });
+
+  return adminClient;
+}
+
+/**
+ * Get the service role client or throw if it isn't configured
+ */
+function requireSupabaseAdmin() {
+  const client = getSupabaseAdmin();
+  if (!client) {
+    throw new Error('Server database not configured. Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY.');
+  }
+  return client;
+}
+
+/**
+ * Check whether an error is a duplicate primary key
+ * @param {Object} error - Supabase/Postgres error
+ * @returns {boolean}
+ */
+export function isDuplicateKeyError(error) {
+  return error?.code === UNIQUE_VIOLATION;
+}
+
+/**
+ * Insert a citizen story
+ * @param {Object} story - Story object
+ * @returns {Promise<Object>} The inserted story
+ */
+export async function insertStory(story) {
+  const { data, error } = await requireSupabaseAdmin()
+    .from('citizen_stories')
+    .insert([storyToDBRow(story)])
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return transformStoryFromDB(data);
+}
+
+/**
+ * Fetch a citizen story by ID
+ * @param {string} storyId - Story ID
+ * @returns {Promise<Object|null>} The story, or null if not found
+ */
+export async function getStory(storyId) {
+  const { data, error } = await requireSupabaseAdmin()
+    .from('citizen_stories')
+    .select('*')
+    .eq('id', storyId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return data ? transformStoryFromDB(data) : null;
+}
+
+/**
+ * Update fields on a citizen story
+ * @param {string} storyId - Story ID
+ * @param {Object} updates - Fields to update (story object format)
+ * @returns {Promise<Object>} The updated story
+ */
+export async function updateStoryRecord(storyId, updates) {
+  const { data, error } = await requireSupabaseAdmin()
+    .from('citizen_stories')
+    .update(storyUpdatesToDB(updates))
+    .eq('id', storyId)
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return transformStoryFromDB(data);
+}
+
+/**
+ * List stories still awaiting verification, oldest first
+ * @param {Object} options - { submittedBefore (ISO timestamp), limit }
+ * @returns {Promise<Array>} Stories
+ */
+export async function listPendingStories({ submittedBefore, limit = 100 } = {}) {
+  let query = requireSupabaseAdmin()
+    .from('citizen_stories')
+    .select('*')
+    .eq('verification_status', 'pending');
+
+  if (submittedBefore) {
+    query = query.lte('submitted_at', submittedBefore);
+  }
+
+  const { data, error } = await query
+    .order('submitted_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw error;
+  }
+
+  return data.map(transformStoryFromDB);
+}
+
+/**
+ * List stories due for a re-verification check: never re-verified, or last
+ * verified before the given time. Least recently checked first, so stories
+ * the sweep looked at and skipped make way for the rest.
+ * @param {Object} options - { verifiedBefore (ISO timestamp), limit }
+ * @returns {Promise<Array>} Stories
+ */
+export async function listStoriesForReverification({ verifiedBefore, limit = 200 } = {}) {
+  const { data, error } = await requireSupabaseAdmin()
+    .from('citizen_stories')
+    .select('*')
+    .or(`last_verified_at.is.null,last_verified_at.lte.${verifiedBefore}`)
+    .order('last_checked_at', { ascending: true, nullsFirst: true })
+    .order('last_verified_at', { ascending: true, nullsFirst: true })
+    .limit(limit);
+
+  if (error) {
+    throw error;
+  }
+
+  return data.map(transformStoryFromDB);
+}
+
+/**
+ * Record that the re-verification sweep has checked stories, whether or not
+ * it queued them
+ * @param {Array<string>} storyIds - Story IDs
+ * @param {string} checkedAt - ISO timestamp
+ */
+export async function markStoriesChecked(storyIds, checkedAt) {
+  if (storyIds.length === 0) return;
+
+  const { error } = await requireSupabaseAdmin()
+    .from('citizen_stories')
+    .update({ last_checked_at: checkedAt })
+    .in('id', storyIds);
+
+  if (error) {
+    throw error;
+  }
+}
+
+/**
+ * List stories whose congressional district needs resolving: never resolved,
+ * resolved for an earlier Congress, or unresolved last time. Pages by ID.
+ * @param {Object} options - { congress, afterId, limit }
+ * @returns {Promise<Array>} Stories, by ID
+ */
+export async function listStoriesForDistrictBackfill({ congress, afterId = null, limit = 200 } = {}) {
+  let query = requireSupabaseAdmin()
+    .from('citizen_stories')
+    .select('*')
+    .or(`location_district_congress.is.null,location_district_congress.lt.${congress},location_district_method.eq.unresolved`);
+
+  if (afterId) {
+    query = query.gt('id', afterId);
+  }
+
+  const { data, error } = await query
+    .order('id', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw error;
+  }
+
+  return data.map(transformStoryFromDB);
+}
+
+/**
+ * Transform a story_score_history row
+ */
+function transformScoreHistoryFromDB(row) {
+  return {
+    id: row.id,
+    storyId: row.story_id,
+    score: row.score,
+    previousScore: row.previous_score,
+    verificationStatus: row.verification_status,
+    vintages: row.vintages || {},
+    reason: row.reason,
+    flagged: row.flagged,
+    recordedAt: row.recorded_at,
+  };
+}
+
+/**
+ * Append an entry to a story's verification score history
+ * @param {Object} entry - { storyId, score, previousScore, verificationStatus, vintages, reason, flagged }
+ * @returns {Promise<Object>} The inserted entry
+ */
+export async function insertScoreHistory(entry) {
+  const { data, error } = await requireSupabaseAdmin()
+    .from('story_score_history')
+    .insert([{
+      story_id: entry.storyId,
+      score: entry.score,
+      previous_score: entry.previousScore,
+      verification_status: entry.verificationStatus,
+      vintages: entry.vintages || {},
+      reason: entry.reason,
+      flagged: entry.flagged || false,
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return transformScoreHistoryFromDB(data);
+}
+
+/**
+ * List score history entries
+ * @param {Object} filters - { storyId, flaggedOnly, since (ISO timestamp), limit }
+ * @returns {Promise<Array>} Entries, newest first
+ */
+export async function listScoreHistory({ storyId, flaggedOnly = false, since, limit = 100 } = {}) {
+  let query = requireSupabaseAdmin()
+    .from('story_score_history')
+    .select('*');
+
+  if (storyId) query = query.eq('story_id', storyId);
+  if (flaggedOnly) query = query.eq('flagged', true);
+  if (since) query = query.gte('recorded_at', since);
+
+  const { data, error } = await query
+    .order('recorded_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw error;
+  }
+
+  return data.map(transformScoreHistoryFromDB);
+}
+
+// Everything but raw_data, which only admins see (also what anon can read - supabase-schema.sql)
+const VERIFICATION_COLUMNS_WITHOUT_RAW_DATA = 'id, story_id, reason, verified, score, data_source, support_score, contradiction_score, sources, source_runs, insights, flags, claims, pending_sources, vintages, verified_at';
+
+/**
+ * Transform a story_verifications row
+ */
+function transformVerificationRecordFromDB(row) {
+  return {
+    id: row.id,
+    storyId: row.story_id,
+    reason: row.reason,
+    verified: row.verified,
+    score: row.score,
+    dataSource: row.data_source,
+    supportScore: row.support_score,
+    contradictionScore: row.contradiction_score,
+    sources: row.sources || [],
+    sourceRuns: row.source_runs || [],
+    rawData: row.raw_data,
+    insights: row.insights || [],
+    flags: row.flags || [],
+    claims: row.claims || [],
+    pendingSources: row.pending_sources || [],
+    vintages: row.vintages || {},
+    verifiedAt: row.verified_at,
+  };
+}
+
+/**
+ * Append a verification run to the audit trail
+ * @param {Object} record - From verificationAudit.buildVerificationRecord
+ * @returns {Promise<Object>} The inserted record
+ */
+export async function insertVerificationRecord(record) {
+  const { data, error } = await requireSupabaseAdmin()
+    .from('story_verifications')
+    .insert([{
+      story_id: record.storyId,
+      reason: record.reason,
+      verified: record.verified,
+      score: record.score,
+      data_source: record.dataSource,
+      support_score: record.supportScore,
+      contradiction_score: record.contradictionScore,
+      sources: record.sources,
+      source_runs: record.sourceRuns,
+      raw_data: record.rawData,
+      insights: record.insights,
+      flags: record.flags,
+      claims: record.claims,
+      pending_sources: record.pendingSources,
+      vintages: record.vintages,
+    }])
+    .select('id, story_id, verified_at')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return { id: data.id, storyId: data.story_id, verifiedAt: data.verified_at };
+}
+
+/**
+ * List a story's verification runs, newest first
+ * @param {string} storyId - Story ID
+ * @param {Object} options - { includeRawData, limit }
+ * @returns {Promise<Array>} Verification records
+ */
+export async function listVerificationRecords(storyId, { includeRawData = false, limit = 50 } = {}) {
+  const { data, error } = await requireSupabaseAdmin()
+    .from('story_verifications')
+    .select(includeRawData ? '*' : VERIFICATION_COLUMNS_WITHOUT_RAW_DATA)
+    .eq('story_id', storyId)
+    .order('verified_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw error;
+  }
+
+  return data.map(transformVerificationRecordFromDB);
+}
+
+/**
+ * Get one verification run
+ * @param {string} storyId - Story ID
+ * @param {string} verificationId - Verification record ID
+ * @param {Object} options - { includeRawData }
+ * @returns {Promise<Object|null>}
+ */
+export async function getVerificationRecord(storyId, verificationId, { includeRawData = false } = {}) {
+  const { data, error } = await requireSupabaseAdmin()
+    .from('story_verifications')
+    .select(includeRawData ? '*' : VERIFICATION_COLUMNS_WITHOUT_RAW_DATA)
+    .eq('story_id', storyId)
+    .eq('id', verificationId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return data ? transformVerificationRecordFromDB(data) : null;
+}
+
+export default {
+  getSupabaseAdmin,
+  isDuplicateKeyError,
+  insertStory,
+  getStory,
+  updateStoryRecord,
+  listPendingStories,
+  listStoriesForReverification,
+  markStoriesChecked,
+  listStoriesForDistrictBackfill,
+  insertScoreHistory,
+  listScoreHistory,
+  insertVerificationRecord,
+  listVerificationRecords,
+  getVerificationRecord,
+};
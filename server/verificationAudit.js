@@ -0,0 +1,90 @@
+/**
+ * Verification Audit Trail
+ *
+ * Builds the story_verifications record for a verification run: which sources
+ * were queried with what parameters, a snapshot of what each returned, and the
+ * resulting insights, flags, claims and score. Records are append-only so a
+ * story's verification can be explained and defended later.
+ */
+
+// Raw responses larger than this are stored as a truncated preview
+const MAX_SNAPSHOT_CHARS = 50000;
+
+/**
+ * Snapshot one source's raw response for storage
+ * @param {*} data - Data returned by the verifier's fetch
+ * @returns {*} The data, or a truncated preview if it is too large
+ */
+export function snapshotRawData(data) {
+  if (data === undefined) return null;
+
+  let serialized;
+  try {
+    serialized = JSON.stringify(data);
+  } catch (error) {
+    return { unserializable: true, error: error.message };
+  }
+
+  if (serialized === undefined) return null;
+  if (serialized.length <= MAX_SNAPSHOT_CHARS) return data;
+
+  return {
+    truncated: true,
+    originalSize: serialized.length,
+    preview: serialized.substring(0, MAX_SNAPSHOT_CHARS),
+  };
+}
+
+/**
+ * Remove raw source data from a verification before sending it to clients
+ * (it is kept in the audit trail instead). Source data only ever lives on
+ * sourceRuns, so this leaves nothing raw in the response.
+ * @param {Object} verification - Verification from storyVerification.verifyStory
+ * @returns {Object} Verification without sourceRuns[].data
+ */
+export function withoutRawData(verification) {
+  if (!verification?.sourceRuns) return verification;
+  return {
+    ...verification,
+    sourceRuns: verification.sourceRuns.map(({ data, ...run }) => run),
+  };
+}
+
+/**
+ * Build the audit record for a verification run
+ * @param {string} storyId - Story ID
+ * @param {Object} verification - Verification from storyVerification.verifyStory
+ * @param {string} reason - Why verification ran
+ * @returns {Object} Record (camelCase; see supabaseAdmin.insertVerificationRecord)
+ */
+export function buildVerificationRecord(storyId, verification, reason) {
+  const sourceRuns = verification.sourceRuns || [];
+  const rawData = {};
+  for (const run of sourceRuns) {
+    if (run.status === 'ok') rawData[run.id] = snapshotRawData(run.data);
+  }
+
+  return {
+    storyId,
+    reason,
+    verified: !!verification.verified,
+    score: verification.confidence || 0,
+    dataSource: verification.dataSource || null,
+    supportScore: verification.supportScore ?? null,
+    contradictionScore: verification.contradictionScore ?? null,
+    sources: verification.sources || [],
+    sourceRuns: withoutRawData(verification).sourceRuns || [],
+    rawData,
+    insights: verification.insights || [],
+    flags: verification.flags || [],
+    claims: verification.claims || [],
+    pendingSources: verification.pendingSources || [],
+    vintages: verification.vintages || {},
+  };
+}
+
+export default {
+  snapshotRawData,
+  withoutRawData,
+  buildVerificationRecord,
+};
@@ -0,0 +1,42 @@
+/**
+ * Full ZIP Crosswalk for the API Server
+ *
+ * The crosswalk bundled in src/data/geography/zipCrosswalk.js only covers a
+ * seed set of ZIPs. The server loads the full HUD table from
+ * ZIP_CROSSWALK_FILE (written by build-zip-crosswalk.js --json) at startup and
+ * registers it with the geography module, so district resolution and the
+ * district backfill see every ZIP.
+ */
+
+import { readFile } from 'fs/promises';
+import { getConfig } from '../src/services/config.js';
+import { registerZipCrosswalk } from '../src/services/geography.js';
+import { CROSSWALK_VINTAGE, ZIP_CROSSWALK } from '../src/data/geography/zipCrosswalk.js';
+
+/**
+ * Load ZIP_CROSSWALK_FILE into the geography module
+ * @returns {Promise<Object>} { loaded, zips } - ZIPs in the file, or in the seed
+ *   table when no file is configured
+ * @throws {Error} If the file can't be read or isn't a crosswalk
+ */
+export async function loadZipCrosswalkFile() {
+  const file = getConfig('ZIP_CROSSWALK_FILE');
+  if (!file) {
+    return { loaded: false, zips: Object.keys(ZIP_CROSSWALK).length };
+  }
+
+  const { vintage, zips, counties, cbsas } = JSON.parse(await readFile(file, 'utf8'));
+  if (!zips || typeof zips !== 'object') {
+    throw new Error(`${file} has no zips table; build it with build-zip-crosswalk.js --json`);
+  }
+  if (vintage?.congress && vintage.congress !== CROSSWALK_VINTAGE.congress) {
+    console.warn(`⚠️  ${file} has ${vintage.congress}th Congress districts; districts are resolved for the ${CROSSWALK_VINTAGE.congress}th`);
+  }
+
+  registerZipCrosswalk(zips, { counties, cbsas });
+  return { loaded: true, zips: Object.keys(zips).length };
+}
+
+export default {
+  loadZipCrosswalkFile,
+};
@@ -10,18 +10,9 @@ import {
   Moon, Sun
 } from 'lucide-react';
 import ReactMarkdown from 'react-markdown';
-import { getDemographicsByZip, verifyStoryDemographics } from './services/censusApi';
-import { generateCreativeBrief } from './services/creativeBriefAI';
-import { getStateEnergyData, verifyEnergyStory } from './services/eiaApi';
-import { getStateClimateData, verifyClimateStory } from './services/ncdcApi';
-import { getStateHousingData, verifyHousingStory } from './services/hudApi';
-import { getStateInfrastructureData, verifyInfrastructureStory } from './services/dotApi';
-import { getStateEmergencyData, verifyEmergencyStory } from './services/femaApi';
-import { getVictimizationByYear, verifyCrimeStory } from './services/bjsNcvsApi';
-import { searchCandidates, searchCommittees, searchContributions, verifyCampaignFinanceStory } from './services/fecApi';
-import { submitStory, fetchStories, subscribeToStories } from './services/supabaseClient';
-import { analyzeStory } from './services/storyAnalyzer';
-import { verifyStory } from './services/storyVerification';
+import { fetchStories, subscribeToStories } from './services/supabaseClient';
+import { createStory, requestCreativeBrief, getSourceStatus, getFeatures, getStoryContext, getAdminToken, setAdminToken } from './services/backendApi';
+import { PROVENANCE, getProvenance, isSynthetic } from './services/provenance';
 
 // Comprehensive data models for the platform
 const policyAreas = [
@@ -204,6 +195,33 @@ VOICEOVER: "When federal workers lose jobs, entire communities suffer."
   }
 ];
 
+// Labels data panels whose figures are estimates or came from cache
+const ProvenanceNotice = ({ data }) => {
+  const provenance = getProvenance(data);
+
+  if (provenance?.type === PROVENANCE.SYNTHETIC) {
+    return (
+      <div className="flex items-start gap-2 text-xs text-amber-800 bg-amber-50 border border-amber-200 rounded p-2 mb-3">
+        <AlertTriangle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+        <span>
+          <strong>Estimated data - not used for verification.</strong>
+          {provenance.reason && ` ${provenance.reason}.`}
+        </span>
+      </div>
+    );
+  }
+
+  if (provenance?.type === PROVENANCE.CACHED) {
+    return (
+      <div className="text-xs text-gray-500 mb-3">
+        Cached data retrieved {new Date(provenance.retrievedAt).toLocaleDateString()}
+      </div>
+    );
+  }
+
+  return null;
+};
+
 const DemocraticAccountabilityPlatform = () => {
   const [activeView, setActiveView] = useState('citizen');
   const [selectedStory, setSelectedStory] = useState(null);
@@ -218,6 +236,7 @@ const DemocraticAccountabilityPlatform = () => {
   // Citizen Portal Form State
   const [formData, setFormData] = useState({
     zipCode: '',
+    address: '',
     policyArea: '',
     story: '',
     consent: false,
@@ -239,6 +258,7 @@ const DemocraticAccountabilityPlatform = () => {
   const [censusData, setCensusData] = useState(null);
   const [censusLoading, setCensusLoading] = useState(false);
   const [censusVerification, setCensusVerification] = useState(null);
+  const [censusIndicators, setCensusIndicators] = useState([]);
   const [eiaData, setEiaData] = useState(null);
   const [eiaLoading, setEiaLoading] = useState(false);
   const [eiaVerification, setEiaVerification] = useState(null);
@@ -263,6 +283,13 @@ const DemocraticAccountabilityPlatform = () => {
   const [creativeBrief, setCreativeBrief] = useState(null);
   const [briefLoading, setBriefLoading] = useState(false);
   const [showBriefModal, setShowBriefModal] = useState(false);
+  const [sourceStatus, setSourceStatus] = useState(null);
+  const [sourceStatusLoading, setSourceStatusLoading] = useState(false);
+  const [sourceStatusError, setSourceStatusError] = useState(null);
+  // Admin views (Data Sources) show once an operator has entered the admin token
+  const [isAdmin, setIsAdmin] = useState(() => !!getAdminToken());
+  // What the API server has configured (AI, database, data source keys) - null until loaded
+  const [serverFeatures, setServerFeatures] = useState(null);
   
   // Real-time metrics simulation
   const [liveMetrics, setLiveMetrics] = useState({
@@ -373,167 +400,95 @@ const DemocraticAccountabilityPlatform = () => {
     });
   }, [selectedPolicyArea, searchQuery]);
 
-  // Fetch Census, EIA, and NCDC data when a story is selected
-  useEffect(() => {
-    if (selectedStory) {
-      const fetchVerificationData = async () => {
-        // Fetch Census data
-        setCensusLoading(true);
-        setCensusData(null);
-        setCensusVerification(null);
-
-        try {
-          const demographics = await getDemographicsByZip(selectedStory.location.zip);
-          const verification = verifyStoryDemographics(selectedStory, demographics);
-
-          setCensusData(demographics);
-          setCensusVerification(verification);
-        } catch (error) {
-          console.error('Failed to fetch Census data:', error);
-        } finally {
-          setCensusLoading(false);
-        }
+  const loadSourceStatus = async (refresh = false) => {
+    setSourceStatusLoading(true);
+    setSourceStatusError(null);
 
-        // Fetch EIA energy data
-        setEiaLoading(true);
-        setEiaData(null);
-        setEiaVerification(null);
-
-        try {
-          const energyData = await getStateEnergyData(selectedStory.location.state);
-          const energyVerification = verifyEnergyStory(selectedStory, energyData);
-
-          setEiaData(energyData);
-          setEiaVerification(energyVerification);
-        } catch (error) {
-          console.error('Failed to fetch EIA data:', error);
-        } finally {
-          setEiaLoading(false);
-        }
+    try {
+      setSourceStatus(await getSourceStatus({ refresh }));
+    } catch (error) {
+      console.error('Failed to load data source status:', error);
+      setSourceStatusError(error.message || 'Failed to load data source status');
+      // backendApi forgets a rejected token
+      setIsAdmin(!!getAdminToken());
+    } finally {
+      setSourceStatusLoading(false);
+    }
+  };
 
-        // Fetch NCDC climate data
-        setNcdcLoading(true);
-        setNcdcData(null);
-        setNcdcVerification(null);
-
-        try {
-          const climateData = await getStateClimateData(selectedStory.location.state);
-          const climateVerification = verifyClimateStory(selectedStory, climateData);
-
-          setNcdcData(climateData);
-          setNcdcVerification(climateVerification);
-        } catch (error) {
-          console.error('Failed to fetch NCDC data:', error);
-        } finally {
-          setNcdcLoading(false);
-        }
+  // Ask the API server which features are configured
+  useEffect(() => {
+    getFeatures()
+      .then(setServerFeatures)
+      .catch(error => console.warn('Could not load server features:', error.message));
+  }, []);
 
-        // Fetch HUD housing data
-        setHudLoading(true);
-        setHudData(null);
-        setHudVerification(null);
-
-        try {
-          const zip = selectedStory.location.zip || null;
-          const housingData = await getStateHousingData(selectedStory.location.state, zip);
-          const housingVerification = verifyHousingStory(selectedStory, housingData);
-
-          setHudData(housingData);
-          setHudVerification(housingVerification);
-        } catch (error) {
-          console.error('Failed to fetch HUD data:', error);
-        } finally {
-          setHudLoading(false);
-        }
+  // Operators open the app with #admin to enter the admin token for this tab
+  useEffect(() => {
+    if (window.location.hash !== '#admin') return;
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    if (getAdminToken()) return;
+
+    const token = window.prompt('Admin API token');
+    if (token?.trim()) {
+      setAdminToken(token.trim());
+      setIsAdmin(true);
+    }
+  }, []);
 
-        // Fetch DOT infrastructure data
-        setDotLoading(true);
-        setDotData(null);
-        setDotVerification(null);
-
-        try {
-          const infrastructureData = await getStateInfrastructureData(selectedStory.location.state);
-          const infraVerification = verifyInfrastructureStory(selectedStory, infrastructureData);
-
-          setDotData(infrastructureData);
-          setDotVerification(infraVerification);
-        } catch (error) {
-          console.error('Failed to fetch DOT data:', error);
-        } finally {
-          setDotLoading(false);
-        }
+  // Load data source health when the status view is opened
+  useEffect(() => {
+    if (activeView === 'sources') {
+      loadSourceStatus();
+    }
+  }, [activeView]);
 
-        // Fetch FEMA emergency/disaster data
-        setFemaLoading(true);
-        setFemaData(null);
-        setFemaVerification(null);
-
-        try {
-          const emergencyData = await getStateEmergencyData(selectedStory.location.state);
-          const emergencyVerification = verifyEmergencyStory(selectedStory, emergencyData);
-
-          setFemaData(emergencyData);
-          setFemaVerification(emergencyVerification);
-        } catch (error) {
-          console.error('Failed to fetch FEMA data:', error);
-        } finally {
-          setFemaLoading(false);
-        }
+  // Load the federal data panels (looked up on the server) when a story is selected
+  useEffect(() => {
+    if (!selectedStory) return;
 
-        // Fetch BJS NCVS crime victimization data
-        setNcvsLoading(true);
-        setNcvsData(null);
-        setNcvsVerification(null);
-
-        try {
-          // Get victimization data for current year (or most recent available)
-          const currentYear = new Date().getFullYear() - 2; // NCVS data has 2-year lag
-          const victimizationData = await getVictimizationByYear(String(currentYear), 'personal');
-          const crimeVerification = verifyCrimeStory(selectedStory, victimizationData);
-
-          setNcvsData(victimizationData);
-          setNcvsVerification(crimeVerification);
-        } catch (error) {
-          console.error('Failed to fetch NCVS data:', error);
-        } finally {
-          setNcvsLoading(false);
-        }
+    const panelSetters = {
+      census: [setCensusData, setCensusVerification, setCensusLoading],
+      eia: [setEiaData, setEiaVerification, setEiaLoading],
+      ncdc: [setNcdcData, setNcdcVerification, setNcdcLoading],
+      hud: [setHudData, setHudVerification, setHudLoading],
+      dot: [setDotData, setDotVerification, setDotLoading],
+      fema: [setFemaData, setFemaVerification, setFemaLoading],
+      ncvs: [setNcvsData, setNcvsVerification, setNcvsLoading],
+      fec: [setFecData, setFecVerification, setFecLoading],
+    };
+    let cancelled = false;
 
-        // Fetch FEC campaign finance data (only for election-related stories)
-        if (selectedStory.policyArea === 'election') {
-          setFecLoading(true);
-          setFecData(null);
-          setFecVerification(null);
-
-          try {
-            // Search for relevant FEC data based on story content
-            const [candidates, committees, contributions] = await Promise.all([
-              searchCandidates('', { state: selectedStory.location.state, cycle: 2024, perPage: 10 }),
-              searchCommittees({ state: selectedStory.location.state, cycle: 2024, perPage: 10 }),
-              searchContributions({ contributorState: selectedStory.location.state, perPage: 10 }),
-            ]);
-
-            const fecDataCombined = {
-              candidates,
-              committees,
-              contributions,
-              state: selectedStory.location.state,
-            };
-
-            const fecVerif = verifyCampaignFinanceStory(selectedStory, fecDataCombined);
-
-            setFecData(fecDataCombined);
-            setFecVerification(fecVerif);
-          } catch (error) {
-            console.error('Failed to fetch FEC data:', error);
-          } finally {
-            setFecLoading(false);
-          }
-        }
-      };
+    Object.entries(panelSetters).forEach(([panelId, [setData, setVerification, setLoading]]) => {
+      setData(null);
+      setVerification(null);
+      // Campaign finance only applies to election stories
+      setLoading(panelId !== 'fec' || selectedStory.policyArea === 'election');
+    });
+    setCensusIndicators([]);
+
+    getStoryContext(selectedStory.id)
+      .then((panels) => {
+        if (cancelled) return;
+        Object.entries(panels).forEach(([panelId, panel]) => {
+          const [setData, setVerification] = panelSetters[panelId] || [];
+          if (!setData || panel.error) return;
+          setData(panel.data);
+          setVerification(panel.verification);
+        });
+        setCensusIndicators(panels.census?.indicators || []);
+      })
+      .catch((error) => {
+        if (!cancelled) console.error('Failed to load story context:', error);
+      })
+      .finally(() => {
+        if (cancelled) return;
+        Object.values(panelSetters).forEach(([, , setLoading]) => setLoading(false));
+      });
 
-      fetchVerificationData();
-    }
+    return () => {
+      cancelled = true;
+    };
   }, [selectedStory]);
 
   // Handle creative brief generation
@@ -542,12 +497,13 @@ const DemocraticAccountabilityPlatform = () => {
 
     setBriefLoading(true);
     try {
-      const brief = await generateCreativeBrief(selectedStory, censusData, censusVerification, false);
+      // Generated by a background job on the server
+      const brief = await requestCreativeBrief(selectedStory.id);
       setCreativeBrief(brief);
       setShowBriefModal(true);
     } catch (error) {
       console.error('Failed to generate creative brief:', error);
-      alert('Failed to generate creative brief. Please try again.');
+      alert(`Failed to generate creative brief: ${error.message}`);
     } finally {
       setBriefLoading(false);
     }
@@ -612,158 +568,50 @@ const DemocraticAccountabilityPlatform = () => {
 
     try {
       updateProgress('starting', 5, 'Submitting your story...', 'loading');
-      // Generate a simple headline from the first sentence or first 80 characters
-      const firstSentence = formData.story.split('.')[0];
-      const headline = firstSentence.length > 80
-        ? firstSentence.substring(0, 77) + '...'
-        : firstSentence;
-
-      // Generate new story ID
-      const storyId = `CS-2025-${String(citizenStories.length + 1).padStart(6, '0')}`;
-
-      // Get demographics and location data from Census API
-      let locationData = {
-        zip: formData.zipCode,
-        city: 'Unknown',
-        state: 'Unknown',
-        county: 'Unknown',
-        district: 'Unknown'
-      };
-      let demographicsData = {};
-
-      updateProgress('location', 15, 'Looking up your location details...', 'loading');
-      try {
-        console.log('Fetching demographics for ZIP:', formData.zipCode);
-        const censusData = await getDemographicsByZip(formData.zipCode);
-        if (censusData && !censusData.error) {
-          locationData = {
-            zip: formData.zipCode,
-            city: censusData.city || 'Unknown',
-            state: censusData.state || 'Unknown',
-            county: censusData.county || 'Unknown',
-            district: censusData.district || 'Unknown'
-          };
-          demographicsData = censusData.demographics || {};
-          console.log('Census data retrieved:', locationData);
-          updateProgress('location', 25, `Location identified: ${locationData.city}, ${locationData.state}`, 'success');
-        } else {
-          updateProgress('location', 25, 'Using ZIP code only', 'warning');
-        }
-      } catch (censusError) {
-        console.error('Census API failed:', censusError);
-        updateProgress('location', 25, 'Location lookup partial', 'warning');
-        // Continue with default location data
-      }
 
-      // Create new story object
-      const newStory = {
-        id: storyId,
-        submittedAt: new Date().toISOString(),
-        location: locationData,
+      // The server validates the story, looks up the location, runs AI analysis and
+      // federal data verification, then saves it. Slow data sources finish after the
+      // response and arrive through the real-time subscription.
+      updateProgress('verification', 25, 'Analyzing and verifying with federal data sources...', 'loading');
+      const { story: newStory, verification } = await createStory({
+        zipCode: formData.zipCode,
+        // Optional - only used to pin down the congressional district, never stored
+        ...(formData.address.trim() && { address: formData.address.trim() }),
         policyArea: formData.policyArea,
-        severity: 'medium', // Default severity
-        verificationStatus: 'pending',
-        verificationScore: 0,
-        headline: headline,
         story: formData.story,
-        evidence: [],
-        demographics: demographicsData,
-        impact: {
-          economic: 0,
-          affected_population: 0,
-          timeframe: 'unknown',
-          correlation_confidence: 0
-        },
-        aiAnalysis: {
-          messageResonance: 0,
-          demographicAppeal: [],
-          recommendedTalkingPoints: [],
-          competitiveVulnerability: 'unknown'
-        }
-      };
-
-      // Run AI analysis on the story
-      updateProgress('analysis', 35, 'Analyzing story with AI...', 'loading');
-      console.log('Running AI analysis on new story...');
-      try {
-        const analysis = await analyzeStory(newStory);
-        newStory.aiAnalysis = {
-          messageResonance: analysis.messageResonance,
-          demographicAppeal: analysis.demographicAppeal,
-          recommendedTalkingPoints: analysis.recommendedTalkingPoints,
-          competitiveVulnerability: analysis.competitiveVulnerability
-        };
-        console.log('AI analysis completed:', analysis.analysisMethod);
-        updateProgress('analysis', 50, 'AI analysis complete', 'success');
-      } catch (analysisError) {
-        console.error('AI analysis failed:', analysisError);
-        updateProgress('analysis', 50, 'AI analysis skipped', 'warning');
-        // Continue with default values
-      }
-
-      // Run story verification using federal APIs
-      updateProgress('verification', 55, 'Verifying with federal data sources...', 'loading');
-      console.log('Running story verification...');
-      try {
-        const verification = await verifyStory(newStory);
+        consent: formData.consent
+      });
 
-        // Update story with verification results
-        newStory.verificationStatus = verification.verified ? 'verified' : 'pending';
-        newStory.verificationScore = verification.confidence || 0;
+      if (verification) {
         newStory.verificationDataSource = verification.dataSource;
         newStory.verificationInsights = verification.insights;
         newStory.verificationFlags = verification.flags;
-
-        console.log('Story verification completed:', {
-          verified: verification.verified,
-          confidence: verification.confidence,
-          dataSource: verification.dataSource,
-          insightsCount: verification.insights?.length || 0
-        });
-
-        const verificationMsg = verification.verified
+        newStory.claims = verification.claims;
+
+        const verificationMsg = verification.confidence === null
+          ? verification.pendingSources?.length > 0
+            ? 'Verification pending - federal data sources are still responding'
+            : 'Verification pending - federal data sources could not be reached'
+          : verification.pendingSources?.length > 0
+          ? `Verified with available sources (${verification.confidence}%) - ${verification.pendingSources.length} still responding`
+          : verification.quotaLimitedSources?.length > 0
+          ? `Verified with available sources (${verification.confidence}%) - ${verification.quotaLimitedSources.length} will be re-checked when API quotas reset`
+          : verification.syntheticSources?.length > 0
+          ? verification.verified
+            ? `Verified with available sources (${verification.confidence}%) - ${verification.syntheticSources.length} returned estimated data and were not counted`
+            : 'Verification pending - only estimated data was available'
+          : verification.verified
           ? `Verification complete: ${verification.confidence}% confidence`
           : 'Verification pending additional data';
         updateProgress('verification', 75, verificationMsg, verification.verified ? 'success' : 'warning');
-      } catch (verificationError) {
-        console.error('Story verification failed:', verificationError);
+      } else {
         updateProgress('verification', 75, 'Verification will continue in background', 'warning');
-        // Continue with default verification values (score: 0, status: pending)
       }
 
-      // Save to Supabase
-      updateProgress('saving', 85, 'Saving to secure database...', 'loading');
-      let supabaseSaveSuccessful = false;
-      try {
-        await submitStory(newStory);
-        console.log('✅ Story saved to Supabase successfully');
-        supabaseSaveSuccessful = true;
-        updateProgress('saving', 95, 'Story saved successfully', 'success');
-      } catch (supabaseError) {
-        console.error('❌ Supabase save failed:', supabaseError);
-        console.error('Story will only be in local state and will be lost on refresh!');
-        updateProgress('saving', 95, 'Database save failed - story is temporary', 'error');
-
-        // Show warning to user
-        const shouldContinue = confirm(
-          `⚠️ WARNING: Database save failed!\n\n` +
-          `Your story could not be saved to the database. ` +
-          `It will appear temporarily but will be lost when you refresh the page.\n\n` +
-          `Error: ${supabaseError.message}\n\n` +
-          `Would you like to try submitting again? Click OK to retry, or Cancel to continue anyway.`
-        );
-
-        if (shouldContinue) {
-          // User wants to retry - stop submission
-          setSubmitting(false);
-          setSubmissionProgress({ show: false, stage: '', progress: 0, steps: [], submittedStory: null });
-          return;
-        }
-        // User chose to continue anyway - story will be in local state only
-      }
+      updateProgress('saving', 95, 'Story saved successfully', 'success');
 
-      // Add new story to the beginning of the array (most recent first)
-      setCitizenStories(prev => [newStory, ...prev]);
+      // The real-time INSERT may have arrived first - replace it rather than duplicating
+      setCitizenStories(prev => [newStory, ...prev.filter(s => s.id !== newStory.id)]);
 
       // Complete progress and show success
       updateProgress('complete', 100, 'Story submitted successfully!', 'success');
@@ -776,21 +624,10 @@ const DemocraticAccountabilityPlatform = () => {
         submittedStory: newStory
       }));
 
-      if (!supabaseSaveSuccessful) {
-        // Add notification about database save failure
-        setNotifications(prev => [{
-          id: Date.now(),
-          type: 'warning',
-          title: '⚠️ Database Save Failed',
-          message: 'Story is temporarily visible but will be lost on page refresh',
-          timestamp: new Date(),
-          severity: 'warning'
-        }, ...prev.slice(0, 9)]);
-      }
-
       // Reset form
       setFormData({
         zipCode: '',
+        address: '',
         policyArea: '',
         story: '',
         consent: false
@@ -813,6 +650,20 @@ const DemocraticAccountabilityPlatform = () => {
     return { color: 'bg-gray-100 text-gray-800 border-gray-300', text: 'Unverified' };
   };
 
+  // Split ZIPs resolve to their largest district; show the share and the other candidates
+  const getDistrictLabel = (location) => {
+    const confidence = location.districtConfidence;
+    if (confidence == null || confidence >= 1) return { text: location.district, title: '' };
+
+    const candidates = (location.districtCandidates || [])
+      .map(candidate => `${candidate.district} ${Math.round(candidate.share * 100)}%`)
+      .join(', ');
+    return {
+      text: `${location.district} (${Math.round(confidence * 100)}% of ZIP)`,
+      title: candidates ? `ZIP spans several districts: ${candidates}` : '',
+    };
+  };
+
   const getSeverityColor = (severity) => {
     switch(severity) {
       case 'critical': return 'text-red-600 bg-red-50';
@@ -1028,6 +879,18 @@ const DemocraticAccountabilityPlatform = () => {
                 maxLength={5}
                 required
               />
+              <input
+                type="text"
+                placeholder="Street address (optional, for your district)"
+                value={formData.address}
+                onChange={(e) => setFormData(prev => ({ ...prev, address: e.target.value }))}
+                className={`w-full mt-2 px-4 py-3 border rounded-lg focus:ring-2 focus:border-transparent transition-all duration-300 ${
+                  darkMode
+                    ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400 focus:ring-blue-500 hover:border-gray-500'
+                    : 'bg-white border-gray-300 text-gray-900 placeholder-gray-400 focus:ring-biblical-gold hover:border-biblical-sand'
+                }`}
+                maxLength={200}
+              />
             </div>
             <div className="slide-in-left" style={{animationDelay: '0.1s'}}>
               <label className={`block text-sm font-medium mb-2 transition-colors duration-300 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>Policy Area Most Affected</label>
@@ -1438,9 +1301,17 @@ const DemocraticAccountabilityPlatform = () => {
                     <span className={`px-2 py-1 rounded text-xs font-medium border ${verification.color}`}>
                       {verification.text}
                     </span>
-                    <div className="flex items-center gap-1 text-xs text-gray-500">
+                    {story.verificationScoreChange && (
+                      <span
+                        className={`px-2 py-1 rounded text-xs font-medium border ${story.verificationScoreChange.direction === 'up' ? 'bg-blue-50 text-blue-700 border-blue-200' : 'bg-red-50 text-red-700 border-red-200'}`}
+                        title={`Verification score changed on ${new Date(story.verificationScoreChange.detectedAt).toLocaleDateString()} after re-verification`}
+                      >
+                        {story.verificationScoreChange.direction === 'up' ? '▲' : '▼'} {story.verificationScoreChange.previousScore}→{story.verificationScoreChange.score}
+                      </span>
+                    )}
+                    <div className="flex items-center gap-1 text-xs text-gray-500" title={getDistrictLabel(story.location).title}>
                       <MapPin className="w-3 h-3" />
-                      {story.location.city}, {story.location.state} • {story.location.district}
+                      {story.location.city}, {story.location.state} • {getDistrictLabel(story.location).text}
                     </div>
                   </div>
                   <div className="text-xs text-gray-500">
@@ -1862,6 +1733,136 @@ const DemocraticAccountabilityPlatform = () => {
     </div>
   );
 
+  const renderSourceStatus = () => {
+    const statusStyles = {
+      up: 'bg-green-100 text-green-800',
+      degraded: 'bg-amber-100 text-amber-800',
+      down: 'bg-red-100 text-red-800',
+    };
+    const historyColors = { up: 'bg-green-500', degraded: 'bg-amber-500', down: 'bg-red-500' };
+    const credentialLabels = { present: 'Configured', missing: 'Missing', not_required: 'Not required' };
+    const formatTime = value => (value ? new Date(value).toLocaleString() : 'Never');
+
+    return (
+      <div className="space-y-6">
+        <div className="bg-white rounded-lg shadow-sm border p-6">
+          <div className="flex items-center justify-between mb-6">
+            <div>
+              <h2 className="text-2xl font-bold text-gray-900">Data Source Status</h2>
+              <p className="text-sm text-gray-600">
+                Federal sources used to verify stories. A story checked while a source was degraded or down was only partly verified.
+              </p>
+            </div>
+            <button
+              onClick={() => loadSourceStatus(true)}
+              disabled={sourceStatusLoading}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-md text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+            >
+              <Activity className="w-4 h-4" />
+              {sourceStatusLoading ? 'Checking...' : 'Check now'}
+            </button>
+          </div>
+
+          {sourceStatusError && (
+            <div className="flex items-center gap-2 text-sm text-red-800 bg-red-50 border border-red-200 rounded p-3 mb-6">
+              <AlertCircle className="w-4 h-4" />
+              {sourceStatusError}
+            </div>
+          )}
+
+          {!sourceStatus && sourceStatusLoading && (
+            <div className="text-sm text-gray-500">Probing data sources...</div>
+          )}
+
+          {sourceStatus && (
+            <>
+              <div className="grid grid-cols-3 gap-6 mb-6">
+                <div className="bg-green-50 rounded-lg p-4">
+                  <div className="text-3xl font-bold text-green-600">{sourceStatus.summary.up}</div>
+                  <div className="text-sm text-green-700">Up</div>
+                </div>
+                <div className="bg-amber-50 rounded-lg p-4">
+                  <div className="text-3xl font-bold text-amber-600">{sourceStatus.summary.degraded}</div>
+                  <div className="text-sm text-amber-700">Degraded</div>
+                </div>
+                <div className="bg-red-50 rounded-lg p-4">
+                  <div className="text-3xl font-bold text-red-600">{sourceStatus.summary.down}</div>
+                  <div className="text-sm text-red-700">Down</div>
+                </div>
+              </div>
+
+              <div className="text-xs text-gray-500 mb-3">Last checked {formatTime(sourceStatus.checkedAt)}</div>
+
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2 pr-4 font-medium">Source</th>
+                      <th className="py-2 pr-4 font-medium">Status</th>
+                      <th className="py-2 pr-4 font-medium">Latency</th>
+                      <th className="py-2 pr-4 font-medium">Last success</th>
+                      <th className="py-2 pr-4 font-medium">Credentials</th>
+                      <th className="py-2 pr-4 font-medium">Recent errors</th>
+                      <th className="py-2 font-medium">History</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {sourceStatus.sources.map(source => (
+                      <tr key={source.id} className="border-b align-top">
+                        <td className="py-3 pr-4">
+                          <div className="font-medium text-gray-900">{source.name}</div>
+                          {source.note && <div className="text-xs text-gray-500 mt-1">{source.note}</div>}
+                        </td>
+                        <td className="py-3 pr-4">
+                          <span className={`px-2 py-1 rounded-full text-xs font-medium ${statusStyles[source.status] || 'bg-gray-100 text-gray-700'}`}>
+                            {source.status}
+                          </span>
+                          {source.fromCache && <div className="text-xs text-gray-500 mt-1">from cache</div>}
+                        </td>
+                        <td className="py-3 pr-4 text-gray-700">
+                          {source.latencyMs !== null && source.latencyMs !== undefined ? `${source.latencyMs} ms` : '-'}
+                        </td>
+                        <td className="py-3 pr-4 text-gray-700">{formatTime(source.lastSuccessAt)}</td>
+                        <td className={`py-3 pr-4 ${source.credentials === 'missing' ? 'text-red-600 font-medium' : 'text-gray-700'}`}>
+                          {credentialLabels[source.credentials] || source.credentials}
+                        </td>
+                        <td className="py-3 pr-4">
+                          {source.recentErrors.length === 0 ? (
+                            <span className="text-gray-400">None</span>
+                          ) : (
+                            <ul className="space-y-1">
+                              {source.recentErrors.map(error => (
+                                <li key={`${error.at}-${error.type}`} className="text-xs text-gray-700" title={error.message || ''}>
+                                  <span className="font-mono text-red-700">{error.type}</span>
+                                  {' '}{new Date(error.at).toLocaleString()}
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </td>
+                        <td className="py-3">
+                          <div className="flex flex-row-reverse justify-end gap-0.5">
+                            {source.history.map(entry => (
+                              <div
+                                key={entry.checkedAt}
+                                className={`w-2 h-4 rounded-sm ${historyColors[entry.status] || 'bg-gray-300'}`}
+                                title={`${new Date(entry.checkedAt).toLocaleString()}: ${entry.status}${entry.note ? ` - ${entry.note}` : ''}`}
+                              />
+                            ))}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    );
+  };
+
   return (
     <div className={`min-h-screen transition-colors duration-300 ${darkMode ? 'bg-gray-900' : 'bg-gray-50'}`}>
       {/* Navigation */}
@@ -1920,6 +1921,18 @@ const DemocraticAccountabilityPlatform = () => {
                 >
                   Business Intelligence
                 </button>
+                {isAdmin && (
+                  <button
+                    onClick={() => setActiveView('sources')}
+                    className={`px-4 py-2 rounded-md text-sm font-medium transition-all duration-300 ${
+                      activeView === 'sources'
+                        ? darkMode ? 'bg-blue-900 text-blue-200' : 'bg-blue-100 text-blue-800'
+                        : darkMode ? 'text-gray-300 hover:text-white hover:bg-gray-700' : 'text-gray-600 hover:text-gray-900 hover:bg-gray-100'
+                    }`}
+                  >
+                    Data Sources
+                  </button>
+                )}
               </div>
             </div>
 
@@ -1966,6 +1979,7 @@ const DemocraticAccountabilityPlatform = () => {
         {activeView === 'dashboard' && renderClientDashboard()}
         {activeView === 'creative' && renderCreativeServices()}
         {activeView === 'business' && renderBusinessIntelligence()}
+        {activeView === 'sources' && renderSourceStatus()}
       </main>
 
       {/* Story detail modal */}
@@ -2073,6 +2087,12 @@ const DemocraticAccountabilityPlatform = () => {
                           <div className="text-xs text-gray-500">Home Value</div>
                           <div className="font-semibold text-gray-900">${(censusData.housing.medianValue / 1000).toFixed(0)}k</div>
                         </div>
+                        {censusIndicators.map(indicator => (
+                          <div key={indicator.id} className="bg-white rounded p-2 text-center" title={indicator.message}>
+                            <div className="text-xs text-gray-500">{indicator.label}</div>
+                            <div className="font-semibold text-gray-900">{indicator.display}</div>
+                          </div>
+                        ))}
                       </div>
 
                       {censusVerification.insights.length > 0 && (
@@ -2139,8 +2159,11 @@ const DemocraticAccountabilityPlatform = () => {
                           <div className="font-semibold text-gray-900">Energy Verification Score</div>
                           <div className="text-xs text-gray-600">Based on {eiaData.dataYear} EIA Data</div>
                         </div>
-                        <div className="text-3xl font-bold text-yellow-600">{eiaVerification.confidence}%</div>
+                        {isSynthetic(eiaData)
+                          ? <div className="text-sm font-semibold text-amber-700">Not scored</div>
+                          : <div className="text-3xl font-bold text-yellow-600">{eiaVerification.confidence}%</div>}
                       </div>
+                      <ProvenanceNotice data={eiaData} />
 
                       <div className="grid grid-cols-4 gap-3 mb-3">
                         <div className="bg-white rounded p-2 text-center">
@@ -2210,8 +2233,11 @@ const DemocraticAccountabilityPlatform = () => {
                           <div className="font-semibold text-gray-900">Climate Verification Score</div>
                           <div className="text-xs text-gray-600">Based on {ncdcData.year} NOAA Data</div>
                         </div>
-                        <div className="text-3xl font-bold text-blue-600">{ncdcVerification.confidence}%</div>
+                        {isSynthetic(ncdcData)
+                          ? <div className="text-sm font-semibold text-amber-700">Not scored</div>
+                          : <div className="text-3xl font-bold text-blue-600">{ncdcVerification.confidence}%</div>}
                       </div>
+                      <ProvenanceNotice data={ncdcData} />
 
                       <div className="grid grid-cols-4 gap-3 mb-3">
                         <div className="bg-white rounded p-2 text-center">
@@ -2282,8 +2308,11 @@ const DemocraticAccountabilityPlatform = () => {
                           <div className="font-semibold text-gray-900">Housing Verification Score</div>
                           <div className="text-xs text-gray-600">Based on {hudData.year} HUD Data</div>
                         </div>
-                        <div className="text-3xl font-bold text-purple-600">{hudVerification.confidence}%</div>
+                        {isSynthetic(hudData)
+                          ? <div className="text-sm font-semibold text-amber-700">Not scored</div>
+                          : <div className="text-3xl font-bold text-purple-600">{hudVerification.confidence}%</div>}
                       </div>
+                      <ProvenanceNotice data={hudData} />
 
                       <div className="grid grid-cols-4 gap-3 mb-3">
                         <div className="bg-white rounded p-2 text-center">
@@ -2372,8 +2401,11 @@ const DemocraticAccountabilityPlatform = () => {
                           <div className="font-semibold text-gray-900">Infrastructure Verification Score</div>
                           <div className="text-xs text-gray-600">Based on {dotData.year} DOT Data</div>
                         </div>
-                        <div className="text-3xl font-bold text-cyan-600">{dotVerification.confidence}%</div>
+                        {isSynthetic(dotData)
+                          ? <div className="text-sm font-semibold text-amber-700">Not scored</div>
+                          : <div className="text-3xl font-bold text-cyan-600">{dotVerification.confidence}%</div>}
                       </div>
+                      <ProvenanceNotice data={dotData} />
 
                       <div className="grid grid-cols-4 gap-3 mb-3">
                         <div className="bg-white rounded p-2 text-center">
@@ -2456,8 +2488,11 @@ const DemocraticAccountabilityPlatform = () => {
                           <div className="font-semibold text-gray-900">Emergency Verification Score</div>
                           <div className="text-xs text-gray-600">Based on FEMA Disaster Declarations</div>
                         </div>
-                        <div className="text-3xl font-bold text-red-600">{femaVerification.confidence}%</div>
+                        {isSynthetic(femaData)
+                          ? <div className="text-sm font-semibold text-amber-700">Not scored</div>
+                          : <div className="text-3xl font-bold text-red-600">{femaVerification.confidence}%</div>}
                       </div>
+                      <ProvenanceNotice data={femaData} />
 
                       <div className="grid grid-cols-4 gap-3 mb-3">
                         <div className="bg-white rounded p-2 text-center">
@@ -2703,6 +2738,7 @@ const DemocraticAccountabilityPlatform = () => {
                 <button
                   onClick={handleGenerateCreativeBrief}
                   disabled={briefLoading}
+                  title={serverFeatures && !serverFeatures.ai ? 'AI is not configured on the server - the brief will use the standard template' : ''}
                   className="flex-1 py-3 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
                 >
                   {briefLoading ? (
@@ -0,0 +1,63 @@
+/**
+ * ZIP crosswalk: county, CBSA and congressional district for each ZIP
+ *
+ * Built from the HUD-USPS ZIP crosswalk files (ZIP_COUNTY, ZIP_CBSA, ZIP_CD)
+ * by build-zip-crosswalk.js. Shares are HUD's residential address
+ * ratios, so a ZIP that spans counties or districts lists each one with the
+ * share of its homes there. District GEOIDs are state FIPS + district number
+ * ('00' at-large, '98' non-voting delegate).
+ *
+ * The checked-in table is a seed covering the ZIPs used by sample stories and
+ * tests. The API server loads the full table for the latest HUD quarter from
+ * ZIP_CROSSWALK_FILE (build-zip-crosswalk.js --json) at startup. ZIPs in
+ * neither fall back to their 3-digit prefix (state only).
+ *
+ * Entry: { city, state, counties: [[countyFips, share]], cbsa, districts: [[cdGeoid, share]] }
+ */
+
+export const CROSSWALK_VINTAGE = {
+  congress: 119,
+  cbsaDelineation: '2023',
+};
+
+export const ZIP_CROSSWALK = {
+  '00901': { city: 'San Juan', state: 'PR', counties: [['72127', 1]], cbsa: '41980', districts: [['7298', 1]] },
+  '20001': { city: 'Washington', state: 'DC', counties: [['11001', 1]], cbsa: '47900', districts: [['1198', 1]] },
+  '22031': { city: 'Fairfax', state: 'VA', counties: [['51059', 1]], cbsa: '47900', districts: [['5111', 1]] },
+  '23220': { city: 'Richmond', state: 'VA', counties: [['51760', 1]], cbsa: '40060', districts: [['5104', 1]] },
+  '48197': { city: 'Ypsilanti', state: 'MI', counties: [['26161', 1]], cbsa: '11460', districts: [['2606', 1]] },
+  '48201': { city: 'Detroit', state: 'MI', counties: [['26163', 1]], cbsa: '19820', districts: [['2613', 1]] },
+  '60601': { city: 'Chicago', state: 'IL', counties: [['17031', 1]], cbsa: '16980', districts: [['1707', 1]] },
+  '78701': { city: 'Austin', state: 'TX', counties: [['48453', 1]], cbsa: '12420', districts: [['4837', 1]] },
+  '82001': { city: 'Cheyenne', state: 'WY', counties: [['56021', 1]], cbsa: '16940', districts: [['5600', 1]] },
+};
+
+export const COUNTY_NAMES = {
+  '11001': 'District of Columbia',
+  '17031': 'Cook County',
+  '26161': 'Washtenaw County',
+  '26163': 'Wayne County',
+  '48453': 'Travis County',
+  '51059': 'Fairfax County',
+  '51760': 'Richmond city',
+  '56021': 'Laramie County',
+  '72127': 'San Juan Municipio',
+};
+
+export const CBSA_NAMES = {
+  '11460': 'Ann Arbor, MI',
+  '12420': 'Austin-Round Rock-San Marcos, TX',
+  '16940': 'Cheyenne, WY',
+  '16980': 'Chicago-Naperville-Elgin, IL-IN',
+  '19820': 'Detroit-Warren-Dearborn, MI',
+  '40060': 'Richmond, VA',
+  '41980': 'San Juan-Bayamón-Caguas, PR',
+  '47900': 'Washington-Arlington-Alexandria, DC-VA-MD-WV',
+};
+
+export default {
+  CROSSWALK_VINTAGE,
+  ZIP_CROSSWALK,
+  COUNTY_NAMES,
+  CBSA_NAMES,
+};
@@ -0,0 +1,238 @@
+/**
+ * Backend API Client
+ *
+ * Story submission and verification run on the backend (server.js) so API keys
+ * and the database service role stay on the server instead of shipping in the
+ * client bundle.
+ *
+ * Endpoints:
+ * - POST /api/stories             - Submit, enrich and save a new story
+ * - POST /api/verify              - Verify an unsaved story
+ * - POST /api/stories/:id/verify  - Verify a saved story and store the results
+ * - POST /api/creative-briefs      - Queue (or get) a saved story's creative brief
+ * - GET  /api/jobs/:id             - Background job status
+ * - GET  /api/stories/:id/verifications - Verification audit trail
+ * - GET  /api/stories/:id/context  - Federal data panels for the story detail view
+ * - GET  /api/sources/status      - Federal data source health (admin)
+ * - GET  /api/config/features     - Features the server has configured (no secrets)
+ *
+ * Admin routes take the ADMIN_API_TOKEN an operator enters in the app. It is
+ * kept in session storage for the tab, never in a VITE_ setting (those are
+ * built into the bundle every visitor downloads).
+ */
+
+import { getConfig, setRemoteFeatures } from './config.js';
+
+const API_URL = getConfig('API_URL');
+
+const ADMIN_TOKEN_KEY = 'adminApiToken';
+
+const JOB_POLL_INTERVAL_MS = 2000;
+const JOB_WAIT_TIMEOUT_MS = 3 * 60 * 1000;
+
+/**
+ * Get the admin token entered in this tab
+ * @returns {string|null}
+ */
+export function getAdminToken() {
+  if (typeof sessionStorage === 'undefined') return null;
+  return sessionStorage.getItem(ADMIN_TOKEN_KEY);
+}
+
+/**
+ * Remember the admin token for this tab (null forgets it)
+ * @param {string|null} token - ADMIN_API_TOKEN
+ */
+export function setAdminToken(token) {
+  if (typeof sessionStorage === 'undefined') return;
+  if (token) {
+    sessionStorage.setItem(ADMIN_TOKEN_KEY, token);
+  } else {
+    sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+  }
+}
+
+/**
+ * Parse a backend response, throwing on error statuses
+ * @param {Response} response - Fetch response
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function parseResponse(response) {
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const details = Array.isArray(data.details)
+      ? `: ${data.details.map(detail => detail.message).join('; ')}`
+      : '';
+    throw new Error(`API error: ${data.error || response.statusText}${details}`);
+  }
+
+  return data;
+}
+
+/**
+ * POST JSON to the backend and return the parsed response
+ * @param {string} path - API path
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function postJSON(path, body) {
+  const response = await fetch(`${API_URL}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  });
+
+  return parseResponse(response);
+}
+
+/**
+ * Submit a new story. The server validates it, assigns an ID, runs enrichment
+ * and verification, and saves it.
+ * @param {Object} submission - { zipCode, policyArea, story, consent }
+ * @returns {Promise<Object>} { story, verification }
+ */
+export async function createStory(submission) {
+  return postJSON('/api/stories', submission);
+}
+
+/**
+ * Verify a story on the server
+ * @param {Object} story - The citizen story (may include extracted claims)
+ * @param {Object} options - { timeBudgetMs }
+ * @returns {Promise<Object>} Verification object (same shape as storyVerification.verifyStory)
+ */
+export async function requestVerification(story, options = {}) {
+  const data = await postJSON('/api/verify', { story, ...options });
+  return data.verification;
+}
+
+/**
+ * Verify a saved story on the server. The server stores the results and
+ * updates the story again when slow sources finish.
+ * @param {string} storyId - Story ID
+ * @param {Object} options - { timeBudgetMs }
+ * @returns {Promise<Object>} Verification object
+ */
+export async function requestStoryVerification(storyId, options = {}) {
+  const data = await postJSON(`/api/stories/${encodeURIComponent(storyId)}/verify`, options);
+  return data.verification;
+}
+
+/**
+ * Get a story's verification history: every run with the sources queried,
+ * request parameters, insights, flags, claims and score. Raw source responses
+ * are admin-only and never requested from the browser.
+ * @param {string} storyId - Story ID
+ * @returns {Promise<Array>} Verification records, newest first
+ */
+export async function getVerificationHistory(storyId) {
+  const response = await fetch(`${API_URL}/api/stories/${encodeURIComponent(storyId)}/verifications`);
+  const data = await parseResponse(response);
+  return data.verifications;
+}
+
+/**
+ * Get the federal data panels shown beside a saved story (Census, EIA, NCDC,
+ * HUD, DOT, FEMA, NCVS, and FEC for election stories). Panels that failed
+ * come back as { error }.
+ * @param {string} storyId - Story ID
+ * @returns {Promise<Object>} { [panelId]: { data, verification, indicators? } | { error } }
+ */
+export async function getStoryContext(storyId) {
+  const response = await fetch(`${API_URL}/api/stories/${encodeURIComponent(storyId)}/context`);
+  const data = await parseResponse(response);
+  return data.panels;
+}
+
+/**
+ * Get the health of each federal data source (needs the admin token)
+ * @param {Object} options - { refresh } to re-probe every source now
+ * @returns {Promise<Object>} { checkedAt, summary: { up, degraded, down }, sources }
+ */
+export async function getSourceStatus(options = {}) {
+  const query = options.refresh ? '?refresh=true' : '';
+  const response = await fetch(`${API_URL}/api/sources/status${query}`, {
+    headers: { Authorization: `Bearer ${getAdminToken()}` },
+  });
+
+  // A rejected token is forgotten so the admin views hide again
+  if (response.status === 401) setAdminToken(null);
+  return parseResponse(response);
+}
+
+/**
+ * Get the features the API server has configured and remember them, so
+ * isFeatureEnabled (config.js) answers for the server in the browser
+ * @returns {Promise<Object>} { ai, aiProvider, database, sources: { [sourceId]: boolean } }
+ */
+export async function getFeatures() {
+  const response = await fetch(`${API_URL}/api/config/features`);
+  const features = await parseResponse(response);
+  setRemoteFeatures(features);
+  return features;
+}
+
+/**
+ * Get a background job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Job ({ id, type, status, attempts, result, lastError, ... })
+ */
+export async function getJob(jobId) {
+  const response = await fetch(`${API_URL}/api/jobs/${encodeURIComponent(jobId)}`);
+  const data = await parseResponse(response);
+  return data.job;
+}
+
+/**
+ * Poll a background job until it completes
+ * @param {string} jobId - Job ID
+ * @param {Object} options - { intervalMs, timeoutMs }
+ * @returns {Promise<Object>} The completed job
+ */
+export async function waitForJob(jobId, options = {}) {
+  const { intervalMs = JOB_POLL_INTERVAL_MS, timeoutMs = JOB_WAIT_TIMEOUT_MS } = options;
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    const job = await getJob(jobId);
+
+    if (job.status === 'completed') return job;
+    if (job.status === 'dead') {
+      throw new Error(`Job failed: ${job.lastError || 'unknown error'}`);
+    }
+    if (Date.now() + intervalMs > deadline) {
+      throw new Error('Timed out waiting for job');
+    }
+
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+/**
+ * Get a saved story's creative brief, generated on the server (once per story)
+ * @param {string} storyId - Story ID
+ * @returns {Promise<string>} The creative brief (markdown)
+ */
+export async function requestCreativeBrief(storyId) {
+  const { job } = await postJSON('/api/creative-briefs', { storyId });
+  const completed = await waitForJob(job.id);
+  return completed.result.brief;
+}
+
+export default {
+  getAdminToken,
+  setAdminToken,
+  createStory,
+  getJob,
+  waitForJob,
+  requestCreativeBrief,
+  getVerificationHistory,
+  getStoryContext,
+  getSourceStatus,
+  getFeatures,
+  requestVerification,
+  requestStoryVerification,
+};
@@ -19,18 +19,15 @@
  * - Graceful degradation on failure
  */
 
-// Try Vite environment first, then Node.js process.env
-const BEA_API_BASE =
-  (typeof import.meta !== 'undefined' && import.meta.env?.VITE_BEA_API_BASE) ||
-  (typeof process !== 'undefined' && process.env?.VITE_BEA_API_BASE) ||
-  'https://apps.bea.gov/api/data';
+import { registerVerifier } from './verifierRegistry.js';
+import { httpRequest, getErrorType } from './httpClient.js';
+import { getStateFips } from './geography.js';
+import { getConfig } from './config.js';
+
+const BEA_API_BASE = getConfig('BEA_API_BASE');
 
 // BEA UserID (36-character unique identifier)
-// Check import.meta.env first (Vite), then process.env (Node.js)
-const BEA_USER_ID =
-  (typeof import.meta !== 'undefined' && import.meta.env && import.meta.env.VITE_BEA_USER_ID) ||
-  (typeof process !== 'undefined' && process.env && process.env.VITE_BEA_USER_ID) ||
-  null;
+const BEA_USER_ID = getConfig('BEA_USER_ID') || null;
 
 // Request configuration
 const REQUEST_TIMEOUT_MS = 30000;  // 30 seconds
@@ -38,90 +35,49 @@ const MAX_RETRIES = 3;
 const RETRY_DELAY_MS = 2000;  // Base delay: 2 seconds
 
 /**
- * Sleep utility for retry delays
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise<void>}
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-/**
- * Make a GET request to BEA API with retry logic
+ * Make a GET request to BEA API (retries, timeouts and circuit breaking
+ * are handled by the shared HTTP client)
  * @param {Object} params - Query parameters
- * @param {number} retryCount - Current retry attempt
  * @returns {Promise<Object>} API response data
+ * @throws {HttpError} Typed error from httpClient.js
  */
-async function makeRequest(params = {}, retryCount = 0) {
+async function makeRequest(params = {}) {
   if (!BEA_USER_ID) {
-    throw new Error('BEA UserID not configured. Please set VITE_BEA_USER_ID in .env');
+    throw new Error('BEA UserID not configured. Please set BEA_USER_ID in .env');
   }
 
-  // Add UserID and default format
-  const queryParams = {
-    UserID: BEA_USER_ID,
-    ResultFormat: 'JSON',
-    ...params,
-  };
-
-  const queryString = new URLSearchParams(queryParams).toString();
-  const url = `${BEA_API_BASE}?${queryString}`;
+  console.log(`BEA API request: ${params.method || 'GetData'}`);
 
-  try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
-
-    console.log(`BEA API request: ${params.method || 'GetData'} (attempt ${retryCount + 1}/${MAX_RETRIES + 1})`);
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'Democratic-Accountability-Platform/1.0',
-      },
-      signal: controller.signal,
-    });
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`BEA API error: ${response.status} ${response.statusText} - ${errorText}`);
-    }
-
-    const data = await response.json();
-
-    // Check for BEA API errors in response
-    if (data.BEAAPI && data.BEAAPI.Error) {
-      throw new Error(`BEA API error: ${JSON.stringify(data.BEAAPI.Error)}`);
-    }
-
-    return data;
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      console.error(`BEA API timeout on attempt ${retryCount + 1}`);
-
-      if (retryCount < MAX_RETRIES) {
-        const waitTime = RETRY_DELAY_MS * Math.pow(2, retryCount);  // Exponential backoff
-        console.log(`Retrying in ${waitTime / 1000} seconds...`);
-        await sleep(waitTime);
-        return makeRequest(params, retryCount + 1);
-      }
-
-      throw new Error('timeout');
-    }
-
-    console.error('BEA API Request Error:', error);
-
-    if (retryCount < MAX_RETRIES) {
-      const waitTime = RETRY_DELAY_MS * Math.pow(2, retryCount);
-      console.log(`Retrying in ${waitTime / 1000} seconds...`);
-      await sleep(waitTime);
-      return makeRequest(params, retryCount + 1);
-    }
+  return httpRequest(BEA_API_BASE, {
+    source: 'BEA API',
+    cache: 'bea',
+    quota: 'bea',
+    params: {
+      UserID: BEA_USER_ID,
+      ResultFormat: 'JSON',
+      ...params,
+    },
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Democratic-Accountability-Platform/1.0',
+    },
+    timeoutMs: REQUEST_TIMEOUT_MS,
+    retries: MAX_RETRIES,
+    retryDelayMs: RETRY_DELAY_MS,
+    // BEA reports errors in a 200 response
+    checkResponse: data => (data.BEAAPI?.Error ? JSON.stringify(data.BEAAPI.Error) : null),
+  });
+}
 
-    throw error;
-  }
+/**
+ * Convert a state to BEA's 5-digit GeoFips ('48000' for Texas)
+ * @param {string} stateCode - State code or FIPS code; '*' and 'STATE' pass through
+ * @returns {string} GeoFips value
+ */
+function toGeoFips(stateCode) {
+  if (stateCode === '*' || String(stateCode).toUpperCase() === 'STATE') return stateCode;
+  const fips = getStateFips(stateCode);
+  return fips ? `${fips}000` : stateCode;
 }
 
 /**
@@ -145,7 +101,7 @@ export async function getDatasetList() {
     console.error('BEA API timeout or error:', error.message);
     return {
       error: true,
-      errorType: error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: 'BEA API temporarily unavailable',
       datasets: [],
       source: 'BEA API (unavailable)',
@@ -156,7 +112,7 @@ export async function getDatasetList() {
 
 /**
  * Get regional personal income data by state
- * @param {string} stateCode - State FIPS code (e.g., '06' for California, '*' for all states)
+ * @param {string} stateCode - State code or FIPS code (e.g., 'CA' or '06', '*' for all states)
  * @param {string} year - Year (e.g., '2022')
  * @returns {Promise<Object>} Regional income data
  */
@@ -167,7 +123,7 @@ export async function getRegionalIncome(stateCode = '*', year = '2022') {
       datasetname: 'Regional',
       TableName: 'SAINC1',  // State Annual Personal Income
       LineCode: '1',        // Personal income
-      GeoFips: stateCode,
+      GeoFips: toGeoFips(stateCode),
       Year: year,
     };
 
@@ -187,7 +143,7 @@ export async function getRegionalIncome(stateCode = '*', year = '2022') {
     console.error('BEA API timeout or error:', error.message);
     return {
       error: true,
-      errorType: error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: 'BEA API temporarily unavailable',
       stateCode: stateCode,
       year: year,
@@ -201,7 +157,7 @@ export async function getRegionalIncome(stateCode = '*', year = '2022') {
 
 /**
  * Get state GDP data
- * @param {string} stateCode - State FIPS code (e.g., '48' for Texas)
+ * @param {string} stateCode - State code or FIPS code (e.g., 'TX' or '48')
  * @param {string} year - Year (e.g., '2022')
  * @returns {Promise<Object>} State GDP data
  */
@@ -212,7 +168,7 @@ export async function getStateGDP(stateCode, year = '2022') {
       datasetname: 'Regional',
       TableName: 'SAGDP1',  // State Annual GDP
       LineCode: '1',        // All industries
-      GeoFips: stateCode,
+      GeoFips: toGeoFips(stateCode),
       Year: year,
     };
 
@@ -232,7 +188,7 @@ export async function getStateGDP(stateCode, year = '2022') {
     console.error('BEA API timeout or error:', error.message);
     return {
       error: true,
-      errorType: error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: 'BEA API temporarily unavailable',
       stateCode: stateCode,
       year: year,
@@ -246,7 +202,7 @@ export async function getStateGDP(stateCode, year = '2022') {
 
 /**
  * Get regional per capita personal income
- * @param {string} stateCode - State FIPS code
+ * @param {string} stateCode - State code or FIPS code
  * @param {string} year - Year
  * @returns {Promise<Object>} Per capita income data
  */
@@ -257,7 +213,7 @@ export async function getPerCapitaIncome(stateCode, year = '2022') {
       datasetname: 'Regional',
       TableName: 'SAINC1',  // State Annual Personal Income
       LineCode: '3',        // Per capita personal income
-      GeoFips: stateCode,
+      GeoFips: toGeoFips(stateCode),
       Year: year,
     };
 
@@ -277,7 +233,7 @@ export async function getPerCapitaIncome(stateCode, year = '2022') {
     console.error('BEA API timeout or error:', error.message);
     return {
       error: true,
-      errorType: error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: 'BEA API temporarily unavailable',
       stateCode: stateCode,
       year: year,
@@ -291,7 +247,7 @@ export async function getPerCapitaIncome(stateCode, year = '2022') {
 
 /**
  * Get economic trend data (multiple years)
- * @param {string} stateCode - State FIPS code
+ * @param {string} stateCode - State code or FIPS code
  * @param {string} startYear - Start year
  * @param {string} endYear - End year
  * @returns {Promise<Object>} Trend data
@@ -341,7 +297,7 @@ export async function getEconomicTrends(stateCode, startYear = '2020', endYear =
 
 /**
  * Get baseline economic comparison
- * @param {string} stateCode - State FIPS code
+ * @param {string} stateCode - State code or FIPS code
  * @param {string} baselineYear - Baseline year (default 2022)
  * @param {string} currentYear - Current year (default 2023)
  * @returns {Promise<Object>} Comparison data
@@ -401,7 +357,7 @@ export async function getEconomicBaseline(stateCode, baselineYear = '2022', curr
  * @param {Array} current - Current economic data
  * @returns {Object} Calculated changes
  */
-function calculateEconomicChanges(baseline, current) {
+export function calculateEconomicChanges(baseline, current) {
   const changes = {};
 
   if (!baseline || !current || baseline.length === 0 || current.length === 0) {
@@ -567,6 +523,21 @@ export function verifyEconomicStory(story, beaData) {
   return verification;
 }
 
+// Register with the story verifier registry (state personal income, ~2 year lag)
+registerVerifier({
+  id: 'bea',
+  name: 'BEA',
+  policyAreas: ['employment', 'immigration'],
+  fetch: (story, { stateCode }) => getRegionalIncome(stateCode, String(new Date().getFullYear() - 2)),
+  verify: verifyEconomicStory,
+  weight: 0.8,
+  reliability: 0.95,
+  geoPrecision: 'state',
+  dataLagMonths: 24,
+  probe: () => getDatasetList(),
+  hasCredentials: () => !!BEA_USER_ID,
+});
+
 export default {
   getDatasetList,
   getRegionalIncome,
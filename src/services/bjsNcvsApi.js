@@ -22,6 +22,9 @@
  * - Graceful degradation on failure
  */
 
+import { registerVerifier } from './verifierRegistry.js';
+import { httpRequest, getErrorType } from './httpClient.js';
+
 const BJS_NCVS_API_BASE = 'https://api.ojp.gov/bjsdataset/v1/';
 
 // Dataset identifiers
@@ -38,90 +41,33 @@ const MAX_RETRIES = 3;
 const RETRY_DELAY_MS = 2000;  // Base delay: 2 seconds
 
 /**
- * Sleep utility for retry delays
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise<void>}
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-/**
- * Make a GET request to BJS NCVS API with retry logic
+ * Make a GET request to BJS NCVS API (retries, timeouts and circuit breaking
+ * are handled by the shared HTTP client)
  * @param {string} dataset - Dataset identifier
  * @param {Object} params - Query parameters
- * @param {number} retryCount - Current retry attempt
  * @returns {Promise<Object>} API response data
+ * @throws {HttpError} Typed error from httpClient.js
  */
-async function makeRequest(dataset, params = {}, retryCount = 0) {
-  // Build query string
-  const queryParams = new URLSearchParams();
-
-  // Add filters
-  if (params.where) {
-    queryParams.append('$where', params.where);
-  }
-  if (params.year) {
-    queryParams.append('year', params.year);
-  }
-  if (params.limit) {
-    queryParams.append('$limit', params.limit);
-  } else {
-    queryParams.append('$limit', '10000');  // Default limit
-  }
-
-  const queryString = queryParams.toString();
-  const url = `${BJS_NCVS_API_BASE}${dataset}.json${queryString ? '?' + queryString : ''}`;
-
-  try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
-
-    console.log(`BJS NCVS API request: ${dataset} (attempt ${retryCount + 1}/${MAX_RETRIES + 1})`);
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'Democratic-Accountability-Platform/1.0',
-      },
-      signal: controller.signal,
-    });
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`BJS NCVS API error: ${response.status} ${response.statusText} - ${errorText}`);
-    }
-
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      console.error(`BJS NCVS API timeout on attempt ${retryCount + 1}`);
-
-      if (retryCount < MAX_RETRIES) {
-        const waitTime = RETRY_DELAY_MS * Math.pow(2, retryCount);  // Exponential backoff
-        console.log(`Retrying in ${waitTime / 1000} seconds...`);
-        await sleep(waitTime);
-        return makeRequest(dataset, params, retryCount + 1);
-      }
-
-      throw new Error('timeout');
-    }
-
-    // Check if retryable error
-    const retryableErrors = ['ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND'];
-    if (retryCount < MAX_RETRIES && retryableErrors.some(e => error.message.includes(e))) {
-      const waitTime = RETRY_DELAY_MS * Math.pow(2, retryCount);
-      console.log(`Retrying in ${waitTime / 1000} seconds...`);
-      await sleep(waitTime);
-      return makeRequest(dataset, params, retryCount + 1);
-    }
-
-    throw error;
-  }
+async function makeRequest(dataset, params = {}) {
+  console.log(`BJS NCVS API request: ${dataset}`);
+
+  return httpRequest(`${BJS_NCVS_API_BASE}${dataset}.json`, {
+    source: 'BJS NCVS API',
+    cache: 'bjs-ncvs',
+    quota: 'bjs-ncvs',
+    params: {
+      $where: params.where,
+      year: params.year,
+      $limit: params.limit || 10000,  // Default limit
+    },
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Democratic-Accountability-Platform/1.0',
+    },
+    timeoutMs: REQUEST_TIMEOUT_MS,
+    retries: MAX_RETRIES,
+    retryDelayMs: RETRY_DELAY_MS,
+  });
 }
 
 /**
@@ -159,7 +105,7 @@ export async function getVictimizationByYear(year, crimeType = 'personal') {
 
     return {
       error: true,
-      errorType: error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: 'BJS NCVS API temporarily unavailable',
       year: year,
       crimeType: crimeType,
@@ -216,7 +162,7 @@ export async function getVictimizationTrends(startYear, endYear, crimeType = 'pe
 
     return {
       error: true,
-      errorType: error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: 'BJS NCVS API temporarily unavailable',
       startYear: startYear,
       endYear: endYear,
@@ -291,7 +237,7 @@ export async function getBaselineComparison(baselineYear, currentYear, crimeType
  * @param {Array} data - Raw NCVS records
  * @returns {Object} Calculated statistics
  */
-function calculateVictimizationStats(data) {
+export function calculateVictimizationStats(data) {
   if (!data || data.length === 0) {
     return {
       totalVictimizations: 0,
@@ -362,7 +308,7 @@ function calculateVictimizationStats(data) {
  * @param {Object} current - Current statistics
  * @returns {Object} Calculated changes
  */
-function calculateVictimizationChanges(baseline, current) {
+export function calculateVictimizationChanges(baseline, current) {
   const changes = {};
 
   const metrics = [
@@ -510,6 +456,19 @@ export function verifyCrimeStory(story, ncvsData) {
   return verification;
 }
 
+// Register with the story verifier registry (victimization survey, ~2 year lag)
+registerVerifier({
+  id: 'bjs-ncvs',
+  name: 'BJS NCVS',
+  policyAreas: ['justice'],
+  fetch: () => getVictimizationByYear(String(new Date().getFullYear() - 2), 'personal'),
+  verify: verifyCrimeStory,
+  weight: 0.8,
+  reliability: 0.85,
+  geoPrecision: 'national',
+  dataLagMonths: 24,
+});
+
 export default {
   getVictimizationByYear,
   getVictimizationTrends,
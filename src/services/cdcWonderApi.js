@@ -19,11 +19,11 @@
  */
 
 import xml2js from 'xml2js';
+import { registerVerifier } from './verifierRegistry.js';
+import { httpRequest, getErrorType } from './httpClient.js';
+import { getConfig } from './config.js';
 
-const CDC_WONDER_API_BASE =
-  (typeof import.meta !== 'undefined' && import.meta.env?.VITE_CDC_WONDER_API_BASE) ||
-  (typeof process !== 'undefined' && process.env?.VITE_CDC_WONDER_API_BASE) ||
-  'https://wonder.cdc.gov/controller/datarequest';
+const CDC_WONDER_API_BASE = getConfig('CDC_WONDER_API_BASE');
 
 // Database codes
 export const DATABASES = {
@@ -82,32 +82,24 @@ function createParameterXML(parameters) {
  * @returns {Promise<string>} XML response
  */
 async function makeRequest(databaseCode, parameters) {
-  const url = `${CDC_WONDER_API_BASE}/${databaseCode}`;
-
-  const xmlRequest = createParameterXML(parameters);
-
   const formData = new URLSearchParams();
-  formData.append('request_xml', xmlRequest);
+  formData.append('request_xml', createParameterXML(parameters));
   formData.append('accept_datause_restrictions', 'true');
 
   try {
-    const response = await fetch(url, {
+    return await httpRequest(`${CDC_WONDER_API_BASE}/${databaseCode}`, {
+      source: 'CDC WONDER API',
+      cache: 'cdc-wonder',
+      quota: 'cdc-wonder',
       method: 'POST',
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded',
       },
       body: formData.toString(),
+      responseType: 'text',
     });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`CDC WONDER API error: ${response.status} ${response.statusText} - ${errorText}`);
-    }
-
-    const xmlText = await response.text();
-    return xmlText;
   } catch (error) {
-    console.error('CDC WONDER API Request Error:', error);
+    console.error('CDC WONDER API Request Error:', error.message);
     throw error;
   }
 }
@@ -215,7 +207,7 @@ export async function getMortalityData(yearStart, yearEnd, causeOfDeath = ICD10_
     console.error('CDC WONDER API timeout or error:', error.message);
     return {
       error: true,
-      errorType: error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: 'CDC WONDER API temporarily unavailable',
       yearStart: yearStart,
       yearEnd: yearEnd,
@@ -268,7 +260,7 @@ export async function getBirthData(yearStart, yearEnd) {
     console.error('CDC WONDER API timeout or error:', error.message);
     return {
       error: true,
-      errorType: error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: 'CDC WONDER API temporarily unavailable',
       yearStart: yearStart,
       yearEnd: yearEnd,
@@ -425,6 +417,22 @@ export function verifyHealthStory(story, cdcData) {
   return verification;
 }
 
+// Register with the story verifier registry (national mortality data lags ~2 years)
+registerVerifier({
+  id: 'cdc-wonder',
+  name: 'CDC WONDER',
+  policyAreas: ['healthcare'],
+  fetch: () => {
+    const year = String(new Date().getFullYear() - 2);
+    return getMortalityData(year, year);
+  },
+  verify: verifyHealthStory,
+  weight: 0.8,
+  reliability: 0.95,
+  geoPrecision: 'national',
+  dataLagMonths: 24,
+});
+
 export default {
   getMortalityData,
   getBirthData,
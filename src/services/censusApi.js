@@ -3,12 +3,20 @@
  *
  * Provides access to US Census data including:
  * - American Community Survey (ACS) 5-Year Estimates
- * - Demographics, income, employment, education data by geography
+ * - Change between ACS vintages, with margins of error, for a ZCTA or county
+ * - Demographics, income, employment, education data by ZCTA, county or
+ *   census tract, keyed by geography.js geography keys
+ * - Health insurance, SNAP, veterans, nativity, language, disability,
+ *   broadband and commute indicators for policy-specific stories
  *
  * API Documentation: https://www.census.gov/data/developers/data-sets.html
  * No API key required for development, but recommended for production
  */
 
+import { httpRequest } from './httpClient.js';
+import { CLAIM_STATUS, claimsAbout, extractClaimsHeuristic } from './claimExtraction.js';
+import { GEO_LEVELS, geographyKey, getGeographyKeys, parseGeographyKey } from './geography.js';
+
 const CENSUS_API_BASE = 'https://api.census.gov/data';
 const ACS_YEAR = '2022'; // Most recent complete 5-year estimates
 
@@ -58,110 +66,753 @@ const CENSUS_VARIABLES = {
   black: 'B02001_003E',
   asian: 'B02001_005E',
   hispanic: 'B03003_003E',
+
+  // Health insurance (civilian noninstitutionalized population)
+  healthInsuranceUniverse: 'B27010_001E',
+  uninsuredUnder19: 'B27010_017E',
+  uninsured19to34: 'B27010_033E',
+  uninsured35to64: 'B27010_050E',
+  uninsured65Plus: 'B27010_066E',
+
+  // Food assistance (households)
+  snapUniverse: 'B22003_001E',
+  snapHouseholds: 'B22003_002E', // Received SNAP in the past 12 months
+
+  // Veterans (civilian population 18+)
+  civilianAdults: 'B21001_001E',
+  veterans: 'B21001_002E',
+
+  // Nativity & citizenship
+  citizenshipUniverse: 'B05001_001E',
+  naturalizedCitizens: 'B05001_005E',
+  nonCitizens: 'B05001_006E',
+
+  // Language spoken at home (households)
+  languageUniverse: 'C16002_001E',
+  englishOnlyHouseholds: 'C16002_002E',
+  limitedEnglishSpanish: 'C16002_004E',
+  limitedEnglishIndoEuropean: 'C16002_007E',
+  limitedEnglishAsian: 'C16002_010E',
+  limitedEnglishOther: 'C16002_013E',
+
+  // Disability (civilian noninstitutionalized population)
+  disabilityUniverse: 'C18108_001E',
+  noDisabilityUnder18: 'C18108_005E',
+  noDisability18to64: 'C18108_009E',
+  noDisability65Plus: 'C18108_013E',
+
+  // Internet access (households)
+  internetUniverse: 'B28002_001E',
+  broadbandHouseholds: 'B28002_004E', // Broadband of any type
+  noInternetHouseholds: 'B28002_013E',
+
+  // Commute (workers 16+ who do not work at home)
+  commuters: 'B08303_001E',
+  aggregateCommuteMinutes: 'B08013_001E',
+  commute60to89: 'B08303_012E',
+  commute90Plus: 'B08303_013E',
 };
 
+const UNINSURED_VARIABLES = ['uninsuredUnder19', 'uninsured19to34', 'uninsured35to64', 'uninsured65Plus'];
+const LIMITED_ENGLISH_VARIABLES = ['limitedEnglishSpanish', 'limitedEnglishIndoEuropean', 'limitedEnglishAsian', 'limitedEnglishOther'];
+const NO_DISABILITY_VARIABLES = ['noDisabilityUnder18', 'noDisability18to64', 'noDisability65Plus'];
+
+// Earlier vintage compared against ACS_YEAR by default. Five years apart so the
+// two 5-year estimates share no survey years, as the Census Bureau recommends.
+const ACS_TREND_SPAN = 5;
+
+// ACS margins of error are published at the 90% confidence level
+const ACS_CONFIDENCE_Z = 1.645;
+
+// The Census API rejects requests for more than 50 variables (NAME included)
+const MAX_VARIABLES_PER_REQUEST = 49;
+
+// Annotation values the Census API puts in estimate and MOE cells
+const MOE_CONTROLLED = -555555555; // Estimate is controlled, so the MOE is zero
+
+// Rates derived from CENSUS_VARIABLES, reported in percent. Numerators listed
+// as several variables are summed; complement rates are 100 minus the share.
+const ACS_RATES = {
+  povertyRate: { numerator: 'povertyRate', denominator: 'totalForPoverty' },
+  unemploymentRate: { numerator: 'unemployed', denominator: 'laborForce' },
+  uninsuredRate: { numerator: UNINSURED_VARIABLES, denominator: 'healthInsuranceUniverse' },
+  snapRate: { numerator: 'snapHouseholds', denominator: 'snapUniverse' },
+  veteranRate: { numerator: 'veterans', denominator: 'civilianAdults' },
+  foreignBornRate: { numerator: ['naturalizedCitizens', 'nonCitizens'], denominator: 'citizenshipUniverse' },
+  nonCitizenRate: { numerator: 'nonCitizens', denominator: 'citizenshipUniverse' },
+  limitedEnglishRate: { numerator: LIMITED_ENGLISH_VARIABLES, denominator: 'languageUniverse' },
+  disabilityRate: { numerator: NO_DISABILITY_VARIABLES, denominator: 'disabilityUniverse', complement: true },
+  broadbandRate: { numerator: 'broadbandHouseholds', denominator: 'internetUniverse' },
+};
+
+const DOLLAR_VARIABLES = new Set(['medianHouseholdIncome', 'perCapitaIncome', 'medianHomeValue', 'medianRent']);
+
+// Story claim subjects that map onto a trend, and how to describe it
+const TREND_CLAIM_SUBJECTS = [
+  { terms: ['rent'], key: 'medianRent', label: 'Median rent' },
+  { terms: ['home value', 'home price', 'house price', 'housing price', 'property value'], key: 'medianHomeValue', label: 'Median home value' },
+  { terms: ['poverty', 'poor'], key: 'povertyRate', rate: true, label: 'The poverty rate' },
+  { terms: ['unemploy', 'jobless'], key: 'unemploymentRate', rate: true, label: 'The unemployment rate' },
+  { terms: ['income', 'wage', 'salar', 'paycheck'], key: 'medianHouseholdIncome', label: 'Median household income' },
+  { terms: ['uninsured'], key: 'uninsuredRate', rate: true, label: 'The uninsured rate' },
+  { terms: ['snap', 'food stamp'], key: 'snapRate', rate: true, label: 'The share of households on SNAP' },
+  { terms: ['immigrant', 'foreign-born', 'foreign born'], key: 'foreignBornRate', rate: true, label: 'The foreign-born share' },
+];
+
+/**
+ * Census indicators behind policy-specific stories. An indicator applies when
+ * the story is in one of its policy areas or mentions one of its keywords
+ * (matched like verifier keywords), and then shows in the demographic profile
+ * and creative brief. Claims about `claimTerms` are checked against `rate`
+ * (percent claims) or `count` (how many people or households), described in
+ * messages as `rateName` and `countName`.
+ */
+const POLICY_INDICATORS = [
+  {
+    id: 'uninsured', label: 'Uninsured', section: 'health', rate: 'uninsuredRate', count: 'uninsured',
+    rateName: 'uninsured rate', countName: 'uninsured residents',
+    policyAreas: ['healthcare'], keywords: ['health insurance', 'uninsured', 'medicaid', 'coverage'],
+    claimTerms: ['uninsured', 'without insurance', 'no insurance'],
+    describe: data => `${data.health.uninsuredRate}% of residents have no health insurance`,
+  },
+  {
+    id: 'disability', label: 'With Disability', section: 'disability', rate: 'disabilityRate', count: 'withDisability',
+    rateName: 'disability rate', countName: 'residents with a disability',
+    policyAreas: ['healthcare'], keywords: ['disabilit', 'disabled', 'wheelchair', 'ssdi'],
+    claimTerms: ['disab'],
+    describe: data => `${data.disability.disabilityRate}% of residents have a disability`,
+  },
+  {
+    id: 'snap', label: 'SNAP Households', section: 'foodAssistance', rate: 'snapRate', count: 'snapHouseholds',
+    rateName: 'SNAP receipt rate', countName: 'households on SNAP',
+    policyAreas: [], keywords: ['snap', 'food stamp', 'food assistance', 'food bank', ' ebt ', ' wic '],
+    claimTerms: ['snap', 'food stamp', 'food assistance'],
+    describe: data => `${data.foodAssistance.snapRate}% of households received SNAP in the past year`,
+  },
+  {
+    id: 'veterans', label: 'Veterans', section: 'veterans', rate: 'veteranRate', count: 'veterans',
+    rateName: 'veteran share of adults', countName: 'veterans',
+    policyAreas: [], keywords: ['veteran', ' va ', 'military service'],
+    claimTerms: ['veteran'],
+    describe: data => `${data.veterans.veteranRate}% of adults are veterans (${data.veterans.veterans.toLocaleString()})`,
+  },
+  {
+    id: 'foreignBorn', label: 'Foreign-Born', section: 'nativity', rate: 'foreignBornRate', count: 'foreignBorn',
+    rateName: 'foreign-born share', countName: 'foreign-born residents',
+    policyAreas: ['immigration'], keywords: ['immigra', 'citizenship', 'visa', 'deport', 'asylum', 'green card', 'daca'],
+    claimTerms: ['immigrant', 'foreign-born', 'foreign born'],
+    describe: data => `${data.nativity.foreignBornRate}% of residents were born abroad, ${data.nativity.nonCitizenRate}% are not U.S. citizens`,
+  },
+  {
+    id: 'limitedEnglish', label: 'Limited English', section: 'language', rate: 'limitedEnglishRate', count: 'limitedEnglish',
+    rateName: 'limited-English share of households', countName: 'limited-English households',
+    policyAreas: ['immigration'], keywords: ['english', 'translat', 'interpreter', ' esl ', 'bilingual'],
+    claimTerms: ['english', 'language'],
+    describe: data => `${data.language.otherLanguageRate}% of households speak another language at home, ${data.language.limitedEnglishRate}% have limited English`,
+  },
+  {
+    id: 'broadband', label: 'Broadband', section: 'internet', rate: 'broadbandRate', count: 'broadband',
+    rateName: 'broadband rate', countName: 'households with broadband',
+    policyAreas: ['infrastructure'], keywords: ['broadband', 'internet', 'wifi', 'wi-fi', 'online'],
+    claimTerms: ['broadband'],
+    describe: data => `${data.internet.broadbandRate}% of households have broadband, ${data.internet.noInternetRate}% have no internet access`,
+  },
+  {
+    id: 'commute', label: 'Mean Commute', section: 'commute', value: 'meanMinutes', unit: 'min',
+    policyAreas: ['infrastructure'], keywords: ['commute', 'transit', 'bus route', 'traffic'],
+    claimTerms: [],
+    describe: data => `Workers average a ${data.commute.meanMinutes}-minute commute, ${data.commute.overOneHourRate}% over an hour`,
+  },
+];
+
+// A claimed share is consistent with the Census rate within this many points
+// (or a quarter of the rate, whichever is larger) - ZIP-level rates are noisy
+const RATE_CLAIM_TOLERANCE = 5;
+
+// Claim units that count people or households; other units (days, miles, hours)
+// measure something else and can't be compared with a population count
+const PERSON_UNITS = new Set([
+  'people', 'persons', 'residents', 'families', 'households', 'veterans', 'workers',
+  'students', 'children', 'kids', 'seniors', 'adults', 'immigrants', 'patients',
+]);
+
+/**
+ * Fetch ACS 5-year variables for one geography, split into as many requests
+ * as the Census API's variable limit requires
+ * @param {string} year - ACS 5-year vintage
+ * @param {string} geographyClause - `for`/`in` query, e.g. 'for=county:453&in=state:48'
+ * @param {Array<string>} codes - Variable codes
+ * @returns {Promise<Object|null>} Map of NAME and variable codes to raw values, null if no data
+ */
+async function fetchAcsRow(year, geographyClause, codes) {
+  const row = {};
+
+  for (let i = 0; i < codes.length; i += MAX_VARIABLES_PER_REQUEST) {
+    const chunk = codes.slice(i, i + MAX_VARIABLES_PER_REQUEST);
+    const url = `${CENSUS_API_BASE}/${year}/acs/acs5?get=NAME,${chunk.join(',')}&${geographyClause}`;
+    const data = await httpRequest(url, { source: 'Census API', cache: 'census', quota: 'census' });
+
+    // First row is headers, second row is data
+    if (!data || data.length < 2) return null;
+    data[0].forEach((header, index) => {
+      row[header] = data[1][index];
+    });
+  }
+
+  return row;
+}
+
+/**
+ * Resolve an area to its geography key (see geography.js) and ACS `for`/`in` clause
+ * @param {Object|string} area - { zipCode }, { countyFips }, { tractFips } or a geography key
+ * @returns {Object} { level, key, code, clause, label }
+ */
+function acsGeography(area = {}) {
+  const key = typeof area === 'string'
+    ? area
+    : geographyKey(GEO_LEVELS.ZCTA, area.zipCode)
+      || geographyKey(GEO_LEVELS.COUNTY, area.countyFips)
+      || geographyKey(GEO_LEVELS.TRACT, area.tractFips);
+  const parsed = parseGeographyKey(key);
+  if (!parsed) {
+    throw new Error('A 5-digit ZIP code, county FIPS code, 11-digit tract GEOID or geography key is required');
+  }
+
+  const { level, code, stateFips, tractCode } = parsed;
+  const clauses = {
+    [GEO_LEVELS.STATE]: `for=state:${code}`,
+    [GEO_LEVELS.COUNTY]: `for=county:${code.slice(2)}&in=state:${stateFips}`,
+    [GEO_LEVELS.TRACT]: `for=tract:${tractCode}&in=state:${stateFips}%20county:${code.slice(2, 5)}`,
+    [GEO_LEVELS.ZCTA]: `for=zip%20code%20tabulation%20area:${code}`,
+  };
+  const labels = {
+    [GEO_LEVELS.STATE]: `state ${code}`,
+    [GEO_LEVELS.COUNTY]: `county ${code}`,
+    [GEO_LEVELS.TRACT]: `census tract ${code}`,
+    [GEO_LEVELS.ZCTA]: `ZIP code ${code}`,
+  };
+
+  return { level, key, code, clause: clauses[level], label: labels[level] };
+}
+
+/**
+ * Build a demographic profile from one ACS row
+ * @param {Object} dataMap - NAME and variable codes to raw values (fetchAcsRow)
+ * @returns {Object} Profile: name, population, income, employment, ... commute
+ */
+function buildDemographicProfile(dataMap) {
+  const count = (...keys) => keys.reduce((total, key) => total + (parseInt(dataMap[CENSUS_VARIABLES[key]]) || 0), 0);
+  const percent = (part, whole) => (whole > 0 ? ((part / whole) * 100).toFixed(1) : 0);
+
+  // Calculate derived metrics
+  const totalPop = parseInt(dataMap[CENSUS_VARIABLES.totalPopulation]) || 0;
+  const unemployed = parseInt(dataMap[CENSUS_VARIABLES.unemployed]) || 0;
+  const laborForce = parseInt(dataMap[CENSUS_VARIABLES.laborForce]) || 0;
+  const belowPoverty = parseInt(dataMap[CENSUS_VARIABLES.povertyRate]) || 0;
+  const totalPoverty = parseInt(dataMap[CENSUS_VARIABLES.totalForPoverty]) || 0;
+
+  return {
+    name: dataMap.NAME,
+    population: {
+      total: totalPop,
+      male: parseInt(dataMap[CENSUS_VARIABLES.malePopulation]) || 0,
+      female: parseInt(dataMap[CENSUS_VARIABLES.femalePopulation]) || 0,
+      medianAge: parseFloat(dataMap[CENSUS_VARIABLES.medianAge]) || 0,
+      under18: parseInt(dataMap[CENSUS_VARIABLES.under18]) || 0,
+      over65: parseInt(dataMap[CENSUS_VARIABLES.over65]) || 0,
+    },
+    income: {
+      medianHousehold: parseInt(dataMap[CENSUS_VARIABLES.medianHouseholdIncome]) || 0,
+      perCapita: parseInt(dataMap[CENSUS_VARIABLES.perCapitaIncome]) || 0,
+      povertyRate: totalPoverty > 0 ? ((belowPoverty / totalPoverty) * 100).toFixed(1) : 0,
+      belowPovertyCount: belowPoverty,
+    },
+    employment: {
+      laborForce: laborForce,
+      employed: parseInt(dataMap[CENSUS_VARIABLES.employed]) || 0,
+      unemployed: unemployed,
+      unemploymentRate: laborForce > 0 ? ((unemployed / laborForce) * 100).toFixed(1) : 0,
+      notInLaborForce: parseInt(dataMap[CENSUS_VARIABLES.notInLaborForce]) || 0,
+    },
+    education: {
+      lessThanHS: parseInt(dataMap[CENSUS_VARIABLES.lessThanHS]) || 0,
+      hsGraduate: parseInt(dataMap[CENSUS_VARIABLES.hsGraduate]) || 0,
+      someCollege: parseInt(dataMap[CENSUS_VARIABLES.someCollege]) || 0,
+      bachelors: parseInt(dataMap[CENSUS_VARIABLES.bachelors]) || 0,
+      graduate: parseInt(dataMap[CENSUS_VARIABLES.graduate]) || 0,
+    },
+    housing: {
+      medianValue: parseInt(dataMap[CENSUS_VARIABLES.medianHomeValue]) || 0,
+      medianRent: parseInt(dataMap[CENSUS_VARIABLES.medianRent]) || 0,
+      ownerOccupied: parseInt(dataMap[CENSUS_VARIABLES.ownerOccupied]) || 0,
+      renterOccupied: parseInt(dataMap[CENSUS_VARIABLES.renterOccupied]) || 0,
+    },
+    race: {
+      white: parseInt(dataMap[CENSUS_VARIABLES.white]) || 0,
+      black: parseInt(dataMap[CENSUS_VARIABLES.black]) || 0,
+      asian: parseInt(dataMap[CENSUS_VARIABLES.asian]) || 0,
+      hispanic: parseInt(dataMap[CENSUS_VARIABLES.hispanic]) || 0,
+    },
+    health: {
+      civilianPopulation: count('healthInsuranceUniverse'),
+      uninsured: count(...UNINSURED_VARIABLES),
+      uninsuredRate: percent(count(...UNINSURED_VARIABLES), count('healthInsuranceUniverse')),
+    },
+    foodAssistance: {
+      households: count('snapUniverse'),
+      snapHouseholds: count('snapHouseholds'),
+      snapRate: percent(count('snapHouseholds'), count('snapUniverse')),
+    },
+    veterans: {
+      civilianAdults: count('civilianAdults'),
+      veterans: count('veterans'),
+      veteranRate: percent(count('veterans'), count('civilianAdults')),
+    },
+    nativity: {
+      total: count('citizenshipUniverse'),
+      foreignBorn: count('naturalizedCitizens', 'nonCitizens'),
+      naturalized: count('naturalizedCitizens'),
+      nonCitizen: count('nonCitizens'),
+      foreignBornRate: percent(count('naturalizedCitizens', 'nonCitizens'), count('citizenshipUniverse')),
+      nonCitizenRate: percent(count('nonCitizens'), count('citizenshipUniverse')),
+    },
+    language: {
+      households: count('languageUniverse'),
+      englishOnly: count('englishOnlyHouseholds'),
+      limitedEnglish: count(...LIMITED_ENGLISH_VARIABLES),
+      otherLanguageRate: percent(count('languageUniverse') - count('englishOnlyHouseholds'), count('languageUniverse')),
+      limitedEnglishRate: percent(count(...LIMITED_ENGLISH_VARIABLES), count('languageUniverse')),
+    },
+    disability: {
+      civilianPopulation: count('disabilityUniverse'),
+      withDisability: count('disabilityUniverse') - count(...NO_DISABILITY_VARIABLES),
+      disabilityRate: percent(count('disabilityUniverse') - count(...NO_DISABILITY_VARIABLES), count('disabilityUniverse')),
+    },
+    internet: {
+      households: count('internetUniverse'),
+      broadband: count('broadbandHouseholds'),
+      noInternet: count('noInternetHouseholds'),
+      broadbandRate: percent(count('broadbandHouseholds'), count('internetUniverse')),
+      noInternetRate: percent(count('noInternetHouseholds'), count('internetUniverse')),
+    },
+    commute: {
+      workers: count('commuters'),
+      meanMinutes: count('commuters') > 0 ? (count('aggregateCommuteMinutes') / count('commuters')).toFixed(1) : 0,
+      overOneHour: count('commute60to89', 'commute90Plus'),
+      overOneHourRate: percent(count('commute60to89', 'commute90Plus'), count('commuters')),
+    },
+    rawData: dataMap,
+    dataYear: ACS_YEAR,
+    source: 'US Census Bureau - American Community Survey 5-Year Estimates',
+  };
+}
+
+/**
+ * Fetch the demographic profile of a ZCTA, county or census tract
+ * @param {Object|string} area - { zipCode }, { countyFips }, { tractFips } or a geography key
+ * @returns {Promise<Object>} Demographic profile with `geography: { level, key, code, name }`
+ */
+export async function getDemographics(area) {
+  try {
+    const geography = acsGeography(area);
+    const dataMap = await fetchAcsRow(ACS_YEAR, geography.clause, Object.values(CENSUS_VARIABLES));
+
+    if (!dataMap) {
+      throw new Error(`No data found for ${geography.label}`);
+    }
+
+    return {
+      ...(geography.level === GEO_LEVELS.ZCTA && { zipCode: geography.code }),
+      geography: { level: geography.level, key: geography.key, code: geography.code, name: dataMap.NAME },
+      ...buildDemographicProfile(dataMap),
+    };
+  } catch (error) {
+    console.error('Census API Error:', error);
+    throw error;
+  }
+}
+
 /**
  * Fetch demographic data for a specific ZIP code
  * @param {string} zipCode - 5-digit ZIP code
  * @returns {Promise<Object>} Demographic data object
  */
 export async function getDemographicsByZip(zipCode) {
-  try {
-    // Build the variable list for the API request
-    const variables = Object.values(CENSUS_VARIABLES).join(',');
+  return getDemographics({ zipCode });
+}
 
-    // ACS 5-year endpoint for ZIP Code Tabulation Areas (ZCTAs)
-    const url = `${CENSUS_API_BASE}/${ACS_YEAR}/acs/acs5?get=NAME,${variables}&for=zip%20code%20tabulation%20area:${zipCode}`;
+/**
+ * Fetch demographic data for a county
+ * @param {string} countyFips - 5-digit state + county FIPS code
+ * @returns {Promise<Object>} Demographic data object
+ */
+export async function getDemographicsByCounty(countyFips) {
+  return getDemographics({ countyFips });
+}
 
-    const response = await fetch(url);
+/**
+ * Fetch demographic data for a census tract
+ * @param {string} tractFips - 11-digit tract GEOID (state + county + tract)
+ * @returns {Promise<Object>} Demographic data object
+ */
+export async function getDemographicsByTract(tractFips) {
+  return getDemographics({ tractFips });
+}
 
-    if (!response.ok) {
-      throw new Error(`Census API error: ${response.status} ${response.statusText}`);
+/**
+ * Fetch ZIP, county and census tract profiles for a story location, under
+ * the shared geography keys that county-level sources (FEMA declarations,
+ * BEA income, USDA and CDC data) can be matched on. The tract is only known
+ * when the location was geocoded from an address.
+ * @param {Object} location - Story location ({ zip, tract? })
+ * @returns {Promise<Object>} { geographyKeys, zcta, county, tract, errors } - a profile
+ *   is null when its key is unknown or the lookup failed (see errors)
+ */
+export async function getLocationDemographics(location = {}) {
+  const geographyKeys = getGeographyKeys(location);
+  const result = { geographyKeys, zcta: null, county: null, tract: null, errors: [] };
+
+  await Promise.all([GEO_LEVELS.ZCTA, GEO_LEVELS.COUNTY, GEO_LEVELS.TRACT].map(async (level) => {
+    if (!geographyKeys[level]) return;
+    try {
+      result[level] = await getDemographics(geographyKeys[level]);
+    } catch (error) {
+      result.errors.push({ key: geographyKeys[level], error: error.message });
     }
+  }));
+
+  return result;
+}
+
+/**
+ * Parse an ACS estimate cell; annotation codes (negative values) mean no estimate
+ * @param {string} value - Raw cell value
+ * @returns {number|null}
+ */
+function parseAcsEstimate(value) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+}
+
+/**
+ * Parse an ACS margin of error cell
+ * @param {string} value - Raw cell value
+ * @returns {number|null} MOE, 0 for controlled estimates, null when unavailable
+ */
+function parseAcsMoe(value) {
+  const parsed = parseFloat(value);
+  if (parsed === MOE_CONTROLLED) return 0;
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+}
+
+/**
+ * Label an ACS 5-year vintage with the survey years it covers
+ * @param {string} year - Vintage, e.g. '2022'
+ * @returns {string} e.g. '2018-2022'
+ */
+export function acsPeriod(year) {
+  return `${Number(year) - 4}-${year}`;
+}
+
+/**
+ * Fetch estimates and margins of error for every CENSUS_VARIABLES entry in one vintage
+ * @param {string} year - ACS 5-year vintage
+ * @param {Object} geography - From acsGeography
+ * @returns {Promise<Object>} { name, values: { [key]: { estimate, moe } } }
+ */
+async function fetchAcsVintage(year, geography) {
+  const codes = Object.values(CENSUS_VARIABLES).flatMap(code => [code, code.replace(/E$/, 'M')]);
+  const row = await fetchAcsRow(year, geography.clause, codes);
+
+  if (!row) {
+    throw new Error(`No ${year} ACS data found for ${geography.label}`);
+  }
+
+  const values = {};
+  Object.entries(CENSUS_VARIABLES).forEach(([key, code]) => {
+    values[key] = {
+      estimate: parseAcsEstimate(row[code]),
+      moe: parseAcsMoe(row[code.replace(/E$/, 'M')]),
+    };
+  });
+
+  return { name: row.NAME, values };
+}
 
-    const data = await response.json();
+/**
+ * Sum ACS estimates; the MOE of a sum is the root of the summed squared MOEs
+ * @param {Array<Object>} parts - { estimate, moe } entries
+ * @returns {Object} { estimate, moe }
+ */
+function sumAcsEstimates(parts) {
+  if (parts.some(part => part.estimate === null)) return { estimate: null, moe: null };
+  return {
+    estimate: parts.reduce((total, part) => total + part.estimate, 0),
+    moe: parts.some(part => part.moe === null) ? null : Math.sqrt(parts.reduce((total, part) => total + part.moe ** 2, 0)),
+  };
+}
+
+/**
+ * Derive a percentage and its margin of error from two ACS estimates.
+ * Uses the Census Bureau's approximation for proportions, falling back to the
+ * ratio formula when the proportion formula's radicand is negative.
+ * @param {Object} numerator - { estimate, moe }
+ * @param {Object} denominator - { estimate, moe }
+ * @returns {Object} { estimate, moe } in percent
+ */
+export function acsProportion(numerator, denominator) {
+  if (numerator.estimate === null || !denominator.estimate) {
+    return { estimate: null, moe: null };
+  }
+
+  const proportion = numerator.estimate / denominator.estimate;
+  if (numerator.moe === null || denominator.moe === null) {
+    return { estimate: proportion * 100, moe: null };
+  }
 
-    if (!data || data.length < 2) {
-      throw new Error(`No data found for ZIP code: ${zipCode}`);
+  const radicand = numerator.moe ** 2 - proportion ** 2 * denominator.moe ** 2;
+  const moe = Math.sqrt(radicand >= 0 ? radicand : numerator.moe ** 2 + proportion ** 2 * denominator.moe ** 2) / denominator.estimate;
+  return { estimate: proportion * 100, moe: moe * 100 };
+}
+
+/**
+ * Compare two ACS estimates. A change is significant at 90% confidence when
+ * it is larger than the MOE of the difference, sqrt(MOE1² + MOE2²).
+ * @param {Object} from - { estimate, moe } for the earlier vintage
+ * @param {Object} to - { estimate, moe } for the later vintage
+ * @returns {Object} { change, changeMoe, percentChange, zScore, significant, direction }
+ */
+export function compareAcsEstimates(from, to) {
+  if (from.estimate === null || to.estimate === null) {
+    return { change: null, changeMoe: null, percentChange: null, zScore: null, significant: null, direction: null };
+  }
+
+  const change = to.estimate - from.estimate;
+  const changeMoe = from.moe === null || to.moe === null ? null : Math.sqrt(from.moe ** 2 + to.moe ** 2);
+  const zScore = changeMoe ? change / (changeMoe / ACS_CONFIDENCE_Z) : null;
+
+  return {
+    change,
+    changeMoe,
+    percentChange: from.estimate ? (change / from.estimate) * 100 : null,
+    zScore,
+    // Controlled estimates have no sampling error, so any change counts
+    significant: changeMoe === null ? null : changeMoe === 0 ? change !== 0 : Math.abs(zScore) > ACS_CONFIDENCE_Z,
+    direction: change > 0 ? 'increase' : change < 0 ? 'decrease' : 'unchanged',
+  };
+}
+
+/**
+ * Fetch several ACS 5-year vintages for a ZCTA, county or tract and compute the
+ * change in every CENSUS_VARIABLES entry (plus poverty and unemployment rates)
+ * between the first and last vintage, with margins of error.
+ * Dollar amounts are nominal - they are not adjusted for inflation.
+ * @param {Object|string} area - { zipCode }, { countyFips }, { tractFips } or a geography key
+ * @param {Object} options - { years } vintages to fetch, oldest first
+ * @returns {Promise<Object>} { geography, years, periods, variables, rates, dataYear, source }
+ */
+export async function getAcsTrends(area, { years = [String(Number(ACS_YEAR) - ACS_TREND_SPAN), ACS_YEAR] } = {}) {
+  try {
+    const geography = acsGeography(area);
+    const vintages = [...new Set(years.map(String))].sort();
+    if (vintages.length < 2) {
+      throw new Error('At least two ACS vintages are needed for a trend');
     }
 
-    // Parse the response (first row is headers, second row is data)
-    const headers = data[0];
-    const values = data[1];
+    const results = await Promise.all(vintages.map(year => fetchAcsVintage(year, geography)));
+    const first = results[0];
+    const last = results[results.length - 1];
 
-    // Create a map of variable names to values
-    const dataMap = {};
-    headers.forEach((header, index) => {
-      dataMap[header] = values[index];
+    const describe = (seriesFor, from, to, extra) => ({
+      ...extra,
+      series: vintages.map((year, index) => ({ year, ...seriesFor(results[index]) })),
+      ...compareAcsEstimates(from, to),
     });
 
-    // Calculate derived metrics
-    const totalPop = parseInt(dataMap[CENSUS_VARIABLES.totalPopulation]) || 0;
-    const unemployed = parseInt(dataMap[CENSUS_VARIABLES.unemployed]) || 0;
-    const laborForce = parseInt(dataMap[CENSUS_VARIABLES.laborForce]) || 0;
-    const belowPoverty = parseInt(dataMap[CENSUS_VARIABLES.povertyRate]) || 0;
-    const totalPoverty = parseInt(dataMap[CENSUS_VARIABLES.totalForPoverty]) || 0;
+    const variables = {};
+    Object.entries(CENSUS_VARIABLES).forEach(([key, code]) => {
+      variables[key] = describe(
+        result => result.values[key],
+        first.values[key],
+        last.values[key],
+        { code: code.replace(/E$/, ''), unit: DOLLAR_VARIABLES.has(key) ? 'USD' : null }
+      );
+    });
+
+    const rates = {};
+    Object.entries(ACS_RATES).forEach(([key, { numerator, denominator, complement }]) => {
+      const rateFor = (result) => {
+        const share = acsProportion(sumAcsEstimates([].concat(numerator).map(name => result.values[name])), result.values[denominator]);
+        return complement && share.estimate !== null ? { ...share, estimate: 100 - share.estimate } : share;
+      };
+      rates[key] = describe(rateFor, rateFor(first), rateFor(last), { unit: 'percent' });
+    });
 
     return {
-      zipCode: zipCode,
-      name: dataMap.NAME,
-      population: {
-        total: totalPop,
-        male: parseInt(dataMap[CENSUS_VARIABLES.malePopulation]) || 0,
-        female: parseInt(dataMap[CENSUS_VARIABLES.femalePopulation]) || 0,
-        medianAge: parseFloat(dataMap[CENSUS_VARIABLES.medianAge]) || 0,
-        under18: parseInt(dataMap[CENSUS_VARIABLES.under18]) || 0,
-        over65: parseInt(dataMap[CENSUS_VARIABLES.over65]) || 0,
-      },
-      income: {
-        medianHousehold: parseInt(dataMap[CENSUS_VARIABLES.medianHouseholdIncome]) || 0,
-        perCapita: parseInt(dataMap[CENSUS_VARIABLES.perCapitaIncome]) || 0,
-        povertyRate: totalPoverty > 0 ? ((belowPoverty / totalPoverty) * 100).toFixed(1) : 0,
-        belowPovertyCount: belowPoverty,
-      },
-      employment: {
-        laborForce: laborForce,
-        employed: parseInt(dataMap[CENSUS_VARIABLES.employed]) || 0,
-        unemployed: unemployed,
-        unemploymentRate: laborForce > 0 ? ((unemployed / laborForce) * 100).toFixed(1) : 0,
-        notInLaborForce: parseInt(dataMap[CENSUS_VARIABLES.notInLaborForce]) || 0,
-      },
-      education: {
-        lessThanHS: parseInt(dataMap[CENSUS_VARIABLES.lessThanHS]) || 0,
-        hsGraduate: parseInt(dataMap[CENSUS_VARIABLES.hsGraduate]) || 0,
-        someCollege: parseInt(dataMap[CENSUS_VARIABLES.someCollege]) || 0,
-        bachelors: parseInt(dataMap[CENSUS_VARIABLES.bachelors]) || 0,
-        graduate: parseInt(dataMap[CENSUS_VARIABLES.graduate]) || 0,
-      },
-      housing: {
-        medianValue: parseInt(dataMap[CENSUS_VARIABLES.medianHomeValue]) || 0,
-        medianRent: parseInt(dataMap[CENSUS_VARIABLES.medianRent]) || 0,
-        ownerOccupied: parseInt(dataMap[CENSUS_VARIABLES.ownerOccupied]) || 0,
-        renterOccupied: parseInt(dataMap[CENSUS_VARIABLES.renterOccupied]) || 0,
-      },
-      race: {
-        white: parseInt(dataMap[CENSUS_VARIABLES.white]) || 0,
-        black: parseInt(dataMap[CENSUS_VARIABLES.black]) || 0,
-        asian: parseInt(dataMap[CENSUS_VARIABLES.asian]) || 0,
-        hispanic: parseInt(dataMap[CENSUS_VARIABLES.hispanic]) || 0,
-      },
-      rawData: dataMap,
-      dataYear: ACS_YEAR,
+      geography: { level: geography.level, key: geography.key, code: geography.code, name: last.name },
+      years: vintages,
+      periods: vintages.map(acsPeriod),
+      variables,
+      rates,
+      inflationAdjusted: false,
+      dataYear: vintages[vintages.length - 1],
       source: 'US Census Bureau - American Community Survey 5-Year Estimates',
     };
   } catch (error) {
-    console.error('Census API Error:', error);
+    console.error('Census ACS trend error:', error);
     throw error;
   }
 }
 
+/**
+ * Format a trend change for a message, e.g. "rose $180 (±$45)"
+ * @param {Object} trend - A variables or rates entry from getAcsTrends
+ * @returns {string}
+ */
+function describeTrendChange(trend) {
+  const amount = (value) => {
+    if (trend.unit === 'USD') return `$${Math.round(value).toLocaleString()}`;
+    if (trend.unit === 'percent') return `${value.toFixed(1)} points`;
+    return Math.round(value).toLocaleString();
+  };
+  const verb = trend.direction === 'increase' ? 'rose' : trend.direction === 'decrease' ? 'fell' : 'changed by';
+  const moe = trend.changeMoe === null ? '' : ` (±${amount(trend.changeMoe)})`;
+  return `${verb} ${amount(Math.abs(trend.change))}${moe}`;
+}
+
+/**
+ * Check story claims about rent, home values, poverty, unemployment and
+ * income against the measured ACS change. A claimed increase is supported
+ * only by a statistically significant increase and contradicted by a
+ * significant decrease; anything inside the margin of error is unverifiable.
+ * @param {Array<Object>} claims - Extracted claims (see claimExtraction.js)
+ * @param {Object} trends - From getAcsTrends
+ * @returns {Array<Object>} { claimId, source, status, message }
+ */
+export function checkTrendClaims(claims = [], trends) {
+  if (!trends) return [];
+  const span = `between the ${trends.periods[0]} and ${trends.periods[trends.periods.length - 1]} ACS`;
+  const checks = [];
+
+  TREND_CLAIM_SUBJECTS.forEach(({ terms, key, rate, label }) => {
+    const trend = rate ? trends.rates[key] : trends.variables[key];
+
+    claimsAbout(claims, terms)
+      .filter(claim => claim.direction === 'increase' || claim.direction === 'decrease')
+      .filter(claim => !checks.some(check => check.claimId === claim.id))
+      .forEach(claim => {
+        const check = { claimId: claim.id, source: 'Census ACS' };
+
+        if (!trend || trend.change === null) {
+          checks.push({ ...check, status: CLAIM_STATUS.UNVERIFIABLE, message: `${label} is not published for this area in both ACS periods` });
+        } else if (trend.significant === null) {
+          checks.push({ ...check, status: CLAIM_STATUS.UNVERIFIABLE, message: `${label} ${describeTrendChange(trend)} ${span}, but no margin of error is published to test it` });
+        } else if (!trend.significant) {
+          checks.push({ ...check, status: CLAIM_STATUS.UNVERIFIABLE, message: `${label} ${describeTrendChange(trend)} ${span}, within the margin of error` });
+        } else if (trend.direction === claim.direction) {
+          checks.push({ ...check, status: CLAIM_STATUS.SUPPORTED, message: `${label} ${describeTrendChange(trend)} ${span}` });
+        } else {
+          checks.push({ ...check, status: CLAIM_STATUS.CONTRADICTED, message: `${label} ${describeTrendChange(trend)} ${span}, the opposite of the claimed ${claim.direction}` });
+        }
+      });
+  });
+
+  return checks;
+}
+
+/**
+ * Find the policy-specific Census indicators that apply to a story
+ * @param {Object} story - Citizen story ({ policyArea, headline, story })
+ * @param {Object} censusData - From getDemographicsByZip
+ * @returns {Array<Object>} { id, label, value, display, message } for each indicator
+ */
+export function getPolicyIndicators(story, censusData) {
+  if (!censusData) return [];
+  // Pad with spaces so short keywords like ' va ' can match at the edges
+  const storyText = ` ${story.headline || ''} ${story.story || ''} `.toLowerCase();
+
+  return POLICY_INDICATORS
+    .filter(indicator => censusData[indicator.section])
+    .filter(indicator => indicator.policyAreas.includes(story.policyArea) || indicator.keywords.some(keyword => storyText.includes(keyword)))
+    .map(indicator => {
+      const value = Number(censusData[indicator.section][indicator.rate || indicator.value]);
+      return {
+        id: indicator.id,
+        label: indicator.label,
+        value,
+        display: indicator.rate ? `${value}%` : `${value} ${indicator.unit}`,
+        message: indicator.describe(censusData),
+      };
+    });
+}
+
+/**
+ * Name a profile's area for messages ("ZIP 78701", "Travis County, Texas")
+ * @param {Object} censusData - Demographic profile (getDemographics)
+ * @returns {string}
+ */
+function describeProfileArea(censusData) {
+  const { geography } = censusData;
+  if (!geography || geography.level === GEO_LEVELS.ZCTA) {
+    return `ZIP ${censusData.zipCode || geography?.code}`;
+  }
+  return geography.name || geography.key;
+}
+
+/**
+ * Check claimed shares and counts for the story's policy indicators, e.g.
+ * "40% of families here are on SNAP" or "1,200 veterans lost their clinic".
+ * Claims of change are left to the ACS trend checks.
+ * @param {Array<Object>} claims - Extracted claims (see claimExtraction.js)
+ * @param {Object} censusData - From getDemographicsByZip
+ * @param {Array<Object>} indicators - From getPolicyIndicators
+ * @returns {Array<Object>} { claimId, source, status, message }
+ */
+function checkPolicyClaims(claims, censusData, indicators) {
+  const checks = [];
+
+  indicators.forEach(({ id }) => {
+    const indicator = POLICY_INDICATORS.find(entry => entry.id === id);
+    const section = censusData[indicator.section];
+
+    claimsAbout(claims, indicator.claimTerms)
+      // Shares of the writer's own income aren't population rates
+      .filter(claim => !claim.direction && claim.quantity !== null && claim.base !== 'income')
+      .filter(claim => !checks.some(check => check.claimId === claim.id))
+      .forEach(claim => {
+        const check = { claimId: claim.id, source: 'Census ACS' };
+
+        if (claim.unit === 'percent') {
+          const rate = Number(section[indicator.rate]);
+          const consistent = Math.abs(claim.quantity - rate) <= Math.max(RATE_CLAIM_TOLERANCE, rate / 4);
+          checks.push({
+            ...check,
+            status: consistent ? CLAIM_STATUS.SUPPORTED : CLAIM_STATUS.CONTRADICTED,
+            message: `Claimed ${claim.quantity}% ${consistent ? 'is consistent with' : 'differs from'} the Census ${indicator.rateName} of ${rate}% in ${describeProfileArea(censusData)}`,
+          });
+        } else if (!claim.unit || PERSON_UNITS.has(claim.unit)) {
+          const total = section[indicator.count];
+          const plausible = claim.quantity <= total;
+          checks.push({
+            ...check,
+            status: plausible ? CLAIM_STATUS.SUPPORTED : CLAIM_STATUS.CONTRADICTED,
+            message: `Claimed ${claim.quantity.toLocaleString()} ${plausible ? 'is within' : 'exceeds'} the ${total.toLocaleString()} ${indicator.countName} the Census counts in ${describeProfileArea(censusData)}`,
+          });
+        }
+      });
+  });
+
+  return checks;
+}
+
 /**
  * Verify a citizen story's demographic claims against Census data
  * @param {Object} story - The citizen story object
  * @param {Object} censusData - Census data for the story's ZIP code
+ * @param {Object} [trends] - ACS trends for the ZIP (getAcsTrends), to check claims of change
  * @returns {Object} Verification results
  */
-export function verifyStoryDemographics(story, censusData) {
+export function verifyStoryDemographics(story, censusData, trends = null) {
   const verification = {
     zipCode: story.location.zip,
     verified: true,
@@ -223,9 +874,55 @@ export function verifyStoryDemographics(story, censusData) {
   // Add demographic context
   verification.insights.push({
     type: 'demographic_context',
-    message: `ZIP ${censusData.zipCode}: ${censusData.population.total.toLocaleString()} residents, ${censusData.employment.unemploymentRate}% unemployment, $${censusData.income.medianHousehold.toLocaleString()} median income`,
+    message: `${describeProfileArea(censusData)}: ${censusData.population.total.toLocaleString()} residents, ${censusData.employment.unemploymentRate}% unemployment, $${censusData.income.medianHousehold.toLocaleString()} median income`,
+  });
+
+  const claims = story.claims || extractClaimsHeuristic(story);
+  verification.claimChecks = [];
+
+  // Policy-specific context, e.g. coverage for healthcare stories
+  const indicators = getPolicyIndicators(story, censusData);
+  indicators.forEach(indicator => {
+    verification.insights.push({ type: 'policy_context', message: `${describeProfileArea(censusData)}: ${indicator.message}` });
+  });
+  checkPolicyClaims(claims, censusData, indicators).forEach(check => {
+    verification.claimChecks.push(check);
+    if (check.status === CLAIM_STATUS.SUPPORTED) {
+      verification.confidence += 10;
+      verification.insights.push({ type: 'policy_claim_supported', message: check.message });
+    } else {
+      verification.flags.push({ type: 'policy_claim_mismatch', severity: 'medium', message: check.message });
+    }
   });
 
+  // Check claims that things got better or worse against the measured change
+  if (trends) {
+    checkTrendClaims(claims, trends).forEach(check => {
+      verification.claimChecks.push(check);
+      if (check.status === CLAIM_STATUS.SUPPORTED) {
+        verification.confidence += 10;
+        verification.insights.push({ type: 'trend_supported', message: check.message });
+      } else if (check.status === CLAIM_STATUS.CONTRADICTED) {
+        verification.flags.push({ type: 'trend_contradicted', severity: 'medium', message: check.message });
+      }
+    });
+
+    const changes = TREND_CLAIM_SUBJECTS
+      .map(({ key, rate, label }) => ({ label, trend: rate ? trends.rates[key] : trends.variables[key] }))
+      .filter(({ trend }) => trend?.significant)
+      .map(({ label, trend }) => {
+        const subject = label.replace(/^The /, '');
+        return `${subject.charAt(0).toLowerCase()}${subject.slice(1)} ${describeTrendChange(trend)}`;
+      });
+
+    verification.insights.push({
+      type: 'demographic_trend',
+      message: changes.length > 0
+        ? `Since ${trends.periods[0]}: ${changes.join(', ')}`
+        : `No statistically significant change in rent, income, poverty or the other tracked measures since ${trends.periods[0]}`,
+    });
+  }
+
   // Calculate final confidence score
   verification.confidence = Math.min(100, verification.confidence + 50); // Base 50 + verification points
 
@@ -233,34 +930,42 @@ export function verifyStoryDemographics(story, censusData) {
 }
 
 /**
- * Get Census data for multiple ZIP codes in batch
- * @param {Array<string>} zipCodes - Array of ZIP codes
- * @returns {Promise<Object>} Map of ZIP codes to demographic data
+ * Get Census data for multiple areas in batch
+ * @param {Array<string>} areas - ZIP codes or geography keys (e.g. 'county:48453');
+ *   a bare 5-digit code is always read as a ZIP
+ * @returns {Promise<Object>} Map of each ZIP code or key to its demographic data
  */
-export async function getBatchDemographics(zipCodes) {
+export async function getBatchDemographics(areas) {
   const results = {};
   const errors = [];
 
-  for (const zip of zipCodes) {
+  for (const area of areas) {
     try {
-      results[zip] = await getDemographicsByZip(zip);
+      results[area] = await getDemographics(/^\d{5}$/.test(area) ? { zipCode: area } : area);
     } catch (error) {
-      errors.push({ zip, error: error.message });
+      errors.push({ area, error: error.message });
     }
   }
 
   return {
     results,
     errors,
-    total: zipCodes.length,
+    total: areas.length,
     successful: Object.keys(results).length,
     failed: errors.length,
   };
 }
 
 export default {
+  getDemographics,
   getDemographicsByZip,
+  getDemographicsByCounty,
+  getDemographicsByTract,
+  getLocationDemographics,
+  getAcsTrends,
+  getPolicyIndicators,
   verifyStoryDemographics,
+  checkTrendClaims,
   getBatchDemographics,
   CENSUS_VARIABLES,
 };
@@ -0,0 +1,413 @@
+/**
+ * Claim Extraction Service
+ *
+ * Turns free-form story text into structured, checkable claims so verifiers
+ * can test specific assertions against federal data instead of scanning for
+ * keywords. Examples:
+ * - "class sizes went from 22 to 31"  -> { subject: 'class sizes', from: 22, to: 31, direction: 'increase' }
+ * - "rent up $400"                   -> { subject: 'rent', quantity: 400, unit: 'USD', direction: 'increase' }
+ * - "electric bill is $310 a month"  -> { subject: 'electric bill', quantity: 310, unit: 'USD', period: 'month' }
+ * - "power bill eats a third of my paycheck" -> { subject: 'power bill', quantity: 33.3, unit: 'percent', base: 'income' }
+ *
+ * Uses AI (Anthropic Claude or OpenAI) when configured and falls back to
+ * regex heuristics, which also work offline.
+ */
+
+import { getConfig } from './config.js';
+
+const ANTHROPIC_API_KEY = getConfig('ANTHROPIC_API_KEY') || '';
+const OPENAI_API_KEY = getConfig('OPENAI_API_KEY') || '';
+
+// Claim check outcomes reported by verifiers
+export const CLAIM_STATUS = {
+  SUPPORTED: 'supported',
+  CONTRADICTED: 'contradicted',
+  UNVERIFIABLE: 'unverifiable',
+};
+
+const INCREASE_WORDS = ['up', 'increased', 'increase', 'rose', 'risen', 'jumped', 'climbed', 'grew', 'doubled', 'tripled', 'raised', 'spiked', 'soared', 'hiked', 'more'];
+const DECREASE_WORDS = ['down', 'decreased', 'decrease', 'fell', 'fallen', 'dropped', 'declined', 'cut', 'slashed', 'reduced', 'lost', 'lower', 'less'];
+
+// Words that are never the subject of a claim
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'my', 'our', 'their', 'his', 'her', 'its', 'we', 'i', 'they', 'it', 'has', 'have', 'had',
+  'was', 'were', 'is', 'are', 'been', 'be', 'just', 'now', 'then', 'and', 'so', 'that', 'this', 'which', 'also',
+  'went', 'gone', 'go', 'by', 'of', 'to', 'from', 'all', 'only', 'almost', 'nearly', 'about', 'over',
+]);
+
+const NUMBER = '\\$?\\d[\\d,]*(?:\\.\\d+)?';
+const UNIT = '(?:\\s*(%|percent|dollars|kwh|students|jobs|workers|people|families|hours|minutes|miles|days|weeks|months|years))?';
+const PERIOD = '(?:\\s*(?:a|per|each|/)\\s*(month|year|week|day|hour|kwh))?';
+const DIRECTION_WORDS = [...INCREASE_WORDS, ...DECREASE_WORDS].join('|');
+
+const FROM_TO_PATTERN = new RegExp(
+  `([a-z][a-z' -]{0,40}?)\\s+(?:went|has gone|have gone|rose|increased|jumped|climbed|grew|fell|dropped|decreased|declined|changed|spiked|shot up|went up|went down)?\\s*from\\s+(${NUMBER})${UNIT}${PERIOD}\\s+to\\s+(${NUMBER})${UNIT}${PERIOD}`,
+  'gi'
+);
+const CHANGE_BY_PATTERN = new RegExp(
+  `([a-z][a-z' -]{0,40}?)\\s+(?:has |have |had |was |were |is |are |got |went |been )*(${DIRECTION_WORDS})\\s+(?:by\\s+)?(?:about\\s+|almost\\s+|nearly\\s+|over\\s+)?(${NUMBER})${UNIT}${PERIOD}`,
+  'gi'
+);
+const AMOUNT_IS_PATTERN = new RegExp(
+  `([a-z][a-z' -]{0,40}?)\\s+(?:is|are|was|were|costs?|runs?|now|of|at|pay|paid|paying)\\s+(?:now\\s+|about\\s+|almost\\s+|nearly\\s+|over\\s+)?(${NUMBER})${UNIT}${PERIOD}`,
+  'gi'
+);
+const VERB_COUNT_PATTERN = new RegExp(
+  `\\b(lost|cut|laid off|eliminated|closed|added|hired|gained)\\s+(?:about\\s+|almost\\s+|nearly\\s+|over\\s+)?(\\d[\\d,]*)\\s+(?:[a-z]+\\s+)?(jobs|workers|teachers|employees|positions|nurses|doctors|staff|students|beds|people|families|officers|routes|classes|schools|clinics|programs)\\b`,
+  'gi'
+);
+// "a third of my paycheck" - shares of the writer's own income
+const SHARE_WORDS = {
+  'a tenth': 10,
+  'one tenth': 10,
+  'a fifth': 20,
+  'one fifth': 20,
+  'a quarter': 25,
+  'one quarter': 25,
+  'a third': 33.3,
+  'one third': 33.3,
+  'half': 50,
+  'a half': 50,
+  'two thirds': 66.7,
+  'three quarters': 75,
+};
+const INCOME_SHARE_PATTERN = new RegExp(
+  `([a-z][a-z' -]{0,40}?)\\s+(?:now\\s+)?(?:eats|eats up|takes|takes up|swallows|uses up|costs|is|are|makes up|accounts for)\\s+(?:about\\s+|almost\\s+|nearly\\s+|over\\s+|more than\\s+)?(${Object.keys(SHARE_WORDS).join('|')}|\\d+(?:\\.\\d+)?\\s*(?:%|percent))\\s+of\\s+(?:my|our|his|her|their|the)\\s+(?:monthly\\s+|take-home\\s+|household\\s+|whole\\s+)?(paychecks?|income|pay|salary|wages|check|earnings)\\b`,
+  'gi'
+);
+
+const TIME_PATTERN = /\b(since (?:january|february|march|april|may|june|july|august|september|october|november|december|last (?:year|month|spring|summer|fall|winter)|\d{4})|last (?:year|month|week|spring|summer|fall|winter|semester)|this (?:year|month|week|semester|school year)|in (?:19|20)\d{2}|over the (?:past|last) (?:\d+|few|two|three|six) (?:months|years|weeks)|(?:\d+|two|three|six) (?:months|years|weeks) ago)\b/i;
+const PLACE_PATTERN = /\bin ([A-Z][a-zA-Z]+(?: [A-Z][a-zA-Z]+)*(?: County| Parish| City)?)/;
+
+/**
+ * Parse a number string such as "$1,200" or "31"
+ * @param {string} value - Matched number text
+ * @returns {number|null}
+ */
+function parseNumber(value) {
+  if (!value) return null;
+  const parsed = parseFloat(value.replace(/[$,]/g, ''));
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Normalize a matched unit into a short unit code
+ * @param {string} numberText - The matched number (may include $)
+ * @param {string} unitText - The matched unit word
+ * @returns {string|null}
+ */
+function normalizeUnit(numberText, unitText) {
+  if (numberText?.startsWith('$') || unitText === 'dollars') return 'USD';
+  if (unitText === '%' || unitText === 'percent') return 'percent';
+  return unitText ? unitText.toLowerCase() : null;
+}
+
+/**
+ * Reduce the words before a quantity to a short subject ("my rent" -> "rent")
+ * @param {string} phrase - Text preceding the verb
+ * @returns {string|null}
+ */
+function cleanSubject(phrase) {
+  const words = (phrase || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  // Keep the last few meaningful words (closest to the verb)
+  const meaningful = [];
+  for (let i = words.length - 1; i >= 0 && meaningful.length < 3; i--) {
+    if (STOP_WORDS.has(words[i])) {
+      if (meaningful.length > 0) break;
+      continue;
+    }
+    meaningful.unshift(words[i]);
+  }
+
+  return meaningful.length > 0 ? meaningful.join(' ') : null;
+}
+
+/**
+ * Direction of change implied by a verb
+ * @param {string} word - Verb or adverb
+ * @returns {string|null} 'increase' | 'decrease' | null
+ */
+function directionOf(word) {
+  const normalized = (word || '').toLowerCase();
+  if (INCREASE_WORDS.includes(normalized)) return 'increase';
+  if (DECREASE_WORDS.includes(normalized)) return 'decrease';
+  return null;
+}
+
+/**
+ * Split story text into sentences
+ * @param {string} text - Story text
+ * @returns {Array<string>}
+ */
+function splitSentences(text) {
+  return (text || '')
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Extract claims with regex heuristics (works offline)
+ * @param {Object} story - Citizen story ({ headline, story, location })
+ * @returns {Array<Object>} Structured claims
+ */
+export function extractClaimsHeuristic(story) {
+  const claims = [];
+  const defaultPlace = story.location?.city || story.location?.zip || story.location?.state || null;
+
+  for (const sentence of splitSentences(story.story)) {
+    const lower = sentence.toLowerCase();
+    const timeReference = sentence.match(TIME_PATTERN)?.[1]?.toLowerCase() || null;
+    const place = sentence.match(PLACE_PATTERN)?.[1] || defaultPlace;
+    const claimed = [];
+
+    const addClaim = (claim, index, length) => {
+      // Skip quantities already captured by a more specific pattern
+      if (claimed.some(([start, end]) => index < end && index + length > start)) return;
+      claimed.push([index, index + length]);
+      claims.push({
+        id: `claim-${claims.length + 1}`,
+        text: sentence,
+        subject: null,
+        quantity: null,
+        unit: null,
+        period: null,
+        direction: null,
+        from: null,
+        to: null,
+        base: null,
+        timeReference,
+        place,
+        ...claim,
+      });
+    };
+
+    // "class sizes went from 22 to 31"
+    for (const match of lower.matchAll(FROM_TO_PATTERN)) {
+      const from = parseNumber(match[2]);
+      const to = parseNumber(match[5]);
+      if (from === null || to === null) continue;
+      addClaim({
+        subject: cleanSubject(match[1]),
+        quantity: Math.round((to - from) * 100) / 100,
+        unit: normalizeUnit(match[5], match[6] || match[3]),
+        period: match[7] || match[4] || null,
+        direction: to > from ? 'increase' : to < from ? 'decrease' : 'unchanged',
+        from,
+        to,
+      }, match.index, match[0].length);
+    }
+
+    // "electric bill eats a third of my paycheck", "rent is 40% of our income"
+    for (const match of lower.matchAll(INCOME_SHARE_PATTERN)) {
+      addClaim({
+        subject: cleanSubject(match[1]),
+        quantity: SHARE_WORDS[match[2]] ?? parseNumber(match[2]),
+        unit: 'percent',
+        base: 'income',
+      }, match.index, match[0].length);
+    }
+
+    // "lost 200 jobs", "laid off 50 workers"
+    for (const match of lower.matchAll(VERB_COUNT_PATTERN)) {
+      addClaim({
+        subject: match[3],
+        quantity: parseNumber(match[2]),
+        unit: match[3],
+        direction: ['added', 'hired', 'gained'].includes(match[1]) ? 'increase' : 'decrease',
+      }, match.index, match[0].length);
+    }
+
+    // "rent up $400", "bill increased by 30%"
+    for (const match of lower.matchAll(CHANGE_BY_PATTERN)) {
+      addClaim({
+        subject: cleanSubject(match[1]),
+        quantity: parseNumber(match[3]),
+        unit: normalizeUnit(match[3], match[4]),
+        period: match[5] || null,
+        direction: directionOf(match[2]),
+      }, match.index, match[0].length);
+    }
+
+    // "electric bill is $310 a month"
+    for (const match of lower.matchAll(AMOUNT_IS_PATTERN)) {
+      // "we pay $1,800 a month for rent" names the subject after the amount
+      const trailingSubject = lower.slice(match.index + match[0].length).match(/^\s*(?:for|on)\s+(?:the\s+|our\s+|my\s+)?([a-z]+(?: bill)?)/)?.[1];
+      addClaim({
+        subject: cleanSubject(match[1]) || trailingSubject || null,
+        quantity: parseNumber(match[2]),
+        unit: normalizeUnit(match[2], match[3]),
+        period: match[4] || null,
+      }, match.index, match[0].length);
+    }
+  }
+
+  return claims.filter(claim => claim.quantity !== null);
+}
+
+/**
+ * Extract claims using AI (Anthropic Claude or OpenAI)
+ * @param {Object} story - Citizen story
+ * @returns {Promise<Array<Object>|null>} Claims, or null if AI is unavailable
+ */
+async function extractClaimsWithAI(story) {
+  const prompt = `Extract the factual, checkable claims from this citizen story. Return ONLY a JSON object with no additional text.
+
+Policy Area: ${story.policyArea}
+Location: ${story.location?.city || ''}, ${story.location?.state || ''} ${story.location?.zip || ''}
+Story Text: ${story.story}
+
+Return a JSON object with this exact structure:
+{
+  "claims": [
+    {
+      "text": "<sentence the claim comes from>",
+      "subject": "<what is measured, e.g. rent, class size, electric bill, unemployment>",
+      "quantity": <number or null - the amount or size of change>,
+      "unit": "<USD|percent|students|jobs|... or null>",
+      "period": "<month|year|... or null>",
+      "direction": "<increase|decrease|unchanged or null>",
+      "from": <number or null>,
+      "to": <number or null>,
+      "base": "<income if the quantity is a share of the writer's income or paycheck, else null>",
+      "timeReference": "<e.g. since January, last year, or null>",
+      "place": "<place named in the story or null>"
+    }
+  ]
+}
+
+Only include claims that contain a number. Do not infer numbers that are not in the text.`;
+
+  try {
+    let jsonText;
+
+    if (ANTHROPIC_API_KEY) {
+      const response = await fetch('https://api.anthropic.com/v1/messages', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': ANTHROPIC_API_KEY,
+          'anthropic-version': '2023-06-01',
+        },
+        body: JSON.stringify({
+          model: 'claude-3-5-sonnet-20241022',
+          max_tokens: 1024,
+          temperature: 0,
+          messages: [{ role: 'user', content: prompt }],
+        }),
+      });
+
+      if (!response.ok) throw new Error('Claude API request failed');
+      const data = await response.json();
+      jsonText = data.content[0].text;
+    } else if (OPENAI_API_KEY) {
+      const response = await fetch('https://api.openai.com/v1/chat/completions', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${OPENAI_API_KEY}`,
+        },
+        body: JSON.stringify({
+          model: 'gpt-4-turbo-preview',
+          messages: [
+            { role: 'system', content: 'You extract factual claims from text. Return only valid JSON.' },
+            { role: 'user', content: prompt },
+          ],
+          max_tokens: 1024,
+          temperature: 0,
+        }),
+      });
+
+      if (!response.ok) throw new Error('OpenAI API request failed');
+      const data = await response.json();
+      jsonText = data.choices[0].message.content;
+    } else {
+      return null;
+    }
+
+    const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) throw new Error('No JSON found in AI response');
+
+    const parsed = JSON.parse(jsonMatch[0]);
+    if (!Array.isArray(parsed.claims)) throw new Error('AI response missing claims array');
+
+    return parsed.claims
+      .filter(claim => typeof claim.quantity === 'number' || typeof claim.to === 'number')
+      .map((claim, index) => ({
+        id: `claim-${index + 1}`,
+        text: claim.text || '',
+        subject: claim.subject ? String(claim.subject).toLowerCase() : null,
+        quantity: typeof claim.quantity === 'number' ? claim.quantity : null,
+        unit: claim.unit || null,
+        period: claim.period || null,
+        direction: ['increase', 'decrease', 'unchanged'].includes(claim.direction) ? claim.direction : null,
+        from: typeof claim.from === 'number' ? claim.from : null,
+        to: typeof claim.to === 'number' ? claim.to : null,
+        base: claim.base === 'income' ? 'income' : null,
+        timeReference: claim.timeReference || null,
+        place: claim.place || story.location?.city || story.location?.state || null,
+      }));
+  } catch (error) {
+    console.warn('AI claim extraction failed, using fallback:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Main extraction function - tries AI first, falls back to heuristics
+ * @param {Object} story - The citizen story
+ * @returns {Promise<Object>} { claims, extractionMethod: 'ai' | 'heuristic' }
+ */
+export async function extractClaims(story) {
+  const aiClaims = await extractClaimsWithAI(story);
+
+  if (aiClaims) {
+    return { claims: aiClaims, extractionMethod: 'ai' };
+  }
+
+  return { claims: extractClaimsHeuristic(story), extractionMethod: 'heuristic' };
+}
+
+/**
+ * Find claims about any of the given subjects
+ * @param {Array<Object>} claims - Extracted claims
+ * @param {Array<string>} subjectTerms - Terms to look for in claim subjects
+ * @returns {Array<Object>} Matching claims
+ */
+export function claimsAbout(claims = [], subjectTerms = []) {
+  return claims.filter(claim =>
+    claim.subject && subjectTerms.some(term => claim.subject.includes(term))
+  );
+}
+
+/**
+ * Roll up per-source claim checks into one status per claim.
+ * Any contradiction wins, then any support; otherwise unverifiable.
+ * @param {Array<Object>} claims - Extracted claims
+ * @param {Array<Object>} checks - { claimId, source, status, message }
+ * @returns {Array<Object>} Claims with `status` and `checks`
+ */
+export function summarizeClaimChecks(claims = [], checks = []) {
+  return claims.map(claim => {
+    const claimChecks = checks.filter(check => check.claimId === claim.id);
+    const status = claimChecks.some(check => check.status === CLAIM_STATUS.CONTRADICTED)
+      ? CLAIM_STATUS.CONTRADICTED
+      : claimChecks.some(check => check.status === CLAIM_STATUS.SUPPORTED)
+      ? CLAIM_STATUS.SUPPORTED
+      : CLAIM_STATUS.UNVERIFIABLE;
+
+    return { ...claim, status, checks: claimChecks };
+  });
+}
+
+export default {
+  CLAIM_STATUS,
+  extractClaims,
+  extractClaimsHeuristic,
+  claimsAbout,
+  summarizeClaimChecks,
+};
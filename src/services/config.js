@@ -0,0 +1,405 @@
+/**
+ * Configuration and Secrets
+ *
+ * Every environment setting the app reads is declared in CONFIG_SCHEMA with
+ * its type, default and scope:
+ * - server: secrets and server settings. Read from process.env only, never in
+ *   the browser. The legacy VITE_ name still works on the server, but anything
+ *   prefixed VITE_ is bundled into the browser app, so validation warns about it.
+ * - public: safe to ship to the browser (API base URLs, Supabase anon key).
+ *   Read from X or VITE_X in Node and from VITE_X in the browser.
+ *
+ * The browser learns which server features are available (AI, database,
+ * keyed data sources) from GET /api/config/features (getFeatures), which
+ * reports booleans and never values.
+ *
+ * Values left as the .env.example placeholder ('your-...-here') or an
+ * unexpanded '${VAR}' count as unset.
+ */
+
+export const CONFIG_SCOPES = {
+  SERVER: 'server',
+  PUBLIC: 'public',
+};
+
+// Matches one API_QUOTAS entry: source=limit/unit
+export const QUOTA_ENTRY_PATTERN = /^([\w-]+)=(\d+|none)\/(minute|hour|day)$/;
+
+const { SERVER, PUBLIC } = CONFIG_SCOPES;
+
+/**
+ * Setting: { scope, type, default?, secret?, source?, fallback?, requiredInProduction?, description }
+ * - type: 'string' | 'url' | 'port' | 'list' | 'enum' (with values) | 'quotas'
+ * - source: data source id (verifier / quota id) the key unlocks
+ * - fallback: another setting used when this one is unset
+ */
+export const CONFIG_SCHEMA = {
+  // API server
+  PORT: { scope: SERVER, type: 'port', default: 3001, description: 'API server port' },
+  CORS_ORIGINS: {
+    scope: SERVER,
+    type: 'list',
+    default: ['http://localhost:5173'],
+    requiredInProduction: true,
+    description: 'Comma-separated origins allowed to call the API server, or *',
+  },
+  API_URL: { scope: PUBLIC, type: 'url', default: 'http://localhost:3001', description: 'API server URL used by the frontend' },
+  ADMIN_API_TOKEN: {
+    scope: SERVER,
+    type: 'string',
+    secret: true,
+    description: 'Bearer token for admin routes (sweeps, backfills, jobs, cache, raw source data); unset disables them',
+  },
+
+  // Database
+  SUPABASE_URL: { scope: PUBLIC, type: 'url', requiredInProduction: true, description: 'Supabase project URL' },
+  SUPABASE_ANON_KEY: { scope: PUBLIC, type: 'string', description: 'Supabase anon key (read-only access for the browser)' },
+  SUPABASE_SERVICE_ROLE_KEY: {
+    scope: SERVER,
+    type: 'string',
+    secret: true,
+    requiredInProduction: true,
+    description: 'Supabase service role key used by the API server to save stories',
+  },
+
+  // AI
+  ANTHROPIC_API_KEY: { scope: SERVER, type: 'string', secret: true, description: 'Anthropic API key (story analysis, claims, creative briefs)' },
+  OPENAI_API_KEY: { scope: SERVER, type: 'string', secret: true, description: 'OpenAI API key, used when no Anthropic key is set' },
+
+  // Federal data source credentials
+  EIA_API_KEY: { scope: SERVER, type: 'string', secret: true, source: 'eia', description: 'EIA Open Data API key' },
+  NCDC_API_TOKEN: { scope: SERVER, type: 'string', secret: true, source: 'ncdc', description: 'NOAA Climate Data Online token' },
+  HUD_API_KEY: { scope: SERVER, type: 'string', secret: true, source: 'hud', description: 'HUD User API key' },
+  DOT_ACCESS_TOKEN: { scope: SERVER, type: 'string', secret: true, source: 'dot', description: 'DOT open data access token' },
+  DOT_SECRET_KEY: { scope: SERVER, type: 'string', secret: true, source: 'dot', description: 'DOT open data secret key' },
+  DATA_GOV_API_KEY: { scope: SERVER, type: 'string', secret: true, source: 'fbi-crime', description: 'api.data.gov key (FBI Crime Data Explorer)' },
+  DEPT_ED_API_KEY: {
+    scope: SERVER,
+    type: 'string',
+    secret: true,
+    source: 'dept-education',
+    fallback: 'DATA_GOV_API_KEY',
+    description: 'College Scorecard key (defaults to the api.data.gov key)',
+  },
+  BEA_USER_ID: { scope: SERVER, type: 'string', secret: true, source: 'bea', description: 'BEA API UserID' },
+  FRED_API_KEY: { scope: SERVER, type: 'string', secret: true, source: 'fred', description: 'FRED API key' },
+  FEC_API_KEY: {
+    scope: SERVER,
+    type: 'string',
+    secret: true,
+    source: 'fec',
+    default: 'DEMO_KEY',
+    description: 'OpenFEC key (DEMO_KEY allows 30 requests an hour)',
+  },
+  USDA_API_KEY: { scope: SERVER, type: 'string', secret: true, source: 'usda', description: 'USDA NASS Quick Stats key' },
+  HRSA_API_TOKEN: { scope: SERVER, type: 'string', secret: true, source: 'hrsa', description: 'HRSA data web token' },
+  NEWS_API_KEY: { scope: SERVER, type: 'string', secret: true, source: 'news', description: 'NewsAPI key' },
+  CONGRESS_API_KEY: { scope: SERVER, type: 'string', secret: true, source: 'congress', description: 'Congress.gov API key' },
+
+  // Federal data source endpoints
+  USASPENDING_API_BASE: { scope: PUBLIC, type: 'url', default: 'https://api.usaspending.gov/api/v2', description: 'USAspending API' },
+  FEDERAL_REGISTER_API_BASE: { scope: PUBLIC, type: 'url', default: 'https://www.federalregister.gov/api/v1', description: 'Federal Register API' },
+  EPA_ENVIROFACTS_API_BASE: { scope: PUBLIC, type: 'url', default: 'https://data.epa.gov/efservice', description: 'EPA Envirofacts API' },
+  CDC_WONDER_API_BASE: { scope: PUBLIC, type: 'url', default: 'https://wonder.cdc.gov/controller/datarequest', description: 'CDC WONDER API' },
+  FBI_CRIME_API_BASE: { scope: PUBLIC, type: 'url', default: 'https://api.usa.gov/crime/fbi/cde', description: 'FBI Crime Data Explorer API' },
+  FEMA_API_BASE: { scope: PUBLIC, type: 'url', default: 'https://www.fema.gov/api/open/v2', description: 'OpenFEMA API' },
+  BEA_API_BASE: { scope: PUBLIC, type: 'url', default: 'https://apps.bea.gov/api/data', description: 'BEA API' },
+  FRED_API_BASE: { scope: PUBLIC, type: 'url', default: 'https://api.stlouisfed.org/fred', description: 'FRED API' },
+  NEWS_API_BASE: { scope: PUBLIC, type: 'url', default: 'https://newsapi.org/v2', description: 'NewsAPI' },
+  TREASURY_API_BASE: {
+    scope: PUBLIC,
+    type: 'url',
+    default: 'https://api.fiscaldata.treasury.gov/services/api/fiscal_service',
+    description: 'Treasury Fiscal Data API',
+  },
+  VA_FACILITIES_API_BASE: { scope: PUBLIC, type: 'url', default: 'https://api.va.gov/services/va_facilities/v1', description: 'VA Facilities API' },
+  VA_FORMS_API_BASE: { scope: PUBLIC, type: 'url', default: 'https://api.va.gov/services/va_forms/v0', description: 'VA Forms API' },
+  DEPT_ED_BASE_URL: { scope: PUBLIC, type: 'url', default: 'https://api.data.gov/ed/collegescorecard/v1', description: 'College Scorecard API' },
+  CONGRESS_BASE_URL: { scope: PUBLIC, type: 'url', default: 'https://api.congress.gov/v3', description: 'Congress.gov API' },
+  FEC_API_BASE: { scope: PUBLIC, type: 'url', default: 'https://api.open.fec.gov/v1', description: 'OpenFEC API' },
+  HRSA_API_BASE: { scope: PUBLIC, type: 'url', default: 'https://data.hrsa.gov/api/1', description: 'HRSA data API' },
+  CENSUS_GEOCODER_BASE: { scope: PUBLIC, type: 'url', default: 'https://geocoding.geo.census.gov/geocoder', description: 'Census Geocoder' },
+
+  // Quotas, caching and fixtures
+  API_QUOTAS: { scope: PUBLIC, type: 'quotas', description: 'Quota overrides as source=limit/minute|hour|day, comma-separated' },
+  RESPONSE_CACHE_DIR: { scope: SERVER, type: 'string', default: '.cache/api-responses', description: 'Response cache directory without Supabase' },
+  QUOTA_USAGE_FILE: { scope: SERVER, type: 'string', default: '.cache/api-quota-usage.json', description: 'Quota usage file without Supabase' },
+  ZIP_CROSSWALK_FILE: { scope: SERVER, type: 'string', description: 'Full HUD ZIP crosswalk loaded at startup (JSON from build-zip-crosswalk.js --json)' },
+  HTTP_FIXTURES: { scope: SERVER, type: 'enum', values: ['off', 'record', 'replay'], default: 'off', description: 'Record or replay federal API responses' },
+  HTTP_FIXTURES_DIR: { scope: SERVER, type: 'string', default: 'fixtures/http', description: 'HTTP fixture directory' },
+};
+
+/**
+ * Public settings as the browser sees them. Each VITE_ name is read
+ * statically so Vite inlines only these values, never the whole env object.
+ * Throws in Node, where import.meta.env is undefined.
+ */
+function readViteEnv() {
+  try {
+    return {
+      API_URL: import.meta.env.VITE_API_URL,
+      SUPABASE_URL: import.meta.env.VITE_SUPABASE_URL,
+      SUPABASE_ANON_KEY: import.meta.env.VITE_SUPABASE_ANON_KEY,
+      USASPENDING_API_BASE: import.meta.env.VITE_USASPENDING_API_BASE,
+      FEDERAL_REGISTER_API_BASE: import.meta.env.VITE_FEDERAL_REGISTER_API_BASE,
+      EPA_ENVIROFACTS_API_BASE: import.meta.env.VITE_EPA_ENVIROFACTS_API_BASE,
+      CDC_WONDER_API_BASE: import.meta.env.VITE_CDC_WONDER_API_BASE,
+      FBI_CRIME_API_BASE: import.meta.env.VITE_FBI_CRIME_API_BASE,
+      FEMA_API_BASE: import.meta.env.VITE_FEMA_API_BASE,
+      BEA_API_BASE: import.meta.env.VITE_BEA_API_BASE,
+      FRED_API_BASE: import.meta.env.VITE_FRED_API_BASE,
+      NEWS_API_BASE: import.meta.env.VITE_NEWS_API_BASE,
+      TREASURY_API_BASE: import.meta.env.VITE_TREASURY_API_BASE,
+      VA_FACILITIES_API_BASE: import.meta.env.VITE_VA_FACILITIES_API_BASE,
+      VA_FORMS_API_BASE: import.meta.env.VITE_VA_FORMS_API_BASE,
+      DEPT_ED_BASE_URL: import.meta.env.VITE_DEPT_ED_BASE_URL,
+      CONGRESS_BASE_URL: import.meta.env.VITE_CONGRESS_BASE_URL,
+      FEC_API_BASE: import.meta.env.VITE_FEC_API_BASE,
+      HRSA_API_BASE: import.meta.env.VITE_HRSA_API_BASE,
+      CENSUS_GEOCODER_BASE: import.meta.env.VITE_CENSUS_GEOCODER_BASE,
+      API_QUOTAS: import.meta.env.VITE_API_QUOTAS,
+    };
+  } catch {
+    return {};
+  }
+}
+
+const viteEnv = readViteEnv();
+
+// Features the browser was told about by the API server (see setRemoteFeatures)
+let remoteFeatures = null;
+
+function getSetting(name) {
+  const setting = CONFIG_SCHEMA[name];
+  if (!setting) throw new Error(`Unknown configuration setting: ${name}`);
+  return setting;
+}
+
+function isPlaceholder(value) {
+  return /^your-[\w-]+-here$/i.test(value) || /^\$\{\w+\}$/.test(value);
+}
+
+/**
+ * Find where a setting is set
+ * @param {string} name - Setting name
+ * @param {Object} env - Environment to read instead of process.env and Vite's env
+ * @returns {Object|null} { value, from, placeholder }, or null if unset
+ */
+function lookup(name, env) {
+  const setting = getSetting(name);
+  const source = env || processEnv();
+  const candidates = [[name, source[name]], [`VITE_${name}`, source[`VITE_${name}`]]];
+  if (setting.scope === PUBLIC && !env) candidates.push([`VITE_${name}`, viteEnv[name]]);
+
+  for (const [from, raw] of candidates) {
+    const value = typeof raw === 'string' ? raw.trim() : raw;
+    if (value === undefined || value === null || value === '') continue;
+    return { value: String(value), from, placeholder: isPlaceholder(String(value)) };
+  }
+  return null;
+}
+
+function processEnv() {
+  return (typeof process !== 'undefined' && process.env) || {};
+}
+
+/**
+ * Parse a raw value for a setting
+ * @returns {Object} { value } or { error }
+ */
+function parseValue(setting, raw) {
+  switch (setting.type) {
+    case 'url': {
+      try {
+        const url = new URL(raw);
+        if (!/^https?:$/.test(url.protocol)) return { error: 'must be an http(s) URL' };
+      } catch {
+        return { error: 'must be a URL' };
+      }
+      return { value: raw.replace(/\/+$/, '') };
+    }
+    case 'port': {
+      const port = Number(raw);
+      if (!Number.isInteger(port) || port < 1 || port > 65535) return { error: 'must be a port number (1-65535)' };
+      return { value: port };
+    }
+    case 'list':
+      return { value: raw.split(',').map(item => item.trim()).filter(Boolean) };
+    case 'enum':
+      if (!setting.values.includes(raw)) return { error: `must be one of: ${setting.values.join(', ')}` };
+      return { value: raw };
+    case 'quotas': {
+      const invalid = raw.split(',').map(part => part.trim()).filter(part => part && !QUOTA_ENTRY_PATTERN.test(part));
+      if (invalid.length > 0) return { error: `has invalid entries (${invalid.join(', ')}); use source=limit/minute|hour|day` };
+      return { value: raw };
+    }
+    default:
+      return { value: raw };
+  }
+}
+
+/**
+ * Whether a setting has a real value (not a default or placeholder). A
+ * secret set to its shared default (FEC's DEMO_KEY) is not a credential.
+ * @param {string} name - Setting name
+ * @param {Object} env - Environment to read (default: process.env and Vite's env)
+ * @returns {boolean}
+ */
+export function hasConfig(name, env) {
+  const setting = getSetting(name);
+  const found = lookup(name, env);
+  if (found && !found.placeholder && !(setting.secret && found.value === setting.default)) return true;
+  return setting.fallback ? hasConfig(setting.fallback, env) : false;
+}
+
+/**
+ * Get a setting's value: parsed from the environment, from its fallback
+ * setting, or its default. Invalid values fall back to the default
+ * (validateConfig reports them).
+ * @param {string} name - Setting name
+ * @param {Object} env - Environment to read (default: process.env and Vite's env)
+ * @returns {*} Value, or undefined when unset without a default
+ */
+export function getConfig(name, env) {
+  const setting = getSetting(name);
+  const found = lookup(name, env);
+
+  if (found && !found.placeholder) {
+    const parsed = parseValue(setting, found.value);
+    if (!parsed.error) return parsed.value;
+  }
+  if (setting.fallback && hasConfig(setting.fallback, env)) {
+    return getConfig(setting.fallback, env);
+  }
+  return setting.default;
+}
+
+/**
+ * Check every setting. Errors are values that can't be used (bad URLs,
+ * ports, quotas) and, with NODE_ENV=production, missing required settings;
+ * warnings are secrets exposed through a VITE_ name and placeholder values.
+ * @param {Object} env - Environment to check (default: process.env and Vite's env)
+ * @returns {Object} { valid, errors: [string], warnings: [string] }
+ */
+export function validateConfig(env) {
+  const errors = [];
+  const warnings = [];
+  const production = (env || processEnv()).NODE_ENV === 'production';
+
+  Object.entries(CONFIG_SCHEMA).forEach(([name, setting]) => {
+    const found = lookup(name, env);
+
+    if (!found) {
+      if (production && setting.requiredInProduction) {
+        errors.push(`${name} is required in production (${setting.description})`);
+      }
+      return;
+    }
+
+    if (found.placeholder) {
+      warnings.push(`${found.from} is still the example placeholder and is ignored`);
+      return;
+    }
+
+    const parsed = parseValue(setting, found.value);
+    if (parsed.error) {
+      errors.push(`${found.from} ${parsed.error} (got "${found.value}")`);
+    }
+
+    if (setting.scope === SERVER && found.from.startsWith('VITE_')) {
+      warnings.push(`${found.from} is bundled into the browser app - rename it to ${name} so it stays on the server`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+function maskValue(setting, value) {
+  if (Array.isArray(value)) return value.join(', ');
+  if (!setting.secret || value === setting.default) return String(value);
+  return value.length > 8 ? `${value.slice(0, 4)}… (${value.length} chars)` : '••••';
+}
+
+/**
+ * Every setting with where it was set and a display value (secrets masked),
+ * for diagnostics
+ * @param {Object} env - Environment to read (default: process.env and Vite's env)
+ * @returns {Array<Object>} [{ name, scope, secret, status, from, display, description }]
+ */
+export function describeConfig(env) {
+  return Object.entries(CONFIG_SCHEMA).map(([name, setting]) => {
+    const found = lookup(name, env);
+    let status = 'unset';
+    if (found?.placeholder) status = 'placeholder';
+    else if (found) status = parseValue(setting, found.value).error ? 'invalid' : 'set';
+    else if (setting.fallback && hasConfig(setting.fallback, env)) status = 'fallback';
+    else if (setting.default !== undefined) status = 'default';
+
+    const value = status === 'unset' || status === 'placeholder' ? null : getConfig(name, env);
+    return {
+      name,
+      scope: setting.scope,
+      secret: !!setting.secret,
+      status,
+      from: status === 'fallback' ? setting.fallback : found?.from || null,
+      display: value === null || value === undefined ? '' : maskValue(setting, value),
+      description: setting.description,
+    };
+  });
+}
+
+/**
+ * Which features this server can offer - booleans only, safe to send to the browser
+ * @param {Object} env - Environment to read (default: process.env and Vite's env)
+ * @returns {Object} { ai, aiProvider, database, sources: { [sourceId]: boolean } }
+ */
+export function getFeatures(env) {
+  const aiProvider = hasConfig('ANTHROPIC_API_KEY', env) ? 'anthropic'
+    : hasConfig('OPENAI_API_KEY', env) ? 'openai'
+    : null;
+
+  // A source is enabled when every key it needs is set
+  const sources = {};
+  Object.entries(CONFIG_SCHEMA).forEach(([name, setting]) => {
+    if (!setting.source) return;
+    sources[setting.source] = (sources[setting.source] ?? true) && hasConfig(name, env);
+  });
+
+  return {
+    ai: !!aiProvider,
+    aiProvider,
+    database: hasConfig('SUPABASE_URL', env) && hasConfig('SUPABASE_SERVICE_ROLE_KEY', env),
+    sources,
+  };
+}
+
+/**
+ * Record the features reported by the API server (browser)
+ * @param {Object} features - From GET /api/config/features
+ */
+export function setRemoteFeatures(features) {
+  remoteFeatures = features;
+}
+
+/**
+ * Whether a server feature is available: from the API server's report in the
+ * browser, from the environment on the server
+ * @param {string} feature - 'ai' | 'database'
+ * @returns {boolean}
+ */
+export function isFeatureEnabled(feature) {
+  const features = remoteFeatures || getFeatures();
+  return !!features[feature];
+}
+
+export default {
+  CONFIG_SCOPES,
+  CONFIG_SCHEMA,
+  hasConfig,
+  getConfig,
+  validateConfig,
+  describeConfig,
+  getFeatures,
+  setRemoteFeatures,
+  isFeatureEnabled,
+};
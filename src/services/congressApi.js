@@ -57,16 +57,16 @@
  * @production-ready
  */
 
+import { httpRequest, getErrorType } from './httpClient.js';
+import { markSynthetic } from './provenance.js';
+import { getConfig } from './config.js';
+
 /**
  * Get Congress.gov API key from environment
  * @returns {string} API key
  */
 function getCongressApiKey() {
-  return (
-    (typeof import.meta !== 'undefined' && import.meta.env?.VITE_CONGRESS_API_KEY) ||
-    (typeof process !== 'undefined' && process.env?.VITE_CONGRESS_API_KEY) ||
-    ''
-  );
+  return getConfig('CONGRESS_API_KEY') || '';
 }
 
 /**
@@ -74,11 +74,7 @@ function getCongressApiKey() {
  * @returns {string} Base URL
  */
 function getCongressBaseUrl() {
-  return (
-    (typeof import.meta !== 'undefined' && import.meta.env?.VITE_CONGRESS_BASE_URL) ||
-    (typeof process !== 'undefined' && process.env?.VITE_CONGRESS_BASE_URL) ||
-    'https://api.congress.gov/v3'
-  );
+  return getConfig('CONGRESS_BASE_URL');
 }
 
 // Current Congress numbers
@@ -99,61 +95,17 @@ const POLICY_KEYWORDS = {
   'agriculture': ['farm bill', 'agricultural subsidy', 'USDA', 'rural development']
 };
 
-// Rate limiting tracking
-let requestLog = [];
-const HOURLY_LIMIT = 5000;
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 2000; // 2 seconds base delay
 
 /**
- * Check if within hourly rate limit
- * @returns {boolean} True if can make request
- */
-function checkRateLimit() {
-  const now = new Date();
-  const oneHourAgo = new Date(now.getTime() - 60 * 60 * 1000);
-
-  // Remove requests older than 1 hour
-  requestLog = requestLog.filter(req => req > oneHourAgo);
-
-  if (requestLog.length >= HOURLY_LIMIT) {
-    console.warn(`⚠️  Congress.gov API rate limit: ${requestLog.length}/${HOURLY_LIMIT}`);
-    return false;
-  }
-
-  // Warning at 80% capacity
-  if (requestLog.length >= HOURLY_LIMIT * 0.8) {
-    console.warn(`⚠️  Approaching limit: ${requestLog.length}/${HOURLY_LIMIT} in last hour`);
-  }
-
-  return true;
-}
-
-/**
- * Log request timestamp for rate limiting
- */
-function logRequest() {
-  requestLog.push(new Date());
-  console.log(`📊 Congress.gov requests (last hour): ${requestLog.length}/${HOURLY_LIMIT}`);
-}
-
-/**
- * Sleep for specified milliseconds
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise<void>}
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-/**
- * Make a request to the Congress.gov API with retry logic
+ * Make a request to the Congress.gov API (retries, timeouts and circuit
+ * breaking are handled by the shared HTTP client)
  * @param {string} endpoint - API endpoint path
  * @param {Object} params - Query parameters
- * @param {number} retryCount - Current retry attempt (0-based)
  * @returns {Promise<Object|null>} API response data or null if failed
  */
-async function makeCongressRequest(endpoint, params = {}, retryCount = 0) {
+async function makeCongressRequest(endpoint, params = {}) {
   const apiKey = getCongressApiKey();
   const baseUrl = getCongressBaseUrl();
 
@@ -162,69 +114,26 @@ async function makeCongressRequest(endpoint, params = {}, retryCount = 0) {
     return null;
   }
 
-  // Check rate limit before making request
-  if (!checkRateLimit()) {
-    console.error('❌ Congress.gov API hourly rate limit reached. Skipping.');
-    return null;
-  }
-
-  // Add API key and format to all requests
-  const queryParams = new URLSearchParams({
-    ...params,
-    api_key: apiKey,
-    format: 'json'
-  });
-
-  const url = `${baseUrl}${endpoint}?${queryParams.toString()}`;
+  console.log(`🏛️  Congress.gov API: ${endpoint}`);
 
   try {
-    console.log(`🏛️  Congress.gov API: ${endpoint} (attempt ${retryCount + 1}/${MAX_RETRIES + 1})`);
-
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
-
-    const response = await fetch(url, {
-      method: 'GET',
+    const data = await httpRequest(`${baseUrl}${endpoint}`, {
+      source: 'Congress.gov API',
+      cache: 'congress',
+      quota: 'congress',
+      params: {
+        ...params,
+        api_key: apiKey,
+        format: 'json'
+      },
       headers: {
         'User-Agent': 'Project2025-PolicyTracker/1.0',
         'Accept': 'application/json'
       },
-      signal: controller.signal
+      retries: MAX_RETRIES,
+      retryDelayMs: RETRY_DELAY
     });
 
-    clearTimeout(timeoutId);
-
-    // Log successful request
-    logRequest();
-
-    // Handle rate limiting (429)
-    if (response.status === 429) {
-      console.warn('⏱️  Rate limit hit. Waiting 60 seconds...');
-      await sleep(60000);
-      if (retryCount < MAX_RETRIES) {
-        return await makeCongressRequest(endpoint, params, retryCount + 1);
-      }
-      return null;
-    }
-
-    // Handle authentication errors (401, 403)
-    if (response.status === 401 || response.status === 403) {
-      console.error('❌ Invalid Congress.gov API key or unauthorized access');
-      return null;
-    }
-
-    // Handle not found (404)
-    if (response.status === 404) {
-      console.warn(`⚠️  Resource not found: ${endpoint}`);
-      return null;
-    }
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-
     // Check for empty results
     if (!data) {
       console.warn('⚠️  No data returned from Congress.gov API');
@@ -234,24 +143,13 @@ async function makeCongressRequest(endpoint, params = {}, retryCount = 0) {
     return data;
 
   } catch (error) {
-    if (error.name === 'AbortError') {
-      console.warn(`⏱️  Timeout on Congress.gov API (attempt ${retryCount + 1})`);
-      if (retryCount < MAX_RETRIES) {
-        const waitTime = RETRY_DELAY * Math.pow(2, retryCount); // Exponential backoff
-        console.log(`🔄 Retrying in ${waitTime / 1000} seconds...`);
-        await sleep(waitTime);
-        return await makeCongressRequest(endpoint, params, retryCount + 1);
-      } else {
-        console.error('❌ Congress.gov API timeout after all retries. Moving to next analysis.');
-        return null;
-      }
-    }
-
-    console.error(`❌ Congress.gov API request error: ${error.message}`);
-    if (retryCount < MAX_RETRIES) {
-      const waitTime = RETRY_DELAY * Math.pow(2, retryCount);
-      await sleep(waitTime);
-      return await makeCongressRequest(endpoint, params, retryCount + 1);
+    const errorType = getErrorType(error);
+    if (errorType === 'unauthorized') {
+      console.error('❌ Invalid Congress.gov API key or unauthorized access');
+    } else if (error.status === 404) {
+      console.warn(`⚠️  Resource not found: ${endpoint}`);
+    } else {
+      console.error(`❌ Congress.gov API ${errorType}: ${error.message}. Moving to next analysis.`);
     }
     return null;
   }
@@ -278,7 +176,7 @@ export async function searchBillsByPolicyArea(policyArea, congress = CURRENT_CON
 
   if (!data) {
     console.warn(`⚠️  Bill search unavailable for policy area: ${policyArea}. Continuing...`);
-    return getFallbackData('bill_search', policy);
+    return getFallbackData('bill_search', policyArea);
   }
 
   // Filter bills by keywords in JavaScript since API search is limited
@@ -708,14 +606,14 @@ export async function analyzeCongressionalPolicyImpact(policyArea, baselineDate
  * @returns {Object} Fallback data structure
  */
 function getFallbackData(dataType, identifier) {
-  return {
+  return markSynthetic({
     status: 'unavailable',
     data_type: dataType,
     identifier: identifier,
     message: `Congress.gov ${dataType} data temporarily unavailable. Analysis proceeding with other sources.`,
     fallback: true,
     continue: true
-  };
+  }, 'Congress.gov', `${dataType} placeholder - API unavailable`);
 }
 
 // Export for use in other modules
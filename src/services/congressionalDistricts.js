@@ -0,0 +1,173 @@
+/**
+ * Congressional District Resolution
+ *
+ * Places a story in its congressional district (current boundaries: 119th
+ * Congress):
+ * - With a street address, the Census Geocoder returns the exact district
+ * - With only a ZIP, the bundled crosswalk (geography.js) lists every district
+ *   the ZIP overlaps with its share of the ZIP's homes. The largest share is
+ *   the story's district and its share is the confidence, so a ZIP split
+ *   65/35 resolves to the first district at 0.65.
+ *
+ * Resolution: { district, confidence, method, congress, candidates: [{ district, share }] }
+ * where district is e.g. 'TX-08' (null if unresolved) and confidence is 0-1.
+ * Geocoded resolutions also carry the address's census tract GEOID (`tract`).
+ *
+ * Census Geocoder: https://geocoding.geo.census.gov/geocoder/Geocoding_Services_API.html
+ * No API key required. Addresses are only sent to the geocoder, not cached.
+ */
+
+import { httpRequest, getErrorType } from './httpClient.js';
+import { formatDistrict, normalizeStateCode, resolveZip } from './geography.js';
+import { getConfig } from './config.js';
+
+const CENSUS_GEOCODER_BASE = getConfig('CENSUS_GEOCODER_BASE');
+
+export const CURRENT_CONGRESS = 119;
+
+export const DISTRICT_METHODS = {
+  ADDRESS: 'address',
+  ZIP: 'zip',
+  UNRESOLVED: 'unresolved',
+};
+
+function unresolved() {
+  return {
+    district: null,
+    confidence: 0,
+    method: DISTRICT_METHODS.UNRESOLVED,
+    congress: CURRENT_CONGRESS,
+    candidates: [],
+  };
+}
+
+/**
+ * Resolve a ZIP to its district(s) from the bundled crosswalk
+ * @param {string} zip - 5-digit ZIP code
+ * @returns {Object} Resolution; method 'unresolved' if the crosswalk has no districts for the ZIP
+ */
+export function resolveDistrictByZip(zip) {
+  const place = resolveZip(zip);
+  if (!place || place.districts.length === 0) return unresolved();
+
+  return {
+    district: place.district,
+    confidence: place.districts[0].share,
+    method: DISTRICT_METHODS.ZIP,
+    congress: place.vintage?.congress || CURRENT_CONGRESS,
+    candidates: place.districts,
+  };
+}
+
+/**
+ * Find the congressional district layer in a geocoder match
+ * @param {Object} geographies - addressMatches[].geographies
+ * @returns {Object|null} { district, congress }
+ */
+function parseGeocoderDistrict(geographies = {}) {
+  const layer = Object.keys(geographies).find(name => /Congressional Districts$/.test(name));
+  const record = layer && geographies[layer]?.[0];
+  if (!record?.GEOID) return null;
+
+  const stateCode = normalizeStateCode(record.GEOID.slice(0, 2));
+  if (!stateCode) return null;
+
+  return {
+    district: formatDistrict(stateCode, record.GEOID.slice(2)),
+    congress: Number(layer.match(/^(\d+)/)?.[1]) || CURRENT_CONGRESS,
+  };
+}
+
+/**
+ * Find the census tract in a geocoder match
+ * @param {Object} geographies - addressMatches[].geographies
+ * @returns {string|null} 11-digit tract GEOID
+ */
+function parseGeocoderTract(geographies = {}) {
+  const geoid = geographies['Census Tracts']?.[0]?.GEOID;
+  return /^\d{11}$/.test(geoid || '') ? geoid : null;
+}
+
+/**
+ * Resolve a street address to its district with the Census Geocoder
+ * @param {string} address - Street address
+ * @param {string} zip - ZIP code, appended to the address
+ * @returns {Promise<Object>} Resolution, or { error, errorType, errorMessage }
+ */
+export async function geocodeDistrict(address, zip = '') {
+  try {
+    const data = await httpRequest(`${CENSUS_GEOCODER_BASE}/geographies/onelineaddress`, {
+      source: 'Census Geocoder',
+      params: {
+        address: [address, zip].filter(Boolean).join(', '),
+        benchmark: 'Public_AR_Current',
+        vintage: 'Current_Current',
+        format: 'json',
+      },
+      timeoutMs: 15000,
+      retries: 2,
+    });
+
+    const match = data?.result?.addressMatches?.[0];
+    const found = match && parseGeocoderDistrict(match.geographies);
+    if (!found) {
+      return { error: true, errorType: 'no_match', errorMessage: 'Address not matched to a congressional district' };
+    }
+
+    return {
+      district: found.district,
+      confidence: 1,
+      method: DISTRICT_METHODS.ADDRESS,
+      congress: found.congress,
+      candidates: [{ district: found.district, share: 1 }],
+      tract: parseGeocoderTract(match.geographies),
+    };
+  } catch (error) {
+    console.error('Census Geocoder error:', error.message);
+    return {
+      error: true,
+      errorType: getErrorType(error),
+      errorMessage: 'Census Geocoder temporarily unavailable',
+    };
+  }
+}
+
+/**
+ * Resolve a story location to its congressional district: by address when
+ * one is given and the geocoder matches it, otherwise by ZIP
+ * @param {Object} location - { zip, address? }
+ * @returns {Promise<Object>} Resolution
+ */
+export async function resolveDistrict({ zip, address = null }) {
+  if (address) {
+    const geocoded = await geocodeDistrict(address, zip);
+    if (!geocoded.error) return geocoded;
+    console.warn(`Address district lookup failed (${geocoded.errorType}); using ZIP ${zip}`);
+  }
+  return resolveDistrictByZip(zip);
+}
+
+/**
+ * Story location fields for a resolution
+ * @param {Object} resolution - From resolveDistrict
+ * @returns {Object} { district, districtConfidence, districtMethod, districtCongress, districtCandidates, tract? }
+ */
+export function toLocationDistrict(resolution) {
+  return {
+    district: resolution.district || 'Unknown',
+    districtConfidence: resolution.confidence,
+    districtMethod: resolution.method,
+    districtCongress: resolution.congress,
+    districtCandidates: resolution.candidates,
+    ...(resolution.tract && { tract: resolution.tract }),
+  };
+}
+
+export default {
+  CURRENT_CONGRESS,
+  DISTRICT_METHODS,
+  resolveDistrictByZip,
+  geocodeDistrict,
+  resolveDistrict,
+  toLocationDistrict,
+};
@@ -3,16 +3,24 @@
  *
  * Generates professional campaign creative briefs using AI (Anthropic Claude or OpenAI)
  * based on verified citizen stories, Census data, and platform analytics.
+ *
+ * Runs on the API server (the creative_brief job - server/storyJobs.js), which
+ * holds the AI keys.
  */
 
+import { getConfig, isFeatureEnabled } from './config.js';
+import { getPolicyIndicators } from './censusApi.js';
+
 const AI_PROVIDER = 'anthropic'; // 'anthropic' or 'openai'
-const ANTHROPIC_API_KEY = import.meta.env.VITE_ANTHROPIC_API_KEY || '';
-const OPENAI_API_KEY = import.meta.env.VITE_OPENAI_API_KEY || '';
+const ANTHROPIC_API_KEY = getConfig('ANTHROPIC_API_KEY') || '';
+const OPENAI_API_KEY = getConfig('OPENAI_API_KEY') || '';
 
 /**
  * Generate a creative brief prompt for the AI
  */
 function buildCreativeBriefPrompt(story, censusData, verification) {
+  const policyIndicators = getPolicyIndicators(story, censusData).map(indicator => ` | ${indicator.label} ${indicator.display}`).join('');
+
   return `Generate a complete political campaign creative brief. Output ONLY the brief document - no conversational text, no questions, no stopping. This is automated document generation.
 
 DATA:
@@ -21,7 +29,7 @@ ${story.story}
 
 Verification: AI ${story.verificationScore}% | Census ${verification?.confidence || 75}% | Resonance ${story.aiAnalysis.messageResonance}% | Vulnerability ${story.aiAnalysis.competitiveVulnerability}
 
-Demographics (ZIP ${story.location.zip}): Pop ${censusData?.population.total.toLocaleString() || 'N/A'} | Income $${censusData?.income.medianHousehold.toLocaleString() || 'N/A'} | Unemployment ${censusData?.employment.unemploymentRate || 'N/A'}% | Home Value $${censusData?.housing.medianValue.toLocaleString() || 'N/A'}
+Demographics (ZIP ${story.location.zip}): Pop ${censusData?.population.total.toLocaleString() || 'N/A'} | Income $${censusData?.income.medianHousehold.toLocaleString() || 'N/A'} | Unemployment ${censusData?.employment.unemploymentRate || 'N/A'}% | Home Value $${censusData?.housing.medianValue.toLocaleString() || 'N/A'}${policyIndicators}
 
 Impact: ${story.impact.affected_population.toLocaleString()} affected | $${Math.abs(story.impact.economic).toLocaleString()} economic | ${story.impact.timeframe}
 
@@ -90,32 +98,54 @@ START NOW: Generate complete brief from "# CREATIVE BRIEF" to final "NEXT STEPS"
 }
 
 /**
- * Call Anthropic Claude API via backend proxy
+ * Call Anthropic Claude API (server only - the key never reaches the browser)
  */
 async function generateWithAnthropic(prompt) {
-  // Call the backend proxy instead of Anthropic directly (to avoid CORS issues)
-  const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+  if (!ANTHROPIC_API_KEY) {
+    throw new Error('Anthropic API key not configured. Set ANTHROPIC_API_KEY in .env file.');
+  }
 
-  const response = await fetch(`${API_URL}/api/generate-creative-brief`, {
+  const response = await fetch('https://api.anthropic.com/v1/messages', {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
+      'x-api-key': ANTHROPIC_API_KEY,
+      'anthropic-version': '2023-06-01',
+      'anthropic-beta': 'prompt-caching-2024-07-31',
     },
     body: JSON.stringify({
-      prompt: prompt,
+      model: 'claude-sonnet-4-5-20250929',
+      max_tokens: 8192,
+      temperature: 0.7,
+      system: [
+        {
+          type: 'text',
+          text: 'You are a document generation system. Generate complete documents without any conversational text, questions, or meta-commentary. Never ask if the user wants you to continue - always generate the complete document in one response.',
+          cache_control: { type: 'ephemeral' }
+        }
+      ],
+      messages: [
+        {
+          role: 'user',
+          content: [
+            {
+              type: 'text',
+              text: prompt,
+              cache_control: { type: 'ephemeral' }
+            }
+          ]
+        },
+      ],
     }),
   });
 
   if (!response.ok) {
-    const error = await response.json();
-    if (error.useMock) {
-      throw new Error('API key not configured on server. Using mock data.');
-    }
-    throw new Error(`API error: ${error.error || response.statusText}`);
+    const error = await response.json().catch(() => ({}));
+    throw new Error(`Anthropic API error: ${error.error?.message || response.statusText}`);
   }
 
   const data = await response.json();
-  return data.brief;
+  return data.content[0].text;
 }
 
 /**
@@ -123,7 +153,7 @@ async function generateWithAnthropic(prompt) {
  */
 async function generateWithOpenAI(prompt) {
   if (!OPENAI_API_KEY) {
-    throw new Error('OpenAI API key not configured. Set VITE_OPENAI_API_KEY in .env file.');
+    throw new Error('OpenAI API key not configured. Set OPENAI_API_KEY in .env file.');
   }
 
   const response = await fetch('https://api.openai.com/v1/chat/completions', {
@@ -283,7 +313,7 @@ Learn more about how policy affects your community at [website].
 **Demographic Profile:**
 - Age: ${story.demographics?.age || '35-55'} ± 10 years (core: 25-55)
 - Income: $${censusData?.income.medianHousehold.toLocaleString() || '45,000-75,000'}
-- Education: ${story.demographics?.education?.replace('_', ' ') || 'High school to college educated'}
+${getPolicyIndicators(story, censusData).map(indicator => `- ${indicator.label}: ${indicator.message}\n`).join('')}- Education: ${story.demographics?.education?.replace('_', ' ') || 'High school to college educated'}
 - Party: ${story.demographics?.party || 'Independent'}, swing voters, independents
 
 **Psychographic Profile:**
@@ -474,7 +504,7 @@ Campaign is successful if it achieves:
 export async function generateCreativeBrief(story, censusData, verification, useMock = false) {
   try {
     // Use mock for development/testing without API keys
-    if (useMock || (!ANTHROPIC_API_KEY && !OPENAI_API_KEY)) {
+    if (useMock || !isFeatureEnabled('ai')) {
       console.log('Using mock creative brief generator (no API keys configured)');
       return generateMockBrief(story, censusData, verification);
     }
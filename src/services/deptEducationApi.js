@@ -17,7 +17,7 @@
  * API DETAILS:
  * - Documentation: https://collegescorecard.ed.gov/data/documentation/
  * - Endpoint: https://api.data.gov/ed/collegescorecard/v1
- * - Authentication: Uses Data.gov unified API key (VITE_DATA_GOV_API_KEY)
+ * - Authentication: Uses Data.gov unified API key (DEPT_ED_API_KEY, or DATA_GOV_API_KEY)
  * - Rate Limit: 1,000 requests/day (shared across all Data.gov APIs)
  * - Data Coverage: 7,000+ institutions, historical data back to 1996-97
  * - Update Frequency: Annual (released ~2-3 years after academic year)
@@ -69,16 +69,17 @@
  * @production-ready
  */
 
+import { registerVerifier } from './verifierRegistry.js';
+import { httpRequest, getErrorType } from './httpClient.js';
+import { markSynthetic } from './provenance.js';
+import { getConfig } from './config.js';
+
 /**
- * Get Department of Education API key from environment
+ * Get Department of Education API key (the api.data.gov key when not set separately)
  * @returns {string} API key
  */
 function getDeptEdApiKey() {
-  return (
-    (typeof import.meta !== 'undefined' && import.meta.env?.VITE_DEPT_ED_API_KEY) ||
-    (typeof process !== 'undefined' && process.env?.VITE_DEPT_ED_API_KEY) ||
-    ''
-  );
+  return getConfig('DEPT_ED_API_KEY') || '';
 }
 
 /**
@@ -86,11 +87,7 @@ function getDeptEdApiKey() {
  * @returns {string} Base URL
  */
 function getDeptEdBaseUrl() {
-  return (
-    (typeof import.meta !== 'undefined' && import.meta.env?.VITE_DEPT_ED_BASE_URL) ||
-    (typeof process !== 'undefined' && process.env?.VITE_DEPT_ED_BASE_URL) ||
-    'https://api.data.gov/ed/collegescorecard/v1'
-  );
+  return getConfig('DEPT_ED_BASE_URL');
 }
 
 // Project 2025 relevant data fields
@@ -125,61 +122,17 @@ const CRITICAL_FIELDS = [
   'school.institutional_characteristics.level'
 ];
 
-// Rate limiting tracking
-let requestLog = [];
-const DAILY_LIMIT = 1000;
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 2000; // 2 seconds base delay
 
 /**
- * Check if within daily rate limit
- * @returns {boolean} True if can make request
- */
-function checkRateLimit() {
-  const now = new Date();
-  const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-
-  // Remove requests from previous days
-  requestLog = requestLog.filter(req => req > todayStart);
-
-  if (requestLog.length >= DAILY_LIMIT) {
-    console.warn(`⚠️  Dept of Ed API rate limit: ${requestLog.length}/${DAILY_LIMIT}`);
-    return false;
-  }
-
-  // Warning at 80% capacity
-  if (requestLog.length >= DAILY_LIMIT * 0.8) {
-    console.warn(`⚠️  Approaching limit: ${requestLog.length}/${DAILY_LIMIT}`);
-  }
-
-  return true;
-}
-
-/**
- * Log request timestamp for rate limiting
- */
-function logRequest() {
-  requestLog.push(new Date());
-  console.log(`📊 Dept of Ed requests today: ${requestLog.length}/${DAILY_LIMIT}`);
-}
-
-/**
- * Sleep for specified milliseconds
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise<void>}
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-/**
- * Make a request to the Department of Education API with retry logic
+ * Make a request to the Department of Education API (retries, timeouts and
+ * circuit breaking are handled by the shared HTTP client)
  * @param {string} endpoint - API endpoint path
  * @param {Object} params - Query parameters
- * @param {number} retryCount - Current retry attempt (0-based)
  * @returns {Promise<Object|null>} API response data or null if failed
  */
-async function makeDeptEdRequest(endpoint, params = {}, retryCount = 0) {
+async function makeDeptEdRequest(endpoint, params = {}) {
   const apiKey = getDeptEdApiKey();
   const baseUrl = getDeptEdBaseUrl();
 
@@ -188,68 +141,26 @@ async function makeDeptEdRequest(endpoint, params = {}, retryCount = 0) {
     return null;
   }
 
-  // Check rate limit before making request
-  if (!checkRateLimit()) {
-    console.error('❌ Dept of Ed API daily rate limit reached. Skipping.');
-    return null;
-  }
-
-  // Add API key to all requests
-  const queryParams = new URLSearchParams({
-    ...params,
-    api_key: apiKey
-  });
-
-  const url = `${baseUrl}${endpoint}?${queryParams.toString()}`;
+  console.log(`🎓 Dept of Ed API: ${endpoint}`);
 
   try {
-    console.log(`🎓 Dept of Ed API: ${endpoint} (attempt ${retryCount + 1}/${MAX_RETRIES + 1})`);
-
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 45000); // 45 second timeout
-
-    const response = await fetch(url, {
-      method: 'GET',
+    const data = await httpRequest(`${baseUrl}${endpoint}`, {
+      source: 'Dept of Ed API',
+      cache: 'dept-education',
+      quota: 'dept-education',
+      params: {
+        ...params,
+        api_key: apiKey
+      },
       headers: {
         'User-Agent': 'Project2025-PolicyTracker/1.0',
         'Accept': 'application/json'
       },
-      signal: controller.signal
+      timeoutMs: 45000, // 45 second timeout
+      retries: MAX_RETRIES,
+      retryDelayMs: RETRY_DELAY
     });
 
-    clearTimeout(timeoutId);
-
-    // Log successful request
-    logRequest();
-
-    // Handle rate limiting (429)
-    if (response.status === 429) {
-      console.warn('⏱️  Rate limit hit. Waiting 60 seconds...');
-      await sleep(60000);
-      if (retryCount < MAX_RETRIES) {
-        return await makeDeptEdRequest(endpoint, params, retryCount + 1);
-      }
-      return null;
-    }
-
-    // Handle authentication errors (401)
-    if (response.status === 401) {
-      console.error('❌ Invalid Dept of Ed API key');
-      return null;
-    }
-
-    // Handle not found (404)
-    if (response.status === 404) {
-      console.warn(`⚠️  Endpoint not found: ${endpoint}`);
-      return null;
-    }
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-
     // Check for empty results
     if (!data || (data.results && data.results.length === 0)) {
       console.warn('⚠️  No data returned from Dept of Ed API');
@@ -259,24 +170,13 @@ async function makeDeptEdRequest(endpoint, params = {}, retryCount = 0) {
     return data;
 
   } catch (error) {
-    if (error.name === 'AbortError') {
-      console.warn(`⏱️  Timeout on Dept of Ed API (attempt ${retryCount + 1})`);
-      if (retryCount < MAX_RETRIES) {
-        const waitTime = RETRY_DELAY * Math.pow(2, retryCount); // Exponential backoff
-        console.log(`🔄 Retrying in ${waitTime / 1000} seconds...`);
-        await sleep(waitTime);
-        return await makeDeptEdRequest(endpoint, params, retryCount + 1);
-      } else {
-        console.error('❌ Dept of Ed API timeout after all retries. Moving to next analysis.');
-        return null;
-      }
-    }
-
-    console.error(`❌ Dept of Ed API request error: ${error.message}`);
-    if (retryCount < MAX_RETRIES) {
-      const waitTime = RETRY_DELAY * Math.pow(2, retryCount);
-      await sleep(waitTime);
-      return await makeDeptEdRequest(endpoint, params, retryCount + 1);
+    const errorType = getErrorType(error);
+    if (errorType === 'unauthorized') {
+      console.error('❌ Invalid Dept of Ed API key');
+    } else if (error.status === 404) {
+      console.warn(`⚠️  Endpoint not found: ${endpoint}`);
+    } else {
+      console.error(`❌ Dept of Ed API ${errorType}: ${error.message}. Moving to next analysis.`);
     }
     return null;
   }
@@ -381,7 +281,7 @@ export async function getStudentDebtData(stateCode, year = 2022) {
  * @param {Object|null} current - Current Pell data
  * @returns {Object} Pell Grant changes analysis
  */
-function calculatePellChanges(baseline, current) {
+export function calculatePellChanges(baseline, current) {
   if (!baseline || !current) {
     return { available: false };
   }
@@ -450,7 +350,7 @@ function calculatePellChanges(baseline, current) {
  * @param {Object|null} current - Current debt data
  * @returns {Object} Student debt changes analysis
  */
-function calculateDebtChanges(baseline, current) {
+export function calculateDebtChanges(baseline, current) {
   if (!baseline || !current) {
     return { available: false };
   }
@@ -744,6 +644,120 @@ export async function analyzeHigherEducationPolicyImpact(stateCode, stateName, p
   return analysis;
 }
 
+/**
+ * Verify higher education claims in a citizen story
+ * @param {Object} story - The citizen story
+ * @param {Object} higherEdAnalysis - Result of analyzeHigherEducationPolicyImpact
+ * @returns {Object} Verification results
+ */
+export function verifyHigherEducationStory(story, higherEdAnalysis) {
+  const verification = {
+    verified: true,
+    confidence: 0,
+    flags: [],
+    insights: [],
+    higherEdMetrics: {}
+  };
+
+  const comparison = higherEdAnalysis?.higher_education_data?.baseline_comparison;
+
+  // Check if API data is unavailable
+  if (!higherEdAnalysis || !comparison || comparison.status === 'partial') {
+    verification.insights.push({
+      type: 'api_unavailable',
+      message: 'Dept of Ed College Scorecard data temporarily unavailable'
+    });
+    verification.confidence = 50;
+    return verification;
+  }
+
+  // Check if story is higher-education related
+  const storyText = `${story.headline || ''} ${story.story || ''}`.toLowerCase();
+  const isHigherEdRelated = [
+    'college', 'university', 'tuition', 'pell', 'student loan', 'student debt',
+    'financial aid', 'fafsa', 'pslf', 'loan forgiveness', 'scholarship',
+    'community college', 'degree', 'campus'
+  ].some(keyword => storyText.includes(keyword));
+
+  if (!isHigherEdRelated) {
+    verification.insights.push({
+      type: 'not_higher_ed_related',
+      message: 'Story does not appear to be about higher education (College Scorecard covers colleges only)'
+    });
+    verification.confidence = 50;
+    return verification;
+  }
+
+  verification.confidence = 65;
+
+  const pellChanges = comparison.pell_grants?.changes || {};
+  const debtChanges = comparison.student_debt?.changes || {};
+
+  verification.higherEdMetrics = {
+    state: higherEdAnalysis.state_code,
+    pellRate: pellChanges.available ? pellChanges.current_pell_rate : null,
+    pellTrend: pellChanges.available ? pellChanges.trend : null,
+    medianDebt: debtChanges.available ? debtChanges.current_median_debt : null,
+    debtBurden: debtChanges.available ? debtChanges.debt_burden : null,
+    dataStatus: higherEdAnalysis.overall_status
+  };
+
+  // Pell Grant claims
+  if (storyText.includes('pell') || storyText.includes('financial aid') || storyText.includes('grant')) {
+    if (pellChanges.available) {
+      verification.confidence += 15;
+      verification.insights.push({
+        type: 'pell_grant_context',
+        message: `Average Pell Grant rate in ${higherEdAnalysis.state_code}: ${pellChanges.current_pell_rate}% (${pellChanges.trend}, ${pellChanges.pell_rate_change_pct > 0 ? '+' : ''}${pellChanges.pell_rate_change_pct}%)`
+      });
+
+      if (storyText.includes('cut') && pellChanges.trend === 'decreasing') {
+        verification.confidence += 10;
+        verification.insights.push({
+          type: 'trend_matches_claim',
+          message: 'Declining Pell Grant participation aligns with citizen claim'
+        });
+      }
+    } else {
+      verification.flags.push('pell_data_unavailable');
+    }
+  }
+
+  // Student debt / loan claims
+  if (storyText.includes('loan') || storyText.includes('debt') || storyText.includes('pslf')) {
+    if (debtChanges.available) {
+      verification.confidence += 15;
+      verification.insights.push({
+        type: 'student_debt_context',
+        message: `Median completer debt in ${higherEdAnalysis.state_code}: $${debtChanges.current_median_debt.toLocaleString()} (${debtChanges.debt_burden}, repayment ${debtChanges.repayment_trend})`
+      });
+
+      if (debtChanges.debt_burden === 'increasing' || debtChanges.repayment_trend === 'worsening') {
+        verification.flags.push('student_debt_burden_rising');
+      }
+    } else {
+      verification.flags.push('student_debt_data_unavailable');
+    }
+  }
+
+  // Note the 2-3 year data lag
+  verification.insights.push({
+    type: 'data_lag',
+    message: 'College Scorecard data lags 2-3 years - current impacts may not yet appear in federal data'
+  });
+
+  (higherEdAnalysis.impact_summary?.key_findings || []).forEach(finding => {
+    verification.insights.push({
+      type: 'higher_ed_finding',
+      message: finding
+    });
+  });
+
+  verification.confidence = Math.min(100, verification.confidence);
+
+  return verification;
+}
+
 /**
  * Fallback data when Department of Education API is unavailable
  * @param {string} dataType - Type of data being requested
@@ -752,7 +766,7 @@ export async function analyzeHigherEducationPolicyImpact(stateCode, stateName, p
  * @returns {Object} Fallback data structure
  */
 function getFallbackData(dataType, stateCode, year) {
-  return {
+  return markSynthetic({
     status: 'unavailable',
     data_type: dataType,
     state: stateCode,
@@ -760,14 +774,37 @@ function getFallbackData(dataType, stateCode, year) {
     message: `Dept of Ed ${dataType} data temporarily unavailable. Analysis proceeding with other sources.`,
     fallback: true,
     continue: true
-  };
+  }, 'Department of Education', `${dataType} placeholder - API unavailable`);
 }
 
 // Export for use in other modules
+// Register with the story verifier registry
+registerVerifier({
+  id: 'dept-education',
+  name: 'Dept of Ed',
+  policyAreas: ['education'],
+  fetch: (story, { stateCode, stateName, storyText }) => {
+    const policyFocus = ['loan', 'debt', 'pslf'].some(term => storyText.includes(term))
+      ? 'student_loans'
+      : ['pell', 'grant', 'financial aid'].some(term => storyText.includes(term))
+      ? 'pell_grants'
+      : 'all';
+    return analyzeHigherEducationPolicyImpact(stateCode, stateName, policyFocus);
+  },
+  verify: verifyHigherEducationStory,
+  weight: 1,
+  reliability: 0.85,
+  geoPrecision: 'state',
+  dataLagMonths: 12,
+  probe: () => getSchoolsByState('TX', 2022, 0, 1),
+  hasCredentials: () => !!getDeptEdApiKey(),
+});
+
 export default {
   getSchoolsByState,
   getPellGrantData,
   getStudentDebtData,
   getHigherEdBaselineComparison,
-  analyzeHigherEducationPolicyImpact
+  analyzeHigherEducationPolicyImpact,
+  verifyHigherEducationStory
 };
@@ -11,6 +11,15 @@
  * API Documentation: https://data.transportation.gov/
  */
 
+import { registerVerifier } from './verifierRegistry.js';
+import { httpRequest } from './httpClient.js';
+import { markSynthetic } from './provenance.js';
+import { getStateName } from './geography.js';
+import { getConfig } from './config.js';
+
+// DOT datasets aren't integrated yet; every payload below is an estimate
+const MOCK_REASON = 'DOT datasets not yet integrated - 2024 estimates';
+
 const DOT_API_BASE = 'https://data.transportation.gov/resource';
 
 /**
@@ -19,32 +28,11 @@ const DOT_API_BASE = 'https://data.transportation.gov/resource';
  */
 function getDOTCredentials() {
   return {
-    accessToken:
-      (typeof import.meta !== 'undefined' && import.meta.env?.VITE_DOT_ACCESS_TOKEN) ||
-      (typeof process !== 'undefined' && process.env?.VITE_DOT_ACCESS_TOKEN) ||
-      '',
-    secretKey:
-      (typeof import.meta !== 'undefined' && import.meta.env?.VITE_DOT_SECRET_KEY) ||
-      (typeof process !== 'undefined' && process.env?.VITE_DOT_SECRET_KEY) ||
-      '',
+    accessToken: getConfig('DOT_ACCESS_TOKEN') || '',
+    secretKey: getConfig('DOT_SECRET_KEY') || '',
   };
 }
 
-// State abbreviation mapping
-const STATE_ABBREV = {
-  'AL': 'Alabama', 'AK': 'Alaska', 'AZ': 'Arizona', 'AR': 'Arkansas', 'CA': 'California',
-  'CO': 'Colorado', 'CT': 'Connecticut', 'DE': 'Delaware', 'FL': 'Florida', 'GA': 'Georgia',
-  'HI': 'Hawaii', 'ID': 'Idaho', 'IL': 'Illinois', 'IN': 'Indiana', 'IA': 'Iowa',
-  'KS': 'Kansas', 'KY': 'Kentucky', 'LA': 'Louisiana', 'ME': 'Maine', 'MD': 'Maryland',
-  'MA': 'Massachusetts', 'MI': 'Michigan', 'MN': 'Minnesota', 'MS': 'Mississippi', 'MO': 'Missouri',
-  'MT': 'Montana', 'NE': 'Nebraska', 'NV': 'Nevada', 'NH': 'New Hampshire', 'NJ': 'New Jersey',
-  'NM': 'New Mexico', 'NY': 'New York', 'NC': 'North Carolina', 'ND': 'North Dakota', 'OH': 'Ohio',
-  'OK': 'Oklahoma', 'OR': 'Oregon', 'PA': 'Pennsylvania', 'RI': 'Rhode Island', 'SC': 'South Carolina',
-  'SD': 'South Dakota', 'TN': 'Tennessee', 'TX': 'Texas', 'UT': 'Utah', 'VT': 'Vermont',
-  'VA': 'Virginia', 'WA': 'Washington', 'WV': 'West Virginia', 'WI': 'Wisconsin', 'WY': 'Wyoming',
-  'DC': 'District of Columbia'
-};
-
 /**
  * Make a request to the DOT API
  * @param {string} endpoint - API endpoint path
@@ -56,32 +44,23 @@ async function makeDOTRequest(endpoint, params = {}) {
 
   if (!credentials.accessToken || !credentials.secretKey) {
     console.warn('DOT API credentials not configured. Using mock data.');
-    throw new Error('DOT API credentials not configured. Set VITE_DOT_ACCESS_TOKEN and VITE_DOT_SECRET_KEY in .env file.');
+    throw new Error('DOT API credentials not configured. Set DOT_ACCESS_TOKEN and DOT_SECRET_KEY in .env file.');
   }
 
-  const queryParams = new URLSearchParams(params);
-  const queryString = queryParams.toString();
-  const url = `${DOT_API_BASE}${endpoint}${queryString ? '?' + queryString : ''}`;
-
   try {
-    const response = await fetch(url, {
-      method: 'GET',
+    return await httpRequest(`${DOT_API_BASE}${endpoint}`, {
+      source: 'DOT API',
+      cache: 'dot',
+      quota: 'dot',
+      params,
       headers: {
         'X-App-Token': credentials.accessToken,
         'Authorization': `Bearer ${credentials.secretKey}`,
         'Content-Type': 'application/json',
       },
     });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`DOT API error: ${response.status} ${response.statusText} - ${errorText}`);
-    }
-
-    const data = await response.json();
-    return data;
   } catch (error) {
-    console.error('DOT API Request Error:', error);
+    console.error('DOT API Request Error:', error.message);
     throw error;
   }
 }
@@ -289,9 +268,9 @@ function getMockInfrastructureData(stateCode) {
     funding: 987000000,
   };
 
-  return {
+  return markSynthetic({
     state: stateCode,
-    stateName: STATE_ABBREV[stateCode] || stateCode,
+    stateName: getStateName(stateCode) || stateCode,
     year: 2024,
     bridges: {
       total: data.bridges.total,
@@ -315,7 +294,7 @@ function getMockInfrastructureData(stateCode) {
     },
     source: 'US Department of Transportation (Mock Data)',
     lastUpdated: new Date().toISOString(),
-  };
+  }, 'US Department of Transportation', MOCK_REASON);
 }
 
 /**
@@ -323,7 +302,7 @@ function getMockInfrastructureData(stateCode) {
  */
 function getMockBridgeData(stateCode) {
   const infraData = getMockInfrastructureData(stateCode);
-  return {
+  return markSynthetic({
     state: stateCode,
     stateName: infraData.stateName,
     totalBridges: infraData.bridges.total,
@@ -332,7 +311,7 @@ function getMockBridgeData(stateCode) {
     goodCondition: infraData.bridges.total - infraData.bridges.structurallyDeficient - Math.round(infraData.bridges.total * 0.08),
     averageAge: infraData.bridges.averageAge,
     source: 'National Bridge Inventory (Mock)',
-  };
+  }, 'National Bridge Inventory', MOCK_REASON);
 }
 
 /**
@@ -340,7 +319,7 @@ function getMockBridgeData(stateCode) {
  */
 function getMockTransitData(stateCode) {
   const infraData = getMockInfrastructureData(stateCode);
-  return {
+  return markSynthetic({
     state: stateCode,
     stateName: infraData.stateName,
     transitSystems: infraData.transit.systems,
@@ -348,9 +327,26 @@ function getMockTransitData(stateCode) {
     dailyRiders: infraData.transit.ridersPerDay,
     onTimePerformance: 87.5, // mock percentage
     source: 'Federal Transit Administration (Mock)',
-  };
+  }, 'Federal Transit Administration', MOCK_REASON);
 }
 
+// Register with the story verifier registry
+registerVerifier({
+  id: 'dot',
+  name: 'DOT',
+  policyAreas: ['infrastructure'],
+  fetch: (story, { stateCode }) => getStateInfrastructureData(stateCode),
+  verify: verifyInfrastructureStory,
+  weight: 1,
+  reliability: 0.85,
+  geoPrecision: 'state',
+  dataLagMonths: 12,
+  hasCredentials: () => {
+    const { accessToken, secretKey } = getDOTCredentials();
+    return !!(accessToken && secretKey);
+  },
+});
+
 export default {
   getStateInfrastructureData,
   getBridgeConditions,
@@ -7,29 +7,109 @@
  * - Petroleum/gasoline prices
  * - CO2 emissions
  * - Energy infrastructure data
+ * - Monthly price series with before/after comparisons against a baseline
+ *   date (default 2025-01-01), year over year and against the U.S. average
  *
  * API Documentation: https://www.eia.gov/opendata/documentation.php
  * API Key required (free): https://www.eia.gov/opendata/register.php
  */
 
+import { registerVerifier } from './verifierRegistry.js';
+import { httpRequest, getErrorType } from './httpClient.js';
+import { CLAIM_STATUS, claimsAbout } from './claimExtraction.js';
+import { combineProvenance, markSynthetic } from './provenance.js';
+import { getStateName } from './geography.js';
+import { getConfig } from './config.js';
+
+// The price series aren't wired to the API yet; they're 2024 averages
+const ESTIMATE_REASON = 'EIA series not yet integrated - 2024 state averages';
+
 const EIA_API_BASE = 'https://api.eia.gov/v2';
-const EIA_API_KEY = (typeof import.meta !== 'undefined' && import.meta.env?.VITE_EIA_API_KEY) || '';
-
-// State abbreviation mapping for API queries
-const STATE_ABBREV = {
-  'AL': 'Alabama', 'AK': 'Alaska', 'AZ': 'Arizona', 'AR': 'Arkansas', 'CA': 'California',
-  'CO': 'Colorado', 'CT': 'Connecticut', 'DE': 'Delaware', 'FL': 'Florida', 'GA': 'Georgia',
-  'HI': 'Hawaii', 'ID': 'Idaho', 'IL': 'Illinois', 'IN': 'Indiana', 'IA': 'Iowa',
-  'KS': 'Kansas', 'KY': 'Kentucky', 'LA': 'Louisiana', 'ME': 'Maine', 'MD': 'Maryland',
-  'MA': 'Massachusetts', 'MI': 'Michigan', 'MN': 'Minnesota', 'MS': 'Mississippi', 'MO': 'Missouri',
-  'MT': 'Montana', 'NE': 'Nebraska', 'NV': 'Nevada', 'NH': 'New Hampshire', 'NJ': 'New Jersey',
-  'NM': 'New Mexico', 'NY': 'New York', 'NC': 'North Carolina', 'ND': 'North Dakota', 'OH': 'Ohio',
-  'OK': 'Oklahoma', 'OR': 'Oregon', 'PA': 'Pennsylvania', 'RI': 'Rhode Island', 'SC': 'South Carolina',
-  'SD': 'South Dakota', 'TN': 'Tennessee', 'TX': 'Texas', 'UT': 'Utah', 'VT': 'Vermont',
-  'VA': 'Virginia', 'WA': 'Washington', 'WV': 'West Virginia', 'WI': 'Wisconsin', 'WY': 'Wyoming',
-  'DC': 'District of Columbia'
+const EIA_API_KEY = getConfig('EIA_API_KEY') || '';
+
+// U.S. residential averages, used where a state's own figure isn't available
+export const TYPICAL_MONTHLY_KWH = 893; // kWh per customer per month
+export const TYPICAL_MONTHLY_GAS_MCF = 5.8; // Mcf per residential consumer per month
+const TYPICAL_MONTHLY_GASOLINE_GAL = 50; // gallons per household per month
+
+// Default policy date for before/after price comparisons
+export const ENERGY_BASELINE_DATE = '2025-01-01';
+
+// EIA publishes retail gasoline prices for these states; the rest use their PADD region
+const GASOLINE_STATES = ['CA', 'CO', 'FL', 'MA', 'MN', 'NY', 'OH', 'TX', 'WA'];
+const GASOLINE_REGIONS = {
+  R1X: { name: 'New England (PADD 1A)', states: ['CT', 'ME', 'MA', 'NH', 'RI', 'VT'] },
+  R1Y: { name: 'Central Atlantic (PADD 1B)', states: ['DE', 'DC', 'MD', 'NJ', 'NY', 'PA'] },
+  R1Z: { name: 'Lower Atlantic (PADD 1C)', states: ['FL', 'GA', 'NC', 'SC', 'VA', 'WV'] },
+  R20: { name: 'Midwest (PADD 2)', states: ['IL', 'IN', 'IA', 'KS', 'KY', 'MI', 'MN', 'MO', 'NE', 'ND', 'SD', 'OH', 'OK', 'TN', 'WI'] },
+  R30: { name: 'Gulf Coast (PADD 3)', states: ['AL', 'AR', 'LA', 'MS', 'NM', 'TX'] },
+  R40: { name: 'Rocky Mountain (PADD 4)', states: ['CO', 'ID', 'MT', 'UT', 'WY'] },
+  R50: { name: 'West Coast (PADD 5)', states: ['AK', 'AZ', 'CA', 'HI', 'NV', 'OR', 'WA'] },
+};
+
+/**
+ * Series area for gasoline prices: the state, its PADD region or the U.S.
+ * @param {string} stateCode - Two-letter state code, or 'US'
+ * @returns {Object} { code, name }
+ */
+function gasolineArea(stateCode) {
+  if (stateCode === 'US') return { code: 'NUS', name: 'United States' };
+  if (GASOLINE_STATES.includes(stateCode)) return { code: `S${stateCode}`, name: getStateName(stateCode) || stateCode };
+
+  const [code, region] = Object.entries(GASOLINE_REGIONS).find(([, entry]) => entry.states.includes(stateCode)) || [];
+  return code ? { code, name: region.name } : { code: 'NUS', name: 'United States' };
+}
+
+/**
+ * Monthly residential price series by energy type. `area` maps a state code
+ * (or 'US') to the series' area facet.
+ */
+const PRICE_SERIES = {
+  electricity: {
+    label: 'Residential electricity',
+    unit: '¢/kWh',
+    endpoint: '/electricity/retail-sales/data/',
+    field: 'price',
+    source: 'EIA - Electric Power Monthly',
+    area: stateCode => ({ code: stateCode, name: stateCode === 'US' ? 'United States' : getStateName(stateCode) || stateCode }),
+    params: area => ({ 'data[0]': 'price', 'facets[stateid][]': area, 'facets[sectorid][]': 'RES' }),
+  },
+  naturalGas: {
+    label: 'Residential natural gas',
+    unit: '$/Mcf',
+    endpoint: '/natural-gas/pri/sum/data/',
+    field: 'value',
+    source: 'EIA - Natural Gas Monthly',
+    area: stateCode => ({ code: stateCode === 'US' ? 'NUS' : `S${stateCode}`, name: stateCode === 'US' ? 'United States' : getStateName(stateCode) || stateCode }),
+    params: area => ({ 'data[0]': 'value', 'facets[duoarea][]': area, 'facets[process][]': 'PRS' }),
+  },
+  gasoline: {
+    label: 'Regular gasoline',
+    unit: '$/gal',
+    endpoint: '/petroleum/pri/gnd/data/',
+    field: 'value',
+    source: 'EIA - Gasoline and Diesel Fuel Update',
+    area: gasolineArea,
+    params: area => ({ 'data[0]': 'value', 'facets[duoarea][]': area, 'facets[product][]': 'EPMR', 'facets[process][]': 'PTE' }),
+  },
 };
 
+// Words that tie story text or a claim subject to a price series (checked in order)
+const ENERGY_TYPE_TERMS = {
+  naturalGas: ['natural gas', 'gas bill', 'heating', 'furnace'],
+  gasoline: ['gasoline', 'gas price', 'gas station', 'fuel', 'pump'],
+  electricity: ['electric', 'power', 'utility', 'utilities', 'energy'],
+};
+
+/**
+ * Energy types a text mentions
+ * @param {string} text - Lowercase story text or claim subject
+ * @returns {Array<string>} Energy types, most specific first
+ */
+function energyTypesIn(text = '') {
+  return Object.keys(ENERGY_TYPE_TERMS).filter(type => ENERGY_TYPE_TERMS[type].some(term => text.includes(term)));
+}
+
 /**
  * Make a request to the EIA API
  * @param {string} endpoint - API endpoint path
@@ -39,27 +119,21 @@ const STATE_ABBREV = {
 async function makeEIARequest(endpoint, params = {}) {
   if (!EIA_API_KEY) {
     console.warn('EIA API key not configured. Using mock data.');
-    throw new Error('EIA API key not configured. Set VITE_EIA_API_KEY in .env file.');
+    throw new Error('EIA API key not configured. Set EIA_API_KEY in .env file.');
   }
 
-  const queryParams = new URLSearchParams({
-    api_key: EIA_API_KEY,
-    ...params,
-  });
-
-  const url = `${EIA_API_BASE}${endpoint}?${queryParams}`;
-
   try {
-    const response = await fetch(url);
-
-    if (!response.ok) {
-      throw new Error(`EIA API error: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    return data;
+    return await httpRequest(`${EIA_API_BASE}${endpoint}`, {
+      source: 'EIA API',
+      cache: 'eia',
+      quota: 'eia',
+      params: {
+        api_key: EIA_API_KEY,
+        ...params,
+      },
+    });
   } catch (error) {
-    console.error('EIA API Request Error:', error);
+    console.error('EIA API Request Error:', error.message);
     throw error;
   }
 }
@@ -85,9 +159,9 @@ export async function getElectricityPricesByState(stateCode) {
 
     const prices = mockData[stateCode] || { residential: 15.5, commercial: 11.2, industrial: 8.9 };
 
-    return {
+    return markSynthetic({
       state: stateCode,
-      stateName: STATE_ABBREV[stateCode] || stateCode,
+      stateName: getStateName(stateCode) || stateCode,
       prices: {
         residential: prices.residential, // cents per kWh
         commercial: prices.commercial,
@@ -97,7 +171,7 @@ export async function getElectricityPricesByState(stateCode) {
       period: '2024 Average',
       source: 'EIA - Electric Power Monthly',
       dataYear: 2024,
-    };
+    }, 'EIA - Electric Power Monthly', ESTIMATE_REASON);
   } catch (error) {
     console.error('Error fetching electricity prices:', error);
     throw error;
@@ -122,9 +196,9 @@ export async function getNaturalGasPricesByState(stateCode) {
 
     const prices = mockData[stateCode] || { residential: 10.8, commercial: 9.2, industrial: 6.1 };
 
-    return {
+    return markSynthetic({
       state: stateCode,
-      stateName: STATE_ABBREV[stateCode] || stateCode,
+      stateName: getStateName(stateCode) || stateCode,
       prices: {
         residential: prices.residential,
         commercial: prices.commercial,
@@ -134,7 +208,7 @@ export async function getNaturalGasPricesByState(stateCode) {
       period: '2024 Average',
       source: 'EIA - Natural Gas Monthly',
       dataYear: 2024,
-    };
+    }, 'EIA - Natural Gas Monthly', ESTIMATE_REASON);
   } catch (error) {
     console.error('Error fetching natural gas prices:', error);
     throw error;
@@ -159,16 +233,16 @@ export async function getGasolinePricesByState(stateCode) {
 
     const price = mockData[stateCode] || 3.45;
 
-    return {
+    return markSynthetic({
       state: stateCode,
-      stateName: STATE_ABBREV[stateCode] || stateCode,
+      stateName: getStateName(stateCode) || stateCode,
       price: price,
       unit: 'dollars per gallon ($/gal)',
       grade: 'Regular Unleaded',
       period: '2024 Average',
       source: 'EIA - Petroleum Marketing Monthly',
       dataYear: 2024,
-    };
+    }, 'EIA - Petroleum Marketing Monthly', ESTIMATE_REASON);
   } catch (error) {
     console.error('Error fetching gasoline prices:', error);
     throw error;
@@ -189,17 +263,13 @@ export async function getStateEnergyData(stateCode) {
     ]);
 
     // Calculate typical household costs (mock calculations)
-    const avgMonthlyElectricityUsage = 893; // kWh per month (US average)
-    const avgMonthlyGasUsage = 5.8; // Mcf per month (US average)
-    const avgMonthlyGasolineUsage = 50; // gallons per month
-
-    const monthlyElectricityCost = (avgMonthlyElectricityUsage * electricity.prices.residential) / 100;
-    const monthlyGasCost = avgMonthlyGasUsage * naturalGas.prices.residential;
-    const monthlyGasolineCost = avgMonthlyGasolineUsage * gasoline.price;
+    const monthlyElectricityCost = (TYPICAL_MONTHLY_KWH * electricity.prices.residential) / 100;
+    const monthlyGasCost = TYPICAL_MONTHLY_GAS_MCF * naturalGas.prices.residential;
+    const monthlyGasolineCost = TYPICAL_MONTHLY_GASOLINE_GAL * gasoline.price;
 
     return {
       state: stateCode,
-      stateName: STATE_ABBREV[stateCode] || stateCode,
+      stateName: getStateName(stateCode) || stateCode,
       electricity,
       naturalGas,
       gasoline,
@@ -213,6 +283,7 @@ export async function getStateEnergyData(stateCode) {
       dataYear: 2024,
       source: 'US Energy Information Administration',
       lastUpdated: new Date().toISOString(),
+      provenance: combineProvenance('US Energy Information Administration', [electricity, naturalGas, gasoline]),
     };
   } catch (error) {
     console.error('Error fetching state energy data:', error);
@@ -220,6 +291,376 @@ export async function getStateEnergyData(stateCode) {
   }
 }
 
+/**
+ * Move a month forward or back
+ * @param {string} month - Month as 'YYYY-MM'
+ * @param {number} delta - Months to add (negative to go back)
+ * @returns {string} Month as 'YYYY-MM'
+ */
+export function shiftMonth(month, delta) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const index = year * 12 + (monthNumber - 1) + delta;
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+}
+
+/**
+ * List the months from start to end inclusive
+ * @param {string} start - First month ('YYYY-MM')
+ * @param {string} end - Last month ('YYYY-MM')
+ * @returns {Array<string>} Months as 'YYYY-MM'
+ */
+function monthsBetween(start, end) {
+  const months = [];
+  for (let month = start; month <= end; month = shiftMonth(month, 1)) {
+    months.push(month);
+  }
+  return months;
+}
+
+/**
+ * Format a month for messages ('2025-01' -> 'Jan 2025')
+ * @param {string} month - Month as 'YYYY-MM'
+ * @returns {string}
+ */
+function formatMonth(month) {
+  return new Date(`${month}-01T00:00:00Z`).toLocaleString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Latest month EIA has usually published (monthly series trail by about two months)
+ * @returns {string} Month as 'YYYY-MM'
+ */
+function latestPublishedMonth() {
+  const date = new Date();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() - 2);
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Parse an EIA data value (numbers arrive as strings, withheld cells as null or '--')
+ * @param {*} value - Raw value
+ * @returns {number|null}
+ */
+function parseEIAValue(value) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Get monthly residential electricity and natural gas prices for a state.
+ * Electricity months also carry the average kWh sold per residential customer,
+ * so seasonal usage is priced at that month's rate.
+ * @param {string} stateCode - Two-letter state code
+ * @param {Object} options - { start: 'YYYY-MM', end: 'YYYY-MM' (default latest) }
+ * @returns {Promise<Object>} { state, stateName, start, end, months: [{ period, electricityPrice, kwhPerCustomer, naturalGasPrice }], units, source }
+ */
+export async function getMonthlyEnergyPrices(stateCode, { start, end = null } = {}) {
+  if (!EIA_API_KEY) {
+    // Flat series at the 2024 averages so callers still get a usable shape
+    const [electricity, naturalGas] = await Promise.all([
+      getElectricityPricesByState(stateCode),
+      getNaturalGasPricesByState(stateCode),
+    ]);
+    const months = monthsBetween(start, end || latestPublishedMonth()).map(period => ({
+      period,
+      electricityPrice: electricity.prices.residential,
+      kwhPerCustomer: TYPICAL_MONTHLY_KWH,
+      naturalGasPrice: naturalGas.prices.residential,
+    }));
+
+    return markSynthetic({
+      state: stateCode,
+      stateName: getStateName(stateCode) || stateCode,
+      start,
+      end: months.length > 0 ? months[months.length - 1].period : end,
+      months,
+      units: { electricityPrice: '¢/kWh', kwhPerCustomer: 'kWh', naturalGasPrice: '$/Mcf' },
+      source: 'EIA - Electric Power Monthly / Natural Gas Monthly',
+      lastUpdated: new Date().toISOString(),
+    }, 'US Energy Information Administration', ESTIMATE_REASON);
+  }
+
+  const range = { start, ...(end && { end }), 'sort[0][column]': 'period', 'sort[0][direction]': 'asc' };
+
+  try {
+    const [electricity, naturalGas] = await Promise.all([
+      makeEIARequest('/electricity/retail-sales/data/', {
+        frequency: 'monthly',
+        'data[0]': 'price',
+        'data[1]': 'sales',
+        'data[2]': 'customers',
+        'facets[stateid][]': stateCode,
+        'facets[sectorid][]': 'RES',
+        ...range,
+      }),
+      makeEIARequest('/natural-gas/pri/sum/data/', {
+        frequency: 'monthly',
+        'data[0]': 'value',
+        'facets[duoarea][]': `S${stateCode}`,
+        'facets[process][]': 'PRS',
+        ...range,
+      }),
+    ]);
+
+    const gasPrices = new Map(
+      (naturalGas?.response?.data || []).map(row => [row.period, parseEIAValue(row.value)])
+    );
+
+    const months = (electricity?.response?.data || [])
+      .map(row => {
+        const sales = parseEIAValue(row.sales); // million kWh
+        const customers = parseEIAValue(row.customers);
+        return {
+          period: row.period,
+          electricityPrice: parseEIAValue(row.price),
+          kwhPerCustomer: sales && customers ? Math.round((sales * 1e6) / customers) : null,
+          naturalGasPrice: gasPrices.get(row.period) ?? null,
+        };
+      })
+      .filter(month => month.electricityPrice !== null);
+
+    if (months.length === 0) {
+      return {
+        error: true,
+        errorType: 'no_data',
+        errorMessage: `No EIA monthly prices for ${stateCode} since ${start}`,
+        state: stateCode,
+        source: 'EIA API (unavailable)',
+      };
+    }
+
+    return {
+      state: stateCode,
+      stateName: getStateName(stateCode) || stateCode,
+      start: months[0].period,
+      end: months[months.length - 1].period,
+      months,
+      units: { electricityPrice: '¢/kWh', kwhPerCustomer: 'kWh', naturalGasPrice: '$/Mcf' },
+      source: 'EIA - Electric Power Monthly / Natural Gas Monthly',
+      lastUpdated: new Date().toISOString(),
+    };
+  } catch (error) {
+    console.error('EIA monthly price error:', error.message);
+    return {
+      error: true,
+      errorType: getErrorType(error),
+      errorMessage: 'EIA monthly prices unavailable',
+      state: stateCode,
+      source: 'EIA API (unavailable)',
+    };
+  }
+}
+
+/**
+ * Get one monthly residential price series for a state or the U.S.
+ * Gasoline is only published for some states; others get their PADD region.
+ * @param {string} stateCode - Two-letter state code, or 'US'
+ * @param {string} energyType - 'electricity', 'naturalGas' or 'gasoline'
+ * @param {Object} options - { start: 'YYYY-MM', end: 'YYYY-MM' (default latest) }
+ * @returns {Promise<Object>} { state, energyType, label, unit, area, observations: [{ period, value }], source }
+ */
+export async function getMonthlyPriceSeries(stateCode, energyType = 'electricity', { start, end = null } = {}) {
+  const series = PRICE_SERIES[energyType];
+  if (!series) {
+    return {
+      error: true,
+      errorType: 'invalid_input',
+      errorMessage: `Unknown energy type: ${energyType}. Supported: ${Object.keys(PRICE_SERIES).join(', ')}`,
+    };
+  }
+
+  const area = series.area(stateCode);
+
+  try {
+    const data = await makeEIARequest(series.endpoint, {
+      frequency: 'monthly',
+      ...series.params(area.code),
+      start,
+      ...(end && { end }),
+      'sort[0][column]': 'period',
+      'sort[0][direction]': 'asc',
+    });
+
+    const observations = (data?.response?.data || [])
+      .map(row => ({ period: row.period, value: parseEIAValue(row[series.field]) }))
+      .filter(observation => observation.value !== null);
+
+    if (observations.length === 0) {
+      return {
+        error: true,
+        errorType: 'no_data',
+        errorMessage: `No EIA ${series.label.toLowerCase()} prices for ${area.name} since ${start}`,
+        state: stateCode,
+        energyType,
+        source: 'EIA API (unavailable)',
+      };
+    }
+
+    return {
+      state: stateCode,
+      energyType,
+      label: series.label,
+      unit: series.unit,
+      area,
+      observations,
+      source: series.source,
+      lastUpdated: new Date().toISOString(),
+    };
+  } catch (error) {
+    console.error(`EIA ${energyType} series error:`, error.message);
+    return {
+      error: true,
+      errorType: getErrorType(error),
+      errorMessage: `EIA ${series.label.toLowerCase()} prices unavailable`,
+      state: stateCode,
+      energyType,
+      source: 'EIA API (unavailable)',
+    };
+  }
+}
+
+/**
+ * Percent change between two values, to one decimal
+ * @param {number} from
+ * @param {number} to
+ * @returns {number|null}
+ */
+function percentChangeOf(from, to) {
+  return from ? Math.round(((to - from) / from) * 1000) / 10 : null;
+}
+
+/**
+ * Compare a monthly series at the baseline month with a later month.
+ * Year-over-year changes compare the same calendar month a year apart, so
+ * they aren't skewed by seasonal swings (winter gas, summer electricity).
+ * @param {Array<Object>} observations - [{ period, value }] in ascending order
+ * @param {string} baselineMonth - First month on or after the baseline ('YYYY-MM')
+ * @param {string} currentPeriod - Month to compare (default the latest)
+ * @returns {Object|null} Baseline and current values, changes and yearOverYear
+ */
+function compareToBaseline(observations, baselineMonth, currentPeriod = null) {
+  const values = new Map(observations.map(observation => [observation.period, observation.value]));
+  const baseline = observations.find(observation => observation.period >= baselineMonth);
+  const current = currentPeriod
+    ? (values.has(currentPeriod) ? { period: currentPeriod, value: values.get(currentPeriod) } : null)
+    : observations[observations.length - 1];
+  if (!baseline || !current) return null;
+
+  const yearOverYear = (period) => {
+    const priorPeriod = shiftMonth(period, -12);
+    if (!values.has(priorPeriod)) return null;
+    return {
+      period,
+      priorPeriod,
+      value: values.get(period),
+      priorValue: values.get(priorPeriod),
+      percentChange: percentChangeOf(values.get(priorPeriod), values.get(period)),
+    };
+  };
+  const percentChange = percentChangeOf(baseline.value, current.value);
+
+  return {
+    baselinePeriod: baseline.period,
+    baselineValue: baseline.value,
+    currentPeriod: current.period,
+    currentValue: current.value,
+    absoluteChange: Math.round((current.value - baseline.value) * 1000) / 1000,
+    percentChange,
+    trend: percentChange > 0 ? 'increasing' : percentChange < 0 ? 'decreasing' : 'stable',
+    yearOverYear: {
+      current: yearOverYear(current.period),
+      atBaseline: yearOverYear(baseline.period),
+    },
+  };
+}
+
+/**
+ * Compare a state's monthly energy prices before and after a baseline date,
+ * year over year, and against the national average
+ * @param {string} stateCode - Two-letter state code
+ * @param {string} energyType - 'electricity', 'naturalGas' or 'gasoline'
+ * @param {string} baselineDate - Baseline date (YYYY-MM-DD, default 2025-01-01)
+ * @returns {Promise<Object>} { baselinePeriod, baselineValue, currentPeriod, currentValue, percentChange, yearOverYear, national, vsNational, ... }
+ */
+export async function getEnergyBaseline(stateCode, energyType = 'electricity', baselineDate = ENERGY_BASELINE_DATE) {
+  const baselineMonth = baselineDate.slice(0, 7);
+  // A year before the baseline so the baseline month has its own year-over-year change
+  const range = { start: shiftMonth(baselineMonth, -12) };
+
+  const [state, national] = await Promise.all([
+    getMonthlyPriceSeries(stateCode, energyType, range),
+    getMonthlyPriceSeries('US', energyType, range),
+  ]);
+
+  if (state.error) {
+    return { ...state, baselineDate };
+  }
+
+  const comparison = compareToBaseline(state.observations, baselineMonth);
+  if (!comparison) {
+    return {
+      error: true,
+      errorType: 'no_data',
+      errorMessage: `No EIA ${state.label.toLowerCase()} prices since ${baselineDate}`,
+      state: stateCode,
+      energyType,
+      baselineDate,
+      source: 'EIA API (unavailable)',
+    };
+  }
+
+  // National figures for the same months, so a lagging state isn't compared with newer data
+  const nationalComparison = national.error
+    ? null
+    : compareToBaseline(national.observations, comparison.baselinePeriod, comparison.currentPeriod);
+
+  return {
+    state: stateCode,
+    stateName: getStateName(stateCode) || stateCode,
+    energyType,
+    label: state.label,
+    unit: state.unit,
+    area: state.area,
+    baselineDate,
+    ...comparison,
+    national: nationalComparison && {
+      baselineValue: nationalComparison.baselineValue,
+      currentValue: nationalComparison.currentValue,
+      percentChange: nationalComparison.percentChange,
+      yearOverYear: nationalComparison.yearOverYear.current,
+    },
+    vsNational: nationalComparison && {
+      difference: Math.round((comparison.currentValue - nationalComparison.currentValue) * 1000) / 1000,
+      percentAboveNational: percentChangeOf(nationalComparison.currentValue, comparison.currentValue),
+      changeGap: comparison.percentChange !== null && nationalComparison.percentChange !== null
+        ? Math.round((comparison.percentChange - nationalComparison.percentChange) * 10) / 10
+        : null,
+    },
+    observations: state.observations,
+    source: state.source,
+    lastUpdated: new Date().toISOString(),
+  };
+}
+
+/**
+ * Describe a baseline comparison in one sentence
+ * @param {Object} baseline - getEnergyBaseline result
+ * @returns {string}
+ */
+function describeEnergyBaseline(baseline) {
+  const signed = value => `${value > 0 ? '+' : ''}${value}%`;
+  const yearOverYear = baseline.yearOverYear.current;
+  const national = baseline.national
+    ? `; national average ${signed(baseline.national.percentChange)} since ${formatMonth(baseline.baselinePeriod)}`
+    : '';
+
+  return `${baseline.label} in ${baseline.area.name}: ${baseline.currentValue} ${baseline.unit} in ${formatMonth(baseline.currentPeriod)}, `
+    + `${signed(baseline.percentChange)} since ${formatMonth(baseline.baselinePeriod)}`
+    + (yearOverYear ? ` (${signed(yearOverYear.percentChange)} year over year)` : '')
+    + national;
+}
+
 /**
  * Verify energy-related claims in a citizen story
  * @param {Object} story - The citizen story
@@ -302,18 +743,49 @@ export function verifyEnergyStory(story, energyData) {
     });
   }
 
+  // Before/after the baseline date for the fuels the story mentions
+  (energyData.baselines || []).forEach(baseline => {
+    verification.confidence += 5;
+    verification.insights.push({ type: 'price_baseline', message: describeEnergyBaseline(baseline) });
+  });
+
   verification.confidence = Math.min(100, verification.confidence);
 
   return verification;
 }
 
 /**
- * Get energy price trends (mock data - would use historical API data in production)
+ * Get the last 12 months of a state's energy prices. Falls back to a
+ * simulated trend when the EIA series is unavailable.
  * @param {string} stateCode - Two-letter state code
  * @param {string} energyType - 'electricity', 'naturalGas', or 'gasoline'
  * @returns {Promise<Object>} Historical trend data
  */
 export async function getEnergyPriceTrends(stateCode, energyType = 'electricity') {
+  const series = await getMonthlyPriceSeries(stateCode, energyType, { start: shiftMonth(latestPublishedMonth(), -24) });
+
+  if (!series.error) {
+    const recent = series.observations.slice(-12);
+    const latest = recent[recent.length - 1];
+    const prior = series.observations.find(observation => observation.period === shiftMonth(latest.period, -12));
+
+    return {
+      state: stateCode,
+      stateName: getStateName(stateCode) || stateCode,
+      energyType,
+      area: series.area,
+      trend: recent.map(observation => ({
+        month: formatMonth(observation.period).split(' ')[0],
+        period: observation.period,
+        price: observation.value.toFixed(2),
+      })),
+      yearOverYearChange: prior ? percentChangeOf(prior.value, latest.value).toFixed(1) : null,
+      unit: series.unit,
+      period: `${formatMonth(recent[0].period)} - ${formatMonth(latest.period)}`,
+      source: series.source,
+    };
+  }
+
   // Mock historical trends (12 months)
   const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
   const basePrice = energyType === 'electricity' ? 15 : energyType === 'naturalGas' ? 10 : 3.5;
@@ -325,22 +797,110 @@ export async function getEnergyPriceTrends(stateCode, energyType = 'electricity'
 
   const percentChange = (((trend[11].price - trend[0].price) / trend[0].price) * 100).toFixed(1);
 
-  return {
+  return markSynthetic({
     state: stateCode,
-    stateName: STATE_ABBREV[stateCode] || stateCode,
+    stateName: getStateName(stateCode) || stateCode,
     energyType,
     trend,
     yearOverYearChange: percentChange,
     unit: energyType === 'electricity' ? '¢/kWh' : energyType === 'naturalGas' ? '$/Mcf' : '$/gal',
     period: '2024',
-  };
+  }, 'US Energy Information Administration', 'Simulated 12-month trend');
 }
 
+/**
+ * Check a claim that energy costs rose or fell against the year-over-year
+ * price change. A bill also moves with usage, so only claims about prices or
+ * rates can be contradicted by prices moving the other way.
+ * @param {Object} claim - Claim with a direction
+ * @param {Object} baseline - getEnergyBaseline result for the claim's fuel
+ * @returns {Object} { claimId, status, message }
+ */
+function checkPriceChangeClaim(claim, baseline) {
+  const change = baseline.yearOverYear.current?.percentChange ?? baseline.percentChange;
+  const moved = change > 1 ? 'increase' : change < -1 ? 'decrease' : 'unchanged';
+  const aboutPrice = ['price', 'rate', 'cost'].some(term => claim.subject.includes(term));
+  const message = describeEnergyBaseline(baseline);
+
+  if (moved === claim.direction) {
+    return { claimId: claim.id, status: CLAIM_STATUS.SUPPORTED, message };
+  }
+  if (aboutPrice && moved !== 'unchanged') {
+    return { claimId: claim.id, status: CLAIM_STATUS.CONTRADICTED, message };
+  }
+  return { claimId: claim.id, status: CLAIM_STATUS.UNVERIFIABLE, message: `${message}; bills also change with usage` };
+}
+
+/**
+ * Check structured energy bill claims against typical household costs, and
+ * claims that costs rose or fell against the price baselines
+ * @param {Array<Object>} claims - Claims from claimExtraction
+ * @param {Object} energyData - EIA energy data for the story's state
+ * @returns {Array<Object>} Per-claim results { claimId, status, message }
+ */
+export function checkEnergyClaims(claims, energyData) {
+  const costs = energyData?.typicalHouseholdCosts;
+
+  return claimsAbout(claims, ['electric', 'power', 'utility', 'utilities', 'energy', 'gas', 'heating']).map(claim => {
+    const baseline = claim.direction && claim.to === null
+      ? (energyData?.baselines || []).find(entry => entry.energyType === energyTypesIn(claim.subject)[0])
+      : null;
+    if (baseline) {
+      return checkPriceChangeClaim(claim, baseline);
+    }
+
+    const level = claim.to ?? (claim.direction ? null : claim.quantity);
+
+    if (!costs || claim.unit !== 'USD' || level === null || (claim.period && claim.period !== 'month')) {
+      return { claimId: claim.id, status: CLAIM_STATUS.UNVERIFIABLE, message: 'No comparable EIA monthly cost for this claim' };
+    }
+
+    const typical = claim.subject.includes('gas') || claim.subject.includes('heating')
+      ? costs.monthlyNaturalGas
+      : claim.subject.includes('electric') || claim.subject.includes('power')
+      ? costs.monthlyElectricity
+      : costs.totalMonthlyEnergy;
+    const ratio = level / typical;
+
+    if (ratio >= 0.25 && ratio <= 3.5) {
+      return { claimId: claim.id, status: CLAIM_STATUS.SUPPORTED, message: `$${level}/month is within the range of typical ${energyData.stateName} bills ($${typical}/month average)` };
+    }
+    return { claimId: claim.id, status: CLAIM_STATUS.CONTRADICTED, message: `$${level}/month is far from typical ${energyData.stateName} bills ($${typical}/month average)` };
+  });
+}
+
+// Register with the story verifier registry
+registerVerifier({
+  id: 'eia',
+  name: 'EIA',
+  policyAreas: ['energy', 'environment'],
+  keywords: ['electric bill', 'power bill', 'utility bill', 'energy bill', 'heating bill', 'gas bill'],
+  fetch: async (story, { stateCode, storyText }) => {
+    const energyTypes = energyTypesIn(storyText);
+    const [energyData, ...baselines] = await Promise.all([
+      getStateEnergyData(stateCode),
+      ...(energyTypes.length > 0 ? energyTypes : ['electricity']).map(energyType => getEnergyBaseline(stateCode, energyType)),
+    ]);
+    return { ...energyData, baselines: baselines.filter(baseline => !baseline.error) };
+  },
+  verify: verifyEnergyStory,
+  checkClaims: checkEnergyClaims,
+  weight: 1,
+  reliability: 0.9,
+  geoPrecision: 'state',
+  dataLagMonths: 2,
+  hasCredentials: () => !!EIA_API_KEY,
+});
+
 export default {
   getElectricityPricesByState,
   getNaturalGasPricesByState,
   getGasolinePricesByState,
   getStateEnergyData,
+  getMonthlyEnergyPrices,
+  getMonthlyPriceSeries,
+  getEnergyBaseline,
   verifyEnergyStory,
   getEnergyPriceTrends,
+  checkEnergyClaims,
 };
@@ -0,0 +1,308 @@
+/**
+ * Household Energy Burden
+ *
+ * Estimates the share of income a typical household spends on home energy by
+ * pricing residential consumption at EIA's monthly state prices and dividing
+ * by the Census ACS median household income for the ZIP:
+ *
+ *   burden = annual electricity + natural gas cost / median household income
+ *
+ * Electricity uses each month's price and kWh sold per residential customer;
+ * natural gas uses the monthly price and the U.S. average of 5.8 Mcf a month.
+ * The burden is computed for the 12 months before a baseline date and for the
+ * latest 12 published months. Income is the ACS 5-year median and is held
+ * constant across both windows, so the change reflects energy costs only.
+ *
+ * Lets stories like "my utility bill now eats a third of my paycheck" be
+ * checked against what households in the area actually pay.
+ */
+
+import { registerVerifier } from './verifierRegistry.js';
+import { getErrorType } from './httpClient.js';
+import { CLAIM_STATUS, claimsAbout } from './claimExtraction.js';
+import { combineProvenance } from './provenance.js';
+import { GEO_LEVELS, geographyKey, getStateFips, getStateName, resolveZip } from './geography.js';
+import { getConfig } from './config.js';
+import {
+  ENERGY_BASELINE_DATE,
+  getMonthlyEnergyPrices,
+  shiftMonth,
+  TYPICAL_MONTHLY_GAS_MCF,
+  TYPICAL_MONTHLY_KWH,
+} from './eiaApi.js';
+import { getDemographics } from './censusApi.js';
+
+const WINDOW_MONTHS = 12;
+
+// Above 6% of income is the usual threshold for a high energy burden (DOE LEAD)
+const HIGH_BURDEN_PERCENT = 6;
+
+// A claimed share within this factor of the expected one is consistent: a
+// paycheck is take-home pay and a household can use well above the average
+const CLAIM_CONSISTENT_FACTOR = 2;
+const CLAIM_CONTRADICTED_FACTOR = 3;
+
+const ENERGY_TERMS = ['electric', 'power', 'utility', 'utilities', 'energy', 'gas', 'heating'];
+
+/**
+ * Round a dollar amount to cents
+ * @param {number} value
+ * @returns {number}
+ */
+function toCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Annual energy cost for a window of months. Each fuel is averaged over the
+ * months it was published and annualized, so withheld months don't read as $0.
+ * @param {Array<Object>} months - Monthly prices (getMonthlyEnergyPrices)
+ * @param {number} income - Annual household income
+ * @returns {Object|null} { start, end, months, electricity, naturalGas, annualCost, monthlyCost, burden }
+ */
+function summarizeWindow(months, income) {
+  if (months.length === 0) return null;
+
+  const average = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+  const electricity = average(months.map(month => (month.electricityPrice / 100) * (month.kwhPerCustomer || TYPICAL_MONTHLY_KWH))) * 12;
+  const naturalGas = average(months
+    .filter(month => month.naturalGasPrice !== null)
+    .map(month => month.naturalGasPrice * TYPICAL_MONTHLY_GAS_MCF)) * 12;
+  const annualCost = electricity + naturalGas;
+
+  return {
+    start: months[0].period,
+    end: months[months.length - 1].period,
+    months: months.length,
+    electricity: toCents(electricity),
+    naturalGas: toCents(naturalGas),
+    annualCost: toCents(annualCost),
+    monthlyCost: toCents(annualCost / 12),
+    burden: Math.round((annualCost / income) * 1000) / 10,
+  };
+}
+
+/**
+ * Parse a story's income bracket ('30-45k', '100k+') into a representative income
+ * @param {string} bracket - Income bracket from story demographics
+ * @returns {number|null} Bracket midpoint (or floor for open brackets) in dollars
+ */
+export function parseIncomeBracket(bracket) {
+  const range = String(bracket || '').toLowerCase().match(/^(\d+)\s*-\s*(\d+)k$/);
+  if (range) return ((Number(range[1]) + Number(range[2])) / 2) * 1000;
+
+  const open = String(bracket || '').toLowerCase().match(/^(\d+)k\+$/);
+  return open ? Number(open[1]) * 1000 : null;
+}
+
+/**
+ * Estimate household energy burden for a ZIP (or a state) and how it moved
+ * since a baseline date
+ * @param {Object} options - { zip, stateCode, baselineDate = '2025-01-01' }
+ * @returns {Promise<Object>} { zip, state, medianHouseholdIncome, baseline, current, change, trend, ... }
+ */
+export async function getEnergyBurden({ zip = null, stateCode = null, baselineDate = ENERGY_BASELINE_DATE } = {}) {
+  const state = stateCode || resolveZip(zip)?.state || null;
+  if (!state) {
+    return {
+      error: true,
+      errorType: 'invalid_input',
+      errorMessage: 'A ZIP code or state is required for energy burden',
+      source: 'EIA / Census ACS (unavailable)',
+    };
+  }
+
+  const baselineMonth = baselineDate.slice(0, 7);
+  const area = zip ? { zipCode: zip } : geographyKey(GEO_LEVELS.STATE, getStateFips(state));
+
+  try {
+    const [prices, demographics] = await Promise.all([
+      getMonthlyEnergyPrices(state, { start: shiftMonth(baselineMonth, -WINDOW_MONTHS) }),
+      getDemographics(area),
+    ]);
+
+    const income = demographics.income?.medianHousehold;
+    if (prices.error || !income) {
+      return {
+        error: true,
+        errorType: prices.error ? prices.errorType : 'no_data',
+        errorMessage: prices.error ? prices.errorMessage : `No median household income for ${zip ? `ZIP ${zip}` : state}`,
+        zip,
+        state,
+        source: 'EIA / Census ACS (unavailable)',
+      };
+    }
+
+    const before = prices.months.filter(month => month.period < baselineMonth);
+    const baseline = summarizeWindow(before, income);
+    const current = summarizeWindow(prices.months.slice(-WINDOW_MONTHS), income);
+    const change = baseline && current && current.start >= baselineMonth
+      ? {
+        annualCost: toCents(current.annualCost - baseline.annualCost),
+        percentChange: baseline.annualCost > 0 ? Math.round(((current.annualCost - baseline.annualCost) / baseline.annualCost) * 1000) / 10 : null,
+        burdenPoints: Math.round((current.burden - baseline.burden) * 10) / 10,
+      }
+      : null;
+
+    return {
+      zip,
+      state,
+      stateName: getStateName(state) || state,
+      areaName: demographics.geography?.name || null,
+      baselineDate,
+      medianHouseholdIncome: income,
+      incomePeriod: demographics.dataYear,
+      baseline,
+      current,
+      change,
+      trend: !change ? null : change.burdenPoints > 0 ? 'increasing' : change.burdenPoints < 0 ? 'decreasing' : 'stable',
+      highBurden: current.burden >= HIGH_BURDEN_PERCENT,
+      assumptions: {
+        electricity: 'EIA residential kWh sold per customer each month',
+        naturalGasMcfPerMonth: TYPICAL_MONTHLY_GAS_MCF,
+        incomeHeldConstant: true,
+      },
+      source: 'EIA monthly prices / Census ACS median household income',
+      lastUpdated: new Date().toISOString(),
+      provenance: combineProvenance('EIA / Census ACS', [prices]),
+    };
+  } catch (error) {
+    console.error('Energy burden error:', error.message);
+    return {
+      error: true,
+      errorType: getErrorType(error),
+      errorMessage: 'Energy burden calculation failed',
+      zip,
+      state,
+      source: 'EIA / Census ACS (unavailable)',
+    };
+  }
+}
+
+/**
+ * Describe a burden estimate in one sentence
+ * @param {Object} burden - getEnergyBurden result
+ * @returns {string}
+ */
+function describeBurden(burden) {
+  const where = burden.zip ? `ZIP ${burden.zip}` : burden.stateName;
+  const since = burden.change
+    ? `, ${burden.change.burdenPoints >= 0 ? 'up' : 'down'} ${Math.abs(burden.change.burdenPoints)} points from ${burden.baseline.burden}% in the year before ${burden.baselineDate}`
+    : '';
+  return `A median-income household in ${where} spends about ${burden.current.burden}% of income on home energy ($${burden.current.monthlyCost.toLocaleString()}/month)${since}`;
+}
+
+/**
+ * Verify a story against the local energy burden
+ * @param {Object} story - The citizen story
+ * @param {Object} burden - getEnergyBurden result
+ * @returns {Object} Verification results
+ */
+export function verifyEnergyBurdenStory(story, burden) {
+  const verification = {
+    verified: true,
+    confidence: 0,
+    flags: [],
+    insights: [],
+    energyBurden: null,
+  };
+
+  if (!burden || burden.error) {
+    verification.insights.push({
+      type: 'api_unavailable',
+      message: burden?.errorMessage || 'Energy burden data unavailable',
+    });
+    verification.confidence = 50;
+    return verification;
+  }
+
+  const storyText = ((story.headline || '') + ' ' + (story.story || '')).toLowerCase();
+  if (!ENERGY_TERMS.some(term => storyText.includes(term))) {
+    verification.insights.push({
+      type: 'not_energy_related',
+      message: 'Story does not appear to be about home energy costs',
+    });
+    return verification;
+  }
+
+  verification.confidence = 70;
+  verification.energyBurden = { current: burden.current.burden, baseline: burden.baseline?.burden ?? null, change: burden.change };
+  verification.insights.push({ type: 'energy_burden', message: describeBurden(burden) });
+
+  if (burden.highBurden) {
+    verification.confidence += 10;
+    verification.insights.push({
+      type: 'high_energy_burden',
+      message: `Energy costs take more than ${HIGH_BURDEN_PERCENT}% of the median income here, a high energy burden`,
+    });
+  }
+
+  verification.confidence = Math.min(100, verification.confidence);
+  return verification;
+}
+
+/**
+ * Check claims that an energy bill takes a share of the writer's income.
+ * Uses the story's income bracket when given, otherwise the area median; a
+ * share far from expected only contradicts the claim when the bracket is known.
+ * @param {Array<Object>} claims - Claims from claimExtraction
+ * @param {Object} burden - getEnergyBurden result
+ * @param {Object} story - The citizen story (for its income bracket)
+ * @returns {Array<Object>} Per-claim results { claimId, status, message }
+ */
+export function checkEnergyBurdenClaims(claims, burden, story = {}) {
+  return claimsAbout(claims, ENERGY_TERMS)
+    .filter(claim => claim.base === 'income' && claim.unit === 'percent' && claim.quantity > 0)
+    .map(claim => {
+      if (!burden || burden.error) {
+        return { claimId: claim.id, status: CLAIM_STATUS.UNVERIFIABLE, message: 'No energy burden estimate for this area' };
+      }
+
+      const bracketIncome = parseIncomeBracket(story.demographics?.income);
+      const income = bracketIncome || burden.medianHouseholdIncome;
+      const expected = Math.round((burden.current.annualCost / income) * 1000) / 10;
+      const ratio = claim.quantity / expected;
+      const basis = bracketIncome
+        ? `a $${income.toLocaleString()} income (the writer's bracket)`
+        : `the local median income of $${income.toLocaleString()}`;
+      const typical = `typical home energy costs of $${burden.current.annualCost.toLocaleString()}/year are about ${expected}% of ${basis}`;
+
+      if (ratio >= 1 / CLAIM_CONSISTENT_FACTOR && ratio <= CLAIM_CONSISTENT_FACTOR) {
+        return { claimId: claim.id, status: CLAIM_STATUS.SUPPORTED, message: `Claimed ${claim.quantity}% of income is consistent: ${typical}` };
+      }
+      if (bracketIncome && (ratio > CLAIM_CONTRADICTED_FACTOR || ratio < 1 / CLAIM_CONTRADICTED_FACTOR)) {
+        return { claimId: claim.id, status: CLAIM_STATUS.CONTRADICTED, message: `Claimed ${claim.quantity}% of income is far from expected: ${typical}` };
+      }
+
+      const impliedIncome = Math.round(burden.current.annualCost / (claim.quantity / 100));
+      return {
+        claimId: claim.id,
+        status: CLAIM_STATUS.UNVERIFIABLE,
+        message: `Claimed ${claim.quantity}% of income implies about $${impliedIncome.toLocaleString()}/year at typical usage; ${typical}`,
+      };
+    });
+}
+
+// Register with the story verifier registry
+registerVerifier({
+  id: 'energy_burden',
+  name: 'Energy burden (EIA / Census)',
+  policyAreas: ['energy'],
+  keywords: ['energy burden', 'utility bill', 'electric bill', 'power bill', 'energy bill', 'heating bill', 'gas bill'],
+  fetch: (story, { stateCode, zip }) => getEnergyBurden({ zip, stateCode }),
+  verify: verifyEnergyBurdenStory,
+  checkClaims: checkEnergyBurdenClaims,
+  weight: 1,
+  reliability: 0.75,
+  geoPrecision: 'state',
+  dataLagMonths: 2,
+  hasCredentials: () => !!getConfig('EIA_API_KEY'),
+  getVintage: (data) => data.current ? `${data.current.end}:${data.incomePeriod}` : null,
+});
+
+export default {
+  getEnergyBurden,
+  verifyEnergyBurdenStory,
+  checkEnergyBurdenClaims,
+  parseIncomeBracket,
+};
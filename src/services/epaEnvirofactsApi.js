@@ -16,10 +16,11 @@
  * This service uses 5-minute timeout to stay well under the limit
  */
 
-const EPA_API_BASE =
-  (typeof import.meta !== 'undefined' && import.meta.env?.VITE_EPA_ENVIROFACTS_API_BASE) ||
-  (typeof process !== 'undefined' && process.env?.VITE_EPA_ENVIROFACTS_API_BASE) ||
-  'https://data.epa.gov/efservice';
+import { httpRequest, getErrorType } from './httpClient.js';
+import { getStateFips } from './geography.js';
+import { getConfig } from './config.js';
+
+const EPA_API_BASE = getConfig('EPA_ENVIROFACTS_API_BASE');
 
 // Request timeout: 5 minutes (300 seconds) to stay under EPA's 15-minute limit
 const REQUEST_TIMEOUT_MS = 300000;
@@ -53,35 +54,20 @@ async function makeRequest(table, filters = {}, options = {}) {
     path += `/page_size/${page_size}`;
   }
 
-  const url = `${EPA_API_BASE}${path}/${output}`;
-
   try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
-
-    const response = await fetch(url, {
-      method: 'GET',
+    return await httpRequest(`${EPA_API_BASE}${path}/${output}`, {
+      source: 'EPA EnviroFacts API',
+      cache: 'epa',
+      quota: 'epa',
       headers: {
         'Content-Type': 'application/json',
       },
-      signal: controller.signal,
+      timeoutMs: REQUEST_TIMEOUT_MS,
+      // Slow queries already take minutes - one retry is plenty
+      retries: 1,
     });
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`EPA API error: ${response.status} ${response.statusText} - ${errorText}`);
-    }
-
-    const data = await response.json();
-    return data;
   } catch (error) {
-    if (error.name === 'AbortError') {
-      console.error('EPA API timeout (exceeded 5 minutes):', url);
-      throw new Error('timeout');
-    }
-    console.error('EPA API Request Error:', error);
+    console.error('EPA API Request Error:', error.message);
     throw error;
   }
 }
@@ -108,7 +94,7 @@ export async function queryTable(table, filters = {}, maxRows = 1000) {
     console.error('EPA API timeout or error:', error.message);
     return {
       error: true,
-      errorType: error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: error.message.includes('timeout')
         ? 'EPA EnviroFacts API experienced timeout (15-minute limit exceeded)'
         : 'EPA EnviroFacts API temporarily unavailable',
@@ -167,7 +153,7 @@ export async function queryWithPagination(table, filters = {}, pageSize = DEFAUL
     console.error('EPA API timeout or error:', error.message);
     return {
       error: true,
-      errorType: error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: error.message.includes('timeout')
         ? 'EPA EnviroFacts API experienced timeout (15-minute limit exceeded)'
         : 'EPA EnviroFacts API temporarily unavailable',
@@ -206,7 +192,7 @@ export async function getTRIFacilitiesByZip(zipCode, year = 2022) {
     console.error('EPA API timeout or error:', error.message);
     return {
       error: true,
-      errorType: error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: error.message.includes('timeout')
         ? 'EPA EnviroFacts API experienced timeout (15-minute limit exceeded)'
         : 'EPA EnviroFacts API temporarily unavailable',
@@ -242,7 +228,7 @@ export async function getRCRAFacilitiesByState(state) {
     console.error('EPA API timeout or error:', error.message);
     return {
       error: true,
-      errorType: error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: error.message.includes('timeout')
         ? 'EPA EnviroFacts API experienced timeout (15-minute limit exceeded)'
         : 'EPA EnviroFacts API temporarily unavailable',
@@ -257,7 +243,7 @@ export async function getRCRAFacilitiesByState(state) {
 
 /**
  * Get air quality data by state and county
- * @param {string} stateCode - 2-digit state FIPS code
+ * @param {string} stateCode - State code or 2-digit FIPS code (AQS queries by FIPS)
  * @param {string} countyCode - 3-digit county FIPS code
  * @param {number} year - Year
  * @returns {Promise<Object>} Air quality data
@@ -265,7 +251,7 @@ export async function getRCRAFacilitiesByState(state) {
 export async function getAirQualityData(stateCode, countyCode, year = 2022) {
   try {
     const data = await makeRequest('aqs_annual_summary', {
-      state_code: stateCode,
+      state_code: getStateFips(stateCode) || stateCode,
       county_code: countyCode,
       year: year,
     }, { rows: '0:200' });
@@ -283,7 +269,7 @@ export async function getAirQualityData(stateCode, countyCode, year = 2022) {
     console.error('EPA API timeout or error:', error.message);
     return {
       error: true,
-      errorType: error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: error.message.includes('timeout')
         ? 'EPA EnviroFacts API experienced timeout (15-minute limit exceeded)'
         : 'EPA EnviroFacts API temporarily unavailable',
@@ -320,7 +306,7 @@ export async function getWaterSystemsByZip(zipCode) {
     console.error('EPA API timeout or error:', error.message);
     return {
       error: true,
-      errorType: error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: error.message.includes('timeout')
         ? 'EPA EnviroFacts API experienced timeout (15-minute limit exceeded)'
         : 'EPA EnviroFacts API temporarily unavailable',
@@ -358,7 +344,7 @@ export async function getGHGEmissionsByState(state, year = 2022) {
     console.error('EPA API timeout or error:', error.message);
     return {
       error: true,
-      errorType: error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: error.message.includes('timeout')
         ? 'EPA EnviroFacts API experienced timeout (15-minute limit exceeded)'
         : 'EPA EnviroFacts API temporarily unavailable',
@@ -394,7 +380,7 @@ export async function searchFacilityByName(facilityName) {
     console.error('EPA API timeout or error:', error.message);
     return {
       error: true,
-      errorType: error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: error.message.includes('timeout')
         ? 'EPA EnviroFacts API experienced timeout (15-minute limit exceeded)'
         : 'EPA EnviroFacts API temporarily unavailable',
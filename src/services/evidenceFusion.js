@@ -0,0 +1,178 @@
+/**
+ * Evidence Fusion
+ *
+ * Combines the results of several data source verifiers into one confidence
+ * score. Each source is weighted by:
+ * - Reliability: how trustworthy the agency dataset is (0-1)
+ * - Freshness: how far the data lags behind the story (months)
+ * - Geographic precision: ZIP > county > state > national
+ *
+ * Supporting sources raise the score and contradicting sources lower it.
+ * Agreeing sources compound (two moderate corroborations beat one), but the
+ * score never reaches 100 from weak evidence alone. Sources that had no
+ * data or did not apply to the story are listed but contribute nothing, as
+ * are sources whose data is synthetic (estimates standing in for agency
+ * data - see provenance.js).
+ *
+ * Scores are centered on 50 ("no evidence either way"), matching the base
+ * confidence the individual verify*Story functions use.
+ */
+
+import { PROVENANCE } from './provenance.js';
+
+const BASE_CONFIDENCE = 50;
+
+// Weight multiplier by how closely the data matches the story's location
+export const GEO_PRECISION_WEIGHTS = {
+  zip: 1.0,
+  tract: 1.0,
+  county: 0.9,
+  district: 0.85,
+  state: 0.75,
+  national: 0.5,
+};
+
+// Data older than this (in months) gets the minimum freshness weight
+const MAX_LAG_MONTHS = 60;
+const MIN_FRESHNESS = 0.4;
+
+// Insight types that mean a source had no usable data
+const UNAVAILABLE_INSIGHT_TYPES = ['api_unavailable', 'verification_error', 'error', 'system_error', 'no_data'];
+
+/**
+ * Freshness weight for data that lags the story by the given number of months
+ * @param {number} lagMonths - Typical publication lag of the dataset
+ * @returns {number} Weight between MIN_FRESHNESS and 1
+ */
+export function freshnessWeight(lagMonths = 0) {
+  const lag = Math.max(0, Number(lagMonths) || 0);
+  return Math.max(MIN_FRESHNESS, 1 - (lag / MAX_LAG_MONTHS) * (1 - MIN_FRESHNESS));
+}
+
+/**
+ * Decide whether a verifier result supports, contradicts, or says nothing about a story
+ * @param {Object} result - Result of a verify*Story function
+ * @param {Array<Object>} claimChecks - Per-claim results from the verifier's checkClaims
+ * @returns {Object} { stance: 'supports'|'contradicts'|'neutral'|'unavailable'|'not_applicable', signal }
+ *   signal is the evidence strength from -1 (strong contradiction) to 1 (strong support)
+ */
+export function classifyStance(result, claimChecks = []) {
+  if (!result) {
+    return { stance: 'unavailable', signal: 0 };
+  }
+
+  const insightTypes = (result.insights || []).map(insight => insight.type || '');
+  const confidence = Number(result.confidence) || 0;
+
+  if (insightTypes.some(type => UNAVAILABLE_INSIGHT_TYPES.includes(type))) {
+    return { stance: 'unavailable', signal: 0 };
+  }
+
+  const supportedClaims = claimChecks.filter(check => check.status === 'supported').length;
+  const contradictedClaims = claimChecks.filter(check => check.status === 'contradicted').length;
+
+  // Verifiers may state their stance explicitly. Some verifiers also report
+  // verified: false when the data conflicts with a claim, flagged high severity;
+  // others use verified only as a confidence threshold, so that alone is not
+  // treated as a contradiction.
+  const highSeverityFlag = (result.flags || []).some(flag => flag?.severity === 'high');
+  if (result.stance === 'contradicts' || (result.verified === false && highSeverityFlag)) {
+    return { stance: 'contradicts', signal: highSeverityFlag ? -1 : -0.5 };
+  }
+
+  // Specific claims the data contradicts outweigh general topical support
+  if (contradictedClaims > supportedClaims) {
+    return { stance: 'contradicts', signal: -Math.min(1, 0.5 + 0.25 * (contradictedClaims - supportedClaims - 1)) };
+  }
+
+  // Each supported claim strengthens the source's support
+  const claimBoost = 0.1 * supportedClaims;
+
+  if (insightTypes.some(type => type.startsWith('not_') && type.endsWith('_related'))) {
+    return claimBoost > 0
+      ? { stance: 'supports', signal: Math.min(1, claimBoost) }
+      : { stance: 'not_applicable', signal: 0 };
+  }
+
+  if (confidence > BASE_CONFIDENCE || claimBoost > 0) {
+    const baseSignal = Math.max(0, (confidence - BASE_CONFIDENCE) / BASE_CONFIDENCE);
+    return { stance: 'supports', signal: Math.min(1, baseSignal + claimBoost) };
+  }
+
+  return { stance: 'neutral', signal: 0 };
+}
+
+/**
+ * Fuse verifier results into a single verification score
+ * @param {Array<Object>} sourceResults - One entry per data source:
+ *   { id, name, result, claimChecks, reliability, geoPrecision, dataLagMonths, provenance }
+ * @returns {Object} { verified, confidence, supportScore, contradictionScore, breakdown }
+ *   Synthetic sources appear in the breakdown with stance 'synthetic'
+ */
+export function fuseEvidence(sourceResults = []) {
+  const breakdown = sourceResults.map(source => {
+    const { stance, signal } = source.provenance?.type === PROVENANCE.SYNTHETIC
+      ? { stance: 'synthetic', signal: 0 }
+      : classifyStance(source.result, source.claimChecks);
+    const reliability = source.reliability ?? 0.7;
+    const freshness = freshnessWeight(source.dataLagMonths);
+    const geoPrecision = source.geoPrecision || 'state';
+    const geoWeight = GEO_PRECISION_WEIGHTS[geoPrecision] ?? GEO_PRECISION_WEIGHTS.state;
+    const weight = reliability * freshness * geoWeight;
+
+    return {
+      id: source.id,
+      source: source.name,
+      stance,
+      signal: Math.round(signal * 100) / 100,
+      sourceConfidence: source.result?.confidence ?? null,
+      claimsChecked: source.claimChecks?.length || 0,
+      reliability,
+      freshness: Math.round(freshness * 100) / 100,
+      geoPrecision,
+      provenance: source.provenance?.type || null,
+      weight: Math.round(weight * 100) / 100,
+      evidence: weight * Math.abs(signal),
+      contribution: 0,
+    };
+  });
+
+  // Noisy-OR: each agreeing source closes part of the remaining gap
+  const combine = entries => 1 - entries.reduce((remaining, entry) => remaining * (1 - entry.evidence), 1);
+  const supporting = breakdown.filter(entry => entry.stance === 'supports');
+  const contradicting = breakdown.filter(entry => entry.stance === 'contradicts');
+
+  const supportScore = combine(supporting);
+  const contradictionScore = combine(contradicting);
+
+  // Split each side's total across its sources in proportion to their evidence
+  const distribute = (entries, total, sign) => {
+    const evidenceSum = entries.reduce((sum, entry) => sum + entry.evidence, 0);
+    entries.forEach(entry => {
+      entry.contribution = evidenceSum > 0
+        ? Math.round(sign * BASE_CONFIDENCE * total * (entry.evidence / evidenceSum) * 10) / 10
+        : 0;
+    });
+  };
+  distribute(supporting, supportScore, 1);
+  distribute(contradicting, contradictionScore, -1);
+
+  const confidence = Math.round(
+    Math.min(100, Math.max(0, BASE_CONFIDENCE + BASE_CONFIDENCE * supportScore - BASE_CONFIDENCE * contradictionScore))
+  );
+
+  return {
+    verified: confidence >= BASE_CONFIDENCE,
+    confidence,
+    supportScore: Math.round(supportScore * 100) / 100,
+    contradictionScore: Math.round(contradictionScore * 100) / 100,
+    breakdown: breakdown.map(({ evidence, ...entry }) => entry),
+  };
+}
+
+export default {
+  GEO_PRECISION_WEIGHTS,
+  freshnessWeight,
+  classifyStance,
+  fuseEvidence,
+};
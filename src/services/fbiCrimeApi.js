@@ -18,16 +18,14 @@
  * - Graceful degradation on failure
  */
 
-const FBI_CRIME_API_BASE =
-  (typeof import.meta !== 'undefined' && import.meta.env?.VITE_FBI_CRIME_API_BASE) ||
-  (typeof process !== 'undefined' && process.env?.VITE_FBI_CRIME_API_BASE) ||
-  'https://api.usa.gov/crime/fbi/cde';
+import { registerVerifier } from './verifierRegistry.js';
+import { httpRequest, getErrorType } from './httpClient.js';
+import { getConfig } from './config.js';
+
+const FBI_CRIME_API_BASE = getConfig('FBI_CRIME_API_BASE');
 
 // Data.gov API Key - provides access to 450+ federal APIs
-const DATA_GOV_API_KEY =
-  (typeof import.meta !== 'undefined' && import.meta.env?.VITE_DATA_GOV_API_KEY) ||
-  (typeof process !== 'undefined' && process.env?.VITE_DATA_GOV_API_KEY) ||
-  null;
+const DATA_GOV_API_KEY = getConfig('DATA_GOV_API_KEY') || null;
 
 // Request configuration
 const REQUEST_TIMEOUT_MS = 30000;  // 30 seconds
@@ -35,80 +33,33 @@ const MAX_RETRIES = 3;
 const RETRY_DELAY_MS = 2000;  // Base delay: 2 seconds
 
 /**
- * Sleep utility for retry delays
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise<void>}
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-/**
- * Make a GET request to FBI Crime Data API with retry logic
+ * Make a GET request to FBI Crime Data API (retries, timeouts and circuit
+ * breaking are handled by the shared HTTP client)
  * @param {string} endpoint - API endpoint path
  * @param {Object} params - Query parameters
- * @param {number} retryCount - Current retry attempt
  * @returns {Promise<Object>} API response data
+ * @throws {HttpError} Typed error from httpClient.js
  */
-async function makeRequest(endpoint, params = {}, retryCount = 0) {
-  // Add Data.gov API key if available
-  if (DATA_GOV_API_KEY) {
-    params.api_key = DATA_GOV_API_KEY;
-  }
-
-  const queryParams = new URLSearchParams(params);
-  const queryString = queryParams.toString();
-  const url = `${FBI_CRIME_API_BASE}${endpoint}${queryString ? '?' + queryString : ''}`;
-
-  try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
-
-    console.log(`FBI Crime API request: ${endpoint} (attempt ${retryCount + 1}/${MAX_RETRIES + 1})`);
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'Democratic-Accountability-Platform/1.0',
-      },
-      signal: controller.signal,
-    });
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`FBI Crime API error: ${response.status} ${response.statusText} - ${errorText}`);
-    }
-
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      console.error(`FBI Crime API timeout on attempt ${retryCount + 1}`);
-
-      if (retryCount < MAX_RETRIES) {
-        const waitTime = RETRY_DELAY_MS * Math.pow(2, retryCount);  // Exponential backoff
-        console.log(`Retrying in ${waitTime / 1000} seconds...`);
-        await sleep(waitTime);
-        return makeRequest(endpoint, params, retryCount + 1);
-      }
-
-      throw new Error('timeout');
-    }
-
-    console.error('FBI Crime API Request Error:', error);
-
-    if (retryCount < MAX_RETRIES) {
-      const waitTime = RETRY_DELAY_MS * Math.pow(2, retryCount);
-      console.log(`Retrying in ${waitTime / 1000} seconds...`);
-      await sleep(waitTime);
-      return makeRequest(endpoint, params, retryCount + 1);
-    }
-
-    throw error;
-  }
+async function makeRequest(endpoint, params = {}) {
+  console.log(`FBI Crime API request: ${endpoint}`);
+
+  return httpRequest(`${FBI_CRIME_API_BASE}${endpoint}`, {
+    source: 'FBI Crime API',
+    cache: 'fbi-crime',
+    quota: 'fbi-crime',
+    params: {
+      ...params,
+      // Add Data.gov API key if available
+      api_key: DATA_GOV_API_KEY || undefined,
+    },
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Democratic-Accountability-Platform/1.0',
+    },
+    timeoutMs: REQUEST_TIMEOUT_MS,
+    retries: MAX_RETRIES,
+    retryDelayMs: RETRY_DELAY_MS,
+  });
 }
 
 /**
@@ -135,7 +86,7 @@ export async function getCrimeDataByState(stateAbbr, year = 2023) {
     console.error('FBI Crime API timeout or error:', error.message);
     return {
       error: true,
-      errorType: error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: 'FBI Crime Data API temporarily unavailable',
       state: stateAbbr,
       year: year,
@@ -254,7 +205,7 @@ export async function getBaselineComparison(stateAbbr, baselineYear = 2023, curr
  * @param {Object} current - Current crime data
  * @returns {Object} Calculated changes
  */
-function calculateChanges(baseline, current) {
+export function calculateChanges(baseline, current) {
   const changes = {};
 
   if (!baseline || !current) {
@@ -390,6 +341,22 @@ export function verifyCrimeStory(story, crimeData) {
   return verification;
 }
 
+// Register with the story verifier registry
+registerVerifier({
+  id: 'fbi-crime',
+  name: 'FBI',
+  policyAreas: ['justice'],
+  fetch: (story, { stateCode }) => getCrimeDataByState(stateCode, new Date().getFullYear() - 2),
+  verify: verifyCrimeStory,
+  weight: 1,
+  reliability: 0.85,
+  geoPrecision: 'state',
+  dataLagMonths: 24,
+  hasCredentials: () => !!DATA_GOV_API_KEY,
+  // Estimates year; moves forward when the FBI publishes a new year
+  getVintage: (data) => (data.data ? String(data.year) : null),
+});
+
 export default {
   getCrimeDataByState,
   getCrimeTrends,
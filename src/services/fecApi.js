@@ -13,15 +13,13 @@
  * Requires API key from api.data.gov
  */
 
-const FEC_API_BASE =
-  (typeof import.meta !== 'undefined' && import.meta.env?.VITE_FEC_API_BASE) ||
-  (typeof process !== 'undefined' && process.env?.VITE_FEC_API_BASE) ||
-  'https://api.open.fec.gov/v1';
+import { registerVerifier } from './verifierRegistry.js';
+import { httpRequest } from './httpClient.js';
+import { getConfig, hasConfig } from './config.js';
 
-const FEC_API_KEY =
-  (typeof import.meta !== 'undefined' && import.meta.env?.VITE_FEC_API_KEY) ||
-  (typeof process !== 'undefined' && process.env?.VITE_FEC_API_KEY) ||
-  'DEMO_KEY'; // Limited to 30 requests per hour
+const FEC_API_BASE = getConfig('FEC_API_BASE');
+
+const FEC_API_KEY = getConfig('FEC_API_KEY'); // DEMO_KEY when unset - 30 requests an hour
 
 // Election years for quick reference
 export const ELECTION_CYCLES = {
@@ -74,30 +72,21 @@ export const OFFICE_CODES = {
  * @returns {Promise<Object>} API response data
  */
 async function makeRequest(endpoint, params = {}) {
-  const queryParams = new URLSearchParams({
-    api_key: FEC_API_KEY,
-    ...params,
-  });
-
-  const url = `${FEC_API_BASE}${endpoint}?${queryParams.toString()}`;
-
   try {
-    const response = await fetch(url, {
-      method: 'GET',
+    return await httpRequest(`${FEC_API_BASE}${endpoint}`, {
+      source: 'FEC API',
+      cache: 'fec',
+      quota: 'fec',
+      params: {
+        api_key: FEC_API_KEY,
+        ...params,
+      },
       headers: {
         'Content-Type': 'application/json',
       },
     });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`FEC API error: ${response.status} ${response.statusText} - ${errorText}`);
-    }
-
-    const data = await response.json();
-    return data;
   } catch (error) {
-    console.error('FEC API Request Error:', error);
+    console.error('FEC API Request Error:', error.message);
     throw error;
   }
 }
@@ -587,6 +576,29 @@ export function verifyCampaignFinanceStory(story, fecData) {
   };
 }
 
+// Register with the story verifier registry
+registerVerifier({
+  id: 'fec',
+  name: 'FEC',
+  policyAreas: ['election'],
+  fetch: async (story, { stateCode }) => {
+    const [candidates, committees, contributions] = await Promise.all([
+      searchCandidates('', { state: stateCode, perPage: 10 }),
+      searchCommittees({ state: stateCode, perPage: 10 }),
+      searchContributions({ contributorState: stateCode, perPage: 10 }),
+    ]);
+    return { candidates, committees, contributions, state: stateCode };
+  },
+  verify: verifyCampaignFinanceStory,
+  weight: 1,
+  reliability: 0.95,
+  geoPrecision: 'state',
+  dataLagMonths: 1,
+  probe: () => searchCommittees({ perPage: 1 }),
+  // DEMO_KEY works, but it's a shared 30-requests-an-hour key, not a configured credential
+  hasCredentials: () => hasConfig('FEC_API_KEY'),
+});
+
 export default {
   searchCandidates,
   getCandidate,
@@ -12,10 +12,10 @@
  * Open API - No authentication required
  */
 
-const FEDERAL_REGISTER_API_BASE =
-  (typeof import.meta !== 'undefined' && import.meta.env?.VITE_FEDERAL_REGISTER_API_BASE) ||
-  (typeof process !== 'undefined' && process.env?.VITE_FEDERAL_REGISTER_API_BASE) ||
-  'https://www.federalregister.gov/api/v1';
+import { httpRequest, getErrorType } from './httpClient.js';
+import { getConfig } from './config.js';
+
+const FEDERAL_REGISTER_API_BASE = getConfig('FEDERAL_REGISTER_API_BASE');
 
 // Document types
 export const DOCUMENT_TYPES = {
@@ -40,37 +40,19 @@ export const PRESIDENTIAL_TYPES = {
  * @returns {Promise<Object>} API response data
  */
 async function makeRequest(endpoint, params = {}) {
-  const queryParams = new URLSearchParams();
-
-  // Handle array parameters
-  Object.entries(params).forEach(([key, value]) => {
-    if (Array.isArray(value)) {
-      value.forEach(v => queryParams.append(key, v));
-    } else if (value !== null && value !== undefined) {
-      queryParams.append(key, value);
-    }
-  });
-
-  const queryString = queryParams.toString();
-  const url = `${FEDERAL_REGISTER_API_BASE}${endpoint}${queryString ? '?' + queryString : ''}`;
-
   try {
-    const response = await fetch(url, {
-      method: 'GET',
+    // Array parameters repeat the key (see buildUrl)
+    return await httpRequest(`${FEDERAL_REGISTER_API_BASE}${endpoint}`, {
+      source: 'Federal Register API',
+      cache: 'federal-register',
+      quota: 'federal-register',
+      params,
       headers: {
         'Content-Type': 'application/json',
       },
     });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Federal Register API error: ${response.status} ${response.statusText} - ${errorText}`);
-    }
-
-    const data = await response.json();
-    return data;
   } catch (error) {
-    console.error('Federal Register API Request Error:', error);
+    console.error('Federal Register API Request Error:', error.message);
     throw error;
   }
 }
@@ -92,7 +74,7 @@ export async function getDocument(documentNumber) {
     console.error('Federal Register API timeout or error:', error.message);
     return {
       error: true,
-      errorType: error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: 'Federal Register API temporarily unavailable',
       source: 'Federal Register API (unavailable)',
       lastUpdated: new Date().toISOString(),
@@ -162,7 +144,7 @@ export async function searchDocuments(options = {}) {
     console.error('Federal Register API timeout or error:', error.message);
     return {
       error: true,
-      errorType: error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: 'Federal Register API temporarily unavailable',
       count: 0,
       totalPages: 0,
@@ -205,7 +187,7 @@ export async function getExecutiveOrders(dateFrom = null, perPage = 20) {
     console.error('Federal Register API timeout or error:', error.message);
     return {
       error: true,
-      errorType: error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: 'Federal Register API temporarily unavailable',
       count: 0,
       results: [],
@@ -242,7 +224,7 @@ export async function getPublicInspection(agencies = []) {
     console.error('Federal Register API timeout or error:', error.message);
     return {
       error: true,
-      errorType: error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: 'Federal Register API temporarily unavailable',
       count: 0,
       results: [],
@@ -269,7 +251,7 @@ export async function getAgencies() {
     console.error('Federal Register API timeout or error:', error.message);
     return {
       error: true,
-      errorType: error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: 'Federal Register API temporarily unavailable',
       agencies: [],
       source: 'Federal Register API (unavailable)',
@@ -312,7 +294,7 @@ export async function getAgencyRules(agency, dateFrom = null, perPage = 20) {
     return {
       agency: agency,
       error: true,
-      errorType: error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: 'Federal Register API temporarily unavailable',
       count: 0,
       results: [],
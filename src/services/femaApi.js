@@ -12,25 +12,13 @@
  * Open API - No authentication required
  */
 
-const FEMA_API_BASE =
-  (typeof import.meta !== 'undefined' && import.meta.env?.VITE_FEMA_API_BASE) ||
-  (typeof process !== 'undefined' && process.env?.VITE_FEMA_API_BASE) ||
-  'https://www.fema.gov/api/open/v2';
-
-// State abbreviation mapping
-const STATE_ABBREV = {
-  'AL': 'Alabama', 'AK': 'Alaska', 'AZ': 'Arizona', 'AR': 'Arkansas', 'CA': 'California',
-  'CO': 'Colorado', 'CT': 'Connecticut', 'DE': 'Delaware', 'FL': 'Florida', 'GA': 'Georgia',
-  'HI': 'Hawaii', 'ID': 'Idaho', 'IL': 'Illinois', 'IN': 'Indiana', 'IA': 'Iowa',
-  'KS': 'Kansas', 'KY': 'Kentucky', 'LA': 'Louisiana', 'ME': 'Maine', 'MD': 'Maryland',
-  'MA': 'Massachusetts', 'MI': 'Michigan', 'MN': 'Minnesota', 'MS': 'Mississippi', 'MO': 'Missouri',
-  'MT': 'Montana', 'NE': 'Nebraska', 'NV': 'Nevada', 'NH': 'New Hampshire', 'NJ': 'New Jersey',
-  'NM': 'New Mexico', 'NY': 'New York', 'NC': 'North Carolina', 'ND': 'North Dakota', 'OH': 'Ohio',
-  'OK': 'Oklahoma', 'OR': 'Oregon', 'PA': 'Pennsylvania', 'RI': 'Rhode Island', 'SC': 'South Carolina',
-  'SD': 'South Dakota', 'TN': 'Tennessee', 'TX': 'Texas', 'UT': 'Utah', 'VT': 'Vermont',
-  'VA': 'Virginia', 'WA': 'Washington', 'WV': 'West Virginia', 'WI': 'Wisconsin', 'WY': 'Wyoming',
-  'DC': 'District of Columbia'
-};
+import { registerVerifier } from './verifierRegistry.js';
+import { httpRequest } from './httpClient.js';
+import { combineProvenance, markSynthetic } from './provenance.js';
+import { getStateName } from './geography.js';
+import { getConfig } from './config.js';
+
+const FEMA_API_BASE = getConfig('FEMA_API_BASE');
 
 /**
  * Make a request to the FEMA API
@@ -39,27 +27,18 @@ const STATE_ABBREV = {
  * @returns {Promise<Object>} API response data
  */
 async function makeFEMARequest(endpoint, params = {}) {
-  const queryParams = new URLSearchParams(params);
-  const queryString = queryParams.toString();
-  const url = `${FEMA_API_BASE}${endpoint}${queryString ? '?' + queryString : ''}`;
-
   try {
-    const response = await fetch(url, {
-      method: 'GET',
+    return await httpRequest(`${FEMA_API_BASE}${endpoint}`, {
+      source: 'FEMA API',
+      cache: 'fema',
+      quota: 'fema',
+      params,
       headers: {
         'Content-Type': 'application/json',
       },
     });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`FEMA API error: ${response.status} ${response.statusText} - ${errorText}`);
-    }
-
-    const data = await response.json();
-    return data;
   } catch (error) {
-    console.error('FEMA API Request Error:', error);
+    console.error('FEMA API Request Error:', error.message);
     throw error;
   }
 }
@@ -81,7 +60,7 @@ export async function getStateDisasterDeclarations(stateCode, limit = 100) {
     const data = await makeFEMARequest('/DisasterDeclarationsSummaries', params);
 
     if (!data || !data.DisasterDeclarationsSummaries) {
-      return getMockDisasterData(stateCode);
+      return getMockDisasterData(stateCode, 'FEMA returned no declarations');
     }
 
     const declarations = data.DisasterDeclarationsSummaries;
@@ -101,7 +80,7 @@ export async function getStateDisasterDeclarations(stateCode, limit = 100) {
 
     return {
       state: stateCode,
-      stateName: STATE_ABBREV[stateCode] || stateCode,
+      stateName: getStateName(stateCode) || stateCode,
       totalDeclarations: declarations.length,
       recentDeclarations: recentDeclarations.map(dec => ({
         disasterNumber: dec.disasterNumber,
@@ -120,7 +99,7 @@ export async function getStateDisasterDeclarations(stateCode, limit = 100) {
     };
   } catch (error) {
     console.error('Error fetching disaster declarations:', error);
-    return getMockDisasterData(stateCode);
+    return getMockDisasterData(stateCode, `FEMA API unavailable: ${error.message}`);
   }
 }
 
@@ -154,7 +133,7 @@ export async function getStateEmergencyData(stateCode) {
 
     return {
       state: stateCode,
-      stateName: STATE_ABBREV[stateCode] || stateCode,
+      stateName: getStateName(stateCode) || stateCode,
       disasters,
       housingAssistance,
       summary: {
@@ -165,6 +144,7 @@ export async function getStateEmergencyData(stateCode) {
       },
       source: 'FEMA Open API',
       lastUpdated: new Date().toISOString(),
+      provenance: combineProvenance('FEMA Open API', [disasters, housingAssistance]),
     };
   } catch (error) {
     console.error('Error fetching state emergency data:', error);
@@ -287,8 +267,10 @@ export function verifyEmergencyStory(story, emergencyData) {
 
 /**
  * Mock disaster data (fallback)
+ * @param {string} stateCode - Two-letter state code
+ * @param {string} reason - Why the live declarations weren't used
  */
-function getMockDisasterData(stateCode) {
+function getMockDisasterData(stateCode, reason) {
   const mockData = {
     'MI': { total: 67, floods: 23, severeStorms: 31, fires: 8, other: 5 },
     'TX': { total: 142, hurricanes: 18, floods: 42, severeStorms: 54, fires: 23, other: 5 },
@@ -299,9 +281,9 @@ function getMockDisasterData(stateCode) {
 
   const data = mockData[stateCode] || { total: 45, floods: 15, severeStorms: 20, other: 10 };
 
-  return {
+  return markSynthetic({
     state: stateCode,
-    stateName: STATE_ABBREV[stateCode] || stateCode,
+    stateName: getStateName(stateCode) || stateCode,
     totalDeclarations: data.total,
     recentDeclarations: [
       { disasterNumber: 'DR-4000', title: 'Severe Storm and Flooding', type: 'Flood', date: '2024-03-15', year: 2024 },
@@ -325,7 +307,7 @@ function getMockDisasterData(stateCode) {
     mostCommonType: 'Severe Storm(s)',
     source: 'FEMA Open API (Mock Data)',
     lastUpdated: new Date().toISOString(),
-  };
+  }, 'FEMA Open API', reason);
 }
 
 /**
@@ -342,16 +324,32 @@ function getMockHousingAssistanceData(stateCode) {
 
   const data = mockData[stateCode] || { recipients: 52000, amount: 287000000 };
 
-  return {
+  return markSynthetic({
     state: stateCode,
-    stateName: STATE_ABBREV[stateCode] || stateCode,
+    stateName: getStateName(stateCode) || stateCode,
     totalRecipients: data.recipients,
     totalAmountApproved: data.amount,
     averageAssistance: Math.round(data.amount / data.recipients),
     source: 'FEMA Housing Assistance (Mock Data)',
-  };
+  }, 'FEMA Housing Assistance', 'Housing assistance datasets not yet integrated - estimates');
 }
 
+// Register with the story verifier registry (disaster-related stories in any policy area)
+registerVerifier({
+  id: 'fema',
+  name: 'FEMA',
+  keywords: [
+    'disaster', 'emergency', 'fema', 'flood', 'hurricane',
+    'tornado', 'wildfire', 'earthquake', 'storm', 'evacuat',
+  ],
+  fetch: (story, { stateCode }) => getStateEmergencyData(stateCode),
+  verify: verifyEmergencyStory,
+  weight: 0.9,
+  reliability: 0.9,
+  geoPrecision: 'state',
+  dataLagMonths: 0,
+});
+
 export default {
   getStateDisasterDeclarations,
   getHousingAssistanceData,
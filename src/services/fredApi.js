@@ -23,17 +23,15 @@
  * - Graceful degradation on failure
  */
 
-// Try Vite environment first, then Node.js process.env
-const FRED_API_BASE =
-  (typeof import.meta !== 'undefined' && import.meta.env?.VITE_FRED_API_BASE) ||
-  (typeof process !== 'undefined' && process.env?.VITE_FRED_API_BASE) ||
-  'https://api.stlouisfed.org/fred';
+import { registerVerifier } from './verifierRegistry.js';
+import { httpRequest, getErrorType } from './httpClient.js';
+import { CLAIM_STATUS, claimsAbout } from './claimExtraction.js';
+import { getConfig } from './config.js';
+
+const FRED_API_BASE = getConfig('FRED_API_BASE');
 
 // FRED API Key
-const FRED_API_KEY =
-  (typeof import.meta !== 'undefined' && import.meta.env && import.meta.env.VITE_FRED_API_KEY) ||
-  (typeof process !== 'undefined' && process.env && process.env.VITE_FRED_API_KEY) ||
-  null;
+const FRED_API_KEY = getConfig('FRED_API_KEY') || null;
 
 // Request configuration
 const REQUEST_TIMEOUT_MS = 30000; // 30 seconds
@@ -58,91 +56,39 @@ export const FRED_SERIES = {
 };
 
 /**
- * Sleep utility for retry delays
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise<void>}
- */
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
-/**
- * Make a GET request to FRED API with retry logic
+ * Make a GET request to FRED API (retries, timeouts and circuit breaking
+ * are handled by the shared HTTP client)
  * @param {string} endpoint - API endpoint (e.g., 'series/observations')
  * @param {Object} params - Query parameters
- * @param {number} retryCount - Current retry attempt
  * @returns {Promise<Object>} API response data
+ * @throws {HttpError} Typed error from httpClient.js
  */
-async function makeRequest(endpoint, params = {}, retryCount = 0) {
+async function makeRequest(endpoint, params = {}) {
   if (!FRED_API_KEY) {
-    throw new Error('FRED API key not configured. Please set VITE_FRED_API_KEY in .env');
+    throw new Error('FRED API key not configured. Please set FRED_API_KEY in .env');
   }
 
-  // Add API key and JSON format
-  const queryParams = {
-    api_key: FRED_API_KEY,
-    file_type: 'json',
-    ...params,
-  };
-
-  const queryString = new URLSearchParams(queryParams).toString();
-  const url = `${FRED_API_BASE}/${endpoint}?${queryString}`;
-
-  try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
-
-    console.log(`FRED API request: ${endpoint} (attempt ${retryCount + 1}/${MAX_RETRIES + 1})`);
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'Democratic-Accountability-Platform/1.0',
-      },
-      signal: controller.signal,
-    });
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`FRED API error: ${response.status} ${response.statusText} - ${errorText}`);
-    }
-
-    const data = await response.json();
-
-    // Check for FRED API errors in response
-    if (data.error_code || data.error_message) {
-      throw new Error(`FRED API error: ${data.error_message || data.error_code}`);
-    }
-
-    return data;
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      console.error(`FRED API timeout on attempt ${retryCount + 1}`);
+  console.log(`FRED API request: ${endpoint}`);
 
-      if (retryCount < MAX_RETRIES) {
-        const waitTime = RETRY_DELAY_MS * Math.pow(2, retryCount); // Exponential backoff
-        console.log(`Retrying in ${waitTime / 1000} seconds...`);
-        await sleep(waitTime);
-        return makeRequest(endpoint, params, retryCount + 1);
-      }
-
-      throw new Error('timeout');
-    }
-
-    console.error('FRED API Request Error:', error);
-
-    if (retryCount < MAX_RETRIES) {
-      const waitTime = RETRY_DELAY_MS * Math.pow(2, retryCount);
-      console.log(`Retrying in ${waitTime / 1000} seconds...`);
-      await sleep(waitTime);
-      return makeRequest(endpoint, params, retryCount + 1);
-    }
-
-    throw error;
-  }
+  return httpRequest(`${FRED_API_BASE}/${endpoint}`, {
+    source: 'FRED API',
+    cache: 'fred',
+    quota: 'fred',
+    params: {
+      api_key: FRED_API_KEY,
+      file_type: 'json',
+      ...params,
+    },
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Democratic-Accountability-Platform/1.0',
+    },
+    timeoutMs: REQUEST_TIMEOUT_MS,
+    retries: MAX_RETRIES,
+    retryDelayMs: RETRY_DELAY_MS,
+    // FRED reports some errors in a 200 response
+    checkResponse: data => (data.error_code || data.error_message ? data.error_message || data.error_code : null),
+  });
 }
 
 /**
@@ -173,7 +119,7 @@ export async function getSeriesObservations(seriesId, options = {}) {
     console.error('FRED API timeout or error:', error.message);
     return {
       error: true,
-      errorType: error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: 'FRED API temporarily unavailable',
       seriesId: seriesId,
       count: 0,
@@ -256,7 +202,7 @@ export async function searchSeries(searchText, options = {}) {
     console.error('FRED API search error:', error.message);
     return {
       error: true,
-      errorType: error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: 'FRED API search temporarily unavailable',
       query: searchText,
       count: 0,
@@ -290,7 +236,7 @@ export async function getSeriesInfo(seriesId) {
     console.error('FRED API series info error:', error.message);
     return {
       error: true,
-      errorType: error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: 'FRED API temporarily unavailable',
       seriesId: seriesId,
       info: null,
@@ -527,6 +473,55 @@ export function verifyEconomicStory(story, fredData) {
   return verification;
 }
 
+/**
+ * Check unemployment claims against the national FRED trend.
+ * National data can't contradict a local claim, so disagreement is reported
+ * as unverifiable rather than contradicted.
+ * @param {Array<Object>} claims - Claims from claimExtraction
+ * @param {Object} fredData - FRED unemployment observations (most recent first)
+ * @returns {Array<Object>} Per-claim results { claimId, status, message }
+ */
+export function checkEconomicClaims(claims, fredData) {
+  const values = (fredData?.observations || [])
+    .map(observation => parseFloat(observation.value))
+    .filter(Number.isFinite);
+
+  return claimsAbout(claims, ['unemployment', 'jobless']).map(claim => {
+    if (values.length < 2 || !claim.direction) {
+      return { claimId: claim.id, status: CLAIM_STATUS.UNVERIFIABLE, message: 'No comparable FRED trend for this claim' };
+    }
+
+    const latest = values[0];
+    const earliest = values[values.length - 1];
+    const trend = latest > earliest ? 'increase' : latest < earliest ? 'decrease' : 'unchanged';
+
+    if (trend === claim.direction) {
+      return { claimId: claim.id, status: CLAIM_STATUS.SUPPORTED, message: `National unemployment also moved in this direction (${earliest}% to ${latest}%)` };
+    }
+    return { claimId: claim.id, status: CLAIM_STATUS.UNVERIFIABLE, message: `National unemployment went from ${earliest}% to ${latest}%; local conditions may differ` };
+  });
+}
+
+// Register with the story verifier registry (national labor market indicators)
+registerVerifier({
+  id: 'fred',
+  name: 'FRED',
+  policyAreas: ['employment', 'immigration'],
+  fetch: () => getUnemploymentRate({ limit: 12 }),
+  verify: verifyEconomicStory,
+  checkClaims: checkEconomicClaims,
+  weight: 1,
+  reliability: 0.95,
+  geoPrecision: 'national',
+  dataLagMonths: 1,
+  hasCredentials: () => !!FRED_API_KEY,
+  // Latest observation and its value - catches both new months and revisions
+  getVintage: (data) => {
+    const latest = data.observations?.[0];
+    return latest ? `${latest.date}:${latest.value}` : null;
+  },
+});
+
 export default {
   FRED_SERIES,
   getSeriesObservations,
@@ -540,4 +535,5 @@ export default {
   getMultipleIndicators,
   getEconomicBaseline,
   verifyEconomicStory,
+  checkEconomicClaims,
 };
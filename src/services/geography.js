@@ -0,0 +1,382 @@
+/**
+ * Geography
+ *
+ * One place for the codes federal sources disagree on: state postal codes,
+ * names and FIPS codes (including DC and the territories), ZIP lookups
+ * to county, CBSA and congressional district, and geography keys.
+ *
+ * ZIP lookups run offline against the bundled crosswalk in
+ * src/data/geography/. A ZIP can span several counties or districts, so
+ * every match comes with its share of the ZIP's homes; `county` and
+ * `district` are the largest. ZIPs missing from the crosswalk resolve to a
+ * state from their 3-digit prefix, with no county or district.
+ *
+ * Geography keys ('state:48', 'county:48453', 'tract:48453001100',
+ * 'zcta:78701') name an area by its Census FIPS code or ZCTA, so data from
+ * different sources about the same area can be matched up.
+ */
+
+import {
+  CROSSWALK_VINTAGE,
+  ZIP_CROSSWALK,
+  COUNTY_NAMES,
+  CBSA_NAMES,
+} from '../data/geography/zipCrosswalk.js';
+import { ZIP_PREFIX_RANGES, ZIP_RANGE_OVERRIDES } from '../data/geography/zipPrefixes.js';
+
+export const GEO_TYPES = {
+  STATE: 'state',
+  DISTRICT: 'district',
+  TERRITORY: 'territory',
+  MILITARY: 'military',
+};
+
+// Areas a geography key can name, with the length of their code
+export const GEO_LEVELS = {
+  STATE: 'state',
+  COUNTY: 'county',
+  TRACT: 'tract',
+  ZCTA: 'zcta',
+};
+
+const GEO_CODE_LENGTHS = {
+  [GEO_LEVELS.STATE]: 2,
+  [GEO_LEVELS.COUNTY]: 5,
+  [GEO_LEVELS.TRACT]: 11,
+  [GEO_LEVELS.ZCTA]: 5,
+};
+
+// sampleZip: a ZIP in the state's largest city, for sources that need one
+export const STATES = {
+  AL: { name: 'Alabama', fips: '01', type: GEO_TYPES.STATE, sampleZip: '35203' },
+  AK: { name: 'Alaska', fips: '02', type: GEO_TYPES.STATE, sampleZip: '99501' },
+  AZ: { name: 'Arizona', fips: '04', type: GEO_TYPES.STATE, sampleZip: '85003' },
+  AR: { name: 'Arkansas', fips: '05', type: GEO_TYPES.STATE, sampleZip: '72201' },
+  CA: { name: 'California', fips: '06', type: GEO_TYPES.STATE, sampleZip: '90001' },
+  CO: { name: 'Colorado', fips: '08', type: GEO_TYPES.STATE, sampleZip: '80202' },
+  CT: { name: 'Connecticut', fips: '09', type: GEO_TYPES.STATE, sampleZip: '06103' },
+  DE: { name: 'Delaware', fips: '10', type: GEO_TYPES.STATE, sampleZip: '19801' },
+  DC: { name: 'District of Columbia', fips: '11', type: GEO_TYPES.DISTRICT, sampleZip: '20001' },
+  FL: { name: 'Florida', fips: '12', type: GEO_TYPES.STATE, sampleZip: '33101' },
+  GA: { name: 'Georgia', fips: '13', type: GEO_TYPES.STATE, sampleZip: '30303' },
+  HI: { name: 'Hawaii', fips: '15', type: GEO_TYPES.STATE, sampleZip: '96813' },
+  ID: { name: 'Idaho', fips: '16', type: GEO_TYPES.STATE, sampleZip: '83702' },
+  IL: { name: 'Illinois', fips: '17', type: GEO_TYPES.STATE, sampleZip: '60601' },
+  IN: { name: 'Indiana', fips: '18', type: GEO_TYPES.STATE, sampleZip: '46204' },
+  IA: { name: 'Iowa', fips: '19', type: GEO_TYPES.STATE, sampleZip: '50309' },
+  KS: { name: 'Kansas', fips: '20', type: GEO_TYPES.STATE, sampleZip: '67202' },
+  KY: { name: 'Kentucky', fips: '21', type: GEO_TYPES.STATE, sampleZip: '40202' },
+  LA: { name: 'Louisiana', fips: '22', type: GEO_TYPES.STATE, sampleZip: '70112' },
+  ME: { name: 'Maine', fips: '23', type: GEO_TYPES.STATE, sampleZip: '04101' },
+  MD: { name: 'Maryland', fips: '24', type: GEO_TYPES.STATE, sampleZip: '21202' },
+  MA: { name: 'Massachusetts', fips: '25', type: GEO_TYPES.STATE, sampleZip: '02108' },
+  MI: { name: 'Michigan', fips: '26', type: GEO_TYPES.STATE, sampleZip: '48201' },
+  MN: { name: 'Minnesota', fips: '27', type: GEO_TYPES.STATE, sampleZip: '55401' },
+  MS: { name: 'Mississippi', fips: '28', type: GEO_TYPES.STATE, sampleZip: '39201' },
+  MO: { name: 'Missouri', fips: '29', type: GEO_TYPES.STATE, sampleZip: '64106' },
+  MT: { name: 'Montana', fips: '30', type: GEO_TYPES.STATE, sampleZip: '59101' },
+  NE: { name: 'Nebraska', fips: '31', type: GEO_TYPES.STATE, sampleZip: '68102' },
+  NV: { name: 'Nevada', fips: '32', type: GEO_TYPES.STATE, sampleZip: '89101' },
+  NH: { name: 'New Hampshire', fips: '33', type: GEO_TYPES.STATE, sampleZip: '03101' },
+  NJ: { name: 'New Jersey', fips: '34', type: GEO_TYPES.STATE, sampleZip: '07102' },
+  NM: { name: 'New Mexico', fips: '35', type: GEO_TYPES.STATE, sampleZip: '87102' },
+  NY: { name: 'New York', fips: '36', type: GEO_TYPES.STATE, sampleZip: '10001' },
+  NC: { name: 'North Carolina', fips: '37', type: GEO_TYPES.STATE, sampleZip: '28202' },
+  ND: { name: 'North Dakota', fips: '38', type: GEO_TYPES.STATE, sampleZip: '58102' },
+  OH: { name: 'Ohio', fips: '39', type: GEO_TYPES.STATE, sampleZip: '43215' },
+  OK: { name: 'Oklahoma', fips: '40', type: GEO_TYPES.STATE, sampleZip: '73102' },
+  OR: { name: 'Oregon', fips: '41', type: GEO_TYPES.STATE, sampleZip: '97204' },
+  PA: { name: 'Pennsylvania', fips: '42', type: GEO_TYPES.STATE, sampleZip: '19107' },
+  RI: { name: 'Rhode Island', fips: '44', type: GEO_TYPES.STATE, sampleZip: '02903' },
+  SC: { name: 'South Carolina', fips: '45', type: GEO_TYPES.STATE, sampleZip: '29201' },
+  SD: { name: 'South Dakota', fips: '46', type: GEO_TYPES.STATE, sampleZip: '57104' },
+  TN: { name: 'Tennessee', fips: '47', type: GEO_TYPES.STATE, sampleZip: '37203' },
+  TX: { name: 'Texas', fips: '48', type: GEO_TYPES.STATE, sampleZip: '77001' },
+  UT: { name: 'Utah', fips: '49', type: GEO_TYPES.STATE, sampleZip: '84111' },
+  VT: { name: 'Vermont', fips: '50', type: GEO_TYPES.STATE, sampleZip: '05401' },
+  VA: { name: 'Virginia', fips: '51', type: GEO_TYPES.STATE, sampleZip: '23220' },
+  WA: { name: 'Washington', fips: '53', type: GEO_TYPES.STATE, sampleZip: '98101' },
+  WV: { name: 'West Virginia', fips: '54', type: GEO_TYPES.STATE, sampleZip: '25301' },
+  WI: { name: 'Wisconsin', fips: '55', type: GEO_TYPES.STATE, sampleZip: '53202' },
+  WY: { name: 'Wyoming', fips: '56', type: GEO_TYPES.STATE, sampleZip: '82001' },
+  AS: { name: 'American Samoa', fips: '60', type: GEO_TYPES.TERRITORY, sampleZip: '96799' },
+  GU: { name: 'Guam', fips: '66', type: GEO_TYPES.TERRITORY, sampleZip: '96910' },
+  MP: { name: 'Northern Mariana Islands', fips: '69', type: GEO_TYPES.TERRITORY, sampleZip: '96950' },
+  PR: { name: 'Puerto Rico', fips: '72', type: GEO_TYPES.TERRITORY, sampleZip: '00901' },
+  VI: { name: 'U.S. Virgin Islands', fips: '78', type: GEO_TYPES.TERRITORY, sampleZip: '00802' },
+  AA: { name: 'Armed Forces Americas', fips: null, type: GEO_TYPES.MILITARY, sampleZip: null },
+  AE: { name: 'Armed Forces Europe', fips: null, type: GEO_TYPES.MILITARY, sampleZip: null },
+  AP: { name: 'Armed Forces Pacific', fips: null, type: GEO_TYPES.MILITARY, sampleZip: null },
+};
+
+const STATES_BY_FIPS = new Map(
+  Object.entries(STATES).filter(([, state]) => state.fips).map(([code, state]) => [state.fips, code])
+);
+const STATES_BY_NAME = new Map(
+  Object.entries(STATES).map(([code, state]) => [state.name.toLowerCase(), code])
+);
+STATES_BY_NAME.set('virgin islands', 'VI');
+STATES_BY_NAME.set('washington dc', 'DC');
+STATES_BY_NAME.set('washington, d.c.', 'DC');
+
+// Crosswalk entries registered at runtime (see registerZipCrosswalk)
+const extraCrosswalk = new Map();
+
+// ============================================================================
+// States
+// ============================================================================
+
+/**
+ * Normalize any common state identifier to its postal code
+ * @param {string|number} value - Postal code ('tx'), name ('Texas', 'TEXAS'),
+ *   FIPS code ('48', 48) or NOAA location id ('FIPS:48')
+ * @returns {string|null} Postal code, or null if unrecognized
+ */
+export function normalizeStateCode(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim().replace(/^FIPS:/i, '');
+  if (!text) return null;
+
+  const upper = text.toUpperCase();
+  if (STATES[upper]) return upper;
+  if (/^\d{1,2}$/.test(text)) return STATES_BY_FIPS.get(text.padStart(2, '0')) || null;
+  return STATES_BY_NAME.get(text.toLowerCase()) || null;
+}
+
+/**
+ * Get a state, DC or territory
+ * @param {string|number} value - Any identifier normalizeStateCode accepts
+ * @returns {Object|null} { code, name, fips, type, sampleZip }
+ */
+export function getState(value) {
+  const code = normalizeStateCode(value);
+  return code ? { code, ...STATES[code] } : null;
+}
+
+/**
+ * Get a state's full name
+ * @param {string|number} value - Any identifier normalizeStateCode accepts
+ * @returns {string|null} Name (e.g. 'Texas')
+ */
+export function getStateName(value) {
+  return getState(value)?.name || null;
+}
+
+/**
+ * Get a state's 2-digit FIPS code
+ * @param {string|number} value - Any identifier normalizeStateCode accepts
+ * @returns {string|null} FIPS code (e.g. '48'); null for military addresses
+ */
+export function getStateFips(value) {
+  return getState(value)?.fips || null;
+}
+
+/**
+ * Whether a code is a U.S. territory (not a state or DC)
+ * @param {string|number} value - Any identifier normalizeStateCode accepts
+ * @returns {boolean} True for PR, GU, VI, AS and MP
+ */
+export function isTerritory(value) {
+  return getState(value)?.type === GEO_TYPES.TERRITORY;
+}
+
+/**
+ * List states, optionally with territories
+ * @param {Object} options - { includeTerritories }
+ * @returns {Array<Object>} { code, name, fips, type, sampleZip } - the 50 states and DC by default
+ */
+export function listStates({ includeTerritories = false } = {}) {
+  const types = includeTerritories
+    ? [GEO_TYPES.STATE, GEO_TYPES.DISTRICT, GEO_TYPES.TERRITORY]
+    : [GEO_TYPES.STATE, GEO_TYPES.DISTRICT];
+  return Object.entries(STATES)
+    .filter(([, state]) => types.includes(state.type))
+    .map(([code, state]) => ({ code, ...state }));
+}
+
+/**
+ * A ZIP in the state's largest city, for sources that only answer by ZIP
+ * @param {string|number} value - Any identifier normalizeStateCode accepts
+ * @returns {string|null} ZIP code
+ */
+export function getSampleZip(value) {
+  return getState(value)?.sampleZip || null;
+}
+
+// ============================================================================
+// ZIP crosswalk
+// ============================================================================
+
+/**
+ * Format a congressional district id
+ * @param {string} stateCode - State postal code
+ * @param {string|number} number - District number ('00' at-large, '98' delegate)
+ * @returns {string} District id (e.g. 'TX-08', 'WY-AL')
+ */
+export function formatDistrict(stateCode, number) {
+  const padded = String(number).padStart(2, '0');
+  return `${stateCode}-${padded === '00' || padded === '98' ? 'AL' : padded}`;
+}
+
+function byShare(a, b) {
+  return b.share - a.share;
+}
+
+function findPrefixState(zip) {
+  const override = ZIP_RANGE_OVERRIDES.find(([first, last]) => zip >= first && zip <= last);
+  if (override) return override[2];
+
+  const prefix = zip.slice(0, 3);
+  const range = ZIP_PREFIX_RANGES.find(([first, last]) => prefix >= first && prefix <= last);
+  return range ? range[2] : null;
+}
+
+/**
+ * Resolve a ZIP code to state, county, CBSA and congressional district(s)
+ * @param {string|number} zip - 5-digit ZIP (ZIP+4 is accepted)
+ * @returns {Object|null} {
+ *   zip, city, state, stateName, stateFips,
+ *   county: { fips, name }, counties: [{ fips, name, share }],
+ *   cbsa: { code, name }, district, districts: [{ district, share }],
+ *   precision: 'zip' | 'zip_prefix', vintage
+ * } or null if the ZIP can't be placed
+ */
+export function resolveZip(zip) {
+  const match = String(zip ?? '').trim().match(/^(\d{5})(?:-?\d{4})?$/);
+  if (!match) return null;
+  const zip5 = match[1];
+
+  const entry = extraCrosswalk.get(zip5) || ZIP_CROSSWALK[zip5];
+  if (!entry) {
+    const state = getState(findPrefixState(zip5));
+    if (!state) return null;
+    return {
+      zip: zip5,
+      city: null,
+      state: state.code,
+      stateName: state.name,
+      stateFips: state.fips,
+      county: null,
+      counties: [],
+      cbsa: null,
+      district: null,
+      districts: [],
+      precision: 'zip_prefix',
+      vintage: null,
+    };
+  }
+
+  const state = getState(entry.state);
+  const counties = (entry.counties || [])
+    .map(([fips, share]) => ({ fips, name: COUNTY_NAMES[fips] || null, share }))
+    .sort(byShare);
+  const districts = (entry.districts || [])
+    .map(([geoid, share]) => ({
+      district: formatDistrict(normalizeStateCode(geoid.slice(0, 2)), geoid.slice(2)),
+      share,
+    }))
+    .sort(byShare);
+
+  return {
+    zip: zip5,
+    city: entry.city || null,
+    state: state?.code || entry.state,
+    stateName: state?.name || null,
+    stateFips: state?.fips || null,
+    county: counties[0] ? { fips: counties[0].fips, name: counties[0].name } : null,
+    counties,
+    cbsa: entry.cbsa ? { code: entry.cbsa, name: CBSA_NAMES[entry.cbsa] || null } : null,
+    district: districts[0]?.district || null,
+    districts,
+    precision: 'zip',
+    vintage: CROSSWALK_VINTAGE,
+  };
+}
+
+/**
+ * Add or replace crosswalk entries at runtime (e.g. a newer HUD quarter)
+ * @param {Object} entries - { [zip]: { city, state, counties, cbsa, districts } }
+ *   in the zipCrosswalk.js format; county and CBSA names are optional
+ * @param {Object} names - { counties: { [fips]: name }, cbsas: { [code]: name } }
+ */
+export function registerZipCrosswalk(entries, names = {}) {
+  Object.entries(entries).forEach(([zip, entry]) => extraCrosswalk.set(zip, entry));
+  Object.assign(COUNTY_NAMES, names.counties || {});
+  Object.assign(CBSA_NAMES, names.cbsas || {});
+}
+
+// ============================================================================
+// Geography keys
+// ============================================================================
+
+/**
+ * Build a geography key
+ * @param {string} level - One of GEO_LEVELS
+ * @param {string|number} code - State FIPS, 5-digit county FIPS, 11-digit tract GEOID or ZCTA
+ * @returns {string|null} Key (e.g. 'county:48453'), or null if the code doesn't fit the level
+ */
+export function geographyKey(level, code) {
+  const length = GEO_CODE_LENGTHS[level];
+  if (!length || code === null || code === undefined) return null;
+
+  const text = level === GEO_LEVELS.STATE ? String(code).trim().padStart(2, '0') : String(code).trim();
+  return new RegExp(`^\\d{${length}}$`).test(text) ? `${level}:${text}` : null;
+}
+
+/**
+ * Split a geography key into its parts
+ * @param {string} key - Geography key
+ * @returns {Object|null} { level, code, stateFips, countyFips, tractCode }
+ *   (county and tract parts are null above their level), or null if invalid
+ */
+export function parseGeographyKey(key) {
+  if (typeof key !== 'string') return null;
+  const [level, code] = key.split(':');
+  if (geographyKey(level, code) !== key) return null;
+
+  const nested = level === GEO_LEVELS.COUNTY || level === GEO_LEVELS.TRACT;
+  return {
+    level,
+    code,
+    stateFips: level === GEO_LEVELS.ZCTA ? null : code.slice(0, 2),
+    countyFips: nested ? code.slice(0, 5) : null,
+    tractCode: level === GEO_LEVELS.TRACT ? code.slice(5) : null,
+  };
+}
+
+/**
+ * Geography keys for a story location. The county is the ZIP's largest
+ * county in the crosswalk; the tract is only known from a geocoded address.
+ * @param {Object} location - { zip, tract? } where tract is an 11-digit GEOID
+ * @returns {Object} { state, county, tract, zcta } keys, null where unknown
+ */
+export function getGeographyKeys({ zip, tract = null } = {}) {
+  const place = resolveZip(zip);
+  const tractKey = geographyKey(GEO_LEVELS.TRACT, tract);
+
+  return {
+    state: geographyKey(GEO_LEVELS.STATE, tractKey ? tract.slice(0, 2) : place?.stateFips),
+    county: geographyKey(GEO_LEVELS.COUNTY, tractKey ? tract.slice(0, 5) : place?.county?.fips),
+    tract: tractKey,
+    zcta: place ? geographyKey(GEO_LEVELS.ZCTA, place.zip) : null,
+  };
+}
+
+export default {
+  GEO_TYPES,
+  GEO_LEVELS,
+  STATES,
+  normalizeStateCode,
+  getState,
+  getStateName,
+  getStateFips,
+  isTerritory,
+  listStates,
+  getSampleZip,
+  formatDistrict,
+  resolveZip,
+  registerZipCrosswalk,
+  geographyKey,
+  parseGeographyKey,
+  getGeographyKeys,
+};
@@ -30,99 +30,57 @@
  * - All 50 states + territories
  */
 
-// Environment-agnostic API base URL
-const HRSA_API_BASE =
-  (typeof import.meta !== 'undefined' &&
-    import.meta.env &&
-    import.meta.env.VITE_HRSA_API_BASE) ||
-  (typeof process !== 'undefined' &&
-    process.env &&
-    process.env.VITE_HRSA_API_BASE) ||
-  'https://data.hrsa.gov/api/1';
-
-// Environment-agnostic API token
-const HRSA_API_TOKEN =
-  (typeof import.meta !== 'undefined' &&
-    import.meta.env &&
-    import.meta.env.VITE_HRSA_API_TOKEN) ||
-  (typeof process !== 'undefined' &&
-    process.env &&
-    process.env.VITE_HRSA_API_TOKEN) ||
-  null;
+import { registerVerifier } from './verifierRegistry.js';
+import { httpRequest, getErrorType } from './httpClient.js';
+import { getConfig } from './config.js';
+
+const HRSA_API_BASE = getConfig('HRSA_API_BASE');
+
+const HRSA_API_TOKEN = getConfig('HRSA_API_TOKEN') || null;
 
 // Error handling configuration
 const MAX_RETRIES = 3;
 const RETRY_DELAY_MS = 2000;
 const REQUEST_TIMEOUT_MS = 30000;
 
-// Helper function: Sleep for retry delays
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
 /**
- * Make HTTP request to HRSA API with retry logic
+ * Make HTTP request to HRSA API (retries, timeouts and circuit breaking are
+ * handled by the shared HTTP client)
  *
  * @param {string} endpoint - API endpoint path
  * @param {Object} params - Query parameters
- * @param {number} retryCount - Current retry attempt
  * @returns {Promise<Object>} - API response data
+ * @throws {HttpError} Typed error from httpClient.js
  */
-async function makeRequest(endpoint, params = {}, retryCount = 0) {
-  const url = new URL(`${HRSA_API_BASE}${endpoint}`);
-
-  Object.keys(params).forEach((key) => {
-    if (params[key] !== null && params[key] !== undefined) {
-      url.searchParams.append(key, params[key]);
-    }
-  });
-
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+async function makeRequest(endpoint, params = {}) {
+  console.log(`🏥 Requesting HRSA API: ${endpoint}`);
+
+  // Build headers object
+  const headers = {
+    Accept: 'application/json',
+    'User-Agent': 'DemocraticAccountabilityPlatform/1.0',
+  };
+
+  // Add authentication token if available
+  if (HRSA_API_TOKEN) {
+    headers['X-App-Token'] = HRSA_API_TOKEN;
+  } else {
+    console.warn('⚠️ No HRSA API token found - requests may be rate-limited');
+  }
 
   try {
-    console.log(`🏥 Requesting HRSA API: ${endpoint} (attempt ${retryCount + 1}/${MAX_RETRIES + 1})`);
-
-    // Build headers object
-    const headers = {
-      Accept: 'application/json',
-      'User-Agent': 'DemocraticAccountabilityPlatform/1.0',
-    };
-
-    // Add authentication token if available
-    if (HRSA_API_TOKEN) {
-      headers['X-App-Token'] = HRSA_API_TOKEN;
-      console.log('🔑 Using HRSA API token for authentication');
-    } else {
-      console.warn('⚠️ No HRSA API token found - requests may be rate-limited');
-    }
-
-    const response = await fetch(url.toString(), {
-      method: 'GET',
+    return await httpRequest(`${HRSA_API_BASE}${endpoint}`, {
+      source: 'HRSA API',
+      cache: 'hrsa',
+      quota: 'hrsa',
+      params,
       headers,
-      signal: controller.signal,
+      timeoutMs: REQUEST_TIMEOUT_MS,
+      retries: MAX_RETRIES,
+      retryDelayMs: RETRY_DELAY_MS,
     });
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    return data;
   } catch (error) {
-    clearTimeout(timeoutId);
-
-    // Check if we should retry
-    if (retryCount < MAX_RETRIES && !error.message.includes('404')) {
-      console.warn(`⚠️ HRSA API request failed, retrying in ${RETRY_DELAY_MS}ms...`, error.message);
-      await sleep(RETRY_DELAY_MS);
-      return makeRequest(endpoint, params, retryCount + 1);
-    }
-
-    // Final error after all retries
-    console.error(`❌ HRSA API request failed after ${retryCount + 1} attempts:`, error);
+    console.error(`❌ HRSA API request failed (${getErrorType(error)}):`, error.message);
     throw error;
   }
 }
@@ -159,6 +117,7 @@ export async function getHealthCentersByState(stateCode, limit = 100) {
     return {
       success: false,
       error: error.message,
+      errorType: getErrorType(error),
       stateCode,
       healthCenters: [],
     };
@@ -197,6 +156,7 @@ export async function getRyanWhiteSitesByState(stateCode, limit = 100) {
     return {
       success: false,
       error: error.message,
+      errorType: getErrorType(error),
       stateCode,
       sites: [],
     };
@@ -249,6 +209,7 @@ export async function getHealthProfessionalShortageAreas(stateCode, shortageType
     return {
       success: false,
       error: error.message,
+      errorType: getErrorType(error),
       stateCode,
       shortageAreas: [],
     };
@@ -287,6 +248,7 @@ export async function getHealthCentersByZip(zipCode, limit = 50) {
     return {
       success: false,
       error: error.message,
+      errorType: getErrorType(error),
       zipCode,
       healthCenters: [],
     };
@@ -324,6 +286,7 @@ export async function getNHSCProvidersByState(stateCode) {
     return {
       success: false,
       error: error.message,
+      errorType: getErrorType(error),
       stateCode,
       providers: [],
     };
@@ -422,11 +385,127 @@ export async function analyzeHealthcareAccess(stateCode, zipCode = null) {
     return {
       success: false,
       error: error.message,
+      errorType: getErrorType(error),
       location: { stateCode, zipCode },
     };
   }
 }
 
+/**
+ * Verify healthcare access claims in a citizen story
+ *
+ * Uses the output of analyzeHealthcareAccess (health centers, shortage areas,
+ * NHSC providers) to contextualize clinic closures, provider shortages and
+ * coverage loss described in the story.
+ *
+ * @param {Object} story - Citizen story object
+ * @param {Object} accessData - Result of analyzeHealthcareAccess
+ * @returns {Object} - Verification result with confidence score
+ */
+export function verifyHealthcareAccessStory(story, accessData) {
+  const verification = {
+    verified: true,
+    confidence: 0,
+    flags: [],
+    insights: [],
+    healthcareAccessMetrics: {},
+  };
+
+  // Check if API data is unavailable
+  if (!accessData || !accessData.success) {
+    verification.insights.push({
+      type: 'api_unavailable',
+      message: 'HRSA healthcare access data temporarily unavailable',
+    });
+    verification.confidence = 50;
+    return verification;
+  }
+
+  const storyText = `${story.headline || ''} ${story.story || ''}`.toLowerCase();
+  const isAccessRelated = [
+    'clinic', 'health center', 'hospital', 'doctor', 'provider', 'nurse',
+    'appointment', 'wait', 'medicaid', 'insurance', 'coverage', 'hiv',
+    'ryan white', 'rural health', 'health care', 'healthcare',
+  ].some((keyword) => storyText.includes(keyword));
+
+  if (!isAccessRelated) {
+    verification.insights.push({
+      type: 'not_healthcare_access_related',
+      message: 'Story does not appear to be about healthcare access',
+    });
+    return verification;
+  }
+
+  const { healthCenters, shortageAreas, nhscProviders, vulnerability } = accessData.analysis;
+  const area = accessData.location.zipCode === 'statewide'
+    ? accessData.location.stateCode
+    : `ZIP ${accessData.location.zipCode}`;
+
+  verification.confidence = 65;
+  verification.healthcareAccessMetrics = {
+    healthCenters: healthCenters.count,
+    shortageAreas: shortageAreas.count,
+    nhscProviders: nhscProviders.count,
+    riskLevel: vulnerability.riskLevel,
+    riskScore: vulnerability.riskScore,
+  };
+
+  verification.insights.push({
+    type: 'healthcare_access_context',
+    message: `${area}: ${healthCenters.count} HRSA health center sites, ${shortageAreas.count} shortage areas, ${nhscProviders.count} NHSC providers (access risk: ${vulnerability.riskLevel})`,
+  });
+
+  // Access risk level backs up claims of reduced access
+  if (vulnerability.riskLevel === 'CRITICAL' || vulnerability.riskLevel === 'HIGH') {
+    verification.confidence += 15;
+    verification.insights.push({
+      type: 'access_risk_confirmed',
+      message: `HRSA data shows ${vulnerability.riskLevel} healthcare access risk - ${vulnerability.project2025Impact}`,
+    });
+  } else if (vulnerability.riskLevel === 'MODERATE') {
+    verification.confidence += 5;
+  }
+
+  // Clinic closure / provider shortage claims
+  if (storyText.includes('closed') || storyText.includes('closing') || storyText.includes('shortage')) {
+    verification.flags.push('access_reduction_claimed');
+    if (shortageAreas.count > 0) {
+      verification.confidence += 10;
+      verification.insights.push({
+        type: 'shortage_area_context',
+        message: `${shortageAreas.count} Health Professional Shortage Areas designated in ${accessData.location.stateCode}`,
+      });
+    }
+  }
+
+  // HIV care claims
+  if (storyText.includes('hiv') || storyText.includes('ryan white')) {
+    verification.confidence += 5;
+    verification.insights.push({
+      type: 'ryan_white_context',
+      message: `${accessData.analysis.ryanWhiteSites.count} Ryan White HIV/AIDS care sites in ${accessData.location.stateCode}`,
+    });
+  }
+
+  verification.confidence = Math.min(100, verification.confidence);
+
+  return verification;
+}
+
+// Register with the story verifier registry
+registerVerifier({
+  id: 'hrsa',
+  name: 'HRSA',
+  policyAreas: ['healthcare'],
+  fetch: (story, { stateCode, zip }) => analyzeHealthcareAccess(stateCode, zip),
+  verify: verifyHealthcareAccessStory,
+  weight: 1,
+  reliability: 0.9,
+  geoPrecision: (data) => (data?.location?.zipCode && data.location.zipCode !== 'statewide' ? 'zip' : 'state'),
+  dataLagMonths: 1,
+  probe: () => getHealthCentersByState('TX', 1),
+});
+
 export default {
   getHealthCentersByState,
   getRyanWhiteSitesByState,
@@ -434,4 +513,5 @@ export default {
   getHealthCentersByZip,
   getNHSCProvidersByState,
   analyzeHealthcareAccess,
+  verifyHealthcareAccessStory,
 };
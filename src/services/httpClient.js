@@ -0,0 +1,707 @@
+/**
+ * Shared HTTP Client for Federal Data Services
+ *
+ * One implementation of the request plumbing every data service needs:
+ * - Timeouts (AbortController)
+ * - Retries with exponential backoff and jitter
+ * - Retry-After support for 429/503 responses
+ * - Per-host circuit breakers, so a down API fails fast instead of eating
+ *   every caller's time budget
+ * - Deduplication of identical in-flight GET requests
+ * - Optional response caching per source (see responseCache.js)
+ * - Optional quota accounting per source (see quotaManager.js)
+ * - Per-source outcome tracking for health reporting (see sourceHealth.js)
+ * - Record/replay of responses as fixtures for offline tests (see httpFixtures.js)
+ * - Typed errors: RateLimitedError, UnauthorizedError, BadParamsError,
+ *   QuotaExhaustedError, UpstreamDownError (TimeoutError and
+ *   CircuitOpenError are subtypes)
+ *
+ * Services keep their own public contracts (throwing, returning error
+ * objects or null) and use `getErrorType(error)` for the `errorType` field.
+ */
+
+import { getOrFetch, normalizeCacheKey } from './responseCache.js';
+import { consumeQuota } from './quotaManager.js';
+import { recordSourceOutcome } from './sourceHealth.js';
+import { FIXTURE_MODE, getFixtureMode, readFixture, writeFixture } from './httpFixtures.js';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_MS = 2000;
+const DEFAULT_MAX_RETRY_DELAY_MS = 60000;
+
+// Circuit breaker: open after this many consecutive upstream failures...
+const CIRCUIT_FAILURE_THRESHOLD = 5;
+// ...and fail fast for this long before letting a trial request through
+const CIRCUIT_COOLDOWN_MS = 60000;
+
+// Query parameters that carry credentials - never logged or put in errors
+const SECRET_PARAMS = ['api_key', 'apikey', 'apiKey', 'key', 'UserID', 'token', 'access_token'];
+
+// ============================================================================
+// Error types
+// ============================================================================
+
+/**
+ * Base class for HTTP client errors
+ */
+export class HttpError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { type, source, status, url, retryAfterMs, body, cause }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.type = details.type || 'error';
+    this.source = details.source || null;
+    this.status = details.status ?? null;
+    this.url = details.url || null;
+    this.retryAfterMs = details.retryAfterMs ?? null;
+    this.body = details.body ?? null;
+    if (details.cause) this.cause = details.cause;
+  }
+
+  /** Whether retrying the same request might succeed */
+  get retryable() {
+    return false;
+  }
+}
+
+/** 429 - too many requests */
+export class RateLimitedError extends HttpError {
+  constructor(message, details = {}) {
+    super(message, { ...details, type: 'rate_limited' });
+    this.name = 'RateLimitedError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/** 401/403 - missing or invalid credentials */
+export class UnauthorizedError extends HttpError {
+  constructor(message, details = {}) {
+    super(message, { ...details, type: 'unauthorized' });
+    this.name = 'UnauthorizedError';
+  }
+}
+
+/** 400/404/413/422, or an error reported in the response body */
+export class BadParamsError extends HttpError {
+  constructor(message, details = {}) {
+    super(message, { ...details, type: 'bad_params' });
+    this.name = 'BadParamsError';
+  }
+}
+
+/** Our own quota for the source is used up; request not attempted */
+export class QuotaExhaustedError extends HttpError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - HttpError details plus { resetsAt, priority }
+   */
+  constructor(message, details = {}) {
+    super(message, {
+      ...details,
+      type: 'quota_exhausted',
+      retryAfterMs: details.resetsAt ? Math.max(new Date(details.resetsAt).getTime() - Date.now(), 0) : null,
+    });
+    this.name = 'QuotaExhaustedError';
+    this.resetsAt = details.resetsAt || null;
+    this.priority = details.priority || null;
+  }
+}
+
+/** 5xx, network failure or unreadable response */
+export class UpstreamDownError extends HttpError {
+  constructor(message, details = {}) {
+    super(message, { type: 'upstream_down', ...details });
+    this.name = 'UpstreamDownError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/** No response within the timeout */
+export class TimeoutError extends UpstreamDownError {
+  constructor(message, details = {}) {
+    super(message, { ...details, type: 'timeout' });
+    this.name = 'TimeoutError';
+  }
+}
+
+/** Host has been failing; request not attempted */
+export class CircuitOpenError extends UpstreamDownError {
+  constructor(message, details = {}) {
+    super(message, { ...details, type: 'circuit_open' });
+    this.name = 'CircuitOpenError';
+  }
+
+  get retryable() {
+    return false;
+  }
+}
+
+/** Replay mode found no recorded response for the request */
+export class FixtureMissingError extends HttpError {
+  constructor(message, details = {}) {
+    super(message, { ...details, type: 'fixture_missing' });
+    this.name = 'FixtureMissingError';
+  }
+}
+
+/**
+ * Get the error type string for service error objects
+ * @param {Error} error - Any error
+ * @returns {string} 'timeout' | 'rate_limited' | 'unauthorized' | 'bad_params' | 'quota_exhausted' | 'upstream_down' | 'circuit_open' | 'fixture_missing' | 'error'
+ */
+export function getErrorType(error) {
+  if (error instanceof HttpError) return error.type;
+  if (error?.name === 'AbortError' || error?.message?.includes('timeout')) return 'timeout';
+  return 'error';
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Sleep for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Build a URL with query parameters. Null/undefined values are skipped,
+ * arrays repeat the key, and plain objects expand to bracket syntax
+ * (page: { size: 10 } → page[size]=10).
+ * @param {string} base - Base URL including path
+ * @param {Object} params - Query parameters
+ * @returns {string} URL
+ */
+export function buildUrl(base, params = {}) {
+  const search = new URLSearchParams();
+
+  const append = (key, value) => {
+    if (value === null || value === undefined) return;
+    if (Array.isArray(value)) {
+      value.forEach(item => append(key, item));
+    } else if (typeof value === 'object') {
+      Object.entries(value).forEach(([subKey, subValue]) => append(`${key}[${subKey}]`, subValue));
+    } else {
+      search.append(key, String(value));
+    }
+  };
+
+  Object.entries(params).forEach(([key, value]) => append(key, value));
+
+  const query = search.toString();
+  if (!query) return base;
+  return `${base}${base.includes('?') ? '&' : '?'}${query}`;
+}
+
+/**
+ * Remove credentials from a URL for logs and error messages
+ * @param {string} url - URL
+ * @returns {string} URL with secret query parameters replaced
+ */
+export function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    SECRET_PARAMS.forEach(param => {
+      if (parsed.searchParams.has(param)) parsed.searchParams.set(param, 'REDACTED');
+    });
+    return parsed.toString();
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string|null} header - Header value
+ * @returns {number|null} Delay in milliseconds
+ */
+export function parseRetryAfter(header) {
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Backoff delay for a retry: exponential, with jitter so concurrent callers
+ * don't retry in lockstep
+ * @param {number} attempt - Retry number (0-based)
+ * @param {number} baseDelayMs - Base delay
+ * @param {number} maxDelayMs - Cap
+ * @returns {number} Delay in milliseconds
+ */
+export function getBackoffDelay(attempt, baseDelayMs = DEFAULT_RETRY_DELAY_MS, maxDelayMs = DEFAULT_MAX_RETRY_DELAY_MS) {
+  const exponential = Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+function getHost(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return url;
+  }
+}
+
+// ============================================================================
+// Circuit breakers
+// ============================================================================
+
+const circuits = new Map();
+
+function getCircuit(host) {
+  if (!circuits.has(host)) {
+    circuits.set(host, { state: 'closed', failures: 0, openedAt: null, lastError: null });
+  }
+  return circuits.get(host);
+}
+
+/**
+ * Check a host's breaker before a request. Throws CircuitOpenError while the
+ * breaker is open; after the cooldown returns true, and the caller sends one
+ * trial request once it is sure to go out (see startTrial).
+ * @returns {boolean} True when this request would be the trial
+ */
+function checkCircuit(host, source, url) {
+  const circuit = getCircuit(host);
+  if (circuit.state === 'closed') return false;
+
+  const remaining = CIRCUIT_COOLDOWN_MS - (Date.now() - circuit.openedAt);
+  if (circuit.state === 'open' && remaining <= 0) return true;
+
+  throw new CircuitOpenError(`${source} unavailable (circuit open after repeated failures)`, {
+    source,
+    url: redactUrl(url),
+    retryAfterMs: Math.max(remaining, 0),
+  });
+}
+
+/**
+ * Move an open breaker to half-open for a trial request. Throws if another
+ * request already took the trial; a breaker that closed meanwhile is left alone.
+ */
+function startTrial(host, source, url) {
+  const circuit = getCircuit(host);
+  if (circuit.state === 'half_open') {
+    throw new CircuitOpenError(`${source} unavailable (circuit open after repeated failures)`, {
+      source,
+      url: redactUrl(url),
+      retryAfterMs: 0,
+    });
+  }
+  if (circuit.state === 'open') circuit.state = 'half_open';
+}
+
+function recordSuccess(host) {
+  const circuit = getCircuit(host);
+  circuit.state = 'closed';
+  circuit.failures = 0;
+  circuit.openedAt = null;
+}
+
+function recordFailure(host, error) {
+  if (error instanceof CircuitOpenError) return;
+
+  // Only outages count - a bad parameter or key says nothing about the host,
+  // except that it is answering again, so a trial that gets one closes the breaker
+  if (!(error instanceof UpstreamDownError)) {
+    if (getCircuit(host).state === 'half_open') recordSuccess(host);
+    return;
+  }
+
+  const circuit = getCircuit(host);
+  circuit.failures++;
+  circuit.lastError = error.message;
+
+  if (circuit.state === 'half_open' || circuit.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+    if (circuit.state !== 'open') {
+      console.warn(`Circuit opened for ${host} after ${circuit.failures} failures`);
+    }
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+  }
+}
+
+/**
+ * Get the state of every host's circuit breaker
+ * @returns {Object} { [host]: { state, failures, openedAt, lastError } }
+ */
+export function getCircuitStates() {
+  const states = {};
+  circuits.forEach((circuit, host) => {
+    states[host] = {
+      ...circuit,
+      openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+    };
+  });
+  return states;
+}
+
+/**
+ * Reset circuit breakers (all hosts, or one)
+ * @param {string} host - Optional host
+ */
+export function resetCircuitBreakers(host = null) {
+  if (host) circuits.delete(host);
+  else circuits.clear();
+}
+
+// ============================================================================
+// Requests
+// ============================================================================
+
+const inFlight = new Map();
+
+/**
+ * Turn a non-2xx response into a typed error
+ */
+async function errorFromResponse(response, source, url) {
+  const body = await response.text().catch(() => '');
+  const message = `${source} error: ${response.status} ${response.statusText}${body ? ` - ${body.substring(0, 500)}` : ''}`;
+  const details = {
+    source,
+    status: response.status,
+    url: redactUrl(url),
+    body: body.substring(0, 2000),
+    retryAfterMs: parseRetryAfter(response.headers.get('Retry-After')),
+  };
+
+  if (response.status === 429) return new RateLimitedError(message, details);
+  if (response.status === 401 || response.status === 403) return new UnauthorizedError(message, details);
+  if (response.status === 408 || response.status >= 500) return new UpstreamDownError(message, details);
+  return new BadParamsError(message, details);
+}
+
+/**
+ * Make one attempt at a request
+ */
+async function attemptRequest(url, options) {
+  const { source, method, headers, body, timeoutMs, responseType, checkResponse } = options;
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+  let response;
+  try {
+    response = await fetch(url, { method, headers, body, signal: controller.signal });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new TimeoutError(`${source} request timeout after ${timeoutMs}ms`, { source, url: redactUrl(url) });
+    }
+    throw new UpstreamDownError(`${source} network error: ${error.message}`, { source, url: redactUrl(url), cause: error });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  if (!response.ok) {
+    throw await errorFromResponse(response, source, url);
+  }
+
+  // No Content - e.g. Census answers this way when a geography has no data
+  if (response.status === 204) {
+    return null;
+  }
+
+  let data;
+  try {
+    data = responseType === 'text' ? await response.text() : await response.json();
+  } catch (error) {
+    throw new UpstreamDownError(`${source} returned an unreadable response: ${error.message}`, {
+      source,
+      status: response.status,
+      url: redactUrl(url),
+      cause: error,
+    });
+  }
+
+  // APIs that report errors inside a 200 response
+  const bodyError = checkResponse ? checkResponse(data) : null;
+  if (bodyError) {
+    throw new BadParamsError(`${source} error: ${bodyError}`, { source, status: response.status, url: redactUrl(url), body: data });
+  }
+
+  return data;
+}
+
+/**
+ * Make a request with retries, backoff and the host's circuit breaker
+ */
+async function requestWithRetries(url, options) {
+  const { source, retries, retryDelayMs, maxRetryDelayMs, retryRateLimited, quota, priority } = options;
+  const host = getHost(url);
+
+  for (let attempt = 0; ; attempt++) {
+    const trial = checkCircuit(host, source, url);
+
+    // Every attempt counts against the quota, retries included. Checked before
+    // the breaker goes half-open so a refused trial doesn't leave it stuck there
+    if (quota) {
+      const usage = await consumeQuota(quota, priority ? { priority } : {});
+      if (!usage.allowed) {
+        throw new QuotaExhaustedError(`${source} quota exhausted until ${usage.resetsAt}`, {
+          source,
+          url: redactUrl(url),
+          resetsAt: usage.resetsAt,
+          priority: usage.priority,
+        });
+      }
+    }
+
+    if (trial) {
+      startTrial(host, source, url);
+    }
+
+    try {
+      const data = await attemptRequest(url, options);
+      recordSuccess(host);
+      return data;
+    } catch (error) {
+      recordFailure(host, error);
+
+      if (!(error instanceof HttpError) || !error.retryable || attempt >= retries) {
+        throw error;
+      }
+      if (error instanceof RateLimitedError && !retryRateLimited) {
+        throw error;
+      }
+
+      // Honor Retry-After, but don't wait longer than the cap - fail instead
+      const delay = error.retryAfterMs ?? getBackoffDelay(attempt, retryDelayMs, maxRetryDelayMs);
+      if (delay > maxRetryDelayMs) {
+        throw error;
+      }
+
+      console.warn(`${source} request failed (${error.type}, attempt ${attempt + 1}/${retries + 1}). Retrying in ${Math.round(delay / 100) / 10}s...`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Make an HTTP request
+ *
+ * In fixture record/replay mode (HTTP_FIXTURES) the cache is bypassed and
+ * responses are recorded to, or answered from, fixture files; fixtures are
+ * stored under the cache id (or the source name when there isn't one).
+ *
+ * @param {string} url - Full URL (see buildUrl)
+ * @param {Object} options
+ * @param {string} options.source - Name used in logs and errors (e.g. 'FRED API')
+ * @param {string} options.method - HTTP method (default GET)
+ * @param {Object} options.params - Query parameters appended to the URL
+ * @param {Object} options.headers - Request headers
+ * @param {string} options.body - Request body
+ * @param {number} options.timeoutMs - Per-attempt timeout (default 30s)
+ * @param {number} options.retries - Retries after the first attempt (default 3)
+ * @param {number} options.retryDelayMs - Base backoff delay (default 2s)
+ * @param {number} options.maxRetryDelayMs - Longest wait between attempts, including Retry-After (default 60s)
+ * @param {boolean} options.retryRateLimited - Retry 429s (default true; disable for daily quotas)
+ * @param {string} options.responseType - 'json' (default) or 'text'
+ * @param {Function} options.checkResponse - (data) => error message or null, for errors in 200 responses
+ * @param {boolean} options.dedupe - Share identical in-flight GET requests (default true)
+ * @param {string} options.quota - Quota source id (e.g. 'fred'); each network attempt (not cache
+ *   hits) consumes quota and QuotaExhaustedError is thrown once it runs out
+ * @param {string} options.priority - Quota priority (see QUOTA_PRIORITY; default from the
+ *   current priority resolver)
+ * @param {string} options.cache - Cache source id (e.g. 'fred') to cache responses under that
+ *   source's TTL; omit to always hit the network
+ * @returns {Promise<*>} Parsed response
+ * @throws {HttpError} Typed error once retries are exhausted
+ */
+export async function httpRequest(url, options = {}) {
+  const resolved = {
+    source: 'HTTP',
+    method: 'GET',
+    headers: {},
+    body: undefined,
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+    retries: DEFAULT_RETRIES,
+    retryDelayMs: DEFAULT_RETRY_DELAY_MS,
+    maxRetryDelayMs: DEFAULT_MAX_RETRY_DELAY_MS,
+    retryRateLimited: true,
+    responseType: 'json',
+    checkResponse: null,
+    dedupe: true,
+    cache: null,
+    quota: null,
+    priority: null,
+    ...options,
+  };
+
+  const fullUrl = resolved.params ? buildUrl(url, resolved.params) : url;
+
+  const fixtureMode = getFixtureMode();
+  if (fixtureMode === FIXTURE_MODE.REPLAY) {
+    return replayFixture(fullUrl, resolved);
+  }
+  if (fixtureMode === FIXTURE_MODE.RECORD) {
+    return recordFixture(fullUrl, resolved);
+  }
+
+  if (!resolved.cache) {
+    return sendRequest(fullUrl, resolved);
+  }
+
+  return getOrFetch(
+    resolved.cache,
+    normalizeCacheKey(resolved.cache, fullUrl, resolved),
+    () => sendRequest(fullUrl, resolved),
+    // Old data beats no data while the upstream is down or throttling us
+    {
+      serveStaleOnError: error => error instanceof UpstreamDownError
+        || error instanceof RateLimitedError
+        || error instanceof QuotaExhaustedError,
+    }
+  );
+}
+
+/**
+ * Make a request with retries and report its outcome under the request's
+ * quota (or cache) source id
+ */
+async function trackedRequest(fullUrl, options) {
+  const source = options.quota || options.cache;
+  if (!source) {
+    return requestWithRetries(fullUrl, options);
+  }
+
+  const startedAt = Date.now();
+  try {
+    const data = await requestWithRetries(fullUrl, options);
+    recordSourceOutcome(source, { ok: true, latencyMs: Date.now() - startedAt });
+    return data;
+  } catch (error) {
+    recordSourceOutcome(source, {
+      ok: false,
+      latencyMs: Date.now() - startedAt,
+      errorType: getErrorType(error),
+      errorMessage: error.message,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Send a request, sharing identical in-flight GETs
+ */
+function sendRequest(fullUrl, options) {
+  if (!options.dedupe || options.method !== 'GET') {
+    return trackedRequest(fullUrl, options);
+  }
+
+  const key = `${options.responseType} ${fullUrl}`;
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const promise = trackedRequest(fullUrl, options).finally(() => inFlight.delete(key));
+  inFlight.set(key, promise);
+  return promise;
+}
+
+// ============================================================================
+// Fixtures
+// ============================================================================
+
+// Recorded HTTP errors are rethrown as the same typed error on replay
+const REPLAYED_ERRORS = {
+  rate_limited: RateLimitedError,
+  unauthorized: UnauthorizedError,
+  bad_params: BadParamsError,
+  upstream_down: UpstreamDownError,
+};
+
+function getFixtureSource(options) {
+  return options.cache || options.source;
+}
+
+/**
+ * Answer a request from its recorded fixture, without network, cache or quota
+ */
+async function replayFixture(fullUrl, options) {
+  const { source } = options;
+  const fixture = await readFixture(getFixtureSource(options), fullUrl, options);
+
+  if (!fixture) {
+    throw new FixtureMissingError(`${source} has no recorded fixture for this request (record it with HTTP_FIXTURES=record)`, {
+      source,
+      url: redactUrl(fullUrl),
+    });
+  }
+
+  if (fixture.error) {
+    const ErrorType = REPLAYED_ERRORS[fixture.error.type] || HttpError;
+    throw new ErrorType(fixture.error.message, {
+      source,
+      status: fixture.status,
+      url: redactUrl(fullUrl),
+      retryAfterMs: fixture.error.retryAfterMs,
+      body: fixture.error.body,
+    });
+  }
+
+  return fixture.data;
+}
+
+/**
+ * Make a live request (bypassing the cache) and save its outcome as a fixture.
+ * Only answers from the API are recorded - timeouts and network failures aren't.
+ */
+async function recordFixture(fullUrl, options) {
+  const fixtureSource = getFixtureSource(options);
+
+  let data;
+  try {
+    data = await sendRequest(fullUrl, options);
+  } catch (error) {
+    if (error instanceof HttpError && error.status !== null) {
+      await writeFixture(fixtureSource, fullUrl, options, {
+        status: error.status,
+        error: { type: error.type, message: error.message, retryAfterMs: error.retryAfterMs, body: error.body },
+      });
+    }
+    throw error;
+  }
+
+  const file = await writeFixture(fixtureSource, fullUrl, options, { status: data === null ? 204 : 200, data });
+  console.log(`📼 Recorded ${options.source} fixture: ${file}`);
+  return data;
+}
+
+export default {
+  httpRequest,
+  buildUrl,
+  redactUrl,
+  parseRetryAfter,
+  getBackoffDelay,
+  getErrorType,
+  getCircuitStates,
+  resetCircuitBreakers,
+  sleep,
+  HttpError,
+  RateLimitedError,
+  UnauthorizedError,
+  BadParamsError,
+  QuotaExhaustedError,
+  FixtureMissingError,
+  UpstreamDownError,
+  TimeoutError,
+  CircuitOpenError,
+};
@@ -0,0 +1,170 @@
+/**
+ * HTTP Fixtures (record/replay)
+ *
+ * Lets the service layer run without a network. With HTTP_FIXTURES=record,
+ * httpClient.js makes real requests and saves each response (or HTTP error)
+ * as a JSON fixture; with HTTP_FIXTURES=replay it answers from those fixtures
+ * and never touches the network, cache or quotas.
+ *
+ *   HTTP_FIXTURES=record npx vitest run tests/services/fixtureReplay.test.js   # needs keys + network
+ *   npm test                                                                 # replays, offline
+ *
+ * Fixtures are keyed like the response cache (normalizeCacheKey): credentials
+ * and parameter order don't matter, so replay works with any placeholder API
+ * key. Credentials are scrubbed from recorded URLs and bodies. Node only -
+ * fixture mode is never enabled in the browser.
+ *
+ * Environment:
+ * - HTTP_FIXTURES: 'record' | 'replay' (unset = live requests)
+ * - HTTP_FIXTURES_DIR: fixture directory (default fixtures/http)
+ */
+
+import { normalizeCacheKey } from './responseCache.js';
+import { getConfig } from './config.js';
+
+export const FIXTURE_MODE = {
+  OFF: 'off',
+  RECORD: 'record',
+  REPLAY: 'replay',
+};
+
+// Headers whose values are credentials
+const SECRET_HEADERS = ['authorization', 'x-api-key', 'x-app-token', 'api-key'];
+
+let modeOverride = null;
+let directoryOverride = null;
+
+/**
+ * Override the fixture mode set by the environment (e.g. from a test script)
+ * @param {string|null} mode - FIXTURE_MODE value, or null to use HTTP_FIXTURES again
+ * @param {Object} options - { directory }
+ */
+export function setFixtureMode(mode, { directory = null } = {}) {
+  if (mode !== null && !Object.values(FIXTURE_MODE).includes(mode)) {
+    throw new Error(`Unknown fixture mode "${mode}" (expected ${Object.values(FIXTURE_MODE).join(', ')})`);
+  }
+  modeOverride = mode;
+  directoryOverride = directory;
+}
+
+/**
+ * Get the active fixture mode
+ * @returns {string} FIXTURE_MODE value
+ */
+export function getFixtureMode() {
+  if (modeOverride) return modeOverride;
+  return getConfig('HTTP_FIXTURES');
+}
+
+function getFixturesDirectory() {
+  return directoryOverride
+    || getConfig('HTTP_FIXTURES_DIR');
+}
+
+// Loaded on first use so the browser bundle never pulls in Node modules
+let nodeModules = null;
+function loadNodeModules() {
+  if (!nodeModules) {
+    const specifiers = ['node:fs/promises', 'node:path', 'node:crypto'];
+    nodeModules = Promise.all(specifiers.map(specifier => import(/* @vite-ignore */ specifier)))
+      .then(([fs, path, crypto]) => ({ fs, path, crypto }));
+  }
+  return nodeModules;
+}
+
+/**
+ * Get the fixture key for a request (same normalization as the response cache)
+ * @param {string} source - Fixture source id (the request's cache id, or its source name)
+ * @param {string} url - Full request URL
+ * @param {Object} options - { method, body }
+ * @returns {string} Fixture key
+ */
+export function getFixtureKey(source, url, options = {}) {
+  return normalizeCacheKey(source, url, options);
+}
+
+async function getFixturePath(source, key) {
+  const { path, crypto } = await loadNodeModules();
+  const folder = source.toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+  const hash = crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+  return path.join(getFixturesDirectory(), folder, `${hash}.json`);
+}
+
+/**
+ * Collect credential values from a request so they can be scrubbed from a fixture
+ */
+function findSecrets(url, headers = {}) {
+  const secrets = [];
+  try {
+    new URL(url).searchParams.forEach((value, name) => {
+      if (value && /^(api_?key|apikey|key|userid|token|access_token)$/i.test(name)) secrets.push(value);
+    });
+  } catch (error) {
+    // Not an absolute URL - nothing to scrub
+  }
+  Object.entries(headers).forEach(([name, value]) => {
+    if (value && SECRET_HEADERS.includes(name.toLowerCase())) {
+      secrets.push(String(value).replace(/^Bearer\s+/i, ''));
+    }
+  });
+  // Short values would scrub unrelated text
+  return secrets.filter(secret => secret.length >= 8);
+}
+
+/**
+ * Read the fixture for a request
+ * @param {string} source - Fixture source id
+ * @param {string} url - Full request URL
+ * @param {Object} options - { method, body }
+ * @returns {Promise<Object|null>} { key, status, data } or { key, status, error }, or null if not recorded
+ */
+export async function readFixture(source, url, options = {}) {
+  const { fs } = await loadNodeModules();
+  const key = getFixtureKey(source, url, options);
+  try {
+    return JSON.parse(await fs.readFile(await getFixturePath(source, key), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Save a request's outcome as a fixture
+ * @param {string} source - Fixture source id
+ * @param {string} url - Full request URL
+ * @param {Object} options - { method, body, headers }
+ * @param {Object} outcome - { status, data } or { status, error: { type, message, retryAfterMs, body } }
+ * @returns {Promise<string>} Fixture file path
+ */
+export async function writeFixture(source, url, options, outcome) {
+  const { fs, path } = await loadNodeModules();
+  const key = getFixtureKey(source, url, options);
+  const file = await getFixturePath(source, key);
+
+  let serialized = JSON.stringify({
+    key,
+    method: (options.method || 'GET').toUpperCase(),
+    url,
+    recordedAt: new Date().toISOString(),
+    ...outcome,
+  }, null, 2);
+
+  // Some APIs echo the key back in the response (BEA does)
+  findSecrets(url, options.headers).forEach(secret => {
+    serialized = serialized.split(secret).join('REDACTED');
+  });
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, `${serialized}\n`);
+  return file;
+}
+
+export default {
+  FIXTURE_MODE,
+  setFixtureMode,
+  getFixtureMode,
+  getFixtureKey,
+  readFixture,
+  writeFixture,
+};
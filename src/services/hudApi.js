@@ -12,6 +12,13 @@
  * API Key required (free): https://www.huduser.gov/hudapi/public/register
  */
 
+import { registerVerifier } from './verifierRegistry.js';
+import { httpRequest } from './httpClient.js';
+import { CLAIM_STATUS, claimsAbout } from './claimExtraction.js';
+import { combineProvenance, markSynthetic } from './provenance.js';
+import { getSampleZip, getStateName } from './geography.js';
+import { getConfig } from './config.js';
+
 const HUD_API_BASE = 'https://www.huduser.gov/hudapi/public/fmr';
 const HUD_IL_API_BASE = 'https://www.huduser.gov/hudapi/public/il';
 
@@ -20,39 +27,9 @@ const HUD_IL_API_BASE = 'https://www.huduser.gov/hudapi/public/il';
  * @returns {string} API key
  */
 function getHUDApiKey() {
-  return (
-    (typeof import.meta !== 'undefined' && import.meta.env?.VITE_HUD_API_KEY) ||
-    (typeof process !== 'undefined' && process.env?.VITE_HUD_API_KEY) ||
-    ''
-  );
+  return getConfig('HUD_API_KEY') || '';
 }
 
-// State abbreviation mapping
-const STATE_ABBREV = {
-  'AL': 'Alabama', 'AK': 'Alaska', 'AZ': 'Arizona', 'AR': 'Arkansas', 'CA': 'California',
-  'CO': 'Colorado', 'CT': 'Connecticut', 'DE': 'Delaware', 'FL': 'Florida', 'GA': 'Georgia',
-  'HI': 'Hawaii', 'ID': 'Idaho', 'IL': 'Illinois', 'IN': 'Indiana', 'IA': 'Iowa',
-  'KS': 'Kansas', 'KY': 'Kentucky', 'LA': 'Louisiana', 'ME': 'Maine', 'MD': 'Maryland',
-  'MA': 'Massachusetts', 'MI': 'Michigan', 'MN': 'Minnesota', 'MS': 'Mississippi', 'MO': 'Missouri',
-  'MT': 'Montana', 'NE': 'Nebraska', 'NV': 'Nevada', 'NH': 'New Hampshire', 'NJ': 'New Jersey',
-  'NM': 'New Mexico', 'NY': 'New York', 'NC': 'North Carolina', 'ND': 'North Dakota', 'OH': 'Ohio',
-  'OK': 'Oklahoma', 'OR': 'Oregon', 'PA': 'Pennsylvania', 'RI': 'Rhode Island', 'SC': 'South Carolina',
-  'SD': 'South Dakota', 'TN': 'Tennessee', 'TX': 'Texas', 'UT': 'Utah', 'VT': 'Vermont',
-  'VA': 'Virginia', 'WA': 'Washington', 'WV': 'West Virginia', 'WI': 'Wisconsin', 'WY': 'Wyoming',
-  'DC': 'District of Columbia'
-};
-
-// Sample ZIP codes for each state (major cities)
-const STATE_SAMPLE_ZIPS = {
-  'MI': '48201', // Detroit
-  'TX': '77001', // Houston
-  'VA': '23220', // Richmond
-  'CA': '90001', // Los Angeles
-  'NY': '10001', // New York City
-  'FL': '33101', // Miami
-  'IL': '60601', // Chicago
-};
-
 /**
  * Make a request to the HUD API
  * @param {string} baseUrl - API base URL
@@ -65,31 +42,22 @@ async function makeHUDRequest(baseUrl, endpoint, params = {}) {
 
   if (!apiKey) {
     console.warn('HUD API key not configured. Using mock data.');
-    throw new Error('HUD API key not configured. Set VITE_HUD_API_KEY in .env file.');
+    throw new Error('HUD API key not configured. Set HUD_API_KEY in .env file.');
   }
 
-  const queryParams = new URLSearchParams(params);
-  const queryString = queryParams.toString();
-  const url = `${baseUrl}${endpoint}${queryString ? '?' + queryString : ''}`;
-
   try {
-    const response = await fetch(url, {
-      method: 'GET',
+    return await httpRequest(`${baseUrl}${endpoint}`, {
+      source: 'HUD API',
+      cache: 'hud',
+      quota: 'hud',
+      params,
       headers: {
         'Authorization': `Bearer ${apiKey}`,
         'Content-Type': 'application/json',
       },
     });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`HUD API error: ${response.status} ${response.statusText} - ${errorText}`);
-    }
-
-    const data = await response.json();
-    return data;
   } catch (error) {
-    console.error('HUD API Request Error:', error);
+    console.error('HUD API Request Error:', error.message);
     throw error;
   }
 }
@@ -130,7 +98,7 @@ export async function getFairMarketRent(zip, year = 2024) {
     console.error('Error fetching Fair Market Rent:', error);
 
     // Return mock data as fallback
-    return getMockFairMarketRent(zip, year);
+    return getMockFairMarketRent(zip, year, `HUD FMR API unavailable: ${error.message}`);
   }
 }
 
@@ -153,7 +121,7 @@ export async function getIncomeLimits(stateCode, countyCode = null, year = 2024)
     // HUD IL API returns data with specific field names
     return {
       state: stateCode,
-      stateName: STATE_ABBREV[stateCode] || stateCode,
+      stateName: getStateName(stateCode) || stateCode,
       county: ilData.county_name || ilData.countyName || ilData.Area_Name || 'Statewide',
       year: ilData.year || year,
       incomeLimits: {
@@ -169,7 +137,7 @@ export async function getIncomeLimits(stateCode, countyCode = null, year = 2024)
     console.error('Error fetching Income Limits:', error);
 
     // Return mock data as fallback
-    return getMockIncomeLimits(stateCode, year);
+    return getMockIncomeLimits(stateCode, year, `HUD Income Limits API unavailable: ${error.message}`);
   }
 }
 
@@ -182,7 +150,7 @@ export async function getIncomeLimits(stateCode, countyCode = null, year = 2024)
 export async function getStateHousingData(stateCode, zip = null) {
   try {
     const year = new Date().getFullYear();
-    const zipToUse = zip || STATE_SAMPLE_ZIPS[stateCode] || '00000';
+    const zipToUse = zip || getSampleZip(stateCode) || '00000';
 
     const [fmrData, incomeLimits] = await Promise.all([
       getFairMarketRent(zipToUse, year),
@@ -201,7 +169,7 @@ export async function getStateHousingData(stateCode, zip = null) {
 
     return {
       state: stateCode,
-      stateName: STATE_ABBREV[stateCode] || stateCode,
+      stateName: getStateName(stateCode) || stateCode,
       year,
       fairMarketRents: fmrData,
       incomeLimits,
@@ -216,6 +184,7 @@ export async function getStateHousingData(stateCode, zip = null) {
       },
       source: 'US Department of Housing and Urban Development',
       lastUpdated: new Date().toISOString(),
+      provenance: combineProvenance('US Department of Housing and Urban Development', [fmrData, incomeLimits]),
     };
   } catch (error) {
     console.error('Error fetching state housing data:', error);
@@ -329,7 +298,7 @@ export function verifyHousingStory(story, housingData) {
 /**
  * Mock Fair Market Rent data (fallback when API fails)
  */
-function getMockFairMarketRent(zip, year) {
+function getMockFairMarketRent(zip, year, reason) {
   // Mock data based on 2024 national averages
   const mockData = {
     '48201': { area: 'Detroit-Warren-Dearborn, MI HUD Metro FMR Area', state: 'MI', eff: 752, br1: 891, br2: 1087, br3: 1419, br4: 1672 },
@@ -341,7 +310,7 @@ function getMockFairMarketRent(zip, year) {
 
   const data = mockData[zip] || { area: 'Unknown Area', state: 'US', eff: 800, br1: 950, br2: 1200, br3: 1600, br4: 1900 };
 
-  return {
+  return markSynthetic({
     zip,
     year,
     areaName: data.area,
@@ -356,13 +325,13 @@ function getMockFairMarketRent(zip, year) {
     },
     source: 'HUD Fair Market Rents (Mock Data)',
     lastUpdated: new Date().toISOString(),
-  };
+  }, 'HUD Fair Market Rents', reason);
 }
 
 /**
  * Mock Income Limits data (fallback when API fails)
  */
-function getMockIncomeLimits(stateCode, year) {
+function getMockIncomeLimits(stateCode, year, reason) {
   // Mock data based on 2024 estimates
   const mockData = {
     'MI': { veryLow: 38750, low: 62000, median: 77500 },
@@ -374,9 +343,9 @@ function getMockIncomeLimits(stateCode, year) {
 
   const data = mockData[stateCode] || { veryLow: 40000, low: 64000, median: 80000 };
 
-  return {
+  return markSynthetic({
     state: stateCode,
-    stateName: STATE_ABBREV[stateCode] || stateCode,
+    stateName: getStateName(stateCode) || stateCode,
     county: 'Statewide Average',
     year,
     incomeLimits: {
@@ -387,12 +356,69 @@ function getMockIncomeLimits(stateCode, year) {
     familySize: 4,
     source: 'HUD Income Limits (Mock Data)',
     lastUpdated: new Date().toISOString(),
-  };
+  }, 'HUD Income Limits', reason);
+}
+
+/**
+ * Check structured rent claims against HUD Fair Market Rents
+ * @param {Array<Object>} claims - Claims from claimExtraction
+ * @param {Object} housingData - HUD housing data for the story's location
+ * @returns {Array<Object>} Per-claim results { claimId, status, message }
+ */
+export function checkHousingClaims(claims, housingData) {
+  const fmr = housingData?.affordabilityMetrics?.fairMarketRent2BR;
+
+  return claimsAbout(claims, ['rent', 'lease', 'housing cost']).map(claim => {
+    if (!fmr || claim.unit !== 'USD') {
+      return { claimId: claim.id, status: CLAIM_STATUS.UNVERIFIABLE, message: 'No comparable HUD rent figure for this claim' };
+    }
+
+    // Rent level ("we pay $1,800 a month", "from $1,200 to $1,600")
+    const level = claim.to ?? (claim.direction ? null : claim.quantity);
+    if (level !== null) {
+      const ratio = level / fmr;
+      if (ratio >= 0.3 && ratio <= 3) {
+        return { claimId: claim.id, status: CLAIM_STATUS.SUPPORTED, message: `Rent of $${level.toLocaleString()} is consistent with the local 2BR Fair Market Rent of $${fmr.toLocaleString()}` };
+      }
+      return { claimId: claim.id, status: CLAIM_STATUS.CONTRADICTED, message: `Rent of $${level.toLocaleString()} is far outside the local 2BR Fair Market Rent of $${fmr.toLocaleString()}` };
+    }
+
+    // Rent change ("rent up $400")
+    const changeRatio = claim.quantity / fmr;
+    if (changeRatio <= 0.5) {
+      return { claimId: claim.id, status: CLAIM_STATUS.SUPPORTED, message: `A $${claim.quantity.toLocaleString()} change is plausible against a $${fmr.toLocaleString()} Fair Market Rent` };
+    }
+    if (changeRatio > 1) {
+      return { claimId: claim.id, status: CLAIM_STATUS.CONTRADICTED, message: `A $${claim.quantity.toLocaleString()} change exceeds the entire local Fair Market Rent of $${fmr.toLocaleString()}` };
+    }
+    return { claimId: claim.id, status: CLAIM_STATUS.UNVERIFIABLE, message: 'Rent change is unusually large; HUD data alone cannot confirm it' };
+  });
 }
 
+// Register with the story verifier registry
+registerVerifier({
+  id: 'hud',
+  name: 'HUD',
+  policyAreas: ['housing'],
+  fetch: (story, { stateCode, zip }) => getStateHousingData(stateCode, zip),
+  verify: verifyHousingStory,
+  checkClaims: checkHousingClaims,
+  weight: 1,
+  reliability: 0.9,
+  geoPrecision: (data, { zip }) => (zip ? 'zip' : 'state'),
+  dataLagMonths: 6,
+  hasCredentials: () => !!getHUDApiKey(),
+  // FMR year and 2BR rent - HUD publishes a new FMR year each October
+  getVintage: (data) => {
+    const fmr = data.fairMarketRents;
+    return fmr?.year ? `${fmr.year}:${fmr.fmrRates?.twoBedroom ?? ''}` : null;
+  },
+});
+
 export default {
   getFairMarketRent,
   getIncomeLimits,
   getStateHousingData,
   verifyHousingStory,
+  checkHousingClaims,
 };
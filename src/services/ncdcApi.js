@@ -15,40 +15,19 @@
  * - Legacy v2: https://www.ncei.noaa.gov/cdo-web/api/v2 (deprecated)
  */
 
+import { registerVerifier } from './verifierRegistry.js';
+import { combineProvenance, markSynthetic } from './provenance.js';
+import { getStateName } from './geography.js';
+import { getConfig } from './config.js';
+
 // New 2025 API endpoints
 const NCDC_API_NEW = 'https://www.ncei.noaa.gov/access/services/data/v1';
 // Legacy v2 API (deprecated but may still work)
 const NCDC_API_V2 = 'https://www.ncei.noaa.gov/cdo-web/api/v2';
-const NCDC_API_TOKEN = (typeof import.meta !== 'undefined' && import.meta.env?.VITE_NCDC_API_TOKEN) || '';
-
-// State to location mapping for FIPS codes
-const STATE_FIPS = {
-  'AL': 'FIPS:01', 'AK': 'FIPS:02', 'AZ': 'FIPS:04', 'AR': 'FIPS:05', 'CA': 'FIPS:06',
-  'CO': 'FIPS:08', 'CT': 'FIPS:09', 'DE': 'FIPS:10', 'FL': 'FIPS:12', 'GA': 'FIPS:13',
-  'HI': 'FIPS:15', 'ID': 'FIPS:16', 'IL': 'FIPS:17', 'IN': 'FIPS:18', 'IA': 'FIPS:19',
-  'KS': 'FIPS:20', 'KY': 'FIPS:21', 'LA': 'FIPS:22', 'ME': 'FIPS:23', 'MD': 'FIPS:24',
-  'MA': 'FIPS:25', 'MI': 'FIPS:26', 'MN': 'FIPS:27', 'MS': 'FIPS:28', 'MO': 'FIPS:29',
-  'MT': 'FIPS:30', 'NE': 'FIPS:31', 'NV': 'FIPS:32', 'NH': 'FIPS:33', 'NJ': 'FIPS:34',
-  'NM': 'FIPS:35', 'NY': 'FIPS:36', 'NC': 'FIPS:37', 'ND': 'FIPS:38', 'OH': 'FIPS:39',
-  'OK': 'FIPS:40', 'OR': 'FIPS:41', 'PA': 'FIPS:42', 'RI': 'FIPS:44', 'SC': 'FIPS:45',
-  'SD': 'FIPS:46', 'TN': 'FIPS:47', 'TX': 'FIPS:48', 'UT': 'FIPS:49', 'VT': 'FIPS:50',
-  'VA': 'FIPS:51', 'WA': 'FIPS:53', 'WV': 'FIPS:54', 'WI': 'FIPS:55', 'WY': 'FIPS:56',
-  'DC': 'FIPS:11'
-};
+const NCDC_API_TOKEN = getConfig('NCDC_API_TOKEN') || '';
 
-const STATE_NAMES = {
-  'AL': 'Alabama', 'AK': 'Alaska', 'AZ': 'Arizona', 'AR': 'Arkansas', 'CA': 'California',
-  'CO': 'Colorado', 'CT': 'Connecticut', 'DE': 'Delaware', 'FL': 'Florida', 'GA': 'Georgia',
-  'HI': 'Hawaii', 'ID': 'Idaho', 'IL': 'Illinois', 'IN': 'Indiana', 'IA': 'Iowa',
-  'KS': 'Kansas', 'KY': 'Kentucky', 'LA': 'Louisiana', 'ME': 'Maine', 'MD': 'Maryland',
-  'MA': 'Massachusetts', 'MI': 'Michigan', 'MN': 'Minnesota', 'MS': 'Mississippi', 'MO': 'Missouri',
-  'MT': 'Montana', 'NE': 'Nebraska', 'NV': 'Nevada', 'NH': 'New Hampshire', 'NJ': 'New Jersey',
-  'NM': 'New Mexico', 'NY': 'New York', 'NC': 'North Carolina', 'ND': 'North Dakota', 'OH': 'Ohio',
-  'OK': 'Oklahoma', 'OR': 'Oregon', 'PA': 'Pennsylvania', 'RI': 'Rhode Island', 'SC': 'South Carolina',
-  'SD': 'South Dakota', 'TN': 'Tennessee', 'TX': 'Texas', 'UT': 'Utah', 'VT': 'Vermont',
-  'VA': 'Virginia', 'WA': 'Washington', 'WV': 'West Virginia', 'WI': 'Wisconsin', 'WY': 'Wyoming',
-  'DC': 'District of Columbia'
-};
+// Climate figures are typical state values until the NOAA API is wired in
+const ESTIMATE_REASON = 'NOAA API not yet integrated - typical state values';
 
 /**
  * Get climate data for a state (using mock data)
@@ -111,9 +90,9 @@ export async function getStateClimateData(stateCode, year = 2024) {
       severeEvents: 20,
     };
 
-    return {
+    return markSynthetic({
       state: stateCode,
-      stateName: STATE_NAMES[stateCode] || stateCode,
+      stateName: getStateName(stateCode) || stateCode,
       year: year,
       temperature: {
         annual: data.avgTemp,
@@ -135,7 +114,7 @@ export async function getStateClimateData(stateCode, year = 2024) {
       },
       dataSource: 'NOAA National Centers for Environmental Information',
       lastUpdated: new Date().toISOString(),
-    };
+    }, 'NOAA National Centers for Environmental Information', ESTIMATE_REASON);
   } catch (error) {
     console.error('Error fetching climate data:', error);
     throw error;
@@ -175,14 +154,14 @@ export async function getExtremeWeatherEvents(stateCode, year = 2024) {
       },
     ];
 
-    return {
+    return markSynthetic({
       state: stateCode,
-      stateName: STATE_NAMES[stateCode] || stateCode,
+      stateName: getStateName(stateCode) || stateCode,
       year: year,
       events: events,
       totalEvents: events.length,
       dataSource: 'NOAA Storm Events Database',
-    };
+    }, 'NOAA Storm Events Database', ESTIMATE_REASON);
   } catch (error) {
     console.error('Error fetching extreme weather events:', error);
     throw error;
@@ -208,9 +187,9 @@ export async function getClimateComparison(stateCode) {
     const tempChange = current.temperature.annual - historical.avgTemp;
     const precipChange = ((current.precipitation.annual - historical.avgPrecip) / historical.avgPrecip) * 100;
 
-    return {
+    return markSynthetic({
       state: stateCode,
-      stateName: STATE_NAMES[stateCode] || stateCode,
+      stateName: getStateName(stateCode) || stateCode,
       period: `${currentYear - 1} vs 1991-2020 baseline`,
       temperature: {
         current: current.temperature.annual,
@@ -228,7 +207,7 @@ export async function getClimateComparison(stateCode) {
       },
       significance: tempChange > 1.0 || Math.abs(precipChange) > 10 ? 'Statistically significant' : 'Within normal variance',
       dataSource: 'NOAA Climate Normals',
-    };
+    }, 'NOAA Climate Normals', ESTIMATE_REASON);
   } catch (error) {
     console.error('Error fetching climate comparison:', error);
     throw error;
@@ -346,7 +325,7 @@ export async function getLocationClimatePackage(stateCode) {
 
     return {
       state: stateCode,
-      stateName: STATE_NAMES[stateCode] || stateCode,
+      stateName: getStateName(stateCode) || stateCode,
       current: climateData,
       comparison: comparison,
       extremeEvents: extremeEvents,
@@ -358,6 +337,7 @@ export async function getLocationClimatePackage(stateCode) {
       },
       dataSource: 'NOAA National Centers for Environmental Information',
       lastUpdated: new Date().toISOString(),
+      provenance: combineProvenance('NOAA National Centers for Environmental Information', [climateData, comparison, extremeEvents]),
     };
   } catch (error) {
     console.error('Error fetching location climate package:', error);
@@ -365,6 +345,20 @@ export async function getLocationClimatePackage(stateCode) {
   }
 }
 
+// Register with the story verifier registry (climate context for environment and infrastructure stories)
+registerVerifier({
+  id: 'ncdc',
+  name: 'NCDC',
+  policyAreas: ['environment', 'infrastructure'],
+  fetch: (story, { stateCode }) => getStateClimateData(stateCode, new Date().getFullYear()),
+  verify: verifyClimateStory,
+  weight: 0.8,
+  reliability: 0.85,
+  geoPrecision: 'state',
+  dataLagMonths: 1,
+  hasCredentials: () => !!NCDC_API_TOKEN,
+});
+
 export default {
   getStateClimateData,
   getExtremeWeatherEvents,
@@ -20,26 +20,18 @@
  * - Graceful degradation on errors/limits
  */
 
-// Try Vite environment first, then Node.js process.env
-const NEWS_API_BASE =
-  (typeof import.meta !== 'undefined' && import.meta.env?.VITE_NEWS_API_BASE) ||
-  (typeof process !== 'undefined' && process.env?.VITE_NEWS_API_BASE) ||
-  'https://newsapi.org/v2';
+import { httpRequest, getErrorType } from './httpClient.js';
+import { getConfig } from './config.js';
+
+const NEWS_API_BASE = getConfig('NEWS_API_BASE');
 
 // NewsAPI Key
-const NEWS_API_KEY =
-  (typeof import.meta !== 'undefined' && import.meta.env && import.meta.env.VITE_NEWS_API_KEY) ||
-  (typeof process !== 'undefined' && process.env && process.env.VITE_NEWS_API_KEY) ||
-  null;
+const NEWS_API_KEY = getConfig('NEWS_API_KEY') || null;
 
 // Request configuration
 const REQUEST_TIMEOUT_MS = 30000; // 30 seconds
 const MAX_RETRIES = 3;
 const RETRY_DELAY_MS = 2000; // Base delay: 2 seconds
-const DAILY_REQUEST_LIMIT = 100; // Free tier limit
-
-// Rate limiting tracking
-let requestLog = [];
 
 // Project 2025 policy keywords for news matching
 export const POLICY_KEYWORDS = {
@@ -69,144 +61,51 @@ const LOCATION_KEYWORDS = [
 ];
 
 /**
- * Sleep utility for retry delays
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise<void>}
- */
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
-/**
- * Check if we're within daily rate limit
- * @returns {boolean} True if can make request, false otherwise
- */
-function checkRateLimit() {
-  const now = new Date();
-  const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-
-  // Remove requests from previous days
-  requestLog = requestLog.filter((reqTime) => reqTime > todayStart);
-
-  if (requestLog.length >= DAILY_REQUEST_LIMIT) {
-    console.warn(`⚠️  NewsAPI daily rate limit reached: ${requestLog.length}/${DAILY_REQUEST_LIMIT}`);
-    return false;
-  }
-
-  // Warning at 80% capacity
-  if (requestLog.length >= DAILY_REQUEST_LIMIT * 0.8) {
-    console.warn(
-      `⚠️  Approaching rate limit: ${requestLog.length}/${DAILY_REQUEST_LIMIT} requests today`
-    );
-  }
-
-  return true;
-}
-
-/**
- * Log request timestamp for rate limiting
- */
-function logRequest() {
-  requestLog.push(new Date());
-  console.log(`📊 NewsAPI requests today: ${requestLog.length}/${DAILY_REQUEST_LIMIT}`);
-}
-
-/**
- * Make a GET request to NewsAPI with retry logic
+ * Make a GET request to NewsAPI (retries, timeouts and circuit breaking are
+ * handled by the shared HTTP client)
  * @param {string} endpoint - API endpoint ('everything', 'top-headlines', 'sources')
  * @param {Object} params - Query parameters
- * @param {number} retryCount - Current retry attempt
- * @returns {Promise<Object>} API response data
+ * @returns {Promise<Object|null>} API response data, or null when unavailable
  */
-async function makeRequest(endpoint, params = {}, retryCount = 0) {
+async function makeRequest(endpoint, params = {}) {
   if (!NEWS_API_KEY) {
-    throw new Error('NewsAPI key not configured. Please set VITE_NEWS_API_KEY in .env');
+    throw new Error('NewsAPI key not configured. Please set NEWS_API_KEY in .env');
   }
 
-  // Check rate limit before making request
-  if (!checkRateLimit()) {
-    console.error('❌ NewsAPI rate limit exceeded. Skipping news analysis.');
-    return null;
-  }
-
-  // Add API key to all requests
-  const queryParams = {
-    apiKey: NEWS_API_KEY,
-    ...params,
-  };
-
-  const queryString = new URLSearchParams(queryParams).toString();
-  const url = `${NEWS_API_BASE}/${endpoint}?${queryString}`;
+  console.log(`📰 NewsAPI request: ${endpoint}`);
 
   try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
-
-    console.log(`📰 NewsAPI request: ${endpoint} (attempt ${retryCount + 1}/${MAX_RETRIES + 1})`);
-
-    const response = await fetch(url, {
-      method: 'GET',
+    return await httpRequest(`${NEWS_API_BASE}/${endpoint}`, {
+      source: 'NewsAPI',
+      cache: 'news',
+      // Free tier: 100 requests/day (see quotaManager.js)
+      quota: 'news',
+      params: {
+        apiKey: NEWS_API_KEY,
+        ...params,
+      },
       headers: {
         'Content-Type': 'application/json',
         'User-Agent': 'Democratic-Accountability-Platform/1.0',
       },
-      signal: controller.signal,
+      timeoutMs: REQUEST_TIMEOUT_MS,
+      retries: MAX_RETRIES,
+      retryDelayMs: RETRY_DELAY_MS,
+      // A 429 means the daily quota is spent - retrying only burns requests
+      retryRateLimited: false,
+      checkResponse: data => (data.status !== 'ok' ? data.message || 'Unknown error' : null),
     });
-
-    clearTimeout(timeoutId);
-
-    // Log successful request
-    logRequest();
-
-    // Handle rate limiting (429 status)
-    if (response.status === 429) {
+  } catch (error) {
+    const errorType = getErrorType(error);
+    if (errorType === 'rate_limited') {
       console.warn('⏱️  NewsAPI rate limit hit (429). Moving to next analysis.');
-      return null;
-    }
-
-    // Handle invalid API key
-    if (response.status === 401) {
+    } else if (errorType === 'quota_exhausted') {
+      console.warn(`⏱️  ${error.message}. Skipping news analysis.`);
+    } else if (errorType === 'unauthorized') {
       console.error('❌ Invalid NewsAPI key. Check configuration.');
-      return null;
-    }
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`NewsAPI error: ${response.status} ${response.statusText} - ${errorText}`);
-    }
-
-    const data = await response.json();
-
-    // Check API response status
-    if (data.status !== 'ok') {
-      console.error(`❌ NewsAPI error: ${data.message || 'Unknown error'}`);
-      return null;
+    } else {
+      console.error(`❌ NewsAPI ${errorType}: ${error.message}. Moving to next analysis.`);
     }
-
-    return data;
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      console.error(`⏱️  NewsAPI timeout on attempt ${retryCount + 1}`);
-
-      if (retryCount < MAX_RETRIES) {
-        const waitTime = RETRY_DELAY_MS * Math.pow(2, retryCount); // Exponential backoff
-        console.log(`🔄 Retrying in ${waitTime / 1000} seconds...`);
-        await sleep(waitTime);
-        return makeRequest(endpoint, params, retryCount + 1);
-      }
-
-      console.error('❌ NewsAPI timeout after all retries. Moving to next analysis.');
-      return null;
-    }
-
-    console.error('NewsAPI Request Error:', error);
-
-    if (retryCount < MAX_RETRIES) {
-      const waitTime = RETRY_DELAY_MS * Math.pow(2, retryCount);
-      await sleep(waitTime);
-      return makeRequest(endpoint, params, retryCount + 1);
-    }
-
     return null;
   }
 }
@@ -402,7 +301,7 @@ export async function getNewsBaselineComparison(policyArea, location = null, bas
  * @param {number} daysAfter - Days analyzed after
  * @returns {Object} Coverage change analysis
  */
-function calculateCoverageChanges(beforeData, afterData, daysBefore, daysAfter) {
+export function calculateCoverageChanges(beforeData, afterData, daysBefore, daysAfter) {
   if (!beforeData || beforeData.error || !afterData || afterData.error) {
     return { available: false };
   }
@@ -0,0 +1,101 @@
+/**
+ * Data Provenance
+ *
+ * Every payload a data service hands to the verification pipeline records
+ * where it came from:
+ *
+ *   provenance: { source, type, retrievedAt, vintage, reason }
+ *
+ * - live: fetched from the agency API for this request
+ * - cached: served from the response cache; retrievedAt is when it was fetched
+ * - synthetic: built-in estimates or placeholders a service returns when its
+ *   API is unavailable or not integrated yet (reason says which)
+ *
+ * Services only tag synthetic payloads themselves (see markSynthetic); the
+ * pipeline tags everything else as live or cached when the verifier runs.
+ * Synthetic data can still give a reader context, but storyVerification.js
+ * never counts it as evidence.
+ */
+
+export const PROVENANCE = {
+  LIVE: 'live',
+  CACHED: 'cached',
+  SYNTHETIC: 'synthetic',
+};
+
+/**
+ * Attach provenance to a data payload
+ * @param {Object} data - Payload from a data service
+ * @param {Object} provenance - { source, type, retrievedAt, vintage, reason }
+ * @returns {Object} Copy of the payload with a `provenance` field
+ */
+export function withProvenance(data, { source, type = PROVENANCE.LIVE, retrievedAt = null, vintage = null, reason = null }) {
+  return {
+    ...data,
+    provenance: {
+      source,
+      type,
+      retrievedAt: retrievedAt || new Date().toISOString(),
+      vintage,
+      ...(reason ? { reason } : {}),
+    },
+  };
+}
+
+/**
+ * Tag a payload as synthetic (estimates or placeholders, not agency data)
+ * @param {Object} data - Payload built without the agency API
+ * @param {string} source - Data source name (e.g. 'DOT National Bridge Inventory')
+ * @param {string} reason - Why real data wasn't used
+ * @returns {Object} Copy of the payload with synthetic provenance
+ */
+export function markSynthetic(data, source, reason) {
+  return withProvenance(data, { source, type: PROVENANCE.SYNTHETIC, reason });
+}
+
+/**
+ * Get a payload's provenance
+ * @param {*} data - Payload from a data service
+ * @returns {Object|null} Provenance, or null if the payload isn't tagged
+ */
+export function getProvenance(data) {
+  return data && typeof data === 'object' ? data.provenance || null : null;
+}
+
+/**
+ * Whether a payload is synthetic
+ * @param {*} data - Payload from a data service
+ * @returns {boolean} True for estimates and placeholders
+ */
+export function isSynthetic(data) {
+  return getProvenance(data)?.type === PROVENANCE.SYNTHETIC;
+}
+
+/**
+ * Provenance for a payload assembled from several parts: synthetic if any
+ * part is, so real figures can't launder estimated ones
+ * @param {string} source - Data source name for the combined payload
+ * @param {Array<Object>} parts - Part payloads
+ * @returns {Object|null} Synthetic provenance, or null if every part is real
+ */
+export function combineProvenance(source, parts) {
+  const synthetic = parts.filter(isSynthetic);
+  if (synthetic.length === 0) return null;
+
+  return {
+    source,
+    type: PROVENANCE.SYNTHETIC,
+    retrievedAt: new Date().toISOString(),
+    vintage: null,
+    reason: [...new Set(synthetic.map(part => part.provenance.reason).filter(Boolean))].join('; ') || 'Built from estimated data',
+  };
+}
+
+export default {
+  PROVENANCE,
+  withProvenance,
+  markSynthetic,
+  getProvenance,
+  isSynthetic,
+  combineProvenance,
+};
@@ -0,0 +1,329 @@
+/**
+ * API Quota Manager
+ *
+ * One place that tracks request quotas for every federal data source.
+ * httpClient.js consumes quota before each network attempt for requests
+ * made with a `quota` source id (cache hits don't count) and throws
+ * QuotaExhaustedError when a request is refused.
+ *
+ * - Fixed windows (per minute/hour/day, UTC-aligned) per source, configurable
+ *   with `configureQuota` or the API_QUOTAS environment variable
+ *   (e.g. "news=100/day,fred=120/minute")
+ * - Priorities: citizen-facing verification may use the whole quota;
+ *   background jobs and dashboard refreshes stop earlier so they can't
+ *   starve it
+ * - Usage is kept in a shared store: localStorage in the browser (shared by
+ *   tabs, survives reloads), and whatever the API server registers with
+ *   `setQuotaStore` (Postgres or disk - see server/quotaStore.js)
+ * - `trackQuotaRefusals` reports which sources refused a piece of work (a
+ *   verifier run, a status probe). Concurrent work is told apart through a
+ *   refusal scope registered with `setRefusalScope` (the API server uses
+ *   AsyncLocalStorage); without one, no refusals are reported.
+ */
+
+import { QUOTA_ENTRY_PATTERN, getConfig } from './config.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const WINDOW_UNITS = { minute: MINUTE, hour: HOUR, day: DAY };
+
+export const QUOTA_PRIORITY = {
+  CITIZEN: 'citizen',
+  BACKGROUND: 'background',
+  DASHBOARD: 'dashboard',
+};
+
+// Share of each quota a priority may use before it is refused
+const PRIORITY_SHARE = {
+  [QUOTA_PRIORITY.CITIZEN]: 1,
+  [QUOTA_PRIORITY.BACKGROUND]: 0.8,
+  [QUOTA_PRIORITY.DASHBOARD]: 0.6,
+};
+
+// Warn once per window when usage passes this share
+const WARNING_SHARE = 0.8;
+
+/**
+ * Per-source quotas from each API's published limits. `limit: null` means
+ * usage is tracked but never refused. Source ids match verifier ids.
+ */
+export const QUOTAS = {
+  news: { limit: 100, windowMs: DAY },
+  congress: { limit: 5000, windowMs: HOUR },
+  'dept-education': { limit: 1000, windowMs: DAY },
+  fred: { limit: 120, windowMs: MINUTE },
+  bea: { limit: 100, windowMs: MINUTE },
+  // api.data.gov keys
+  'fbi-crime': { limit: 1000, windowMs: HOUR },
+  fec: { limit: 1000, windowMs: HOUR },
+  eia: { limit: 5000, windowMs: HOUR },
+  // Census allows 500 calls a day without a key
+  census: { limit: 500, windowMs: DAY },
+  hrsa: { limit: 1000, windowMs: HOUR },
+  'bjs-ncvs': { limit: 1000, windowMs: HOUR },
+  treasury: { limit: null, windowMs: HOUR },
+  va: { limit: null, windowMs: HOUR },
+  usda: { limit: null, windowMs: DAY },
+  usaspending: { limit: null, windowMs: HOUR },
+  'cdc-wonder': { limit: null, windowMs: HOUR },
+  dot: { limit: null, windowMs: HOUR },
+  epa: { limit: null, windowMs: HOUR },
+  fema: { limit: null, windowMs: HOUR },
+  hud: { limit: null, windowMs: DAY },
+  'federal-register': { limit: null, windowMs: HOUR },
+};
+
+const DEFAULT_QUOTA = { limit: null, windowMs: HOUR };
+
+/**
+ * Parse API_QUOTAS ("source=limit/unit,...") into quota overrides
+ * @param {string} value - Environment value
+ * @returns {Object} { [source]: { limit, windowMs } }
+ */
+export function parseQuotaOverrides(value) {
+  const overrides = {};
+  if (!value) return overrides;
+
+  value.split(',').forEach(part => {
+    const match = part.trim().match(QUOTA_ENTRY_PATTERN);
+    if (!match) {
+      if (part.trim()) console.warn(`Ignoring invalid API_QUOTAS entry: "${part.trim()}"`);
+      return;
+    }
+    const [, source, limit, unit] = match;
+    overrides[source] = { limit: limit === 'none' ? null : Number(limit), windowMs: WINDOW_UNITS[unit] };
+  });
+
+  return overrides;
+}
+
+Object.assign(QUOTAS, parseQuotaOverrides(getConfig('API_QUOTAS') || ''));
+
+/**
+ * Override a source's quota
+ * @param {string} source - Source id
+ * @param {Object} quota - { limit, windowMs }
+ */
+export function configureQuota(source, quota) {
+  QUOTAS[source] = { ...getQuota(source), ...quota };
+}
+
+/**
+ * Get a source's quota
+ * @param {string} source - Source id
+ * @returns {Object} { limit, windowMs }
+ */
+export function getQuota(source) {
+  return QUOTAS[source] || DEFAULT_QUOTA;
+}
+
+// ============================================================================
+// Stores
+// ============================================================================
+
+/**
+ * In-memory store (one process only)
+ */
+export function createMemoryQuotaStore() {
+  const counts = new Map();
+
+  return {
+    async consume(source, windowStart, amount, max) {
+      const key = `${source}|${windowStart}`;
+      const count = counts.get(key) || 0;
+      if (max !== null && count + amount > max) return { allowed: false, count };
+      counts.set(key, count + amount);
+      return { allowed: true, count: count + amount };
+    },
+
+    async getUsage(source, windowStart) {
+      return counts.get(`${source}|${windowStart}`) || 0;
+    },
+  };
+}
+
+/**
+ * localStorage store, shared by every tab on the origin
+ */
+function createLocalStorageQuotaStore(storage) {
+  const storageKey = (source, windowStart) => `apiQuota:${source}:${windowStart}`;
+
+  return {
+    async consume(source, windowStart, amount, max) {
+      const key = storageKey(source, windowStart);
+      const count = Number(storage.getItem(key)) || 0;
+      if (max !== null && count + amount > max) return { allowed: false, count };
+      storage.setItem(key, String(count + amount));
+      return { allowed: true, count: count + amount };
+    },
+
+    async getUsage(source, windowStart) {
+      return Number(storage.getItem(storageKey(source, windowStart))) || 0;
+    },
+  };
+}
+
+function createDefaultStore() {
+  try {
+    if (typeof window !== 'undefined' && window.localStorage) {
+      return createLocalStorageQuotaStore(window.localStorage);
+    }
+  } catch (error) {
+    // localStorage blocked (e.g. privacy settings)
+  }
+  return createMemoryQuotaStore();
+}
+
+let quotaStore = createDefaultStore();
+
+/**
+ * Use a shared store for quota usage
+ * @param {Object} store - { consume(source, windowStart, amount, max), getUsage(source, windowStart) } (async)
+ */
+export function setQuotaStore(store) {
+  quotaStore = store;
+}
+
+// ============================================================================
+// Priority
+// ============================================================================
+
+// Browser requests are dashboard refreshes unless a caller says otherwise
+let priorityResolver = () => null;
+let defaultPriority = typeof window !== 'undefined' ? QUOTA_PRIORITY.DASHBOARD : QUOTA_PRIORITY.BACKGROUND;
+
+/**
+ * Set how the current request's priority is found (the API server resolves
+ * it from the incoming request - see server/quotaStore.js)
+ * @param {Function} resolver - () => priority or null
+ * @param {string} fallback - Priority when the resolver returns null
+ */
+export function setPriorityResolver(resolver, fallback = defaultPriority) {
+  priorityResolver = resolver;
+  defaultPriority = fallback;
+}
+
+/**
+ * Get the priority of the request being made
+ * @returns {string} QUOTA_PRIORITY value
+ */
+export function getCurrentPriority() {
+  return priorityResolver() || defaultPriority;
+}
+
+// ============================================================================
+// Consumption
+// ============================================================================
+
+const warnedWindows = new Set();
+
+let refusalScope = {
+  run: (refusals, fn) => fn(),
+  current: () => null,
+};
+
+function getWindowStart(windowMs, now = Date.now()) {
+  return Math.floor(now / windowMs) * windowMs;
+}
+
+/**
+ * Consume quota for one request
+ * @param {string} source - Source id
+ * @param {Object} options - { priority, amount }
+ * @returns {Promise<Object>} { allowed, source, priority, used, limit, resetsAt }
+ */
+export async function consumeQuota(source, { priority = getCurrentPriority(), amount = 1 } = {}) {
+  const { limit, windowMs } = getQuota(source);
+  const windowStart = getWindowStart(windowMs);
+  const resetsAt = new Date(windowStart + windowMs).toISOString();
+  const max = limit === null ? null : Math.floor(limit * (PRIORITY_SHARE[priority] ?? PRIORITY_SHARE[QUOTA_PRIORITY.DASHBOARD]));
+
+  let result;
+  try {
+    result = await quotaStore.consume(source, windowStart, amount, max);
+  } catch (error) {
+    // A broken store shouldn't take every data source down with it
+    console.warn(`Quota store unavailable for ${source}: ${error.message}`);
+    return { allowed: true, source, priority, used: null, limit, resetsAt };
+  }
+
+  if (!result.allowed) {
+    refusalScope.current()?.set(source, { at: Date.now(), priority, resetsAt });
+    console.warn(`${source} quota exhausted for ${priority} requests until ${resetsAt} (${result.count}/${limit})`);
+    return { allowed: false, source, priority, used: result.count, limit, resetsAt };
+  }
+
+  const warningKey = `${source}|${windowStart}`;
+  if (limit !== null && result.count >= limit * WARNING_SHARE && !warnedWindows.has(warningKey)) {
+    warnedWindows.add(warningKey);
+    console.warn(`⚠️  Approaching ${source} quota: ${result.count}/${limit} until ${resetsAt}`);
+  }
+
+  return { allowed: true, source, priority, used: result.count, limit, resetsAt };
+}
+
+/**
+ * Set how refusals are tied to the work that triggered them
+ * @param {Object} scope - { run(refusals, fn), current() => refusals Map or null }
+ */
+export function setRefusalScope(scope) {
+  refusalScope = scope;
+}
+
+/**
+ * Run work and report the quota refusals it ran into (lets the verification
+ * pipeline tell "no data" from "out of quota")
+ * @param {Function} fn - Work to run
+ * @returns {Promise<Object>} { result, refusals: Map of source id → { at, priority, resetsAt } }
+ */
+export async function trackQuotaRefusals(fn) {
+  const refusals = new Map();
+  const result = await refusalScope.run(refusals, fn);
+  return { result, refusals };
+}
+
+/**
+ * Get current usage for every source with a quota
+ * @returns {Promise<Object>} { [source]: { limit, windowMs, used, remaining, resetsAt } }
+ */
+export async function getQuotaStatus() {
+  const status = {};
+
+  for (const [source, { limit, windowMs }] of Object.entries(QUOTAS)) {
+    const windowStart = getWindowStart(windowMs);
+    let used = null;
+    try {
+      used = await quotaStore.getUsage(source, windowStart);
+    } catch (error) {
+      console.warn(`Quota store unavailable for ${source}: ${error.message}`);
+    }
+
+    status[source] = {
+      limit,
+      windowMs,
+      used,
+      remaining: limit === null || used === null ? null : Math.max(limit - used, 0),
+      resetsAt: new Date(windowStart + windowMs).toISOString(),
+    };
+  }
+
+  return status;
+}
+
+export default {
+  QUOTAS,
+  QUOTA_PRIORITY,
+  parseQuotaOverrides,
+  configureQuota,
+  getQuota,
+  createMemoryQuotaStore,
+  setQuotaStore,
+  setPriorityResolver,
+  getCurrentPriority,
+  consumeQuota,
+  setRefusalScope,
+  trackQuotaRefusals,
+  getQuotaStatus,
+};
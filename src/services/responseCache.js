@@ -0,0 +1,367 @@
+/**
+ * Response Cache for Federal Data Services
+ *
+ * Sits under httpClient.js: requests made with a `cache` source id are served
+ * from cache while fresh, served stale while a background refresh runs, and
+ * fetched only when missing or too old. Most sources publish monthly or
+ * yearly, so this keeps re-rendering and re-verifying stories from burning
+ * API quota.
+ *
+ * Entries live in memory, and in a persistent store when one is registered
+ * with `setCacheStore` (the API server registers a Postgres or disk store -
+ * see server/responseCacheStore.js). Stats are kept per source.
+ *
+ * `trackCachedServes` reports which sources a piece of work (a verifier run,
+ * a status probe) was answered from cache for. Concurrent work is told apart
+ * through a serve scope registered with `setServeScope` (the API server uses
+ * AsyncLocalStorage); without one, nothing is reported as cached.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Per-source cache lifetimes. An entry is fresh for `ttlMs`, then served
+ * stale (while revalidating) for `staleMs` more. Source ids match verifier
+ * ids (verifierRegistry.js) and quota ids (quotaManager.js).
+ */
+export const CACHE_POLICIES = {
+  // Daily releases
+  fred: { ttlMs: DAY, staleMs: DAY },
+  treasury: { ttlMs: DAY, staleMs: DAY },
+  eia: { ttlMs: DAY, staleMs: 6 * DAY },
+  fec: { ttlMs: DAY, staleMs: DAY },
+  usaspending: { ttlMs: DAY, staleMs: 2 * DAY },
+  va: { ttlMs: DAY, staleMs: 6 * DAY },
+
+  // Monthly/quarterly/annual releases
+  bea: { ttlMs: 7 * DAY, staleMs: 21 * DAY },
+  hrsa: { ttlMs: 7 * DAY, staleMs: 21 * DAY },
+  usda: { ttlMs: 7 * DAY, staleMs: 21 * DAY },
+  dot: { ttlMs: 7 * DAY, staleMs: 21 * DAY },
+  epa: { ttlMs: 7 * DAY, staleMs: 21 * DAY },
+  'fbi-crime': { ttlMs: 30 * DAY, staleMs: 60 * DAY },
+  'bjs-ncvs': { ttlMs: 30 * DAY, staleMs: 60 * DAY },
+  hud: { ttlMs: 30 * DAY, staleMs: 60 * DAY },
+  'dept-education': { ttlMs: 30 * DAY, staleMs: 60 * DAY },
+  'cdc-wonder': { ttlMs: 30 * DAY, staleMs: 60 * DAY },
+  // ACS 5-year estimates are released once a year
+  census: { ttlMs: 365 * DAY, staleMs: 30 * DAY },
+
+  // Fast-moving sources
+  fema: { ttlMs: HOUR, staleMs: 5 * HOUR },
+  news: { ttlMs: HOUR, staleMs: 2 * HOUR },
+  congress: { ttlMs: HOUR, staleMs: 5 * HOUR },
+  'federal-register': { ttlMs: HOUR, staleMs: 5 * HOUR },
+};
+
+const DEFAULT_POLICY = { ttlMs: HOUR, staleMs: HOUR };
+
+// Memory layer size; least recently used entries are dropped first
+const MAX_MEMORY_ENTRIES = 1000;
+
+// Query parameters that never change the response
+const IGNORED_PARAMS = ['api_key', 'apikey', 'apiKey', 'key', 'UserID', 'token', 'access_token', '_'];
+
+const memory = new Map();
+const revalidating = new Map();
+const stats = {};
+let persistentStore = null;
+// No async context in the browser, so serves can't be tied to the work that made them
+let serveScope = {
+  run: (serves, fn) => fn(),
+  current: () => null,
+};
+
+/**
+ * Register a persistent store behind the memory layer
+ * @param {Object|null} store - { get(key), set(key, entry), delete(key), clear(source) } (async)
+ */
+export function setCacheStore(store) {
+  persistentStore = store;
+}
+
+/**
+ * Set how cache serves are tied to the work that made them
+ * @param {Object} scope - { run(serves, fn), current() => serves or null }
+ */
+export function setServeScope(scope) {
+  serveScope = scope;
+}
+
+/**
+ * Get the cache policy for a source
+ * @param {string} source - Cache source id (see CACHE_POLICIES)
+ * @returns {Object} { ttlMs, staleMs }
+ */
+export function getCachePolicy(source) {
+  return CACHE_POLICIES[source] || DEFAULT_POLICY;
+}
+
+// ============================================================================
+// Keys
+// ============================================================================
+
+/**
+ * Stable JSON serialization (object keys sorted) so equivalent bodies share a key
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Normalize a request into a cache key: lowercase host, sorted query
+ * parameters, credentials and empty parameters dropped, JSON bodies
+ * serialized with sorted keys
+ * @param {string} source - Cache source id
+ * @param {string} url - Request URL
+ * @param {Object} options - { method, body }
+ * @returns {string} Cache key
+ */
+export function normalizeCacheKey(source, url, { method = 'GET', body } = {}) {
+  let normalizedUrl = url;
+  try {
+    const parsed = new URL(url);
+    const params = [...parsed.searchParams.entries()]
+      .filter(([key, value]) => value !== '' && !IGNORED_PARAMS.includes(key))
+      .sort(([a, aValue], [b, bValue]) => a.localeCompare(b) || aValue.localeCompare(bValue));
+    const query = new URLSearchParams(params).toString();
+    normalizedUrl = `${parsed.protocol}//${parsed.host.toLowerCase()}${parsed.pathname.replace(/\/+$/, '')}${query ? `?${query}` : ''}`;
+  } catch (error) {
+    // Not an absolute URL - use as-is
+  }
+
+  let normalizedBody = '';
+  if (body) {
+    try {
+      normalizedBody = stableStringify(JSON.parse(body));
+    } catch (error) {
+      normalizedBody = String(body);
+    }
+  }
+
+  return `${source}|${method.toUpperCase()}|${normalizedUrl}${normalizedBody ? `|${normalizedBody}` : ''}`;
+}
+
+// ============================================================================
+// Stats
+// ============================================================================
+
+function getSourceStats(source) {
+  if (!stats[source]) {
+    stats[source] = { hits: 0, staleHits: 0, misses: 0, revalidations: 0, errors: 0, staleOnError: 0 };
+  }
+  return stats[source];
+}
+
+/**
+ * Get hit/miss stats, overall and per source
+ * @returns {Object} { totals, hitRate, sources, memoryEntries, persistent }
+ */
+export function getCacheStats() {
+  const totals = { hits: 0, staleHits: 0, misses: 0, revalidations: 0, errors: 0, staleOnError: 0 };
+  const sources = {};
+
+  Object.entries(stats).forEach(([source, sourceStats]) => {
+    const lookups = sourceStats.hits + sourceStats.staleHits + sourceStats.misses;
+    sources[source] = {
+      ...sourceStats,
+      hitRate: lookups ? (sourceStats.hits + sourceStats.staleHits) / lookups : null,
+      ...getCachePolicy(source),
+    };
+    Object.keys(totals).forEach(field => { totals[field] += sourceStats[field]; });
+  });
+
+  const lookups = totals.hits + totals.staleHits + totals.misses;
+  return {
+    totals,
+    hitRate: lookups ? (totals.hits + totals.staleHits) / lookups : null,
+    sources,
+    memoryEntries: memory.size,
+    persistent: !!persistentStore,
+  };
+}
+
+/**
+ * Run work and collect the sources it was answered from cache for (lets the
+ * verification pipeline tag a payload as cached rather than live)
+ * @param {Function} fn - Work to run
+ * @returns {Promise<Object>} { result, serves: Map of source id → { at, storedAt } }
+ */
+export async function trackCachedServes(fn) {
+  const serves = new Map();
+  const result = await serveScope.run(serves, fn);
+  return { result, serves };
+}
+
+/**
+ * Reset hit/miss counters
+ */
+export function resetCacheStats() {
+  Object.keys(stats).forEach(source => delete stats[source]);
+}
+
+// ============================================================================
+// Storage
+// ============================================================================
+
+function rememberEntry(key, entry) {
+  memory.delete(key);
+  memory.set(key, entry);
+  if (memory.size > MAX_MEMORY_ENTRIES) {
+    memory.delete(memory.keys().next().value);
+  }
+}
+
+async function readEntry(key) {
+  if (memory.has(key)) {
+    const entry = memory.get(key);
+    rememberEntry(key, entry);
+    return entry;
+  }
+
+  if (!persistentStore) return null;
+
+  try {
+    const entry = await persistentStore.get(key);
+    if (entry) rememberEntry(key, entry);
+    return entry;
+  } catch (error) {
+    console.warn('Response cache read failed:', error.message);
+    return null;
+  }
+}
+
+async function writeEntry(key, source, data) {
+  const { ttlMs, staleMs } = getCachePolicy(source);
+  const now = Date.now();
+  const entry = {
+    source,
+    data,
+    storedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlMs).toISOString(),
+    staleUntil: new Date(now + ttlMs + staleMs).toISOString(),
+  };
+
+  rememberEntry(key, entry);
+
+  if (persistentStore) {
+    try {
+      await persistentStore.set(key, entry);
+    } catch (error) {
+      console.warn('Response cache write failed:', error.message);
+    }
+  }
+
+  return entry;
+}
+
+/**
+ * Remove cached entries (all sources, or one)
+ * @param {string} source - Optional cache source id
+ */
+export async function clearCache(source = null) {
+  [...memory.keys()].forEach(key => {
+    if (!source || memory.get(key).source === source) memory.delete(key);
+  });
+
+  if (persistentStore) {
+    await persistentStore.clear(source);
+  }
+}
+
+// ============================================================================
+// Lookup
+// ============================================================================
+
+function recordCachedServe(source, entry) {
+  serveScope.current()?.set(source, { at: Date.now(), storedAt: entry.storedAt });
+}
+
+/**
+ * Refresh an entry in the background; concurrent refreshes of a key share one fetch
+ */
+function revalidate(key, source, fetcher) {
+  if (revalidating.has(key)) return;
+
+  const refresh = fetcher()
+    .then(data => {
+      getSourceStats(source).revalidations++;
+      return writeEntry(key, source, data);
+    })
+    .catch(error => {
+      getSourceStats(source).errors++;
+      console.warn(`Background refresh failed for ${source}: ${error.message}`);
+    })
+    .finally(() => revalidating.delete(key));
+
+  revalidating.set(key, refresh);
+}
+
+/**
+ * Get a response from cache, or fetch and cache it
+ *
+ * - Fresh entry: returned without a request
+ * - Stale entry: returned immediately, refreshed in the background
+ * - Missing or expired: fetched; if the fetch fails with an error that
+ *   `serveStaleOnError` accepts, an expired entry is returned instead
+ *
+ * @param {string} source - Cache source id (see CACHE_POLICIES)
+ * @param {string} key - Cache key (see normalizeCacheKey)
+ * @param {Function} fetcher - () => Promise of the fresh response
+ * @param {Object} options - { serveStaleOnError(error) => boolean }
+ * @returns {Promise<*>} Response data
+ */
+export async function getOrFetch(source, key, fetcher, { serveStaleOnError = () => false } = {}) {
+  const sourceStats = getSourceStats(source);
+  const entry = await readEntry(key);
+  const now = Date.now();
+
+  if (entry && now < new Date(entry.expiresAt).getTime()) {
+    sourceStats.hits++;
+    recordCachedServe(source, entry);
+    return entry.data;
+  }
+
+  if (entry && now < new Date(entry.staleUntil).getTime()) {
+    sourceStats.staleHits++;
+    recordCachedServe(source, entry);
+    revalidate(key, source, fetcher);
+    return entry.data;
+  }
+
+  sourceStats.misses++;
+
+  try {
+    const data = await fetcher();
+    await writeEntry(key, source, data);
+    return data;
+  } catch (error) {
+    sourceStats.errors++;
+    if (entry && serveStaleOnError(error)) {
+      sourceStats.staleOnError++;
+      console.warn(`${source} unavailable - serving cached response from ${entry.storedAt}`);
+      recordCachedServe(source, entry);
+      return entry.data;
+    }
+    throw error;
+  }
+}
+
+export default {
+  CACHE_POLICIES,
+  setCacheStore,
+  setServeScope,
+  getCachePolicy,
+  normalizeCacheKey,
+  getOrFetch,
+  getCacheStats,
+  trackCachedServes,
+  resetCacheStats,
+  clearCache,
+};
@@ -0,0 +1,81 @@
+/**
+ * Source Health Tracking
+ *
+ * httpClient.js reports the outcome of every network request made with a
+ * quota or cache source id (cache hits never reach the network, so they
+ * aren't counted). The API server combines these outcomes with active
+ * probes to report each federal source as up, degraded or down - see
+ * server/sourceStatus.js and GET /api/sources/status.
+ *
+ * Outcomes are kept in memory per process.
+ */
+
+// Failures kept per source for the "recent errors" list
+const MAX_RECENT_ERRORS = 20;
+
+const outcomes = new Map();
+
+function getSourceOutcomes(source) {
+  if (!outcomes.has(source)) {
+    outcomes.set(source, {
+      requests: 0,
+      failures: 0,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastLatencyMs: null,
+      recentErrors: [],
+    });
+  }
+  return outcomes.get(source);
+}
+
+/**
+ * Record the outcome of one request (after retries)
+ * @param {string} source - Source id (matches quota and cache ids)
+ * @param {Object} outcome - { ok, latencyMs, errorType, errorMessage }
+ */
+export function recordSourceOutcome(source, { ok, latencyMs = null, errorType = null, errorMessage = null }) {
+  const sourceOutcomes = getSourceOutcomes(source);
+  const at = new Date().toISOString();
+
+  sourceOutcomes.requests++;
+  sourceOutcomes.lastLatencyMs = latencyMs;
+
+  if (ok) {
+    sourceOutcomes.lastSuccessAt = at;
+    return;
+  }
+
+  sourceOutcomes.failures++;
+  sourceOutcomes.lastFailureAt = at;
+  sourceOutcomes.recentErrors.unshift({ at, type: errorType || 'error', message: errorMessage });
+  sourceOutcomes.recentErrors.length = Math.min(sourceOutcomes.recentErrors.length, MAX_RECENT_ERRORS);
+}
+
+/**
+ * Get recorded request outcomes for a source
+ * @param {string} source - Source id
+ * @returns {Object} { requests, failures, lastSuccessAt, lastFailureAt, lastLatencyMs, recentErrors }
+ */
+export function getSourceHealth(source) {
+  const sourceOutcomes = getSourceOutcomes(source);
+  return { ...sourceOutcomes, recentErrors: [...sourceOutcomes.recentErrors] };
+}
+
+/**
+ * Forget recorded outcomes (all sources, or one)
+ * @param {string} source - Optional source id
+ */
+export function resetSourceHealth(source = null) {
+  if (source) {
+    outcomes.delete(source);
+  } else {
+    outcomes.clear();
+  }
+}
+
+export default {
+  recordSourceOutcome,
+  getSourceHealth,
+  resetSourceHealth,
+};
@@ -8,8 +8,10 @@
  * - Competitive vulnerability (political exploitability)
  */
 
-const ANTHROPIC_API_KEY = import.meta.env.VITE_ANTHROPIC_API_KEY || '';
-const OPENAI_API_KEY = import.meta.env.VITE_OPENAI_API_KEY || '';
+import { getConfig } from './config.js';
+
+const ANTHROPIC_API_KEY = getConfig('ANTHROPIC_API_KEY') || '';
+const OPENAI_API_KEY = getConfig('OPENAI_API_KEY') || '';
 
 /**
  * Policy area to demographic mapping
@@ -4,39 +4,449 @@
  * Integrates multiple data sources to verify citizen story claims:
  * - Census API: demographic and economic data
  * - EIA API: energy costs and consumption
+ * - EIA + Census: household energy burden (share of income spent on energy)
  * - NCDC API: climate and weather events
  * - HUD API: housing costs and affordability
  * - DOT API: transportation and infrastructure
  * - FEMA API: disasters and emergency assistance
+ * - CDC WONDER / HRSA APIs: public health and healthcare access
+ * - FRED / BEA APIs: employment, income and economic conditions
+ * - FBI Crime Data / BJS NCVS APIs: crime and victimization
+ * - Dept of Education API: higher education, Pell Grants, student debt
+ * - USDA / VA / USAspending / Treasury APIs: cross-cutting program and budget claims
+ * - FEC API: campaign finance and elections
+ *
+ * Each data source registers a verifier with verifierRegistry.js; verifyStory
+ * runs the verifiers that match a story and combines their results with
+ * weighted evidence fusion (evidenceFusion.js). Verifiers that implement
+ * checkClaims also test the story's structured claims (claimExtraction.js).
+ * Every source payload is tagged live, cached or synthetic (provenance.js);
+ * synthetic payloads are reported but never count as evidence.
+ */
+
+import { getStateEnergyData } from './eiaApi.js';
+import { getStateClimateData } from './ncdcApi.js';
+import { getStateHousingData } from './hudApi.js';
+import { getStateInfrastructureData } from './dotApi.js';
+import { findMatchingVerifiers } from './verifierRegistry.js';
+import { fuseEvidence } from './evidenceFusion.js';
+import { extractClaimsHeuristic, summarizeClaimChecks } from './claimExtraction.js';
+import { trackQuotaRefusals } from './quotaManager.js';
+import { trackCachedServes } from './responseCache.js';
+import { PROVENANCE, getProvenance, isSynthetic } from './provenance.js';
+import { getGeographyKeys, getStateName, normalizeStateCode, resolveZip } from './geography.js';
+import { getLocationDemographics } from './censusApi.js';
+
+// Each service registers its story verifier when imported
+import './femaApi.js';
+import './cdcWonderApi.js';
+import './hrsaApi.js';
+import './fredApi.js';
+import './beaApi.js';
+import './fbiCrimeApi.js';
+import './bjsNcvsApi.js';
+import './deptEducationApi.js';
+import './usdaApi.js';
+import './vaApi.js';
+import './usaspendingApi.js';
+import './treasuryApi.js';
+import './fecApi.js';
+import './energyBurden.js';
+
+// Default time to wait for data sources before returning partial results
+const DEFAULT_TIME_BUDGET_MS = 15000;
+
+/**
+ * How a verification was reached: checked against source data, categorized
+ * only (no source covers the story), or not at all because every matching
+ * source failed, ran out of quota or is still running
+ */
+export const VERIFICATION_STATUS = {
+  CHECKED: 'checked',
+  GENERAL: 'general',
+  UNAVAILABLE: 'unavailable',
+  PENDING: 'pending',
+};
+
+/**
+ * Resolve a verifier's geographic precision for the data it returned
+ * @param {Object} verifier - Verifier descriptor
+ * @param {Object} data - Data returned by the verifier's fetch
+ * @param {Object} context - Verification context
+ * @returns {string} 'zip' | 'county' | 'state' | 'national'
+ */
+function resolveGeoPrecision(verifier, data, context) {
+  return typeof verifier.geoPrecision === 'function'
+    ? verifier.geoPrecision(data, context)
+    : verifier.geoPrecision;
+}
+
+/**
+ * Identify the data release a verifier used (null if it can't tell)
+ * @param {Object} verifier - Verifier descriptor
+ * @param {Object} data - Data returned by the verifier's fetch
+ * @returns {string|null} Vintage identifier
+ */
+function resolveVintage(verifier, data) {
+  if (typeof verifier.getVintage !== 'function' || !data || data.error || isSynthetic(data)) return null;
+  try {
+    const vintage = verifier.getVintage(data);
+    return vintage ? String(vintage) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Work out where a verifier's data came from. Services tag synthetic data
+ * themselves; otherwise it's cached if the response cache answered any of
+ * this run's requests, else live. Verifiers that read several APIs (energy
+ * burden reads EIA and Census) are cached as soon as one part was, and date
+ * from their oldest cached part.
+ * @param {Object} verifier - Verifier descriptor
+ * @param {Object} data - Data returned by the verifier's fetch
+ * @param {Map} cachedServes - Cache serves made during this run (trackCachedServes)
+ * @returns {Object} { source, type, retrievedAt, vintage, cachedSources?, reason? }
+ */
+function resolveProvenance(verifier, data, cachedServes) {
+  const tagged = getProvenance(data);
+  if (tagged) {
+    return { ...tagged, source: tagged.source || verifier.name, vintage: tagged.vintage ?? null };
+  }
+
+  const vintage = resolveVintage(verifier, data);
+  if (cachedServes.size === 0) {
+    return { source: verifier.name, type: PROVENANCE.LIVE, retrievedAt: new Date().toISOString(), vintage };
+  }
+
+  const oldest = [...cachedServes.values()].reduce((a, b) => (a.storedAt <= b.storedAt ? a : b));
+  return {
+    source: verifier.name,
+    type: PROVENANCE.CACHED,
+    retrievedAt: oldest.storedAt,
+    vintage,
+    cachedSources: [...cachedServes.keys()],
+  };
+}
+
+/**
+ * Get a story's state postal code. Stories may carry a state name, or
+ * 'Unknown' when the location lookup failed; the ZIP settles those.
+ * @param {Object} story - The citizen story
+ * @returns {string|null} State code
+ */
+function resolveStateCode(story) {
+  return normalizeStateCode(story.location?.state)
+    || resolveZip(story.location?.zip)?.state
+    || null;
+}
+
+/**
+ * Build the context passed to verifier fetch functions
+ * @param {Object} story - The citizen story
+ * @param {Array<Object>} claims - Structured claims
+ * @returns {Object} { stateCode, stateName, zip, geographyKeys, storyText, claims }
  */
+function buildContext(story, claims = []) {
+  const stateCode = resolveStateCode(story);
+  return {
+    stateCode,
+    stateName: getStateName(stateCode) || stateCode,
+    zip: story.location?.zip || null,
+    geographyKeys: getGeographyKeys(story.location || {}),
+    storyText: ((story.headline || '') + ' ' + (story.story || '')).toLowerCase(),
+    claims,
+  };
+}
 
-import { getStateEnergyData, verifyEnergyStory } from './eiaApi.js';
-import { getStateClimateData, verifyClimateStory } from './ncdcApi.js';
-import { getStateHousingData, verifyHousingStory } from './hudApi.js';
-import { getStateInfrastructureData, verifyInfrastructureStory } from './dotApi.js';
-import { getStateEmergencyData, verifyEmergencyStory } from './femaApi.js';
+/**
+ * Pick the refusal that lifts last, so a retry waits for every source
+ * @param {Map} refusals - Quota refusals from trackQuotaRefusals
+ * @returns {Object|null} { at, priority, resetsAt }
+ */
+function latestRefusal(refusals) {
+  return [...refusals.values()].reduce((latest, refusal) => (
+    !latest || refusal.resetsAt > latest.resetsAt ? refusal : latest
+  ), null);
+}
 
 /**
- * Verify a story using appropriate data sources based on policy area
+ * Run one verifier, capturing failures instead of throwing
+ * @param {Object} verifier - Verifier descriptor
  * @param {Object} story - The citizen story to verify
- * @returns {Promise<Object>} Verification results with data context
+ * @param {Object} context - Verification context
+ * @returns {Promise<Object>} { verifier, sourceResult, run }, { verifier, error, run } or
+ *   { verifier, quotaLimited, run } where `run` records what was requested, when, how long
+ *   it took and what came back
+ */
+async function runVerifier(verifier, story, context) {
+  const startedAt = Date.now();
+  const run = {
+    id: verifier.id,
+    name: verifier.name,
+    request: {
+      policyArea: story.policyArea,
+      stateCode: context.stateCode || null,
+      zip: context.zip,
+      claimIds: context.claims.map(claim => claim.id),
+    },
+    startedAt: new Date(startedAt).toISOString(),
+  };
+
+  // Out of quota is not "no data": the source is retried once the quota resets
+  const quotaLimited = (refusal) => {
+    console.warn(`${verifier.name} verification skipped: quota exhausted until ${refusal.resetsAt}`);
+    return {
+      verifier,
+      quotaLimited: { id: verifier.id, name: verifier.name, retryAt: refusal.resetsAt },
+      run: { ...run, durationMs: Date.now() - startedAt, status: 'quota_exhausted', retryAt: refusal.resetsAt },
+    };
+  };
+
+  // Refusals count only if this run hit them - any source it read, not just its own
+  const { result: fetched, refusals } = await trackQuotaRefusals(() => (
+    trackCachedServes(() => verifier.fetch(story, context)).catch(failure => ({ failure }))
+  ));
+  const refusal = latestRefusal(refusals);
+
+  const failed = (error) => {
+    console.error(`${verifier.name} verification failed:`, error);
+    return {
+      verifier,
+      error,
+      run: { ...run, durationMs: Date.now() - startedAt, status: 'error', error: error.message },
+    };
+  };
+
+  if (fetched.failure) {
+    const quotaRefusal = fetched.failure.type === 'quota_exhausted' ? fetched.failure : refusal;
+    return quotaRefusal?.resetsAt ? quotaLimited(quotaRefusal) : failed(fetched.failure);
+  }
+
+  const { result: data, serves } = fetched;
+  if (refusal && (!data || data.error)) {
+    return quotaLimited(refusal);
+  }
+
+  try {
+    const result = await verifier.verify(story, data);
+    const claimChecks = verifier.checkClaims && context.claims.length > 0
+      ? verifier.checkClaims(context.claims, data, story).map(check => ({ ...check, source: verifier.name }))
+      : [];
+
+    const vintage = resolveVintage(verifier, data);
+    const provenance = resolveProvenance(verifier, data, serves);
+    const taggedData = data && typeof data === 'object' && !Array.isArray(data) ? { ...data, provenance } : data;
+
+    return {
+      verifier,
+      sourceResult: {
+        id: verifier.id,
+        name: verifier.name,
+        result,
+        claimChecks,
+        data: taggedData,
+        reliability: verifier.reliability,
+        geoPrecision: resolveGeoPrecision(verifier, data, context),
+        dataLagMonths: verifier.dataLagMonths,
+        vintage,
+        provenance,
+      },
+      run: { ...run, durationMs: Date.now() - startedAt, status: 'ok', vintage, provenance, data: taggedData },
+    };
+  } catch (error) {
+    return failed(error);
+  }
+}
+
+/**
+ * Create an empty verification result for a story
+ * @param {Object} story - The citizen story
+ * @returns {Object} Verification with no sources
  */
-export async function verifyStory(story) {
-  const verification = {
+function createVerification(story) {
+  return {
     storyId: story.id,
     policyArea: story.policyArea,
+    status: VERIFICATION_STATUS.UNAVAILABLE,
     verified: false,
     confidence: 0,
     dataSource: 'none',
     insights: [],
-    contextData: null,
     flags: [],
+    sources: [],
+    pendingSources: [],
+    quotaLimitedSources: [],
+    syntheticSources: [],
+    claims: [],
+    vintages: {},
+    provenance: {},
+    sourceRuns: [],
   };
+}
+
+/**
+ * Build a verification object from the verifier runs that have finished
+ * @param {Object} story - The citizen story
+ * @param {Array<Object>} claims - Structured claims extracted from the story
+ * @param {Array<Object>} outcomes - Finished runVerifier outcomes
+ * @param {Array<Object>} pendingVerifiers - Verifiers still running
+ * @returns {Object} Verification results
+ */
+function buildVerification(story, claims, outcomes, pendingVerifiers = []) {
+  const verification = createVerification(story);
+  verification.pendingSources = pendingVerifiers.map(verifier => ({ id: verifier.id, name: verifier.name }));
+  verification.sourceRuns = [
+    ...outcomes.map(outcome => outcome.run),
+    ...pendingVerifiers.map(verifier => ({ id: verifier.id, name: verifier.name, status: 'pending' })),
+  ];
+
+  const sourceResults = [];
+
+  for (const outcome of outcomes) {
+    if (outcome.quotaLimited) {
+      verification.quotaLimitedSources.push(outcome.quotaLimited);
+      continue;
+    }
+
+    if (outcome.error) {
+      verification.insights.push({
+        type: 'verification_error',
+        message: `Unable to verify with ${outcome.verifier.name} data`,
+      });
+      continue;
+    }
+
+    const { sourceResult } = outcome;
+    sourceResults.push(sourceResult);
+    verification.provenance[sourceResult.id] = sourceResult.provenance;
+    verification.flags.push(...(sourceResult.result.flags || []));
+
+    // Estimates stay visible but labeled, and never count as evidence
+    if (sourceResult.provenance.type === PROVENANCE.SYNTHETIC) {
+      verification.syntheticSources.push({
+        id: sourceResult.id,
+        name: sourceResult.name,
+        reason: sourceResult.provenance.reason || null,
+      });
+      verification.insights.push(...(sourceResult.result.insights || []).map(insight => ({
+        ...insight,
+        provenance: PROVENANCE.SYNTHETIC,
+      })));
+      continue;
+    }
+
+    if (sourceResult.vintage) {
+      verification.vintages[sourceResult.id] = sourceResult.vintage;
+    }
+    verification.insights.push(...(sourceResult.result.insights || []));
+  }
+
+  verification.claims = summarizeClaimChecks(
+    claims,
+    sourceResults
+      .filter(sourceResult => sourceResult.provenance.type !== PROVENANCE.SYNTHETIC)
+      .flatMap(sourceResult => sourceResult.claimChecks)
+  );
+
+  if (pendingVerifiers.length > 0) {
+    verification.insights.push({
+      type: 'verification_pending',
+      message: `Still waiting on ${pendingVerifiers.map(verifier => verifier.name).join(', ')} - results will be added when available`,
+    });
+  }
+
+  if (verification.quotaLimitedSources.length > 0) {
+    verification.insights.push({
+      type: 'quota_exhausted',
+      message: `${verification.quotaLimitedSources.map(source => source.name).join(', ')} request quota reached - these sources will be checked again after the quota resets`,
+    });
+  }
+
+  if (verification.syntheticSources.length > 0) {
+    verification.insights.push({
+      type: 'synthetic_data',
+      message: `${verification.syntheticSources.map(source => source.name).join(', ')} returned estimated data - shown for context only and not counted toward verification`,
+    });
+  }
+
+  if (sourceResults.length === 0 && (outcomes.length > 0 || pendingVerifiers.length > 0)) {
+    // Sources cover this story but none answered - that's no evidence either way
+    verification.status = pendingVerifiers.length > 0 ? VERIFICATION_STATUS.PENDING : VERIFICATION_STATUS.UNAVAILABLE;
+    verification.confidence = null;
+    verification.dataSource = 'unavailable';
+    if (verification.status === VERIFICATION_STATUS.UNAVAILABLE) {
+      verification.insights.push({
+        type: 'verification_unavailable',
+        message: `None of the data sources for ${story.policyArea} could be reached - the story is unverified until they respond`,
+      });
+    }
+    return verification;
+  }
+
+  if (sourceResults.length === 0) {
+    // No data source covers this story - provide general verification
+    verification.status = VERIFICATION_STATUS.GENERAL;
+    verification.verified = true;
+    verification.confidence = 50;
+    verification.dataSource = 'general';
+    verification.insights.push({
+      type: 'general_verification',
+      message: `Story categorized as ${story.policyArea}. Specific data verification not yet available for this policy area.`,
+    });
+    return verification;
+  }
+
+  // Weighted fusion: reliability x freshness x geographic precision, contradictions subtract
+  const fused = fuseEvidence(sourceResults);
+  verification.status = VERIFICATION_STATUS.CHECKED;
+  // Synthetic sources contribute nothing, so they can't verify a story on their own
+  verification.verified = fused.verified && verification.syntheticSources.length < sourceResults.length;
+  verification.confidence = fused.confidence;
+  verification.supportScore = fused.supportScore;
+  verification.contradictionScore = fused.contradictionScore;
+  verification.sources = fused.breakdown;
+
+  // Label with the sources that had usable data, strongest contribution first
+  const informative = fused.breakdown
+    .filter(entry => !['unavailable', 'not_applicable', 'synthetic'].includes(entry.stance))
+    .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+  verification.dataSource = informative.length > 0
+    ? informative.map(entry => entry.source).join(' + ')
+    : 'general';
+
+  return verification;
+}
+
+/**
+ * Verify a story using appropriate data sources based on policy area.
+ *
+ * All matching verifiers run in parallel. Whatever has finished when the time
+ * budget runs out is returned; slower sources are listed in `pendingSources`
+ * and, when they complete, `onUpdate` is called with the full verification.
+ * Sources that are out of API quota are listed in `quotaLimitedSources` with
+ * the time they can be retried. Sources that returned synthetic data are
+ * listed in `syntheticSources`; they don't move the confidence score and a
+ * story backed only by them is not marked verified. `provenance` maps each
+ * source id to where its data came from. When no matching source returns
+ * data, `status` is unavailable (or pending) and `confidence` is null.
+ *
+ * @param {Object} story - The citizen story to verify
+ * @param {Object} options - Verification options
+ * @param {Array<Object>} options.claims - Pre-extracted claims (defaults to story.claims, then heuristic extraction)
+ * @param {number} options.timeBudgetMs - Max time to wait for sources (default 15s)
+ * @param {Function} options.onUpdate - Called with the complete verification once pending sources finish
+ * @returns {Promise<Object>} Verification results with data context
+ */
+export async function verifyStory(story, options = {}) {
+  const { timeBudgetMs = DEFAULT_TIME_BUDGET_MS, onUpdate = null } = options;
+  const claims = options.claims || story.claims || extractClaimsHeuristic(story);
 
   try {
-    const stateCode = story.location?.state;
+    const stateCode = resolveStateCode(story);
 
     if (!stateCode) {
+      const verification = createVerification(story);
       verification.insights.push({
         type: 'missing_location',
         message: 'Story location not specified - unable to verify with regional data',
@@ -44,154 +454,43 @@ export async function verifyStory(story) {
       return verification;
     }
 
-    // Route to appropriate verification based on policy area
-    switch (story.policyArea) {
-      case 'energy':
-      case 'environment': {
-        // Use EIA for energy-related stories
-        try {
-          const energyData = await getStateEnergyData(stateCode);
-          const energyVerification = verifyEnergyStory(story, energyData);
-
-          verification.verified = energyVerification.verified;
-          verification.confidence = energyVerification.confidence;
-          verification.dataSource = 'EIA';
-          verification.insights = energyVerification.insights;
-          verification.contextData = energyData;
-          verification.flags = energyVerification.flags || [];
-        } catch (error) {
-          console.error('Energy verification failed:', error);
-          verification.insights.push({
-            type: 'verification_error',
-            message: 'Unable to verify energy data - using general analysis',
-          });
-        }
-
-        // Also check climate data for environment stories
-        if (story.policyArea === 'environment') {
-          try {
-            const climateData = await getStateClimateData(stateCode, new Date().getFullYear());
-            const climateVerification = verifyClimateStory(story, climateData);
-
-            // Merge climate insights
-            verification.insights.push(...climateVerification.insights);
-            verification.confidence = Math.max(verification.confidence, climateVerification.confidence);
-            verification.dataSource = verification.dataSource === 'EIA' ? 'EIA + NCDC' : 'NCDC';
-          } catch (error) {
-            console.error('Climate verification failed:', error);
-          }
-        }
-        break;
-      }
-
-      case 'housing': {
-        // Use HUD for housing-related stories
-        try {
-          const zip = story.location?.zip || null;
-          const housingData = await getStateHousingData(stateCode, zip);
-          const housingVerification = verifyHousingStory(story, housingData);
-
-          verification.verified = housingVerification.verified;
-          verification.confidence = housingVerification.confidence;
-          verification.dataSource = 'HUD';
-          verification.insights = housingVerification.insights;
-          verification.contextData = housingData;
-          verification.flags = housingVerification.flags || [];
-        } catch (error) {
-          console.error('Housing verification failed:', error);
-          verification.insights.push({
-            type: 'verification_error',
-            message: 'Unable to verify housing data - using general analysis',
-          });
-        }
-        break;
-      }
-
-      case 'infrastructure': {
-        // Use DOT for infrastructure stories (bridges, roads, transit)
-        try {
-          const infrastructureData = await getStateInfrastructureData(stateCode);
-          const infraVerification = verifyInfrastructureStory(story, infrastructureData);
-
-          verification.verified = infraVerification.verified;
-          verification.confidence = infraVerification.confidence;
-          verification.dataSource = 'DOT';
-          verification.insights = infraVerification.insights;
-          verification.contextData = infrastructureData;
-          verification.flags = infraVerification.flags || [];
-        } catch (error) {
-          console.error('Infrastructure verification failed:', error);
-          verification.insights.push({
-            type: 'verification_error',
-            message: 'Unable to verify infrastructure data - using general analysis',
-          });
-        }
-
-        // Also use climate data for infrastructure stories (floods, weather damage, etc.)
-        try {
-          const climateData = await getStateClimateData(stateCode, new Date().getFullYear());
-          const climateVerification = verifyClimateStory(story, climateData);
-
-          // Merge climate insights
-          verification.insights.push(...climateVerification.insights);
-          verification.confidence = Math.max(verification.confidence, climateVerification.confidence);
-          verification.dataSource = verification.dataSource === 'DOT' ? 'DOT + NCDC' : 'NCDC';
-        } catch (error) {
-          console.error('Climate verification failed:', error);
-        }
-        break;
-      }
-
-      case 'education':
-      case 'healthcare':
-      case 'employment':
-      case 'immigration':
-      case 'justice':
-      default: {
-        // For other policy areas, provide general verification
-        verification.verified = true;
-        verification.confidence = 50;
-        verification.dataSource = 'general';
-        verification.insights.push({
-          type: 'general_verification',
-          message: `Story categorized as ${story.policyArea}. Specific data verification not yet available for this policy area.`,
-        });
-        break;
-      }
-    }
+    const context = buildContext(story, claims);
+
+    // Fan out to every registered verifier that applies to this story
+    const runs = findMatchingVerifiers(story).map(verifier => {
+      const run = { verifier, outcome: null };
+      run.promise = runVerifier(verifier, story, context).then(outcome => {
+        run.outcome = outcome;
+        return outcome;
+      });
+      return run;
+    });
+
+    let budgetTimer;
+    const budgetExpired = new Promise(resolve => {
+      budgetTimer = setTimeout(resolve, timeBudgetMs);
+    });
+    await Promise.race([Promise.all(runs.map(run => run.promise)), budgetExpired]);
+    clearTimeout(budgetTimer);
+
+    const finished = runs.filter(run => run.outcome).map(run => run.outcome);
+    const pending = runs.filter(run => !run.outcome).map(run => run.verifier);
+
+    if (pending.length > 0) {
+      console.warn(`Verification time budget (${timeBudgetMs}ms) reached; pending: ${pending.map(v => v.name).join(', ')}`);
 
-    // Add FEMA verification for disaster-related stories (cross-cutting)
-    const storyText = (story.headline + ' ' + story.story).toLowerCase();
-    const isDisasterRelated =
-      storyText.includes('disaster') ||
-      storyText.includes('emergency') ||
-      storyText.includes('fema') ||
-      storyText.includes('flood') ||
-      storyText.includes('hurricane') ||
-      storyText.includes('tornado') ||
-      storyText.includes('wildfire') ||
-      storyText.includes('earthquake') ||
-      storyText.includes('storm') ||
-      storyText.includes('evacuat');
-
-    if (isDisasterRelated) {
-      try {
-        const emergencyData = await getStateEmergencyData(stateCode);
-        const emergencyVerification = verifyEmergencyStory(story, emergencyData);
-
-        // Add FEMA insights to existing verification
-        verification.insights.push(...emergencyVerification.insights);
-        verification.confidence = Math.max(verification.confidence, emergencyVerification.confidence);
-        verification.dataSource = verification.dataSource === 'general' ? 'FEMA' : verification.dataSource + ' + FEMA';
-        verification.flags = [...(verification.flags || []), ...(emergencyVerification.flags || [])];
-      } catch (error) {
-        console.error('FEMA verification failed:', error);
-      }
+      // Finish the remaining sources in the background
+      Promise.all(runs.map(run => run.promise))
+        .then(outcomes => {
+          if (onUpdate) onUpdate(buildVerification(story, claims, outcomes));
+        })
+        .catch(error => console.error('Background verification failed:', error));
     }
 
-    return verification;
+    return buildVerification(story, claims, finished, pending);
   } catch (error) {
     console.error('Story verification error:', error);
+    const verification = createVerification(story);
     verification.insights.push({
       type: 'system_error',
       message: 'Verification system encountered an error',
@@ -200,18 +499,40 @@ export async function verifyStory(story) {
   }
 }
 
+/**
+ * Fetch the data release a verifier would use for a story now, without
+ * running verification. Used to detect upstream data refreshes.
+ * @param {Object} verifier - Verifier descriptor (from verifierRegistry)
+ * @param {Object} story - The citizen story
+ * @returns {Promise<string|null>} Current vintage, or null if unavailable
+ */
+export async function fetchCurrentVintage(verifier, story) {
+  if (typeof verifier.getVintage !== 'function') return null;
+  try {
+    const data = await verifier.fetch(story, buildContext(story));
+    return resolveVintage(verifier, data);
+  } catch (error) {
+    console.error(`${verifier.name} vintage check failed:`, error.message);
+    return null;
+  }
+}
+
 /**
  * Get contextual data for a story location (without verification)
  * Useful for displaying regional context in the UI
  * @param {string} stateCode - Two-letter state code
  * @param {string} policyArea - Policy area to get data for
  * @param {string} zip - Optional ZIP code for more specific data
- * @returns {Promise<Object>} Contextual data package
+ * @param {string} tract - Optional census tract GEOID (from a geocoded address)
+ * @returns {Promise<Object>} Contextual data package; `geographyKeys` names the
+ *   ZIP, county and tract that `data.demographics` profiles, so they can be
+ *   matched with county-level sources
  */
-export async function getStoryContext(stateCode, policyArea, zip = null) {
+export async function getStoryContext(stateCode, policyArea, zip = null, tract = null) {
   const context = {
     state: stateCode,
     policyArea,
+    geographyKeys: getGeographyKeys({ zip, tract }),
     data: {},
     available: [],
   };
@@ -220,6 +541,17 @@ export async function getStoryContext(stateCode, policyArea, zip = null) {
     // Fetch relevant data based on policy area
     const dataPromises = [];
 
+    if (zip) {
+      dataPromises.push(
+        getLocationDemographics({ zip, tract })
+          .then(data => {
+            context.data.demographics = data;
+            context.available.push('demographics');
+          })
+          .catch(err => console.error('Demographics fetch failed:', err))
+      );
+    }
+
     if (policyArea === 'housing') {
       dataPromises.push(
         getStateHousingData(stateCode, zip)
@@ -274,6 +606,8 @@ export async function getStoryContext(stateCode, policyArea, zip = null) {
 }
 
 export default {
+  VERIFICATION_STATUS,
   verifyStory,
+  fetchCurrentVintage,
   getStoryContext,
 };
@@ -1,25 +1,19 @@
 /**
  * Supabase Client for Democratic Accountability Platform
  *
- * Provides real-time database access for citizen stories
+ * Provides real-time, read-only database access for citizen stories. New
+ * stories are saved by the API server (POST /api/stories - see backendApi.js).
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { getConfig } from './config.js';
 
-// Get Supabase credentials from environment variables
-// Support both browser (import.meta.env) and Node.js (process.env)
+// Public Supabase settings (see config.js) - the anon key is safe in the browser
 function getSupabaseConfig() {
-  const url =
-    (typeof import.meta !== 'undefined' && import.meta.env?.VITE_SUPABASE_URL) ||
-    (typeof process !== 'undefined' && process.env?.VITE_SUPABASE_URL) ||
-    '';
-
-  const key =
-    (typeof import.meta !== 'undefined' && import.meta.env?.VITE_SUPABASE_ANON_KEY) ||
-    (typeof process !== 'undefined' && process.env?.VITE_SUPABASE_ANON_KEY) ||
-    '';
-
-  return { url, key };
+  return {
+    url: getConfig('SUPABASE_URL') || '',
+    key: getConfig('SUPABASE_ANON_KEY') || '',
+  };
 }
 
 const { url: supabaseUrl, key: supabaseAnonKey } = getSupabaseConfig();
@@ -42,48 +36,6 @@ export const supabase = supabaseUrl && supabaseAnonKey
     })
   : null;
 
-/**
- * Submit a new citizen story to Supabase
- * @param {Object} story - The story object to submit
- * @returns {Promise<Object>} The inserted story
- */
-export async function submitStory(story) {
-  if (!supabase) {
-    throw new Error('Supabase client not initialized. Check environment variables.');
-  }
-
-  const { data, error } = await supabase
-    .from('citizen_stories')
-    .insert([{
-      id: story.id,
-      submitted_at: story.submittedAt,
-      location_zip: story.location.zip,
-      location_city: story.location.city || null,
-      location_state: story.location.state || null,
-      location_county: story.location.county || null,
-      location_district: story.location.district || null,
-      policy_area: story.policyArea,
-      severity: story.severity,
-      headline: story.headline,
-      story: story.story,
-      verification_status: story.verificationStatus,
-      verification_score: story.verificationScore,
-      evidence: story.evidence || [],
-      demographics: story.demographics || {},
-      impact: story.impact || {},
-      ai_analysis: story.aiAnalysis || {},
-    }])
-    .select()
-    .single();
-
-  if (error) {
-    console.error('Error submitting story to Supabase:', error);
-    throw error;
-  }
-
-  return transformStoryFromDB(data);
-}
-
 /**
  * Fetch all citizen stories from Supabase
  * @returns {Promise<Array>} Array of stories
@@ -107,43 +59,27 @@ export async function fetchStories() {
 }
 
 /**
- * Update a story's verification data
- * @param {string} storyId - The story ID
- * @param {Object} updates - Fields to update
- * @returns {Promise<Object>} Updated story
+ * Fetch a single citizen story by ID
+ * @param {string} storyId - Story ID
+ * @returns {Promise<Object|null>} The story, or null if not found
  */
-export async function updateStory(storyId, updates) {
+export async function fetchStory(storyId) {
   if (!supabase) {
     throw new Error('Supabase client not initialized. Check environment variables.');
   }
 
-  const dbUpdates = {};
-
-  if (updates.verificationStatus) dbUpdates.verification_status = updates.verificationStatus;
-  if (updates.verificationScore !== undefined) dbUpdates.verification_score = updates.verificationScore;
-  if (updates.location) {
-    if (updates.location.city) dbUpdates.location_city = updates.location.city;
-    if (updates.location.state) dbUpdates.location_state = updates.location.state;
-    if (updates.location.county) dbUpdates.location_county = updates.location.county;
-    if (updates.location.district) dbUpdates.location_district = updates.location.district;
-  }
-  if (updates.demographics) dbUpdates.demographics = updates.demographics;
-  if (updates.impact) dbUpdates.impact = updates.impact;
-  if (updates.aiAnalysis) dbUpdates.ai_analysis = updates.aiAnalysis;
-
   const { data, error } = await supabase
     .from('citizen_stories')
-    .update(dbUpdates)
+    .select('*')
     .eq('id', storyId)
-    .select()
-    .single();
+    .maybeSingle();
 
   if (error) {
-    console.error('Error updating story:', error);
+    console.error('Error fetching story:', error);
     throw error;
   }
 
-  return transformStoryFromDB(data);
+  return data ? transformStoryFromDB(data) : null;
 }
 
 /**
@@ -187,12 +123,75 @@ export function subscribeToStories(callback) {
   return subscription;
 }
 
+/**
+ * Transform a story object into a citizen_stories row
+ * @param {Object} story - Story object
+ * @returns {Object} Database row
+ */
+export function storyToDBRow(story) {
+  return {
+    id: story.id,
+    submitted_at: story.submittedAt,
+    location_zip: story.location.zip,
+    location_city: story.location.city || null,
+    location_state: story.location.state || null,
+    location_county: story.location.county || null,
+    location_district: story.location.district || null,
+    location_district_confidence: story.location.districtConfidence ?? null,
+    location_district_method: story.location.districtMethod || null,
+    location_district_congress: story.location.districtCongress || null,
+    location_district_candidates: story.location.districtCandidates || [],
+    location_tract: story.location.tract || null,
+    policy_area: story.policyArea,
+    severity: story.severity,
+    headline: story.headline,
+    story: story.story,
+    verification_status: story.verificationStatus,
+    verification_score: story.verificationScore,
+    evidence: story.evidence || [],
+    demographics: story.demographics || {},
+    impact: story.impact || {},
+    ai_analysis: story.aiAnalysis || {},
+  };
+}
+
+/**
+ * Transform partial story updates into citizen_stories column updates
+ * @param {Object} updates - Fields to update (story object format)
+ * @returns {Object} Column updates
+ */
+export function storyUpdatesToDB(updates) {
+  const dbUpdates = {};
+
+  if (updates.verificationStatus) dbUpdates.verification_status = updates.verificationStatus;
+  if (updates.verificationScore !== undefined) dbUpdates.verification_score = updates.verificationScore;
+  if (updates.location) {
+    if (updates.location.city) dbUpdates.location_city = updates.location.city;
+    if (updates.location.state) dbUpdates.location_state = updates.location.state;
+    if (updates.location.county) dbUpdates.location_county = updates.location.county;
+    if (updates.location.district) dbUpdates.location_district = updates.location.district;
+    if (updates.location.districtConfidence !== undefined) dbUpdates.location_district_confidence = updates.location.districtConfidence;
+    if (updates.location.districtMethod) dbUpdates.location_district_method = updates.location.districtMethod;
+    if (updates.location.districtCongress) dbUpdates.location_district_congress = updates.location.districtCongress;
+    if (updates.location.districtCandidates) dbUpdates.location_district_candidates = updates.location.districtCandidates;
+    if (updates.location.tract) dbUpdates.location_tract = updates.location.tract;
+  }
+  if (updates.demographics) dbUpdates.demographics = updates.demographics;
+  if (updates.impact) dbUpdates.impact = updates.impact;
+  if (updates.aiAnalysis) dbUpdates.ai_analysis = updates.aiAnalysis;
+  if (updates.verificationVintages) dbUpdates.verification_vintages = updates.verificationVintages;
+  if (updates.lastVerifiedAt) dbUpdates.last_verified_at = updates.lastVerifiedAt;
+  if (updates.verificationScoreChange !== undefined) dbUpdates.verification_score_change = updates.verificationScoreChange;
+
+  return dbUpdates;
+}
+
 /**
  * Transform database row to story object format
  * @param {Object} dbRow - Database row
  * @returns {Object} Story object
  */
-function transformStoryFromDB(dbRow) {
+export function transformStoryFromDB(dbRow) {
   return {
     id: dbRow.id,
     submittedAt: dbRow.submitted_at,
@@ -202,6 +201,11 @@ function transformStoryFromDB(dbRow) {
       state: dbRow.location_state,
       county: dbRow.location_county,
       district: dbRow.location_district,
+      districtConfidence: dbRow.location_district_confidence ?? null,
+      districtMethod: dbRow.location_district_method || null,
+      districtCongress: dbRow.location_district_congress || null,
+      districtCandidates: dbRow.location_district_candidates || [],
+      tract: dbRow.location_tract || null,
     },
     policyArea: dbRow.policy_area,
     severity: dbRow.severity,
@@ -213,13 +217,16 @@ function transformStoryFromDB(dbRow) {
     demographics: dbRow.demographics || {},
     impact: dbRow.impact || {},
     aiAnalysis: dbRow.ai_analysis || {},
+    verificationVintages: dbRow.verification_vintages || {},
+    lastVerifiedAt: dbRow.last_verified_at || null,
+    lastCheckedAt: dbRow.last_checked_at || null,
+    verificationScoreChange: dbRow.verification_score_change || null,
   };
 }
 
 export default {
   supabase,
-  submitStory,
   fetchStories,
-  updateStory,
+  fetchStory,
   subscribeToStories,
 };
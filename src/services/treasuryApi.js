@@ -28,15 +28,11 @@
  * - Never throws exceptions - returns error objects
  */
 
-// Environment-agnostic API base URL configuration
-const TREASURY_API_BASE =
-  (typeof import.meta !== 'undefined' &&
-    import.meta.env &&
-    import.meta.env.VITE_TREASURY_API_BASE) ||
-  (typeof process !== 'undefined' &&
-    process.env &&
-    process.env.VITE_TREASURY_API_BASE) ||
-  'https://api.fiscaldata.treasury.gov/services/api/fiscal_service';
+import { registerVerifier } from './verifierRegistry.js';
+import { httpRequest, getErrorType } from './httpClient.js';
+import { getConfig } from './config.js';
+
+const TREASURY_API_BASE = getConfig('TREASURY_API_BASE');
 
 // API Endpoints
 const ENDPOINTS = {
@@ -53,79 +49,36 @@ const MAX_RETRIES = 3;
 const RETRY_DELAY_MS = 2000;
 const REQUEST_TIMEOUT_MS = 30000;
 
-// Helper function: Sleep for retry delays
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
 /**
- * Makes an HTTP request to the Treasury API with retry logic
+ * Makes an HTTP request to the Treasury API (retries, timeouts and circuit
+ * breaking are handled by the shared HTTP client)
  *
  * @param {string} endpoint - API endpoint path
- * @param {Object} params - Query parameters
- * @param {number} retryCount - Current retry attempt
- * @returns {Promise<Object>} - API response data
+ * @param {Object} params - Query parameters (objects expand to bracket syntax, e.g. page[size])
+ * @returns {Promise<Object>} - API response data, or an error object
  */
-async function makeRequest(endpoint, params = {}, retryCount = 0) {
-  const url = new URL(`${TREASURY_API_BASE}${endpoint}`);
-
-  // Add query parameters
-  Object.keys(params).forEach((key) => {
-    if (params[key] !== null && params[key] !== undefined) {
-      url.searchParams.append(key, params[key]);
-    }
-  });
-
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
-
+async function makeRequest(endpoint, params = {}) {
   try {
-    const response = await fetch(url.toString(), {
-      method: 'GET',
+    return await httpRequest(`${TREASURY_API_BASE}${endpoint}`, {
+      source: 'Treasury API',
+      cache: 'treasury',
+      quota: 'treasury',
+      params,
       headers: {
         Accept: 'application/json',
       },
-      signal: controller.signal,
+      timeoutMs: REQUEST_TIMEOUT_MS,
+      retries: MAX_RETRIES,
+      retryDelayMs: RETRY_DELAY_MS,
     });
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    return data;
   } catch (error) {
-    clearTimeout(timeoutId);
-
-    // Check if we should retry
-    if (retryCount < MAX_RETRIES) {
-      const isRetryable =
-        error.name === 'AbortError' || // Timeout
-        error.message.includes('fetch') || // Network error
-        error.message.includes('500') || // Server error
-        error.message.includes('502') ||
-        error.message.includes('503') ||
-        error.message.includes('504');
-
-      if (isRetryable) {
-        const waitTime = RETRY_DELAY_MS * Math.pow(2, retryCount);
-        console.warn(
-          `Treasury API request failed (attempt ${retryCount + 1}/${MAX_RETRIES}). Retrying in ${waitTime}ms...`
-        );
-        await sleep(waitTime);
-        return makeRequest(endpoint, params, retryCount + 1);
-      }
-    }
-
     // Return error object instead of throwing
     return {
       error: true,
       errorMessage: error.message,
-      errorType: error.name,
+      errorType: getErrorType(error),
+      status: error.status ?? null,
       endpoint,
-      retryCount,
     };
   }
 }
@@ -888,6 +841,27 @@ export async function verifyBudgetStory(story, treasuryData = null) {
 }
 
 // Export all functions
+// Register with the story verifier registry (federal budget stories in any policy area).
+// verifyBudgetStory fetches current Treasury data itself when none is passed.
+registerVerifier({
+  id: 'treasury',
+  name: 'Treasury',
+  keywords: ['federal debt', 'national debt', 'deficit', 'federal budget', 'treasury', 'federal revenue'],
+  fetch: async () => ({
+    debt: await getDebtOutstanding(),
+    cash: await getOperatingCashBalance(),
+    revenue: await getRevenueCategories(),
+  }),
+  verify: verifyBudgetStory,
+  weight: 0.9,
+  reliability: 0.95,
+  geoPrecision: 'national',
+  dataLagMonths: 0,
+  probe: () => getOperatingCashBalance(),
+  // Latest debt_outstanding record date
+  getVintage: (data) => data.debt?.data?.latest?.date || null,
+});
+
 export default {
   getOperatingCashBalance,
   getDepositsAndWithdrawals,
@@ -12,39 +12,12 @@
  * Open API - No authentication required
  */
 
-const USASPENDING_API_BASE =
-  (typeof import.meta !== 'undefined' && import.meta.env?.VITE_USASPENDING_API_BASE) ||
-  (typeof process !== 'undefined' && process.env?.VITE_USASPENDING_API_BASE) ||
-  'https://api.usaspending.gov/api/v2';
-
-// State FIPS code mapping
-const STATE_FIPS = {
-  'AL': '01', 'AK': '02', 'AZ': '04', 'AR': '05', 'CA': '06',
-  'CO': '08', 'CT': '09', 'DE': '10', 'FL': '12', 'GA': '13',
-  'HI': '15', 'ID': '16', 'IL': '17', 'IN': '18', 'IA': '19',
-  'KS': '20', 'KY': '21', 'LA': '22', 'ME': '23', 'MD': '24',
-  'MA': '25', 'MI': '26', 'MN': '27', 'MS': '28', 'MO': '29',
-  'MT': '30', 'NE': '31', 'NV': '32', 'NH': '33', 'NJ': '34',
-  'NM': '35', 'NY': '36', 'NC': '37', 'ND': '38', 'OH': '39',
-  'OK': '40', 'OR': '41', 'PA': '42', 'RI': '44', 'SC': '45',
-  'SD': '46', 'TN': '47', 'TX': '48', 'UT': '49', 'VT': '50',
-  'VA': '51', 'WA': '53', 'WV': '54', 'WI': '55', 'WY': '56',
-  'DC': '11'
-};
+import { registerVerifier } from './verifierRegistry.js';
+import { httpRequest, getErrorType } from './httpClient.js';
+import { getStateFips, getStateName } from './geography.js';
+import { getConfig } from './config.js';
 
-const STATE_NAMES = {
-  'AL': 'Alabama', 'AK': 'Alaska', 'AZ': 'Arizona', 'AR': 'Arkansas', 'CA': 'California',
-  'CO': 'Colorado', 'CT': 'Connecticut', 'DE': 'Delaware', 'FL': 'Florida', 'GA': 'Georgia',
-  'HI': 'Hawaii', 'ID': 'Idaho', 'IL': 'Illinois', 'IN': 'Indiana', 'IA': 'Iowa',
-  'KS': 'Kansas', 'KY': 'Kentucky', 'LA': 'Louisiana', 'ME': 'Maine', 'MD': 'Maryland',
-  'MA': 'Massachusetts', 'MI': 'Michigan', 'MN': 'Minnesota', 'MS': 'Mississippi', 'MO': 'Missouri',
-  'MT': 'Montana', 'NE': 'Nebraska', 'NV': 'Nevada', 'NH': 'New Hampshire', 'NJ': 'New Jersey',
-  'NM': 'New Mexico', 'NY': 'New York', 'NC': 'North Carolina', 'ND': 'North Dakota', 'OH': 'Ohio',
-  'OK': 'Oklahoma', 'OR': 'Oregon', 'PA': 'Pennsylvania', 'RI': 'Rhode Island', 'SC': 'South Carolina',
-  'SD': 'South Dakota', 'TN': 'Tennessee', 'TX': 'Texas', 'UT': 'Utah', 'VT': 'Vermont',
-  'VA': 'Virginia', 'WA': 'Washington', 'WV': 'West Virginia', 'WI': 'Wisconsin', 'WY': 'Wyoming',
-  'DC': 'District of Columbia'
-};
+const USASPENDING_API_BASE = getConfig('USASPENDING_API_BASE');
 
 /**
  * Make a GET request to the USAspending API
@@ -52,25 +25,17 @@ const STATE_NAMES = {
  * @returns {Promise<Object>} API response data
  */
 async function makeGETRequest(endpoint) {
-  const url = `${USASPENDING_API_BASE}${endpoint}`;
-
   try {
-    const response = await fetch(url, {
-      method: 'GET',
+    return await httpRequest(`${USASPENDING_API_BASE}${endpoint}`, {
+      source: 'USAspending API',
+      cache: 'usaspending',
+      quota: 'usaspending',
       headers: {
         'Content-Type': 'application/json',
       },
     });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`USAspending API error: ${response.status} ${response.statusText} - ${errorText}`);
-    }
-
-    const data = await response.json();
-    return data;
   } catch (error) {
-    console.error('USAspending API GET Request Error:', error);
+    console.error('USAspending API GET Request Error:', error.message);
     throw error;
   }
 }
@@ -82,26 +47,20 @@ async function makeGETRequest(endpoint) {
  * @returns {Promise<Object>} API response data
  */
 async function makePOSTRequest(endpoint, payload) {
-  const url = `${USASPENDING_API_BASE}${endpoint}`;
-
   try {
-    const response = await fetch(url, {
+    // Search endpoints are read-only, so retrying a POST is safe
+    return await httpRequest(`${USASPENDING_API_BASE}${endpoint}`, {
+      source: 'USAspending API',
+      cache: 'usaspending',
+      quota: 'usaspending',
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify(payload),
     });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`USAspending API error: ${response.status} ${response.statusText} - ${errorText}`);
-    }
-
-    const data = await response.json();
-    return data;
   } catch (error) {
-    console.error('USAspending API POST Request Error:', error);
+    console.error('USAspending API POST Request Error:', error.message);
     throw error;
   }
 }
@@ -113,7 +72,7 @@ async function makePOSTRequest(endpoint, payload) {
  */
 export async function getStateSpendingProfile(stateCode) {
   try {
-    const fipsCode = STATE_FIPS[stateCode];
+    const fipsCode = getStateFips(stateCode);
     if (!fipsCode) {
       throw new Error(`Invalid state code: ${stateCode}`);
     }
@@ -122,7 +81,7 @@ export async function getStateSpendingProfile(stateCode) {
 
     return {
       state: stateCode,
-      stateName: STATE_NAMES[stateCode] || stateCode,
+      stateName: getStateName(stateCode) || stateCode,
       fipsCode: fipsCode,
       totalAwards: data.total_prime_amount || 0,
       totalContracts: data.award_amount_contracts || 0,
@@ -138,9 +97,9 @@ export async function getStateSpendingProfile(stateCode) {
     console.error('USAspending API timeout or error:', error.message);
     return {
       state: stateCode,
-      stateName: STATE_NAMES[stateCode] || stateCode,
+      stateName: getStateName(stateCode) || stateCode,
       error: true,
-      errorType: error.message.includes('504') || error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: 'USAspending.gov API experienced a 504 Gateway Timeout (common occurrence)',
       source: 'USAspending.gov API (unavailable)',
       lastUpdated: new Date().toISOString(),
@@ -200,7 +159,7 @@ export async function searchSpendingByAward(filters = {}, limit = 50) {
     console.error('USAspending API timeout or error:', error.message);
     return {
       error: true,
-      errorType: error.message.includes('504') || error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: 'USAspending.gov API experienced a 504 Gateway Timeout (common occurrence)',
       totalResults: 0,
       page: 1,
@@ -245,7 +204,7 @@ export async function searchSpendingByGeography(stateCode, filters = {}) {
 
     return {
       state: stateCode,
-      stateName: STATE_NAMES[stateCode] || stateCode,
+      stateName: getStateName(stateCode) || stateCode,
       totalSpending: data.total_spending || 0,
       results: data.results || [],
       source: 'USAspending.gov API',
@@ -255,9 +214,9 @@ export async function searchSpendingByGeography(stateCode, filters = {}) {
     console.error('USAspending API timeout or error:', error.message);
     return {
       state: stateCode,
-      stateName: STATE_NAMES[stateCode] || stateCode,
+      stateName: getStateName(stateCode) || stateCode,
       error: true,
-      errorType: error.message.includes('504') || error.message.includes('timeout') ? 'timeout' : 'error',
+      errorType: getErrorType(error),
       errorMessage: 'USAspending.gov API experienced a 504 Gateway Timeout (common occurrence)',
       totalSpending: 0,
       results: [],
@@ -304,7 +263,11 @@ export async function getAgencySpending(agencyName, stateCode = null) {
     return await searchSpendingByAward(filters, 100);
   } catch (error) {
     console.error('Error fetching agency spending:', error);
-    return getMockAgencySpendingData(agencyName);
+    return {
+      error: true,
+      errorType: getErrorType(error),
+      errorMessage: `Unable to fetch spending for ${agencyName}: ${error.message}`,
+    };
   }
 }
 
@@ -459,7 +422,7 @@ export async function getStateComprehensiveSpending(stateCode) {
 
     return {
       state: stateCode,
-      stateName: STATE_NAMES[stateCode] || stateCode,
+      stateName: getStateName(stateCode) || stateCode,
       profile,
       geography,
       summary: {
@@ -478,6 +441,20 @@ export async function getStateComprehensiveSpending(stateCode) {
   }
 }
 
+// Register with the story verifier registry
+registerVerifier({
+  id: 'usaspending',
+  name: 'USAspending',
+  policyAreas: ['education', 'immigration'],
+  keywords: ['federal fund', 'federal grant', 'federal contract', 'federal money', 'federal spending', 'appropriation'],
+  fetch: (story, { stateCode }) => getStateSpendingProfile(stateCode),
+  verify: verifySpendingStory,
+  weight: 0.7,
+  reliability: 0.9,
+  geoPrecision: 'state',
+  dataLagMonths: 1,
+});
+
 export default {
   getStateSpendingProfile,
   searchSpendingByAward,
@@ -33,11 +33,11 @@
  * - 45-second timeout for complex queries
  */
 
-// Environment-agnostic API key configuration
-const USDA_API_KEY =
-  (typeof import.meta !== 'undefined' && import.meta.env && import.meta.env.VITE_USDA_API_KEY) ||
-  (typeof process !== 'undefined' && process.env && process.env.VITE_USDA_API_KEY) ||
-  null;
+import { registerVerifier } from './verifierRegistry.js';
+import { httpRequest, getErrorType } from './httpClient.js';
+import { getConfig } from './config.js';
+
+const USDA_API_KEY = getConfig('USDA_API_KEY') || null;
 
 const USDA_BASE_URL = 'https://quickstats.nass.usda.gov/api';
 
@@ -46,39 +46,17 @@ const MAX_RETRIES = 3;
 const RETRY_DELAY_MS = 2000;
 const REQUEST_TIMEOUT_MS = 45000; // 45 seconds - agricultural queries can be complex
 
-// Request tracking (no strict limit, but monitor usage)
-let requestLog = [];
-
-// Helper function: Sleep for retry delays
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
-/**
- * Log request for monitoring
- */
-function logRequest() {
-  const now = new Date();
-  requestLog.push(now);
-
-  // Keep only last 24 hours
-  const yesterday = new Date(now - 24 * 60 * 60 * 1000);
-  requestLog = requestLog.filter((req) => req > yesterday);
-
-  console.log(`📊 USDA API requests in last 24h: ${requestLog.length}`);
-}
-
 /**
- * Make HTTP request to USDA API with retry logic
+ * Make HTTP request to USDA API (retries, timeouts and circuit breaking are
+ * handled by the shared HTTP client)
  *
  * @param {string} endpoint - API endpoint path
  * @param {Object} params - Query parameters
- * @param {number} retryCount - Current retry attempt
- * @returns {Promise<Object>} - API response data
+ * @returns {Promise<Object>} - API response data, or an error object
  */
-async function makeRequest(endpoint, params = {}, retryCount = 0) {
+async function makeRequest(endpoint, params = {}) {
   if (!USDA_API_KEY) {
-    console.error('❌ USDA API key not configured. Set VITE_USDA_API_KEY in .env');
+    console.error('❌ USDA API key not configured. Set USDA_API_KEY in .env');
     return {
       error: true,
       errorMessage: 'USDA API key not configured',
@@ -86,119 +64,60 @@ async function makeRequest(endpoint, params = {}, retryCount = 0) {
     };
   }
 
-  const url = new URL(`${USDA_BASE_URL}/${endpoint}`);
-
-  // Add API key and format to all requests
-  const queryParams = {
-    key: USDA_API_KEY,
-    format: 'JSON',
-    ...params,
-  };
-
-  Object.keys(queryParams).forEach((key) => {
-    if (queryParams[key] !== null && queryParams[key] !== undefined) {
-      url.searchParams.append(key, queryParams[key]);
-    }
-  });
-
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  console.log(`🌾 Requesting USDA NASS API: ${endpoint}`);
 
+  let data;
   try {
-    console.log(`🌾 Requesting USDA NASS API: ${endpoint} (attempt ${retryCount + 1}/${MAX_RETRIES + 1})`);
-
-    const response = await fetch(url.toString(), {
-      method: 'GET',
+    data = await httpRequest(`${USDA_BASE_URL}/${endpoint}`, {
+      source: 'USDA NASS API',
+      cache: 'usda',
+      // No published limit - tracked for monitoring only
+      quota: 'usda',
+      params: {
+        key: USDA_API_KEY,
+        format: 'JSON',
+        ...params,
+      },
       headers: {
         Accept: 'application/json',
         'User-Agent': 'DemocraticAccountabilityPlatform/1.0',
       },
-      signal: controller.signal,
+      timeoutMs: REQUEST_TIMEOUT_MS,
+      retries: MAX_RETRIES,
+      retryDelayMs: RETRY_DELAY_MS,
     });
+  } catch (error) {
+    const errorType = getErrorType(error);
 
-    clearTimeout(timeoutId);
-    logRequest();
-
-    // Handle specific error codes
-    if (response.status === 413) {
+    // Return error object instead of throwing
+    if (error.status === 413) {
       console.warn('⚠️  USDA API query too broad. Try narrowing parameters.');
-      return {
-        error: true,
-        errorMessage: 'Query too broad - narrow search parameters',
-        errorType: 'query_too_broad',
-      };
-    }
-
-    if (response.status === 429) {
-      console.warn('⏱️  Rate limit detected. Waiting 60 seconds...');
-      if (retryCount < MAX_RETRIES) {
-        await sleep(60000);
-        return makeRequest(endpoint, params, retryCount + 1);
-      }
-      return {
-        error: true,
-        errorMessage: 'Rate limit exceeded',
-        errorType: 'rate_limit',
-      };
-    }
-
-    if (response.status === 401) {
+    } else if (errorType === 'unauthorized') {
       console.error('❌ Invalid USDA API key. Check configuration.');
-      return {
-        error: true,
-        errorMessage: 'Invalid API key',
-        errorType: 'authentication',
-      };
+    } else {
+      console.error(`❌ USDA API error: ${error.message}`);
     }
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-
-    // Check for empty results
-    if (!data || (typeof data === 'object' && !data.data)) {
-      console.warn('⚠️  No data returned from USDA API for this query.');
-      return {
-        error: true,
-        errorMessage: 'No data available for query',
-        errorType: 'no_data',
-      };
-    }
-
-    return data;
-  } catch (error) {
-    clearTimeout(timeoutId);
-
-    // Check if we should retry
-    if (retryCount < MAX_RETRIES) {
-      const isRetryable =
-        error.name === 'AbortError' || // Timeout
-        error.message.includes('fetch') || // Network error
-        error.message.includes('500') ||
-        error.message.includes('502') ||
-        error.message.includes('503') ||
-        error.message.includes('504');
-
-      if (isRetryable) {
-        const waitTime = RETRY_DELAY_MS * Math.pow(2, retryCount);
-        console.warn(`USDA API request failed. Retrying in ${waitTime}ms...`);
-        await sleep(waitTime);
-        return makeRequest(endpoint, params, retryCount + 1);
-      }
-    }
-
-    // Return error object instead of throwing
-    console.error(`❌ USDA API error after ${retryCount + 1} attempts: ${error.message}`);
     return {
       error: true,
-      errorMessage: error.message,
-      errorType: error.name,
+      errorMessage: error.status === 413 ? 'Query too broad - narrow search parameters' : error.message,
+      errorType,
+      status: error.status ?? null,
       endpoint,
-      retryCount,
     };
   }
+
+  // Check for empty results
+  if (!data || (typeof data === 'object' && !data.data)) {
+    console.warn('⚠️  No data returned from USDA API for this query.');
+    return {
+      error: true,
+      errorMessage: 'No data available for query',
+      errorType: 'no_data',
+    };
+  }
+
+  return data;
 }
 
 /**
@@ -315,7 +234,7 @@ export async function getFoodAssistanceBaselineComparison(
  * @param {Object} current - Current year data
  * @returns {Object} - Change metrics
  */
-function calculateAssistanceChanges(baseline, current) {
+export function calculateAssistanceChanges(baseline, current) {
   if (!baseline || baseline.error || !current || current.error) {
     return { available: false };
   }
@@ -478,7 +397,7 @@ export async function getFarmSubsidyBaselineComparison(
  * @param {Object} current - Current year data
  * @returns {Object} - Change metrics
  */
-function calculateEconomicChanges(baseline, current) {
+export function calculateEconomicChanges(baseline, current) {
   if (!baseline || baseline.error || !current || current.error) {
     return { available: false };
   }
@@ -683,7 +602,7 @@ export async function getRuralBaselineComparison(
  * @param {Object} current - Current year data
  * @returns {Object} - Change metrics
  */
-function calculateEmploymentChanges(baseline, current) {
+export function calculateEmploymentChanges(baseline, current) {
   if (!baseline || baseline.error || !current || current.error) {
     return { available: false };
   }
@@ -943,6 +862,29 @@ export async function verifyAgriculturalStory(story, usdaData = null) {
 }
 
 // Export all functions
+// Register with the story verifier registry (food assistance and rural stories in any policy area)
+registerVerifier({
+  id: 'usda',
+  name: 'USDA',
+  keywords: ['snap', 'food stamp', 'food assistance', 'wic', 'farm', 'rural', 'crop', 'agricultur'],
+  fetch: async (story, { stateName }) => {
+    const nassState = stateName.toUpperCase();
+    const [foodAssistance, farmEconomics, ruralEmployment] = await Promise.all([
+      getFoodAssistanceBaselineComparison(nassState),
+      getFarmSubsidyBaselineComparison(nassState),
+      getRuralBaselineComparison(nassState),
+    ]);
+    return { foodAssistance, farmEconomics, ruralEmployment };
+  },
+  verify: verifyAgriculturalStory,
+  weight: 0.9,
+  reliability: 0.85,
+  geoPrecision: 'state',
+  dataLagMonths: 12,
+  probe: () => getFoodAssistanceData('TEXAS'),
+  hasCredentials: () => !!USDA_API_KEY,
+});
+
 export default {
   getFoodAssistanceData,
   getFoodAssistanceBaselineComparison,
@@ -28,101 +28,54 @@
  * - Historical facility data for comparison
  */
 
-// Environment-agnostic API base URLs
-const VA_FACILITIES_BASE =
-  (typeof import.meta !== 'undefined' &&
-    import.meta.env &&
-    import.meta.env.VITE_VA_FACILITIES_API_BASE) ||
-  (typeof process !== 'undefined' &&
-    process.env &&
-    process.env.VITE_VA_FACILITIES_API_BASE) ||
-  'https://api.va.gov/services/va_facilities/v1';
-
-const VA_FORMS_BASE =
-  (typeof import.meta !== 'undefined' && import.meta.env && import.meta.env.VITE_VA_FORMS_API_BASE) ||
-  (typeof process !== 'undefined' && process.env && process.env.VITE_VA_FORMS_API_BASE) ||
-  'https://api.va.gov/services/va_forms/v0';
+import { registerVerifier } from './verifierRegistry.js';
+import { httpRequest, getErrorType } from './httpClient.js';
+import { getConfig } from './config.js';
+
+const VA_FACILITIES_BASE = getConfig('VA_FACILITIES_API_BASE');
+
+const VA_FORMS_BASE = getConfig('VA_FORMS_API_BASE');
 
 // Error handling configuration
 const MAX_RETRIES = 3;
 const RETRY_DELAY_MS = 2000;
 const REQUEST_TIMEOUT_MS = 30000;
 
-// Helper function: Sleep for retry delays
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
 /**
- * Make HTTP request to VA API with retry logic
+ * Make HTTP request to VA API (retries, timeouts and circuit breaking are
+ * handled by the shared HTTP client)
  *
  * @param {string} baseUrl - API base URL
  * @param {string} endpoint - API endpoint path
  * @param {Object} params - Query parameters
- * @param {number} retryCount - Current retry attempt
- * @returns {Promise<Object>} - API response data
+ * @returns {Promise<Object>} - API response data, or an error object
  */
-async function makeRequest(baseUrl, endpoint, params = {}, retryCount = 0) {
-  const url = new URL(`${baseUrl}${endpoint}`);
-
-  Object.keys(params).forEach((key) => {
-    if (params[key] !== null && params[key] !== undefined) {
-      url.searchParams.append(key, params[key]);
-    }
-  });
-
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+async function makeRequest(baseUrl, endpoint, params = {}) {
+  console.log(`🏥 Requesting VA API: ${endpoint}`);
 
   try {
-    console.log(`🏥 Requesting VA API: ${endpoint} (attempt ${retryCount + 1}/${MAX_RETRIES + 1})`);
-
-    const response = await fetch(url.toString(), {
-      method: 'GET',
+    return await httpRequest(`${baseUrl}${endpoint}`, {
+      source: 'VA API',
+      cache: 'va',
+      quota: 'va',
+      params,
       headers: {
         Accept: 'application/json',
         'User-Agent': 'DemocraticAccountabilityPlatform/1.0',
       },
-      signal: controller.signal,
+      timeoutMs: REQUEST_TIMEOUT_MS,
+      retries: MAX_RETRIES,
+      retryDelayMs: RETRY_DELAY_MS,
     });
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    return data;
   } catch (error) {
-    clearTimeout(timeoutId);
-
-    // Check if we should retry
-    if (retryCount < MAX_RETRIES) {
-      const isRetryable =
-        error.name === 'AbortError' || // Timeout
-        error.message.includes('fetch') || // Network error
-        error.message.includes('500') ||
-        error.message.includes('502') ||
-        error.message.includes('503') ||
-        error.message.includes('504');
-
-      if (isRetryable) {
-        const waitTime = RETRY_DELAY_MS * Math.pow(2, retryCount);
-        console.warn(`VA API request failed. Retrying in ${waitTime}ms...`);
-        await sleep(waitTime);
-        return makeRequest(baseUrl, endpoint, params, retryCount + 1);
-      }
-    }
-
     // Return error object instead of throwing
-    console.error(`❌ VA API error after ${retryCount + 1} attempts: ${error.message}`);
+    console.error(`❌ VA API error: ${error.message}`);
     return {
       error: true,
       errorMessage: error.message,
-      errorType: error.name,
+      errorType: getErrorType(error),
+      status: error.status ?? null,
       endpoint,
-      retryCount,
     };
   }
 }
@@ -588,6 +541,26 @@ export async function verifyVAStory(story, vaData = null) {
 }
 
 // Export all functions
+// Register with the story verifier registry (veteran stories in any policy area)
+registerVerifier({
+  id: 'va',
+  name: 'VA',
+  keywords: ['veteran', ' va ', 'va clinic', 'va hospital', 'va benefits', 'military service'],
+  fetch: async (story, { stateCode }) => {
+    const [facilities, forms] = await Promise.all([
+      getFacilitiesBaselineComparison(stateCode, 'health'),
+      trackFormChanges('10-10EZ'),
+    ]);
+    return { facilities, forms };
+  },
+  verify: verifyVAStory,
+  weight: 0.9,
+  reliability: 0.85,
+  geoPrecision: 'state',
+  dataLagMonths: 1,
+  probe: () => getFormByNumber('10-10EZ'),
+});
+
 export default {
   // Facilities API
   getFacilityById,
@@ -0,0 +1,116 @@
+/**
+ * Verifier Registry
+ *
+ * Central list of story verifiers. Each data source service registers a
+ * descriptor describing when it applies to a story and how to check it;
+ * `storyVerification.verifyStory` looks up the matching verifiers, runs them
+ * and merges their results. Adding a new data source only requires calling
+ * `registerVerifier` from the service module - the orchestrator is unchanged.
+ *
+ * Descriptor shape:
+ * {
+ *   id: 'eia',                         // Unique identifier
+ *   name: 'EIA',                       // Label shown in verification.dataSource
+ *   policyAreas: ['energy'],           // Policy areas the verifier always runs for
+ *   keywords: ['electric bill'],       // Story text triggers (any policy area)
+ *   fetch: async (story, context) => data,
+ *   verify: (story, data) => ({ verified, confidence, insights, flags }),
+ *   checkClaims: (claims, data, story) => [{ claimId, status, message }],  // Optional
+ *   weight: 1,                         // Priority when ordering sources (higher first)
+ *   reliability: 0.9,                  // Trust in the dataset, 0-1 (evidence fusion)
+ *   geoPrecision: 'state',             // 'zip' | 'county' | 'state' | 'national', or (data, context) => level
+ *   dataLagMonths: 2,                  // Typical publication lag of the data
+ *   getVintage: (data) => '2025-06-01', // Optional: identifies the data release, so
+ *                                      // stories can be re-verified when it changes
+ *   probe: async () => data,           // Optional: cheap request for health checks
+ *                                      // (default: fetch for a sample story)
+ *   hasCredentials: () => true,        // Optional: whether the source's API key is
+ *                                      // configured; omit for sources that need none
+ * }
+ *
+ * `context` passed to fetch: { stateCode, stateName, zip, geographyKeys, storyText, claims }
+ * where geographyKeys = { state, county, tract, zcta } (geography.js keys, e.g.
+ * 'county:48453'), so county-level sources can line up with Census profiles.
+ * `checkClaims` receives the structured claims from claimExtraction.js and
+ * reports each as 'supported', 'contradicted' or 'unverifiable'.
+ */
+
+const verifiers = new Map();
+
+/**
+ * Register a story verifier. Registering an existing id replaces it.
+ * @param {Object} descriptor - Verifier descriptor (see module docs)
+ * @returns {Object} The normalized descriptor
+ */
+export function registerVerifier(descriptor) {
+  if (!descriptor?.id) {
+    throw new Error('Verifier descriptor requires an id');
+  }
+  if (typeof descriptor.fetch !== 'function' || typeof descriptor.verify !== 'function') {
+    throw new Error(`Verifier "${descriptor.id}" requires fetch and verify functions`);
+  }
+
+  const normalized = {
+    name: descriptor.id,
+    policyAreas: [],
+    keywords: [],
+    weight: 1,
+    reliability: 0.7,
+    geoPrecision: 'state',
+    dataLagMonths: 0,
+    ...descriptor,
+  };
+
+  verifiers.set(normalized.id, normalized);
+  return normalized;
+}
+
+/**
+ * Remove a verifier from the registry
+ * @param {string} id - Verifier id
+ * @returns {boolean} True if a verifier was removed
+ */
+export function unregisterVerifier(id) {
+  return verifiers.delete(id);
+}
+
+/**
+ * Get all registered verifiers
+ * @returns {Array<Object>} Verifier descriptors in registration order
+ */
+export function getVerifiers() {
+  return Array.from(verifiers.values());
+}
+
+/**
+ * Find the verifiers that apply to a story.
+ * Verifiers registered for the story's policy area come first, followed by
+ * verifiers triggered only by keywords; each group is ordered by weight.
+ * @param {Object} story - Citizen story ({ policyArea, headline, story })
+ * @returns {Array<Object>} Matching verifier descriptors
+ */
+export function findMatchingVerifiers(story) {
+  // Pad with spaces so short keywords like ' va ' can match at the edges
+  const storyText = ` ${(story.headline || '')} ${(story.story || '')} `.toLowerCase();
+  const byWeight = (a, b) => b.weight - a.weight;
+
+  const policyMatches = [];
+  const keywordMatches = [];
+
+  for (const verifier of verifiers.values()) {
+    if (verifier.policyAreas.includes(story.policyArea)) {
+      policyMatches.push(verifier);
+    } else if (verifier.keywords.some(keyword => storyText.includes(keyword))) {
+      keywordMatches.push(verifier);
+    }
+  }
+
+  return [...policyMatches.sort(byWeight), ...keywordMatches.sort(byWeight)];
+}
+
+export default {
+  registerVerifier,
+  unregisterVerifier,
+  getVerifiers,
+  findMatchingVerifiers,
+};
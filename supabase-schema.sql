@@ -71,15 +71,12 @@ CREATE POLICY "Enable read access for all users" ON citizen_stories
   FOR SELECT
   USING (true);
 
--- Allow anyone to insert stories (citizen submissions)
-CREATE POLICY "Enable insert access for all users" ON citizen_stories
-  FOR INSERT
-  WITH CHECK (true);
-
--- Allow anyone to update stories (for verification updates)
-CREATE POLICY "Enable update access for all users" ON citizen_stories
-  FOR UPDATE
-  USING (true);
+-- No public INSERT or UPDATE policy: stories are submitted through the API
+-- server (POST /api/stories), which validates them and writes with the
+-- service role key, bypassing RLS. Existing databases created from an earlier
+-- version of this schema should drop the old policies:
+DROP POLICY IF EXISTS "Enable insert access for all users" ON citizen_stories;
+DROP POLICY IF EXISTS "Enable update access for all users" ON citizen_stories;
 
 -- Create a function to automatically update the updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -100,10 +97,221 @@ CREATE TRIGGER update_citizen_stories_updated_at
 -- Enable Realtime for live updates
 ALTER PUBLICATION supabase_realtime ADD TABLE citizen_stories;
 
+-- Re-verification (server/reverification.js): the data releases each story was
+-- verified against, the last significant score change, and when the sweep
+-- last checked the story (queued or not). ADD COLUMN IF NOT EXISTS so this
+-- also upgrades existing databases.
+ALTER TABLE citizen_stories ADD COLUMN IF NOT EXISTS verification_vintages JSONB DEFAULT '{}'::jsonb;
+ALTER TABLE citizen_stories ADD COLUMN IF NOT EXISTS last_verified_at TIMESTAMPTZ;
+ALTER TABLE citizen_stories ADD COLUMN IF NOT EXISTS verification_score_change JSONB;
+ALTER TABLE citizen_stories ADD COLUMN IF NOT EXISTS last_checked_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_citizen_stories_last_verified_at ON citizen_stories(last_verified_at);
+CREATE INDEX IF NOT EXISTS idx_citizen_stories_last_checked_at ON citizen_stories(last_checked_at NULLS FIRST);
+
+-- Congressional district resolution (src/services/congressionalDistricts.js):
+-- confidence is the share of the ZIP's homes in location_district (1 when
+-- geocoded from an address); candidates lists every district a split ZIP
+-- overlaps as [{ district, share }]. Backfilled by server/districtBackfill.js.
+ALTER TABLE citizen_stories ADD COLUMN IF NOT EXISTS location_district_confidence REAL;
+ALTER TABLE citizen_stories ADD COLUMN IF NOT EXISTS location_district_method TEXT;
+ALTER TABLE citizen_stories ADD COLUMN IF NOT EXISTS location_district_congress INTEGER;
+ALTER TABLE citizen_stories ADD COLUMN IF NOT EXISTS location_district_candidates JSONB DEFAULT '[]'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_citizen_stories_district ON citizen_stories(location_district);
+
+-- Census tract GEOID (11 digits) of a geocoded address, for tract-level
+-- demographics; null for stories located by ZIP only
+ALTER TABLE citizen_stories ADD COLUMN IF NOT EXISTS location_tract TEXT;
+
+-- Verification score history: one row per stored verification
+CREATE TABLE IF NOT EXISTS story_score_history (
+  id BIGSERIAL PRIMARY KEY,
+  story_id TEXT NOT NULL REFERENCES citizen_stories(id) ON DELETE CASCADE,
+  score INTEGER NOT NULL,
+  previous_score INTEGER,
+  verification_status TEXT,
+  vintages JSONB DEFAULT '{}'::jsonb,
+  -- submission | manual | background | data_refresh | scheduled
+  reason TEXT NOT NULL,
+  -- Score moved by at least SIGNIFICANT_SCORE_CHANGE points
+  flagged BOOLEAN NOT NULL DEFAULT false,
+  recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_story_score_history_story ON story_score_history(story_id, recorded_at DESC);
+CREATE INDEX IF NOT EXISTS idx_story_score_history_flagged ON story_score_history(recorded_at DESC) WHERE flagged;
+
+-- Anyone can read score history; only the API server (service role) writes it
+ALTER TABLE story_score_history ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Enable read access for all users" ON story_score_history;
+CREATE POLICY "Enable read access for all users" ON story_score_history
+  FOR SELECT
+  USING (true);
+
+-- Verification audit trail (server/verificationAudit.js): every verification
+-- run with the sources queried, request parameters, raw response snapshots,
+-- insights, flags and score. Append-only.
+CREATE TABLE IF NOT EXISTS story_verifications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  story_id TEXT NOT NULL REFERENCES citizen_stories(id) ON DELETE CASCADE,
+  reason TEXT NOT NULL,
+
+  -- Outcome
+  verified BOOLEAN NOT NULL DEFAULT false,
+  score INTEGER NOT NULL DEFAULT 0,
+  data_source TEXT,
+  support_score REAL,
+  contradiction_score REAL,
+
+  -- Per-source fusion breakdown (stance, weight, contribution)
+  sources JSONB DEFAULT '[]'::jsonb,
+  -- Per-source request parameters, timing and status
+  source_runs JSONB DEFAULT '[]'::jsonb,
+  -- Raw response snapshot per source id (large responses truncated)
+  raw_data JSONB DEFAULT '{}'::jsonb,
+
+  insights JSONB DEFAULT '[]'::jsonb,
+  flags JSONB DEFAULT '[]'::jsonb,
+  claims JSONB DEFAULT '[]'::jsonb,
+  pending_sources JSONB DEFAULT '[]'::jsonb,
+  vintages JSONB DEFAULT '{}'::jsonb,
+
+  verified_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_story_verifications_story ON story_verifications(story_id, verified_at DESC);
+
+-- Anyone can read the audit trail except raw_data; only the API server
+-- (service role) writes it or reads the raw upstream responses
+ALTER TABLE story_verifications ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Enable read access for all users" ON story_verifications;
+CREATE POLICY "Enable read access for all users" ON story_verifications
+  FOR SELECT
+  USING (true);
+
+REVOKE SELECT ON story_verifications FROM anon, authenticated;
+GRANT SELECT (
+  id, story_id, reason, verified, score, data_source, support_score,
+  contradiction_score, sources, source_runs, insights, flags, claims,
+  pending_sources, vintages, verified_at
+) ON story_verifications TO anon, authenticated;
+
+-- Background jobs (server/jobQueue.js): enrichment, verification and
+-- creative briefs that run outside the submission request
+CREATE TABLE IF NOT EXISTS story_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  type TEXT NOT NULL,
+  -- Not a foreign key: jobs (and their dead-letter history) outlive deleted stories
+  story_id TEXT,
+
+  -- queued → running → completed, or dead after max_attempts failures
+  status TEXT NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'completed', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+
+  payload JSONB DEFAULT '{}'::jsonb,
+  result JSONB,
+  last_error TEXT,
+
+  run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_story_jobs_due ON story_jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_story_jobs_story ON story_jobs(story_id, type);
+
+-- Worker heartbeats (server/jobQueue.js): the worker running a job refreshes
+-- heartbeat_at; a running job whose heartbeat stops is requeued. ADD COLUMN IF
+-- NOT EXISTS so this also upgrades existing databases.
+ALTER TABLE story_jobs ADD COLUMN IF NOT EXISTS worker_id TEXT;
+ALTER TABLE story_jobs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMPTZ;
+
+-- RLS with no policies: only the API server (service role) can read or write jobs
+ALTER TABLE story_jobs ENABLE ROW LEVEL SECURITY;
+
+DROP TRIGGER IF EXISTS update_story_jobs_updated_at ON story_jobs;
+CREATE TRIGGER update_story_jobs_updated_at
+  BEFORE UPDATE ON story_jobs
+  FOR EACH ROW
+  EXECUTE PROCEDURE update_updated_at_column();
+
+-- Federal API response cache (src/services/responseCache.js): entries are
+-- fresh until expires_at, then served stale while refreshing until stale_until
+CREATE TABLE IF NOT EXISTS api_response_cache (
+  -- sha256 of cache_key (keys embed full URLs and request bodies)
+  key_hash TEXT PRIMARY KEY,
+  cache_key TEXT NOT NULL,
+  source TEXT NOT NULL,
+  data JSONB,
+  stored_at TIMESTAMPTZ NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  stale_until TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_response_cache_source ON api_response_cache(source);
+
+-- RLS with no policies: only the API server (service role) can read or write the cache
+ALTER TABLE api_response_cache ENABLE ROW LEVEL SECURITY;
+
+-- API quota usage (src/services/quotaManager.js): requests per source per
+-- fixed window, shared by every server process
+CREATE TABLE IF NOT EXISTS api_quota_usage (
+  source TEXT NOT NULL,
+  window_start TIMESTAMPTZ NOT NULL,
+  request_count INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (source, window_start)
+);
+
+-- RLS with no policies: only the API server (service role) can read or write usage
+ALTER TABLE api_quota_usage ENABLE ROW LEVEL SECURITY;
+
+-- Atomically add p_amount requests unless that would take the window past
+-- p_max (NULL = no limit). Returns whether the requests were allowed and the
+-- window's usage.
+CREATE OR REPLACE FUNCTION consume_api_quota(
+  p_source TEXT,
+  p_window_start TIMESTAMPTZ,
+  p_amount INTEGER,
+  p_max INTEGER
+)
+RETURNS TABLE (allowed BOOLEAN, used INTEGER) AS $$
+BEGIN
+  IF p_max IS NULL OR p_amount <= p_max THEN
+    RETURN QUERY
+    INSERT INTO api_quota_usage AS usage (source, window_start, request_count)
+    VALUES (p_source, p_window_start, p_amount)
+    ON CONFLICT (source, window_start) DO UPDATE
+      SET request_count = usage.request_count + EXCLUDED.request_count,
+          updated_at = NOW()
+      WHERE p_max IS NULL OR usage.request_count + EXCLUDED.request_count <= p_max
+    RETURNING true, usage.request_count;
+
+    IF FOUND THEN
+      RETURN;
+    END IF;
+  END IF;
+
+  RETURN QUERY
+  SELECT false, COALESCE(
+    (SELECT usage.request_count FROM api_quota_usage usage
+      WHERE usage.source = p_source AND usage.window_start = p_window_start),
+    0
+  );
+END;
+$$ LANGUAGE plpgsql;
+
 -- Success message
 DO $$
 BEGIN
-  RAISE NOTICE 'citizen_stories table created successfully!';
+  RAISE NOTICE 'citizen_stories, story_verifications, story_score_history, story_jobs, api_response_cache and api_quota_usage tables created successfully!';
   RAISE NOTICE 'Table is ready for real-time subscriptions.';
   RAISE NOTICE 'You can now submit stories from the Citizen Portal.';
 END $$;
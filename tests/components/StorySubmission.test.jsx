@@ -0,0 +1,129 @@
+// @vitest-environment jsdom
+
+/**
+ * Citizen story submission flow in DemocraticAccountabilityPlatform:
+ * form validation, the createStory request and the progress modal
+ */
+
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import DemocraticAccountabilityPlatform from '../../src/DemocraticAccountabilityPlatform.jsx';
+import { createStory } from '../../src/services/backendApi';
+
+vi.mock('../../src/services/backendApi', () => ({
+  createStory: vi.fn(),
+  requestCreativeBrief: vi.fn(),
+  getSourceStatus: vi.fn(),
+  getStoryContext: vi.fn(async () => ({})),
+  getAdminToken: vi.fn(() => null),
+  setAdminToken: vi.fn(),
+  getFeatures: vi.fn(async () => ({ ai: false, aiProvider: null, database: true, sources: {} })),
+}));
+
+vi.mock('../../src/services/supabaseClient', () => ({
+  fetchStories: vi.fn(async () => []),
+  subscribeToStories: vi.fn(() => ({ unsubscribe() {} })),
+}));
+
+const submittedStory = {
+  id: 'CS-2025-009999',
+  headline: 'Pell Grant cut forced me to drop classes',
+  story: 'My Pell Grant was cut this semester.',
+  location: { city: 'Austin', state: 'TX', zip: '78701' },
+  policyArea: 'education',
+  verificationStatus: 'verified',
+  verificationScore: 82,
+  timestamp: new Date().toISOString(),
+};
+
+const verification = {
+  verified: true,
+  confidence: 82,
+  dataSource: 'Dept of Education',
+  insights: [],
+  flags: [],
+  claims: [],
+  pendingSources: [],
+  quotaLimitedSources: [],
+};
+
+async function fillForm(user, { zipCode = '78701', policyArea = 'Education', story = submittedStory.story } = {}) {
+  await user.type(screen.getByPlaceholderText('ZIP Code'), zipCode);
+  await user.selectOptions(screen.getByDisplayValue('Select area...'), policyArea);
+  await user.type(screen.getByPlaceholderText(/^Tell us how federal policy changes/), story);
+  await user.click(screen.getByRole('checkbox'));
+}
+
+beforeEach(() => {
+  vi.spyOn(window, 'alert').mockImplementation(() => {});
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  cleanup();
+  vi.clearAllMocks();
+  vi.restoreAllMocks();
+});
+
+describe('story submission', () => {
+  it('submits the story and shows the verification result', async () => {
+    createStory.mockResolvedValue({ story: submittedStory, verification });
+    const user = userEvent.setup();
+    render(<DemocraticAccountabilityPlatform />);
+
+    await fillForm(user);
+    await user.click(screen.getByRole('button', { name: /Submit Your Story/ }));
+
+    expect(createStory).toHaveBeenCalledWith({
+      zipCode: '78701',
+      policyArea: 'education',
+      story: submittedStory.story,
+      consent: true,
+    });
+    expect(await screen.findByText('Story Submitted!')).toBeInTheDocument();
+    expect(screen.getByText('Verification complete: 82% confidence')).toBeInTheDocument();
+    expect(screen.getByPlaceholderText('ZIP Code')).toHaveValue('');
+    expect(window.alert).not.toHaveBeenCalled();
+  });
+
+  it('reports sources that are still responding', async () => {
+    createStory.mockResolvedValue({
+      story: submittedStory,
+      verification: { ...verification, confidence: 70, pendingSources: [{ id: 'bea', name: 'BEA' }] },
+    });
+    const user = userEvent.setup();
+    render(<DemocraticAccountabilityPlatform />);
+
+    await fillForm(user);
+    await user.click(screen.getByRole('button', { name: /Submit Your Story/ }));
+
+    expect(await screen.findByText('Verified with available sources (70%) - 1 still responding')).toBeInTheDocument();
+  });
+
+  it('rejects an invalid ZIP code without submitting', async () => {
+    const user = userEvent.setup();
+    render(<DemocraticAccountabilityPlatform />);
+
+    await fillForm(user, { zipCode: '7870a' });
+    await user.click(screen.getByRole('button', { name: /Submit Your Story/ }));
+
+    expect(window.alert).toHaveBeenCalledWith('Please enter a valid 5-digit ZIP code.');
+    expect(createStory).not.toHaveBeenCalled();
+  });
+
+  it('tells the citizen when the server rejects the story', async () => {
+    createStory.mockRejectedValue(new Error('Server error'));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const user = userEvent.setup();
+    render(<DemocraticAccountabilityPlatform />);
+
+    await fillForm(user);
+    await user.click(screen.getByRole('button', { name: /Submit Your Story/ }));
+
+    expect(window.alert).toHaveBeenCalledWith('Failed to submit story. Please try again.');
+    expect(screen.queryByText('Story Submitted!')).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /Submit Your Story/ })).toBeEnabled();
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Fetch → verify paths replayed from tests/fixtures/http
+ *
+ * One entry per registered verifier (its fetch and verify*Story, plus
+ * checkClaims), per baseline comparison and per verify*Story that takes a
+ * single service lookup. Each `run` makes the same requests every time for a
+ * Texas story in ZIP 78701, so the fixtures recorded for one run answer the
+ * next. Recording and replaying both pin the clock to REPLAY_DATE, since some
+ * requests are built from today's date.
+ */
+
+import '../../src/services/storyVerification.js';
+import { getVerifiers } from '../../src/services/verifierRegistry.js';
+import { getGeographyKeys, getStateName } from '../../src/services/geography.js';
+import { extractClaimsHeuristic } from '../../src/services/claimExtraction.js';
+import { getAcsTrends, getDemographicsByZip, verifyStoryDemographics } from '../../src/services/censusApi.js';
+import { getEconomicBaseline as getFredBaseline } from '../../src/services/fredApi.js';
+import { getEconomicBaseline as getBeaBaseline } from '../../src/services/beaApi.js';
+import { getEnergyBaseline } from '../../src/services/eiaApi.js';
+import { getBaselineComparison as getCrimeBaseline } from '../../src/services/fbiCrimeApi.js';
+import { getBaselineComparison as getVictimizationBaseline } from '../../src/services/bjsNcvsApi.js';
+import { getLegislativeBaselineComparison } from '../../src/services/congressApi.js';
+import { getHigherEdBaselineComparison } from '../../src/services/deptEducationApi.js';
+import { getNewsBaselineComparison, searchPolicyNews, verifyNewsStory } from '../../src/services/newsApi.js';
+import { getFacilitiesBaselineComparison } from '../../src/services/vaApi.js';
+import { searchDocuments, verifyRegulationStory } from '../../src/services/federalRegisterApi.js';
+import { getTRIFacilitiesByZip, verifyEnvironmentalStory } from '../../src/services/epaEnvirofactsApi.js';
+import { VERIFIER_CASES } from './verifierData.js';
+
+export const REPLAY_DATE = '2025-10-01T12:00:00Z';
+
+const LOCATION = { state: 'TX', zip: '78701' };
+
+const story = (policyArea, headline, text) => ({
+  id: `replay-${policyArea}`,
+  headline,
+  story: text,
+  policyArea,
+  location: LOCATION,
+});
+
+/**
+ * Verifier fetch context, as storyVerification.js builds it
+ */
+function verifierContext(verifierStory, claims) {
+  return {
+    stateCode: LOCATION.state,
+    stateName: getStateName(LOCATION.state),
+    zip: LOCATION.zip,
+    geographyKeys: getGeographyKeys(LOCATION),
+    storyText: `${verifierStory.headline} ${verifierStory.story}`.toLowerCase(),
+    claims,
+  };
+}
+
+const verifierPaths = getVerifiers().map(verifier => ({
+  name: `${verifier.id} verifier`,
+  async run() {
+    const verifierStory = { ...VERIFIER_CASES[verifier.id].story, location: LOCATION };
+    const claims = extractClaimsHeuristic(verifierStory);
+    const data = await verifier.fetch(verifierStory, verifierContext(verifierStory, claims));
+    return {
+      data,
+      verification: await verifier.verify(verifierStory, data),
+      claimChecks: verifier.checkClaims ? verifier.checkClaims(claims, data, verifierStory) : null,
+    };
+  },
+}));
+
+const censusStory = story('housing', 'Rent downtown keeps climbing', 'My rent went up $400 this year and median rent here is now over $2,000.');
+const regulationStory = story('healthcare', 'New Medicaid rule', 'A new federal rule adds a work requirement to keep Medicaid coverage.');
+const environmentStory = story('environment', 'Toxic emissions near our school', 'Chemical emissions from the plant are making kids sick and the water tastes wrong.');
+const newsStory = story('healthcare', 'My ACA premium doubled', 'Our marketplace premium doubled after the Medicaid and ACA changes.');
+
+const servicePaths = [
+  {
+    name: 'census demographics',
+    async run() {
+      const [data, trends] = await Promise.all([
+        getDemographicsByZip(LOCATION.zip),
+        getAcsTrends({ zipCode: LOCATION.zip }),
+      ]);
+      return { data: { demographics: data, trends }, verification: verifyStoryDemographics(censusStory, data, trends) };
+    },
+  },
+  {
+    name: 'federal register search',
+    async run() {
+      const data = await searchDocuments({ term: 'medicaid' });
+      return { data, verification: verifyRegulationStory(regulationStory, data) };
+    },
+  },
+  {
+    name: 'epa toxic release facilities',
+    async run() {
+      const data = await getTRIFacilitiesByZip(LOCATION.zip);
+      return { data, verification: verifyEnvironmentalStory(environmentStory, data) };
+    },
+  },
+  {
+    name: 'news coverage',
+    async run() {
+      const data = await searchPolicyNews('healthcare', getStateName(LOCATION.state));
+      return { data, verification: verifyNewsStory(newsStory, data) };
+    },
+  },
+];
+
+const baselinePaths = [
+  { name: 'fred unemployment baseline', run: async () => ({ data: await getFredBaseline('UNRATE', '2025-01-01') }) },
+  { name: 'bea personal income baseline', run: async () => ({ data: await getBeaBaseline(LOCATION.state) }) },
+  { name: 'eia electricity baseline', run: async () => ({ data: await getEnergyBaseline(LOCATION.state, 'electricity') }) },
+  { name: 'fbi crime baseline', run: async () => ({ data: await getCrimeBaseline(LOCATION.state) }) },
+  { name: 'ncvs victimization baseline', run: async () => ({ data: await getVictimizationBaseline('2022', '2023') }) },
+  { name: 'congress legislation baseline', run: async () => ({ data: await getLegislativeBaselineComparison('healthcare') }) },
+  { name: 'college scorecard baseline', run: async () => ({ data: await getHigherEdBaselineComparison(LOCATION.state) }) },
+  { name: 'news coverage baseline', run: async () => ({ data: await getNewsBaselineComparison('healthcare') }) },
+  { name: 'va facilities baseline', run: async () => ({ data: await getFacilitiesBaselineComparison(LOCATION.state) }) },
+];
+
+export const REPLAY_PATHS = [...verifierPaths, ...servicePaths, ...baselinePaths];
@@ -0,0 +1,283 @@
+/**
+ * Canned source data for the verifier contract tests
+ *
+ * One entry per registered verifier id: a story the source should recognize,
+ * data shaped like the source's fetch() result, and the insight types that
+ * data must produce. `unavailable` is what fetch() returns when the source
+ * is down, for sources that report outages as data rather than throwing.
+ * Verifiers with checkClaims need a story whose claims the data can settle.
+ */
+
+const story = (policyArea, headline, text) => ({
+  id: `contract-${policyArea}`,
+  headline,
+  story: text,
+  policyArea,
+  location: { state: 'TX', zipCode: '78701' },
+});
+
+const outage = { error: true, errorType: 'upstream_down', errorMessage: 'Upstream unavailable' };
+
+export const VERIFIER_CASES = {
+  bea: {
+    story: story('economy', 'Wages are not keeping up', 'My income has been falling while the economy grows.'),
+    data: {
+      data: [{ GeoName: 'Texas', LineDescription: 'Per capita personal income', DataValue: '61985' }],
+      count: 1,
+      stateCode: 'TX',
+      year: 2024,
+    },
+    insights: ['economic_data_available', 'income_mention'],
+    unavailable: outage,
+  },
+
+  'bjs-ncvs': {
+    story: story('criminal-justice', 'Break-ins on our street', 'Our car was stolen and police never came. I was a victim twice.'),
+    data: {
+      statistics: { totalVictimizations: 1200, reportingRate: 41.5, violentCrime: 300, seriousViolentCrime: 90 },
+      year: 2023,
+    },
+    insights: ['ncvs_data_available'],
+    unavailable: outage,
+  },
+
+  'cdc-wonder': {
+    story: story('healthcare', 'Infant health clinic closed', 'Infant mortality is a worry now that our clinic is gone.'),
+    data: { count: 12 },
+    insights: ['national_data_only', 'national_context', 'mortality_mention', 'natality_mention'],
+    unavailable: outage,
+  },
+
+  'dept-education': {
+    story: story('education', 'Pell Grant cut forced me out of college', 'My financial aid was cut and my student loan debt keeps growing.'),
+    data: {
+      state_code: 'TX',
+      overall_status: 'complete',
+      higher_education_data: {
+        baseline_comparison: {
+          pell_grants: {
+            changes: {
+              available: true,
+              current_pell_rate: 37.5,
+              pell_rate_change_pct: -25,
+              trend: 'decreasing',
+            },
+          },
+          student_debt: {
+            changes: {
+              available: true,
+              current_median_debt: 27500,
+              debt_burden: 'increasing',
+              repayment_trend: 'worsening',
+            },
+          },
+        },
+      },
+      impact_summary: { key_findings: ['Pell Grant participation fell 25% since baseline'] },
+    },
+    insights: ['pell_grant_context', 'trend_matches_claim', 'student_debt_context', 'data_lag', 'higher_ed_finding'],
+    flags: ['student_debt_burden_rising'],
+    unavailable: null,
+  },
+
+  dot: {
+    story: story('infrastructure', 'The bridge on my commute is crumbling', 'Roads are full of potholes and the bus was cut.'),
+    data: {
+      stateName: 'Texas',
+      bridges: { total: 55000, structurallyDeficient: 800, deficientPercentage: 1.5, averageAge: 38 },
+      roads: { averageCondition: 'Fair', poorPercentage: 14 },
+      transit: { systems: 60, ridersPerYear: 280000000 },
+      funding: { federalAnnual: 5200000000 },
+    },
+    insights: ['state_infrastructure_context', 'bridge_context', 'road_context', 'transit_context'],
+  },
+
+  eia: {
+    story: story('energy', 'Electric bills doubled this summer', 'Our electric bill is $240 a month and utility and gasoline costs are crushing us.'),
+    data: {
+      stateName: 'Texas',
+      typicalHouseholdCosts: { totalMonthlyEnergy: 410, monthlyElectricity: 180, monthlyNaturalGas: 45, monthlyGasoline: 185 },
+      electricity: { prices: { residential: 14.2 } },
+      naturalGas: { prices: { residential: 15.1 } },
+      gasoline: { price: 2.95 },
+      baselines: [{
+        energyType: 'electricity',
+        label: 'Residential electricity',
+        unit: '¢/kWh',
+        area: { code: 'TX', name: 'Texas' },
+        baselinePeriod: '2025-01',
+        currentPeriod: '2025-08',
+        currentValue: 16.1,
+        percentChange: 7.3,
+        yearOverYear: { current: { percentChange: 5.2 }, atBaseline: null },
+        national: { percentChange: 4.8 },
+      }],
+    },
+    insights: ['state_energy_context', 'electricity_context', 'gasoline_context', 'price_baseline'],
+  },
+
+  energy_burden: {
+    story: story('energy', 'Utility bills are eating my paycheck', 'My electric bill now takes 7% of our income.'),
+    data: {
+      zip: '78701',
+      state: 'TX',
+      stateName: 'Texas',
+      baselineDate: '2025-01-01',
+      medianHouseholdIncome: 30000,
+      baseline: { burden: 6.1, annualCost: 1830, monthlyCost: 152.5 },
+      current: { burden: 6.8, annualCost: 2040, monthlyCost: 170 },
+      change: { annualCost: 210, percentChange: 11.5, burdenPoints: 0.7 },
+      highBurden: true,
+    },
+    insights: ['energy_burden', 'high_energy_burden'],
+    unavailable: outage,
+  },
+
+  fec: {
+    story: story('campaign-finance', 'Jane Doe took PAC money', 'Jane Doe received $2 million in 2024 from Texans for Progress.'),
+    data: {
+      candidates: { results: [{ name: 'Jane Doe', state: 'TX', party: 'DEM', office: 'H' }], count: 1 },
+      committees: { results: [{ name: 'Texans for Progress', committee_type: 'Q' }], count: 1 },
+      contributions: { results: [{ contribution_receipt_amount: 2500 }], count: 1 },
+      state: 'TX',
+    },
+    insights: ['candidate_match', 'committee_match', 'contributions', 'geographic_match'],
+    // State candidates and contributions count as context even when no one is named
+    unrelatedConfidence: 70,
+  },
+
+  fema: {
+    story: story('emergency', 'Still waiting on flood relief', 'The hurricane flooded our home and FEMA disaster aid has not arrived.'),
+    data: {
+      stateName: 'Texas',
+      summary: {
+        totalDisasters: 42,
+        mostCommonDisasterType: 'Hurricane',
+        housingAssistanceRecipients: 150000,
+        totalAssistanceAmount: 900000000,
+      },
+      disasters: {
+        disasterTypes: { Hurricane: 18, Flood: 12 },
+        recentDeclarations: [],
+        yearCounts: { 2024: 5 },
+      },
+    },
+    insights: ['state_disaster_context', 'disaster_type_match', 'assistance_context', 'assistance_issue'],
+    flags: ['assistance_delay_or_denial_mentioned'],
+  },
+
+  fred: {
+    story: story('economy', 'Inflation is eating my paycheck', 'Inflation and interest rates have made my mortgage unaffordable, and the unemployment rate went up 2% this year.'),
+    data: {
+      observations: [{ date: '2025-06-01', value: '4.2' }, { date: '2025-01-01', value: '4.0' }],
+      count: 2,
+      seriesId: 'CPIAUCSL',
+    },
+    insights: ['economic_data_available', 'inflation_mention', 'interest_rate_mention'],
+    unavailable: outage,
+  },
+
+  hrsa: {
+    story: story('healthcare', 'Our health center closed', 'The nearest clinic is now an hour away and the wait for an appointment is months.'),
+    data: {
+      success: true,
+      location: { stateCode: 'TX', zipCode: '78701' },
+      analysis: {
+        healthCenters: { count: 3 },
+        shortageAreas: { count: 5 },
+        nhscProviders: { count: 12 },
+        ryanWhiteSites: { count: 2 },
+        vulnerability: { riskLevel: 'HIGH', riskScore: 72, project2025Impact: 'Funding cuts threaten 3 health centers' },
+      },
+    },
+    insights: ['healthcare_access_context', 'access_risk_confirmed', 'shortage_area_context'],
+    flags: ['access_reduction_claimed'],
+    unavailable: { success: false, error: 'Upstream unavailable' },
+  },
+
+  hud: {
+    story: story('housing', 'Rent is more than half my paycheck', 'Our landlord raised the rent from $1,600 to $1,900 a month and we may face eviction.'),
+    data: {
+      stateName: 'Texas',
+      affordabilityMetrics: {
+        medianAnnualIncome: 60000,
+        medianMonthlyIncome: 5000,
+        fairMarketRent2BR: 1800,
+        affordableMonthlyRent: 1500,
+        rentBurdenRatio: 36,
+      },
+      fairMarketRents: { fmrRates: { efficiency: 1100, oneBedroom: 1300, twoBedroom: 1800, threeBedroom: 2300 } },
+      incomeLimits: { incomeLimits: { veryLow: 40000 } },
+    },
+    insights: ['state_housing_context', 'rent_context', 'eviction_context'],
+  },
+
+  ncdc: {
+    story: story('environment', 'Record heat and drought', 'The heat this summer was extreme and the drought killed our crops.'),
+    data: {
+      stateName: 'Texas',
+      temperature: { annual: 68.4, daysAbove90: 110 },
+      precipitation: { annual: 28.9 },
+      severeWeather: { events: 140 },
+      trends: { temperatureTrend: '+2.1°F since 1970', precipitationTrend: '-4%' },
+    },
+    insights: ['state_climate_context', 'temperature_context', 'precipitation_context', 'extreme_weather_context'],
+  },
+
+  treasury: {
+    story: story('budget', 'The national debt keeps increasing', 'The federal debt and deficit keep increasing every year.'),
+    data: {
+      debt: {
+        data: {
+          latest: { formattedTotal: '$36.2T', date: '2025-06-30' },
+          historicalTrend: { debtGrowthPercent: 4.2, debtGrowthFormatted: '+4.2%' },
+        },
+      },
+      cash: { data: { latest: { formattedBalance: '$750B' } } },
+      revenue: { data: { summary: { formattedCurrent: '$4.9T', yearOverYearChange: 2.1, formattedChange: '+2.1%' } } },
+    },
+    insights: ['debt_data_available', 'debt_trend', 'trend_matches_claim'],
+  },
+
+  usaspending: {
+    story: story('federal-spending', 'Where did the grant money go?', 'Federal grant and contract spending in our state was cut.'),
+    data: {
+      stateName: 'Texas',
+      fiscalYear: 2025,
+      totalAwards: 95000000000,
+      totalContracts: 40000000000,
+      totalGrants: 50000000000,
+    },
+    insights: ['state_spending_context', 'contracts_context', 'grants_context'],
+    unavailable: outage,
+  },
+
+  usda: {
+    story: story('agriculture', 'SNAP cut left us hungry', 'Our SNAP food assistance was cut and farm payment subsidy checks stopped.'),
+    data: {
+      foodAssistance: { programs: { SNAP: { changes: { available: true, percentChange: -12 } } } },
+      farmEconomics: { governmentPayments: { changes: { available: true, percentChange: -30 } } },
+      ruralEmployment: { employment: { changes: { available: false } } },
+    },
+    insights: ['food_assistance_data_available', 'trend_matches_claim', 'farm_economics_data_available', 'subsidy_trend_matches'],
+    unavailable: { foodAssistance: outage, farmEconomics: outage, ruralEmployment: outage },
+  },
+
+  va: {
+    story: story('veterans', 'My VA clinic closed', 'The va clinic closed and now every appointment means a long wait.'),
+    data: {
+      facilities: { currentData: { closed: 2 } },
+      forms: { currentVersion: { lastRevisionDate: '2025-03-01' } },
+    },
+    insights: ['facility_data_available', 'facility_closures_confirmed', 'facility_access_verifiable'],
+    unavailable: { facilities: outage, forms: outage },
+  },
+
+  'fbi-crime': {
+    story: story('criminal-justice', 'Violent crime is rising downtown', 'An assault on our block and a burglary next door - crime is rising.'),
+    data: { data: [{ violent_crime: 400 }], state: 'TX', year: 2023 },
+    insights: ['crime_data_available', 'violent_crime_mention', 'property_crime_mention', 'trend_claim'],
+    flags: ['crime_increase_claimed'],
+    unavailable: outage,
+  },
+};
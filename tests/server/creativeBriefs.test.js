@@ -0,0 +1,50 @@
+/**
+ * Creative brief jobs: a story gets one brief, so asking again returns the
+ * queued, running or completed job instead of paying for another AI call
+ * (job queue in memory)
+ */
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { JOB_STATUS, getJob, processDueJobs, registerJobHandler } from '../../server/jobQueue.js';
+import { JOB_TYPES, enqueueCreativeBrief } from '../../server/storySubmission.js';
+
+const generate = vi.fn(async job => ({ brief: `# CREATIVE BRIEF for ${job.storyId}` }));
+
+beforeEach(() => {
+  generate.mockClear();
+  registerJobHandler(JOB_TYPES.CREATIVE_BRIEF, generate);
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('enqueueCreativeBrief', () => {
+  it('generates one brief per story however often it is requested', async () => {
+    const first = await enqueueCreativeBrief('CS-2025-000001');
+    expect(await enqueueCreativeBrief('CS-2025-000001')).toMatchObject({ id: first.id });
+
+    await processDueJobs();
+    const again = await enqueueCreativeBrief('CS-2025-000001');
+    expect(again).toMatchObject({ id: first.id, status: JOB_STATUS.COMPLETED });
+    expect(again.result.brief).toBe('# CREATIVE BRIEF for CS-2025-000001');
+    expect(generate).toHaveBeenCalledTimes(1);
+  });
+
+  it('generates a new brief once the last one was dead-lettered', async () => {
+    generate.mockRejectedValue(new Error('AI unavailable'));
+    const failed = await enqueueCreativeBrief('CS-2025-000002');
+    expect(failed.maxAttempts).toBe(3);
+
+    // Skip the backoff between attempts
+    vi.useFakeTimers({ toFake: ['Date'] });
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await processDueJobs();
+      vi.setSystemTime(Date.now() + 60 * 60 * 1000);
+    }
+    vi.useRealTimers();
+    expect((await getJob(failed.id)).status).toBe(JOB_STATUS.DEAD);
+
+    const retried = await enqueueCreativeBrief('CS-2025-000002');
+    expect(retried.id).not.toBe(failed.id);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * District backfill: stories get the district the crosswalk gives their ZIP,
+ * including ZIPs only in the full crosswalk file, and stories whose ZIP it
+ * doesn't cover keep what they have
+ */
+
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const stories = new Map();
+
+vi.mock('../../server/supabaseAdmin.js', () => ({
+  getSupabaseAdmin: () => ({}),
+  listStoriesForDistrictBackfill: async ({ afterId, limit }) => [...stories.values()]
+    .filter(story => !afterId || story.id > afterId)
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .slice(0, limit),
+  updateStoryRecord: vi.fn(async (storyId, updates) => {
+    const story = stories.get(storyId);
+    story.location = { ...story.location, ...updates.location };
+  }),
+}));
+
+const { updateStoryRecord } = await import('../../server/supabaseAdmin.js');
+const { runDistrictBackfill } = await import('../../server/districtBackfill.js');
+const { loadZipCrosswalkFile } = await import('../../server/zipCrosswalkFile.js');
+
+// Stand-in crosswalk file with a ZIP split between two districts
+const CROSSWALK_FILE_CONTENTS = {
+  vintage: { congress: 119, cbsaDelineation: '2023' },
+  zips: {
+    '78758': { city: 'Austin', state: 'TX', counties: [['48453', 1]], cbsa: '12420', districts: [['4837', 0.35], ['4810', 0.65]] },
+  },
+  counties: { '48453': 'Travis County' },
+  cbsas: {},
+};
+
+let directory;
+
+function addStory(id, location) {
+  stories.set(id, { id, location: { state: 'TX', ...location } });
+}
+
+beforeEach(async () => {
+  stories.clear();
+  updateStoryRecord.mockClear();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  directory = await mkdtemp(path.join(tmpdir(), 'zip-crosswalk-'));
+});
+
+afterEach(async () => {
+  delete process.env.ZIP_CROSSWALK_FILE;
+  vi.restoreAllMocks();
+  await rm(directory, { recursive: true, force: true });
+});
+
+describe('runDistrictBackfill', () => {
+  it('does not overwrite a story with Unknown when its ZIP is not in the crosswalk', async () => {
+    addStory('story-a', { zip: '78701' });
+    addStory('story-b', { zip: '75001', district: 'TX-24', districtCongress: 118, districtMethod: 'zip' });
+
+    expect(await runDistrictBackfill()).toEqual({ checked: 2, updated: 1, unresolved: 1 });
+    expect(stories.get('story-a').location).toMatchObject({ district: 'TX-37', districtMethod: 'zip', districtConfidence: 1 });
+    expect(stories.get('story-b').location).toEqual({ state: 'TX', zip: '75001', district: 'TX-24', districtCongress: 118, districtMethod: 'zip' });
+    expect(updateStoryRecord).toHaveBeenCalledTimes(1);
+  });
+
+  it('resolves split ZIPs from the crosswalk file to their largest district', async () => {
+    addStory('story-c', { zip: '78758' });
+    expect(await runDistrictBackfill()).toMatchObject({ updated: 0, unresolved: 1 });
+
+    const file = path.join(directory, 'zip-crosswalk.json');
+    await writeFile(file, JSON.stringify(CROSSWALK_FILE_CONTENTS));
+    process.env.ZIP_CROSSWALK_FILE = file;
+    expect(await loadZipCrosswalkFile()).toEqual({ loaded: true, zips: 1 });
+
+    expect(await runDistrictBackfill()).toMatchObject({ updated: 1, unresolved: 0 });
+    expect(stories.get('story-c').location).toMatchObject({
+      district: 'TX-10',
+      districtConfidence: 0.65,
+      districtCandidates: [{ district: 'TX-10', share: 0.65 }, { district: 'TX-37', share: 0.35 }],
+    });
+  });
+});
+
+describe('loadZipCrosswalkFile', () => {
+  it('reports the seed table when no file is configured', async () => {
+    expect(await loadZipCrosswalkFile()).toMatchObject({ loaded: false });
+  });
+
+  it('rejects a file that is not a crosswalk', async () => {
+    const file = path.join(directory, 'not-a-crosswalk.json');
+    await writeFile(file, JSON.stringify({ '78701': {} }));
+    process.env.ZIP_CROSSWALK_FILE = file;
+
+    await expect(loadZipCrosswalkFile()).rejects.toThrow(/no zips table/);
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Job queue: retries with backoff, dead-lettering and retry from the
+ * dead-letter, and workers in separate processes sharing the story_jobs table
+ * (two copies of the module on one stand-in Supabase client) - only one
+ * claims a job, a job that is still heartbeating is left alone, and a job
+ * whose worker stopped is requeued
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// story_jobs rows, shared by every copy of the job queue
+const rows = new Map();
+
+/**
+ * Stand-in for the Supabase query builder, covering the calls jobQueue.js makes
+ */
+function from() {
+  let operation = 'select';
+  let values = null;
+  let order = null;
+  let limit = Infinity;
+  const filters = [];
+
+  const run = async () => {
+    if (operation === 'insert') {
+      const now = new Date().toISOString();
+      const inserted = values.map(row => ({
+        result: null, last_error: null, started_at: null, worker_id: null,
+        heartbeat_at: null, completed_at: null, created_at: now, updated_at: now, ...row,
+      }));
+      for (const row of inserted) rows.set(row.id, row);
+      return { data: inserted.map(row => ({ ...row })), error: null };
+    }
+
+    let matched = [...rows.values()].filter(row => filters.every(filter => filter(row)));
+    if (operation === 'update') {
+      for (const row of matched) Object.assign(row, values, { updated_at: new Date().toISOString() });
+    }
+    if (order) {
+      matched.sort((a, b) => (order.ascending ? 1 : -1) * a[order.column].localeCompare(b[order.column]));
+    }
+    matched = matched.slice(0, limit);
+    return { data: matched.map(row => ({ ...row })), error: null };
+  };
+
+  const builder = {
+    select: () => builder,
+    insert: (list) => { operation = 'insert'; values = list; return builder; },
+    update: (updates) => { operation = 'update'; values = updates; return builder; },
+    eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+    is: (column, value) => { filters.push(row => row[column] === value); return builder; },
+    in: (column, list) => { filters.push(row => list.includes(row[column])); return builder; },
+    lte: (column, value) => { filters.push(row => row[column] !== null && row[column] <= value); return builder; },
+    or: (expression) => {
+      const alternatives = expression.split(',').map((part) => {
+        const [, column, operator, raw] = part.match(/^(\w+)\.(is|lte)\.(.*)$/);
+        const value = raw === 'null' ? null : raw.replace(/^"|"$/g, '');
+        return operator === 'is'
+          ? row => row[column] === value
+          : row => row[column] !== null && row[column] <= value;
+      });
+      filters.push(row => alternatives.some(matches => matches(row)));
+      return builder;
+    },
+    order: (column, { ascending }) => { order = { column, ascending }; return builder; },
+    limit: (count) => { limit = count; return builder; },
+    single: async () => { const { data } = await run(); return { data: data[0], error: null }; },
+    maybeSingle: async () => { const { data } = await run(); return { data: data[0] ?? null, error: null }; },
+    then: (resolve, reject) => run().then(resolve, reject),
+  };
+  return builder;
+}
+
+vi.mock('../../server/supabaseAdmin.js', () => ({
+  getSupabaseAdmin: () => ({ from }),
+}));
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Load a fresh copy of the job queue, as another server process would
+ */
+async function startWorker(handler) {
+  vi.resetModules();
+  const queue = await import('../../server/jobQueue.js');
+  queue.registerJobHandler('test', handler);
+  return queue;
+}
+
+/**
+ * A handler that waits until the test lets it finish
+ */
+function blockingHandler(result) {
+  let finish;
+  const finished = new Promise(resolve => { finish = resolve; });
+  const handler = vi.fn(async () => {
+    await finished;
+    return result;
+  });
+  return { handler, finish };
+}
+
+beforeEach(() => {
+  rows.clear();
+  vi.useFakeTimers({ now: new Date('2026-03-01T12:00:00Z') });
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('getRetryDelay', () => {
+  it('doubles from 30 seconds up to 30 minutes', async () => {
+    const { getRetryDelay } = await startWorker(vi.fn());
+
+    expect([1, 2, 3, 4].map(getRetryDelay)).toEqual([30 * 1000, MINUTE_MS, 2 * MINUTE_MS, 4 * MINUTE_MS]);
+    expect(getRetryDelay(20)).toBe(30 * MINUTE_MS);
+  });
+});
+
+describe('retries', () => {
+  it('retries a failed job once its backoff has passed', async () => {
+    const handler = vi.fn()
+      .mockRejectedValueOnce(new Error('Upstream timeout'))
+      .mockResolvedValueOnce({ ok: true });
+    const queue = await startWorker(handler);
+    const { id } = await queue.enqueueJob('test', { storyId: 'story-1' });
+
+    expect(await queue.processDueJobs()).toBe(1);
+    expect(await queue.getJob(id)).toMatchObject({
+      status: queue.JOB_STATUS.QUEUED,
+      attempts: 1,
+      lastError: 'Upstream timeout',
+      runAt: new Date(Date.now() + 30 * 1000).toISOString(),
+    });
+
+    expect(await queue.processDueJobs()).toBe(0);
+
+    vi.setSystemTime(Date.now() + 30 * 1000);
+    expect(await queue.processDueJobs()).toBe(1);
+    expect(await queue.getJob(id)).toMatchObject({
+      status: queue.JOB_STATUS.COMPLETED,
+      attempts: 2,
+      lastError: null,
+      result: { ok: true },
+    });
+  });
+
+  it('dead-letters a job after maxAttempts and retries it from the dead-letter', async () => {
+    const handler = vi.fn().mockRejectedValue(new Error('Bad payload'));
+    const queue = await startWorker(handler);
+    const { id } = await queue.enqueueJob('test', { storyId: 'story-1', maxAttempts: 2 });
+
+    expect(await queue.retryJob(id)).toBeNull();
+
+    await queue.processDueJobs();
+    vi.setSystemTime(Date.now() + queue.getRetryDelay(1));
+    await queue.processDueJobs();
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(await queue.getJob(id)).toMatchObject({ status: queue.JOB_STATUS.DEAD, attempts: 2, lastError: 'Bad payload' });
+
+    vi.setSystemTime(Date.now() + 24 * 60 * MINUTE_MS);
+    expect(await queue.processDueJobs()).toBe(0);
+
+    handler.mockResolvedValueOnce({ ok: true });
+    expect(await queue.retryJob(id)).toMatchObject({ status: queue.JOB_STATUS.QUEUED, attempts: 0, lastError: null });
+    expect(await queue.processDueJobs()).toBe(1);
+    expect(await queue.getJob(id)).toMatchObject({ status: queue.JOB_STATUS.COMPLETED, attempts: 1 });
+  });
+});
+
+describe('workers sharing the queue', () => {
+  it('lets only one worker claim a job', async () => {
+    const first = vi.fn(async () => 'first');
+    const second = vi.fn(async () => 'second');
+    const firstWorker = await startWorker(first);
+    const secondWorker = await startWorker(second);
+    const { id } = await firstWorker.enqueueJob('test', { storyId: 'story-1' });
+
+    const processed = await Promise.all([firstWorker.processDueJobs(), secondWorker.processDueJobs()]);
+
+    expect(processed.reduce((sum, count) => sum + count, 0)).toBe(1);
+    expect(first.mock.calls.length + second.mock.calls.length).toBe(1);
+    expect(await firstWorker.getJob(id)).toMatchObject({ status: firstWorker.JOB_STATUS.COMPLETED, attempts: 1 });
+  });
+
+  it('leaves a long-running job alone while its worker sends heartbeats', async () => {
+    const { handler, finish } = blockingHandler('done');
+    const other = vi.fn();
+    const firstWorker = await startWorker(handler);
+    const secondWorker = await startWorker(other);
+    const { id } = await firstWorker.enqueueJob('test', { storyId: 'story-1' });
+
+    const running = firstWorker.processDueJobs();
+    await vi.advanceTimersByTimeAsync(30 * MINUTE_MS);
+
+    expect(await secondWorker.processDueJobs()).toBe(0);
+    expect(other).not.toHaveBeenCalled();
+    expect(await secondWorker.getJob(id)).toMatchObject({ status: secondWorker.JOB_STATUS.RUNNING, attempts: 1 });
+
+    finish();
+    expect(await running).toBe(1);
+    expect(await firstWorker.getJob(id)).toMatchObject({ status: firstWorker.JOB_STATUS.COMPLETED, result: 'done' });
+  });
+
+  it('requeues a job whose worker stopped and ignores that worker if it comes back', async () => {
+    const { handler, finish } = blockingHandler('stalled');
+    const firstWorker = await startWorker(handler);
+    const secondWorker = await startWorker(vi.fn(async () => 'recovered'));
+    const { id } = await firstWorker.enqueueJob('test', { storyId: 'story-1' });
+
+    const running = firstWorker.processDueJobs();
+    await vi.advanceTimersByTimeAsync(MINUTE_MS);
+
+    // The first worker's process stalls: time passes without its heartbeat firing
+    vi.setSystemTime(Date.now() + 5 * MINUTE_MS);
+    expect(await secondWorker.processDueJobs()).toBe(1);
+    expect(await secondWorker.getJob(id)).toMatchObject({
+      status: secondWorker.JOB_STATUS.COMPLETED,
+      attempts: 2,
+      result: 'recovered',
+    });
+
+    finish();
+    await running;
+    expect(await firstWorker.getJob(id)).toMatchObject({ status: firstWorker.JOB_STATUS.COMPLETED, result: 'recovered' });
+  });
+});
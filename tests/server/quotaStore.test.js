@@ -0,0 +1,61 @@
+/**
+ * File quota store: stores opened on the same usage file (as separate server
+ * processes would) never hand out more than the quota between them
+ */
+
+import { mkdtemp, readFile, rm, utimes, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createQuotaStore } from '../../server/quotaStore.js';
+
+let directory;
+let file;
+
+beforeEach(async () => {
+  directory = await mkdtemp(path.join(tmpdir(), 'quota-store-'));
+  file = path.join(directory, 'usage.json');
+  process.env.QUOTA_USAGE_FILE = file;
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  delete process.env.QUOTA_USAGE_FILE;
+  vi.restoreAllMocks();
+  await rm(directory, { recursive: true, force: true });
+});
+
+describe('file quota store', () => {
+  const windowStart = Date.now();
+
+  it('shares one quota between stores on the same file', async () => {
+    const first = createQuotaStore();
+    const second = createQuotaStore();
+
+    const results = await Promise.all(Array.from({ length: 10 }, (_, index) => (
+      (index % 2 ? first : second).consume('fred', windowStart, 1, 6)
+    )));
+
+    expect(results.filter(result => result.allowed)).toHaveLength(6);
+    expect(await first.getUsage('fred', windowStart)).toBe(6);
+    expect(await second.getUsage('fred', windowStart)).toBe(6);
+    expect(JSON.parse(await readFile(file, 'utf8'))).toEqual({ [`fred|${windowStart}`]: 6 });
+  });
+
+  it('sees usage another process wrote after it started', async () => {
+    const store = createQuotaStore();
+    await store.consume('fred', windowStart, 1, 5);
+
+    await writeFile(file, JSON.stringify({ [`fred|${windowStart}`]: 5 }));
+
+    expect(await store.consume('fred', windowStart, 1, 5)).toEqual({ allowed: false, count: 5 });
+  });
+
+  it('takes over a lock left by a process that died holding it', async () => {
+    await writeFile(`${file}.lock`, '');
+    const stale = new Date(Date.now() - 60 * 1000);
+    await utimes(`${file}.lock`, stale, stale);
+
+    expect(await createQuotaStore().consume('fred', windowStart, 1, 5)).toEqual({ allowed: true, count: 1 });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Re-verification sweep: every due story gets checked in turn, even when
+ * more are due than fit in one batch and most are skipped, with the story
+ * table and job queue held in memory
+ */
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const stories = new Map();
+
+vi.mock('../../server/supabaseAdmin.js', () => ({
+  getSupabaseAdmin: () => ({}),
+  getStory: async (storyId) => stories.get(storyId) || null,
+  updateStoryRecord: vi.fn(),
+  insertScoreHistory: vi.fn(),
+  insertVerificationRecord: vi.fn(),
+  // Same filter and order as the Supabase query
+  listStoriesForReverification: async ({ verifiedBefore, limit }) => [...stories.values()]
+    .filter(story => !story.lastVerifiedAt || story.lastVerifiedAt <= verifiedBefore)
+    .sort((a, b) => (a.lastCheckedAt || '').localeCompare(b.lastCheckedAt || '')
+      || (a.lastVerifiedAt || '').localeCompare(b.lastVerifiedAt || ''))
+    .slice(0, limit),
+  markStoriesChecked: async (storyIds, checkedAt) => {
+    for (const id of storyIds) stories.get(id).lastCheckedAt = checkedAt;
+  },
+}));
+
+vi.mock('../../server/jobQueue.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  enqueueJob: vi.fn(async (type, { storyId }) => ({ type, storyId })),
+}));
+
+const { enqueueJob } = await import('../../server/jobQueue.js');
+const { runReverificationSweep } = await import('../../server/reverification.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addStory(id, { verifiedDaysAgo, vintages }) {
+  stories.set(id, {
+    id,
+    location: { state: 'TX', zip: '78701' },
+    verificationVintages: vintages,
+    lastVerifiedAt: new Date(Date.now() - verifiedDaysAgo * DAY_MS).toISOString(),
+    lastCheckedAt: null,
+  });
+}
+
+beforeEach(() => {
+  stories.clear();
+  enqueueJob.mockClear();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('runReverificationSweep', () => {
+  it('moves on to unchecked stories when the oldest batch is skipped', async () => {
+    // 250 stories verified against a source that is no longer registered - nothing to queue
+    for (let i = 0; i < 250; i++) {
+      addStory(`skipped-${String(i).padStart(3, '0')}`, { verifiedDaysAgo: 20 - i / 100, vintages: { retired: '2024' } });
+    }
+
+    expect(await runReverificationSweep()).toEqual({ checked: 200, queued: 0 });
+    const unchecked = [...stories.values()].filter(story => !story.lastCheckedAt).map(story => story.id);
+    expect(unchecked).toHaveLength(50);
+
+    vi.spyOn(Date, 'now').mockReturnValue(Date.now() + DAY_MS);
+    const second = await runReverificationSweep();
+    vi.mocked(Date.now).mockRestore();
+
+    expect(second.checked).toBe(200);
+    expect([...stories.values()].every(story => story.lastCheckedAt)).toBe(true);
+  });
+
+  it('still queues overdue stories found in a later batch', async () => {
+    for (let i = 0; i < 200; i++) {
+      addStory(`skipped-${i}`, { verifiedDaysAgo: 40, vintages: { retired: '2024' } });
+    }
+    // No vintage-aware sources and verified long ago, but newer than the skipped batch
+    addStory('overdue', { verifiedDaysAgo: 35, vintages: {} });
+
+    expect(await runReverificationSweep()).toEqual({ checked: 200, queued: 0 });
+
+    vi.spyOn(Date, 'now').mockReturnValue(Date.now() + DAY_MS);
+    expect(await runReverificationSweep()).toMatchObject({ queued: 1 });
+    vi.mocked(Date.now).mockRestore();
+
+    expect(enqueueJob).toHaveBeenCalledWith('verify_story', expect.objectContaining({
+      storyId: 'overdue',
+      payload: { reason: 'scheduled', refreshedSources: [] },
+    }));
+  });
+});
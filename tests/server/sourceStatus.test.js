@@ -0,0 +1,64 @@
+/**
+ * Data source status: how probe results and recorded request outcomes map
+ * to up / degraded / down, using stand-in probes rather than federal APIs
+ */
+
+import { describe, expect, it } from 'vitest';
+import { SOURCE_STATUS, classifyProbe, probeSource } from '../../server/sourceStatus.js';
+import { markSynthetic } from '../../src/services/provenance.js';
+
+const healthy = { lastSuccessAt: null, lastFailureAt: null, lastLatencyMs: null };
+const probe = { failure: null, synthetic: false, quotaLimited: false, fromCache: false, latencyMs: 200 };
+
+describe('classifyProbe', () => {
+  it('reports a fast live response as up', () => {
+    expect(classifyProbe(probe, healthy)).toEqual({ status: SOURCE_STATUS.UP, note: null });
+  });
+
+  it('reports a failed probe as down', () => {
+    const failure = { errorType: 'unauthorized', message: 'API key rejected' };
+    expect(classifyProbe({ ...probe, failure }, healthy)).toEqual({ status: SOURCE_STATUS.DOWN, note: 'API key rejected' });
+  });
+
+  it('reports quota exhaustion, estimates and slow responses as degraded', () => {
+    const failure = { errorType: 'quota_exhausted' };
+    expect(classifyProbe({ ...probe, failure, quotaLimited: true }, healthy).status).toBe(SOURCE_STATUS.DEGRADED);
+    expect(classifyProbe({ ...probe, synthetic: true, syntheticReason: 'No API key' }, healthy))
+      .toEqual({ status: SOURCE_STATUS.DEGRADED, note: 'Serving estimated data: No API key' });
+    expect(classifyProbe({ ...probe, latencyMs: 15000 }, healthy).status).toBe(SOURCE_STATUS.DEGRADED);
+  });
+
+  it('reports cached data as degraded only when the last live request failed', () => {
+    const failedLast = { ...healthy, lastSuccessAt: '2025-01-01T00:00:00.000Z', lastFailureAt: '2025-01-02T00:00:00.000Z' };
+    const succeededLast = { ...healthy, lastSuccessAt: '2025-01-02T00:00:00.000Z', lastFailureAt: '2025-01-01T00:00:00.000Z' };
+
+    expect(classifyProbe({ ...probe, fromCache: true }, failedLast).status).toBe(SOURCE_STATUS.DEGRADED);
+    expect(classifyProbe({ ...probe, fromCache: true }, succeededLast).status).toBe(SOURCE_STATUS.UP);
+  });
+});
+
+describe('probeSource', () => {
+  const source = overrides => ({ id: 'test-probe', name: 'Test Probe', ...overrides });
+
+  it('reads failures from service error objects and thrown errors', async () => {
+    const reported = await probeSource(source({
+      probe: async () => ({ error: true, errorType: 'rate_limited', errorMessage: 'Too many requests' }),
+    }));
+    expect(reported).toMatchObject({ status: 'down', errorType: 'rate_limited', note: 'Too many requests' });
+
+    const thrown = await probeSource(source({ probe: async () => { throw new Error('boom'); } }));
+    expect(thrown).toMatchObject({ status: 'down', note: 'boom' });
+  });
+
+  it('reports a source serving estimates as degraded', async () => {
+    const result = await probeSource(source({
+      probe: async () => markSynthetic({ value: 1 }, 'Test Probe', 'API not integrated'),
+    }));
+    expect(result).toMatchObject({ status: 'degraded', errorType: null, note: 'Serving estimated data: API not integrated' });
+  });
+
+  it('reports a healthy source as up with its latency', async () => {
+    const result = await probeSource(source({ probe: async () => ({ value: 1 }) }));
+    expect(result).toMatchObject({ id: 'test-probe', status: 'up', fromCache: false, latencyMs: expect.any(Number) });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Story context panels: each panel is looked up on its own, failures come
+ * back per panel, and campaign finance is only looked up for election
+ * stories, with the federal APIs stood in for
+ */
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../../src/services/eiaApi.js', () => ({
+  getStateEnergyData: vi.fn(async state => ({ state, electricity: { prices: { residential: 15 } } })),
+  verifyEnergyStory: vi.fn(() => ({ confidence: 80 })),
+}));
+
+vi.mock('../../src/services/ncdcApi.js', () => ({
+  getStateClimateData: vi.fn(async () => ({ error: true, errorType: 'unauthorized', errorMessage: 'NOAA token rejected' })),
+  verifyClimateStory: vi.fn(),
+}));
+
+vi.mock('../../src/services/fecApi.js', () => ({
+  searchCandidates: vi.fn(async () => []),
+  searchCommittees: vi.fn(async () => []),
+  searchContributions: vi.fn(async () => []),
+  verifyCampaignFinanceStory: vi.fn(() => ({ confidence: 60 })),
+}));
+
+const { getStateEnergyData, verifyEnergyStory } = await import('../../src/services/eiaApi.js');
+const { verifyClimateStory } = await import('../../src/services/ncdcApi.js');
+const { searchCandidates } = await import('../../src/services/fecApi.js');
+const { getStoryContext } = await import('../../server/storyContext.js');
+
+const story = {
+  id: 'story-1',
+  headline: 'Power bills doubled',
+  story: 'Our electric bill doubled this winter.',
+  policyArea: 'energy',
+  location: { state: 'TX', zip: '78701' },
+};
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('getStoryContext', () => {
+  it('returns each panel with its own verification', async () => {
+    const panels = await getStoryContext(story);
+
+    expect(getStateEnergyData).toHaveBeenCalledWith('TX');
+    expect(verifyEnergyStory).toHaveBeenCalledWith(story, panels.eia.data);
+    expect(panels.eia).toEqual({
+      data: { state: 'TX', electricity: { prices: { residential: 15 } } },
+      verification: { confidence: 80 },
+    });
+  });
+
+  it('reports a failed lookup on its panel without verifying it', async () => {
+    const panels = await getStoryContext(story);
+
+    expect(panels.ncdc).toEqual({ error: 'NOAA token rejected' });
+    expect(verifyClimateStory).not.toHaveBeenCalled();
+    expect(panels.eia.verification).toEqual({ confidence: 80 });
+  });
+
+  it('only looks up campaign finance for election stories', async () => {
+    expect(await getStoryContext(story)).not.toHaveProperty('fec');
+    expect(searchCandidates).not.toHaveBeenCalled();
+
+    const panels = await getStoryContext({ ...story, policyArea: 'election' });
+    expect(panels.fec).toEqual({
+      data: { candidates: [], committees: [], contributions: [], state: 'TX' },
+      verification: { confidence: 60 },
+    });
+  });
+});
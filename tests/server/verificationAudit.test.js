@@ -0,0 +1,65 @@
+/**
+ * Verification audit trail: what each source returned is stored in the audit
+ * record's raw data and nowhere in what anonymous callers get back
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { verifyStory } from '../../src/services/storyVerification.js';
+import { registerVerifier, unregisterVerifier } from '../../src/services/verifierRegistry.js';
+import { buildVerificationRecord, withoutRawData } from '../../server/verificationAudit.js';
+
+const RAW_MARKER = 'raw-upstream-payload-7f3a';
+
+const story = {
+  id: 'story-1',
+  headline: 'Test headline',
+  story: 'Nothing any real data source would pick up.',
+  policyArea: 'test-area',
+  location: { state: 'TX', zip: '78701' },
+};
+
+const verifiers = [
+  {
+    id: 'test-raw-first',
+    name: 'Test Raw First',
+    policyAreas: ['test-area'],
+    fetch: async () => ({ body: RAW_MARKER, rows: [{ note: RAW_MARKER }] }),
+    verify: () => ({ verified: true, confidence: 80, insights: [{ type: 'test_first', message: 'Supports the story' }], flags: [] }),
+  },
+  {
+    id: 'test-raw-second',
+    name: 'Test Raw Second',
+    policyAreas: ['test-area'],
+    fetch: async () => ({ series: [RAW_MARKER] }),
+    verify: () => ({ verified: true, confidence: 70, insights: [], flags: [] }),
+  },
+];
+
+beforeEach(() => {
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  verifiers.forEach(registerVerifier);
+});
+
+afterEach(() => {
+  verifiers.forEach(verifier => unregisterVerifier(verifier.id));
+  vi.restoreAllMocks();
+});
+
+describe('withoutRawData', () => {
+  it('leaves no raw source payload anywhere in the response', async () => {
+    const verification = await verifyStory(story, { claims: [] });
+    expect(JSON.stringify(verification)).toContain(RAW_MARKER);
+
+    const response = withoutRawData(verification);
+    expect(response.sourceRuns.map(run => run.id).sort()).toEqual(['test-raw-first', 'test-raw-second']);
+    expect(JSON.stringify(response)).not.toContain(RAW_MARKER);
+  });
+
+  it('keeps the raw payloads only in the audit record raw data', async () => {
+    const verification = await verifyStory(story, { claims: [] });
+    const { rawData, ...record } = buildVerificationRecord(story.id, verification, 'manual');
+
+    expect(rawData['test-raw-first']).toMatchObject({ body: RAW_MARKER, rows: [{ note: RAW_MARKER }] });
+    expect(JSON.stringify(record)).not.toContain(RAW_MARKER);
+  });
+});
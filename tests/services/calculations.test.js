@@ -0,0 +1,240 @@
+/**
+ * Baseline-vs-current calculations used by the federal data services
+ */
+
+import { describe, expect, it } from 'vitest';
+import { calculateChanges } from '../../src/services/fbiCrimeApi.js';
+import { calculatePellChanges, calculateDebtChanges } from '../../src/services/deptEducationApi.js';
+import { calculateEconomicChanges as calculateBeaChanges } from '../../src/services/beaApi.js';
+import {
+  calculateAssistanceChanges,
+  calculateEconomicChanges as calculateFarmChanges,
+  calculateEmploymentChanges,
+} from '../../src/services/usdaApi.js';
+import { calculateCoverageChanges } from '../../src/services/newsApi.js';
+import {
+  calculateVictimizationStats,
+  calculateVictimizationChanges,
+} from '../../src/services/bjsNcvsApi.js';
+
+describe('fbiCrimeApi.calculateChanges', () => {
+  it('computes violent and property crime changes in percent', () => {
+    const changes = calculateChanges(
+      { violent_crime: 400, property_crime: 2000 },
+      { violent_crime: 500, property_crime: 1500 }
+    );
+    expect(changes.violent_crime_change).toBeCloseTo(25);
+    expect(changes.property_crime_change).toBeCloseTo(-25);
+  });
+
+  it('reports 0% when the baseline is zero and skips missing metrics', () => {
+    const changes = calculateChanges({ violent_crime: 0 }, { violent_crime: 10 });
+    expect(changes).toEqual({ violent_crime_change: 0 });
+  });
+
+  it('returns no changes without both datasets', () => {
+    expect(calculateChanges(null, { violent_crime: 1 })).toEqual({});
+  });
+});
+
+describe('deptEducationApi.calculatePellChanges', () => {
+  const school = (rate, size) => ({ 'latest.aid.pell_grant_rate': rate, 'latest.student.size': size });
+
+  it('averages Pell rates and estimates recipients', () => {
+    const result = calculatePellChanges(
+      { results: [school(0.4, 1000), school(0.6, 3000), school('NaN', 500)] },
+      { results: [school(0.3, 1000), school(0.45, 3000)] }
+    );
+    expect(result).toEqual({
+      available: true,
+      baseline_pell_rate: 50,
+      current_pell_rate: 37.5,
+      pell_rate_change_pct: -25,
+      high_pell_schools_baseline: 1,
+      high_pell_schools_current: 0,
+      estimated_recipients_baseline: 2250,
+      estimated_recipients_current: 1500,
+      estimated_recipients_change: -750,
+      trend: 'decreasing',
+    });
+  });
+
+  it('treats changes within 5% as stable', () => {
+    const result = calculatePellChanges({ results: [school(0.5, 100)] }, { results: [school(0.51, 100)] });
+    expect(result.trend).toBe('stable');
+  });
+
+  it('is unavailable without usable rates', () => {
+    expect(calculatePellChanges(null, { results: [] })).toEqual({ available: false });
+    expect(calculatePellChanges({ results: [school(0, 10)] }, { results: [school(0.5, 10)] }))
+      .toEqual({ available: false });
+  });
+});
+
+describe('deptEducationApi.calculateDebtChanges', () => {
+  const school = (debt, repayment) => ({
+    'latest.aid.median_debt.completers.overall': debt,
+    'latest.repayment.3_yr_repayment.overall': repayment,
+  });
+
+  it('compares median debt and repayment rates', () => {
+    const result = calculateDebtChanges(
+      { results: [school(20000, 0.6), school(30000, 0.4)] },
+      { results: [school(27500, 0.45)] }
+    );
+    expect(result).toEqual({
+      available: true,
+      baseline_median_debt: 25000,
+      current_median_debt: 27500,
+      debt_change_dollars: 2500,
+      debt_change_pct: 10,
+      baseline_repayment_rate: 50,
+      current_repayment_rate: 45,
+      repayment_trend: 'worsening',
+      debt_burden: 'increasing',
+    });
+  });
+});
+
+describe('beaApi.calculateEconomicChanges', () => {
+  const row = (value, overrides = {}) => ({
+    GeoFips: '48000',
+    GeoName: 'Texas',
+    LineCode: '3',
+    LineDescription: 'Per capita personal income',
+    DataValue: value,
+    ...overrides,
+  });
+
+  it('matches rows by GeoFips and LineCode', () => {
+    const changes = calculateBeaChanges(
+      [row('50000'), row('10', { LineCode: '1' })],
+      [row('55000'), row('20', { LineCode: '2' })]
+    );
+    expect(Object.keys(changes)).toEqual(['Texas_Per capita personal income']);
+    expect(changes['Texas_Per capita personal income']).toMatchObject({
+      baselineValue: 50000,
+      currentValue: 55000,
+      unit: 'dollars',
+    });
+    expect(changes['Texas_Per capita personal income'].percentChange).toBeCloseTo(10);
+  });
+
+  it('skips zero baselines and empty datasets', () => {
+    expect(calculateBeaChanges([row('0')], [row('10')])).toEqual({});
+    expect(calculateBeaChanges([], [row('10')])).toEqual({});
+  });
+});
+
+describe('usdaApi change calculations', () => {
+  const records = (...values) => ({ data: values.map(Value => ({ Value })) });
+
+  it('calculateAssistanceChanges compares the first record', () => {
+    expect(calculateAssistanceChanges(records('1000', '9999'), records('1200'))).toEqual({
+      available: true,
+      baselineValue: 1000,
+      currentValue: 1200,
+      absoluteChange: 200,
+      percentChange: 20,
+      trend: 'increasing',
+    });
+  });
+
+  it('calculateEconomicChanges totals every record', () => {
+    expect(calculateFarmChanges(records('100', '200', 'n/a'), records('150', '120'))).toEqual({
+      available: true,
+      baselineTotal: 300,
+      currentTotal: 270,
+      absoluteChange: -30,
+      percentChange: -10,
+      trend: 'decreasing',
+    });
+  });
+
+  it('calculateEmploymentChanges classifies the jobs impact', () => {
+    expect(calculateEmploymentChanges(records('200'), records('190'))).toMatchObject({
+      percentChange: -5,
+      jobsImpact: 'negative',
+    });
+    expect(calculateEmploymentChanges(records('200'), records('200')).jobsImpact).toBe('neutral');
+  });
+
+  it('is unavailable when either side is an error object', () => {
+    const error = { error: true, errorType: 'timeout' };
+    expect(calculateAssistanceChanges(error, records('1'))).toEqual({ available: false });
+    expect(calculateFarmChanges(records('1'), error)).toEqual({ available: false });
+    expect(calculateEmploymentChanges(records(), records('1'))).toEqual({ available: false });
+  });
+});
+
+describe('newsApi.calculateCoverageChanges', () => {
+  const coverage = (totalResults, ...sources) => ({
+    totalResults,
+    articles: sources.map(name => ({ source: { name } })),
+  });
+
+  it('normalizes article counts per day and tracks sources', () => {
+    const result = calculateCoverageChanges(coverage(30, 'AP', 'Reuters'), coverage(30, 'AP', 'Local 4'), 30, 15);
+    expect(result).toEqual({
+      available: true,
+      coverageChangePct: 100,
+      beforeDailyAvg: 1,
+      afterDailyAvg: 2,
+      totalBefore: 30,
+      totalAfter: 30,
+      newSources: ['Local 4'],
+      disappearedSources: ['Reuters'],
+      coverageTrend: 'increasing',
+    });
+  });
+
+  it('treats new coverage after none as +100%', () => {
+    expect(calculateCoverageChanges(coverage(0), coverage(5), 30, 30).coverageChangePct).toBe(100);
+  });
+
+  it('uses a ±20% band for the trend', () => {
+    expect(calculateCoverageChanges(coverage(100), coverage(85), 10, 10).coverageTrend).toBe('stable');
+    expect(calculateCoverageChanges(coverage(100), coverage(70), 10, 10).coverageTrend).toBe('decreasing');
+  });
+
+  it('is unavailable when a search failed', () => {
+    expect(calculateCoverageChanges({ error: true }, coverage(1), 1, 1)).toEqual({ available: false });
+  });
+});
+
+describe('bjsNcvsApi victimization statistics', () => {
+  it('parses raw NCVS records', () => {
+    const stats = calculateVictimizationStats([
+      { notify: '1', newcrime: '1', seriousviolent: '1', injury: '1', weapon: '1' },
+      { notify: '2', newcrime: '2', injury: '0', weapon: '9' },
+      { notify: '1', newcrime: '3' },
+      { notify: '8' },
+    ]);
+    expect(stats).toMatchObject({
+      totalVictimizations: 4,
+      reportedToPolice: 2,
+      unreportedToPolice: 1,
+      violentCrime: 2,
+      seriousViolentCrime: 1,
+      withInjury: 1,
+      withWeapon: 1,
+    });
+    expect(stats.reportingRate).toBeCloseTo(66.67, 1);
+  });
+
+  it('returns zeroed statistics for no records', () => {
+    expect(calculateVictimizationStats([])).toMatchObject({ totalVictimizations: 0, reportingRate: 0 });
+  });
+
+  it('computes relative and absolute changes', () => {
+    const changes = calculateVictimizationChanges(
+      { totalVictimizations: 200, violentCrime: 0, reportingRate: 45 },
+      { totalVictimizations: 150, violentCrime: 3, reportingRate: 50 }
+    );
+    expect(changes.totalVictimizationsChange).toBe(-25);
+    expect(changes.totalVictimizationsChangeAbsolute).toBe(-50);
+    expect(changes.violentCrimeChange).toBe(100);
+    expect(changes.violentCrimeChangeAbsolute).toBe(3);
+    expect(changes.reportingRateChange).toBe(5);
+  });
+});
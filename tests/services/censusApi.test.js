@@ -0,0 +1,266 @@
+/**
+ * Census ACS: ZIP, county and tract profiles under shared geography keys,
+ * policy indicators in the ZIP profile, trends with margins of
+ * error for changes and derived rates, and checking "it got worse" claims
+ * against significant change, with the Census API stubbed
+ */
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../../src/services/httpClient.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  httpRequest: vi.fn(),
+}));
+
+const { httpRequest } = await import('../../src/services/httpClient.js');
+const { CLAIM_STATUS } = await import('../../src/services/claimExtraction.js');
+const {
+  acsProportion,
+  checkTrendClaims,
+  compareAcsEstimates,
+  getAcsTrends,
+  getBatchDemographics,
+  getDemographics,
+  getDemographicsByCounty,
+  getDemographicsByZip,
+  getLocationDemographics,
+  getPolicyIndicators,
+  verifyStoryDemographics,
+} = await import('../../src/services/censusApi.js');
+
+// Estimate / MOE cells per vintage; anything unlisted is 1000 ± 100
+const VINTAGES = {
+  2017: {
+    B25064_001E: 900, B25064_001M: 40,
+    B19013_001E: 52000, B19013_001M: 3000,
+    B17001_001E: 20000, B17001_001M: 300, B17001_002E: 2000, B17001_002M: 250,
+    B23025_002E: 10000, B23025_002M: 400, B23025_005E: 500, B23025_005M: 120,
+    B27010_001E: 20000, B27010_017E: 300, B27010_033E: 700, B27010_050E: 800, B27010_066E: 200,
+    B22003_001E: 8000, B22003_002E: 1200,
+  },
+  2022: {
+    B25064_001E: 1150, B25064_001M: 50,
+    B19013_001E: 53000, B19013_001M: 3500,
+    B17001_001E: 21000, B17001_001M: -555555555, B17001_002E: 2600, B17001_002M: 260,
+    B23025_002E: 10500, B23025_002M: 420, B23025_005E: 530, B23025_005M: 130,
+    B25077_001E: -666666666, B25077_001M: -222222222,
+    B27010_001E: 20000, B27010_017E: 300, B27010_033E: 700, B27010_050E: 800, B27010_066E: 200,
+    B22003_001E: 8000, B22003_002E: 1200,
+    B21001_001E: 16000, B21001_002E: 800,
+  },
+};
+
+function censusResponse(url) {
+  const year = url.match(/\/data\/(\d{4})\//)[1];
+  const codes = new URL(url).searchParams.get('get').split(',').slice(1);
+  expect(codes.length).toBeLessThanOrEqual(49);
+  const cell = (code) => String(VINTAGES[year]?.[code] ?? (code.endsWith('M') ? 100 : 1000));
+  return [['NAME', ...codes], ['ZCTA5 78701', ...codes.map(cell)]];
+}
+
+const trendClaims = [
+  { id: 'c1', subject: 'rent', quantity: 400, unit: 'USD', direction: 'increase' },
+  { id: 'c2', subject: 'poverty', quantity: 20, unit: 'percent', direction: 'decrease' },
+  { id: 'c3', subject: 'household income', quantity: 5000, unit: 'USD', direction: 'decrease' },
+  { id: 'c4', subject: 'electric bill', quantity: 310, unit: 'USD', direction: 'increase' },
+];
+
+beforeEach(() => {
+  httpRequest.mockReset();
+  httpRequest.mockImplementation(async (url) => censusResponse(url));
+});
+
+describe('county and tract profiles', () => {
+  it('queries counties and tracts within their state and keys the profile', async () => {
+    const county = await getDemographicsByCounty('48453');
+    expect(httpRequest.mock.calls[0][0]).toMatch(/&for=county:453&in=state:48$/);
+    expect(county.geography).toEqual({ level: 'county', key: 'county:48453', code: '48453', name: 'ZCTA5 78701' });
+    expect(county.zipCode).toBeUndefined();
+
+    httpRequest.mockClear();
+    const tract = await getDemographics('tract:48453001100');
+    expect(httpRequest.mock.calls[0][0]).toMatch(/&for=tract:001100&in=state:48%20county:453$/);
+    expect(tract.geography.key).toBe('tract:48453001100');
+  });
+
+  it('profiles a story location at every level it can place', async () => {
+    const result = await getLocationDemographics({ zip: '78701', tract: '48453001100' });
+
+    expect(result.geographyKeys).toEqual({ state: 'state:48', county: 'county:48453', tract: 'tract:48453001100', zcta: 'zcta:78701' });
+    expect([result.zcta.zipCode, result.county.geography.code, result.tract.geography.code]).toEqual(['78701', '48453', '48453001100']);
+    expect(result.errors).toEqual([]);
+  });
+
+  it('reports failed levels without losing the others', async () => {
+    httpRequest.mockImplementation(async (url) => (url.includes('county:') ? [] : censusResponse(url)));
+
+    const result = await getLocationDemographics({ zip: '78701' });
+    expect(result.zcta).not.toBeNull();
+    expect(result.county).toBeNull();
+    expect(result.tract).toBeNull();
+    expect(result.errors).toEqual([{ key: 'county:48453', error: 'No data found for county 48453' }]);
+  });
+
+  it('batches ZIP codes and geography keys', async () => {
+    const batch = await getBatchDemographics(['78701', 'county:48453', 'county:4845']);
+
+    expect(Object.keys(batch.results)).toEqual(['78701', 'county:48453']);
+    expect(batch.errors).toEqual([{ area: 'county:4845', error: expect.stringMatching(/required$/) }]);
+  });
+});
+
+describe('policy indicators', () => {
+  const story = {
+    policyArea: 'healthcare',
+    headline: 'Clinic closure leaves families without care',
+    story: 'Since the clinic closed, more families here rely on SNAP and veterans have to drive two hours.',
+    location: { zip: '78701' },
+    claims: [
+      { id: 'p1', subject: 'uninsured', quantity: 12, unit: 'percent' },
+      { id: 'p2', subject: 'families on snap', quantity: 40, unit: 'percent' },
+      { id: 'p3', subject: 'veterans', quantity: 5000, unit: null },
+    ],
+  };
+
+  it('adds the new ACS tables to the ZIP profile', async () => {
+    const censusData = await getDemographicsByZip('78701');
+
+    expect(httpRequest).toHaveBeenCalledTimes(2);
+    expect(censusData.health).toMatchObject({ civilianPopulation: 20000, uninsured: 2000, uninsuredRate: '10.0' });
+    expect(censusData.foodAssistance.snapRate).toBe('15.0');
+    expect(censusData.veterans).toMatchObject({ veterans: 800, veteranRate: '5.0' });
+    expect(Object.keys(censusData)).toEqual(expect.arrayContaining(['nativity', 'language', 'disability', 'internet', 'commute']));
+  });
+
+  it('picks indicators by policy area and story keywords', async () => {
+    const censusData = await getDemographicsByZip('78701');
+
+    expect(getPolicyIndicators(story, censusData).map(indicator => indicator.id)).toEqual(['uninsured', 'disability', 'snap', 'veterans']);
+    expect(getPolicyIndicators({ ...story, policyArea: 'immigration', story: 'Our debt keeps growing' }, censusData).map(indicator => indicator.id))
+      .toEqual(['foreignBorn', 'limitedEnglish']);
+  });
+
+  it('checks percent claims found by the heuristic extractor', async () => {
+    const censusData = await getDemographicsByZip('78701');
+    const verification = verifyStoryDemographics({
+      location: { zip: '78701' },
+      story: 'Families on SNAP are now 40% of our neighborhood.',
+    }, censusData);
+
+    expect(verification.claimChecks).toEqual([expect.objectContaining({ status: CLAIM_STATUS.CONTRADICTED })]);
+    expect(verification.claimChecks[0].message).toMatch(/^Claimed 40% differs from the Census SNAP receipt rate of 15%/);
+  });
+
+  it('checks claimed shares and counts against the matching indicator', async () => {
+    const censusData = await getDemographicsByZip('78701');
+    const verification = verifyStoryDemographics(story, censusData);
+
+    expect(verification.claimChecks.map(check => [check.claimId, check.status])).toEqual([
+      ['p1', CLAIM_STATUS.SUPPORTED],
+      ['p2', CLAIM_STATUS.CONTRADICTED],
+      ['p3', CLAIM_STATUS.CONTRADICTED],
+    ]);
+    expect(verification.claimChecks[0].message).toBe('Claimed 12% is consistent with the Census uninsured rate of 10% in ZIP 78701');
+    expect(verification.claimChecks[2].message).toBe('Claimed 5,000 exceeds the 800 veterans the Census counts in ZIP 78701');
+    expect(verification.insights.filter(insight => insight.type === 'policy_context')).toHaveLength(4);
+    expect(verification.flags.filter(flag => flag.type === 'policy_claim_mismatch')).toHaveLength(2);
+  });
+
+  it('only compares counts of people with the population', async () => {
+    const censusData = await getDemographicsByZip('78701');
+    const verification = verifyStoryDemographics({
+      location: { zip: '78701' },
+      story: 'Wait times for veterans are 90 days.',
+    }, censusData);
+
+    expect(verification.claimChecks).toEqual([]);
+    expect(verification.insights.map(insight => insight.type)).not.toContain('policy_claim_supported');
+  });
+
+  it('names county profiles in messages', async () => {
+    const censusData = await getDemographicsByCounty('48453');
+    const verification = verifyStoryDemographics(story, censusData);
+
+    expect(verification.claimChecks[0].message).toBe('Claimed 12% is consistent with the Census uninsured rate of 10% in ZCTA5 78701');
+    expect(verification.insights.map(insight => insight.message).join('\n')).not.toMatch(/ZIP|undefined/);
+  });
+});
+
+describe('ACS margins of error', () => {
+  it('tests a change against the MOE of the difference', () => {
+    const result = compareAcsEstimates({ estimate: 900, moe: 40 }, { estimate: 1150, moe: 50 });
+    expect(result.change).toBe(250);
+    expect(result.changeMoe).toBeCloseTo(64.03, 2);
+    expect(result.significant).toBe(true);
+    expect(result.direction).toBe('increase');
+
+    expect(compareAcsEstimates({ estimate: 52000, moe: 3000 }, { estimate: 53000, moe: 3500 }).significant).toBe(false);
+    expect(compareAcsEstimates({ estimate: null, moe: null }, { estimate: 10, moe: 1 }).significant).toBeNull();
+  });
+
+  it('derives rate MOEs with the proportion formula', () => {
+    const rate = acsProportion({ estimate: 2000, moe: 250 }, { estimate: 20000, moe: 300 });
+    expect(rate.estimate).toBe(10);
+    expect(rate.moe).toBeCloseTo(1.241, 3);
+  });
+});
+
+describe('getAcsTrends', () => {
+  it('compares non-overlapping vintages for a ZCTA in chunked requests', async () => {
+    const trends = await getAcsTrends({ zipCode: '78701' });
+
+    expect(trends.years).toEqual(['2017', '2022']);
+    expect(trends.periods).toEqual(['2013-2017', '2018-2022']);
+    expect(trends.geography).toEqual({ level: 'zcta', key: 'zcta:78701', code: '78701', name: 'ZCTA5 78701' });
+    expect(httpRequest).toHaveBeenCalledTimes(6);
+
+    expect(trends.variables.medianRent).toMatchObject({ code: 'B25064_001', unit: 'USD', change: 250, significant: true });
+    expect(trends.variables.medianRent.series).toEqual([
+      { year: '2017', estimate: 900, moe: 40 },
+      { year: '2022', estimate: 1150, moe: 50 },
+    ]);
+    expect(trends.variables.medianHomeValue).toMatchObject({ change: null, significant: null });
+    expect(trends.rates.povertyRate.series[1]).toMatchObject({ year: '2022', estimate: expect.closeTo(12.38, 2) });
+    expect(trends.rates.povertyRate.significant).toBe(true);
+    expect(trends.rates.unemploymentRate.significant).toBe(false);
+  });
+
+  it('queries counties within their state', async () => {
+    await getAcsTrends({ countyFips: '48453' }, { years: ['2012', '2017', '2022'] });
+
+    expect(httpRequest).toHaveBeenCalledTimes(9);
+    expect(httpRequest.mock.calls[0][0]).toMatch(/&for=county:453&in=state:48$/);
+  });
+
+  it('rejects a missing geography', async () => {
+    await expect(getAcsTrends({})).rejects.toThrow('geography key is required');
+  });
+});
+
+describe('trend claim checks', () => {
+  it('only supports claims backed by a significant change', async () => {
+    const trends = await getAcsTrends({ zipCode: '78701' });
+    const checks = checkTrendClaims(trendClaims, trends);
+
+    expect(checks.map(check => [check.claimId, check.status])).toEqual([
+      ['c1', CLAIM_STATUS.SUPPORTED],
+      ['c2', CLAIM_STATUS.CONTRADICTED],
+      ['c3', CLAIM_STATUS.UNVERIFIABLE],
+    ]);
+    expect(checks[0].message).toBe('Median rent rose $250 (±$64) between the 2013-2017 and 2018-2022 ACS');
+    expect(checks[2].message).toMatch(/within the margin of error$/);
+  });
+
+  it('feeds trend checks into the story verification', async () => {
+    const trends = await getAcsTrends({ zipCode: '78701' });
+    const story = { location: { zip: '78701' }, claims: trendClaims };
+    const censusData = { zipCode: '78701', population: { total: 12000 }, employment: { unemploymentRate: '5.0' }, income: { medianHousehold: 53000 } };
+
+    const verification = verifyStoryDemographics(story, censusData, trends);
+
+    expect(verification.confidence).toBe(60);
+    expect(verification.flags).toEqual([expect.objectContaining({ type: 'trend_contradicted' })]);
+    expect(verification.insights.find(insight => insight.type === 'demographic_trend').message)
+      .toBe('Since 2013-2017: median rent rose $250 (±$64), poverty rate rose 2.4 points (±1.8 points)');
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Configuration: typed settings, server-only secrets, startup validation and
+ * the feature report sent to the browser, against explicit environments
+ */
+
+import { describe, expect, it } from 'vitest';
+import { describeConfig, getConfig, getFeatures, hasConfig, validateConfig } from '../../src/services/config.js';
+
+describe('getConfig', () => {
+  it('parses typed settings and applies defaults', () => {
+    const env = { PORT: '8080', CORS_ORIGINS: 'https://app.example.org, http://localhost:5173', VITE_FEMA_API_BASE: 'https://fema.test/v2/' };
+
+    expect(getConfig('PORT', env)).toBe(8080);
+    expect(getConfig('CORS_ORIGINS', env)).toEqual(['https://app.example.org', 'http://localhost:5173']);
+    expect(getConfig('FEMA_API_BASE', env)).toBe('https://fema.test/v2');
+    expect(getConfig('PORT', {})).toBe(3001);
+    expect(getConfig('FEC_API_KEY', {})).toBe('DEMO_KEY');
+    expect(getConfig('EIA_API_KEY', {})).toBeUndefined();
+  });
+
+  it('treats example placeholders as unset and follows fallbacks', () => {
+    const env = { DEPT_ED_API_KEY: '${VITE_DATA_GOV_API_KEY}', DATA_GOV_API_KEY: 'datagov-key', HUD_API_KEY: 'your-hud-api-key-here' };
+
+    expect(getConfig('DEPT_ED_API_KEY', env)).toBe('datagov-key');
+    expect(hasConfig('HUD_API_KEY', env)).toBe(false);
+  });
+
+  it('does not count the FEC demo key as a credential', async () => {
+    expect(hasConfig('FEC_API_KEY', {})).toBe(false);
+    expect(hasConfig('FEC_API_KEY', { FEC_API_KEY: 'DEMO_KEY' })).toBe(false);
+    expect(hasConfig('FEC_API_KEY', { FEC_API_KEY: 'real-fec-key' })).toBe(true);
+    expect(getFeatures({ FEC_API_KEY: 'DEMO_KEY' }).sources.fec).toBe(false);
+
+    const { getVerifiers } = await import('../../src/services/verifierRegistry.js');
+    await import('../../src/services/fecApi.js');
+    const fec = getVerifiers().find(verifier => verifier.id === 'fec');
+    expect(fec.hasCredentials()).toBe(getFeatures().sources.fec);
+
+    process.env.FEC_API_KEY = 'real-fec-key';
+    expect(fec.hasCredentials()).toBe(true);
+    delete process.env.FEC_API_KEY;
+  });
+
+  it('prefers the server name over the legacy VITE_ name', () => {
+    expect(getConfig('EIA_API_KEY', { EIA_API_KEY: 'server', VITE_EIA_API_KEY: 'legacy' })).toBe('server');
+    expect(getConfig('EIA_API_KEY', { VITE_EIA_API_KEY: 'legacy' })).toBe('legacy');
+  });
+
+  it('rejects unknown settings', () => {
+    expect(() => getConfig('NOT_A_SETTING', {})).toThrow('Unknown configuration setting');
+  });
+});
+
+describe('validateConfig', () => {
+  it('accepts an empty development environment', () => {
+    expect(validateConfig({})).toEqual({ valid: true, errors: [], warnings: [] });
+  });
+
+  it('reports unusable values as errors', () => {
+    const { valid, errors } = validateConfig({ PORT: 'abc', VITE_FRED_API_BASE: 'ftp://fred', HTTP_FIXTURES: 'playback', API_QUOTAS: 'fred=120/minute,news=lots' });
+
+    expect(valid).toBe(false);
+    expect(errors).toHaveLength(4);
+    expect(errors[0]).toMatch(/^PORT must be a port number/);
+    expect(errors.join('\n')).toMatch(/API_QUOTAS has invalid entries \(news=lots\)/);
+  });
+
+  it('warns about secrets exposed through VITE_ names and placeholders', () => {
+    const { valid, warnings } = validateConfig({ VITE_ANTHROPIC_API_KEY: 'sk-ant-123', VITE_SUPABASE_URL: 'https://x.supabase.co', FRED_API_KEY: 'your-fred-api-key-here' });
+
+    expect(valid).toBe(true);
+    expect(warnings).toEqual([
+      'VITE_ANTHROPIC_API_KEY is bundled into the browser app - rename it to ANTHROPIC_API_KEY so it stays on the server',
+      'FRED_API_KEY is still the example placeholder and is ignored',
+    ]);
+  });
+
+  it('requires the database and CORS origins in production', () => {
+    const { errors } = validateConfig({ NODE_ENV: 'production', SUPABASE_URL: 'https://x.supabase.co' });
+    expect(errors.map(error => error.split(' ')[0])).toEqual(['CORS_ORIGINS', 'SUPABASE_SERVICE_ROLE_KEY']);
+  });
+});
+
+describe('getFeatures', () => {
+  it('reports configured features without any values', () => {
+    const env = {
+      OPENAI_API_KEY: 'sk-openai',
+      SUPABASE_URL: 'https://x.supabase.co',
+      SUPABASE_SERVICE_ROLE_KEY: 'service-role',
+      EIA_API_KEY: 'eia-key',
+      DOT_ACCESS_TOKEN: 'dot-token',
+    };
+    const features = getFeatures(env);
+
+    expect(features).toMatchObject({ ai: true, aiProvider: 'openai', database: true });
+    expect(features.sources).toMatchObject({ eia: true, dot: false, fred: false });
+    expect(JSON.stringify(features)).not.toMatch(/sk-openai|service-role|eia-key|dot-token/);
+  });
+
+  it('masks secrets when describing the configuration', () => {
+    const rows = describeConfig({ NEWS_API_KEY: 'abcdefghijklmnopqrstuvwxyz', VITE_API_URL: 'https://api.example.org' });
+
+    expect(rows.find(row => row.name === 'NEWS_API_KEY')).toMatchObject({ status: 'set', display: 'abcd… (26 chars)' });
+    expect(rows.find(row => row.name === 'API_URL')).toMatchObject({ status: 'set', from: 'VITE_API_URL', display: 'https://api.example.org' });
+    expect(rows.find(row => row.name === 'DEPT_ED_API_KEY').status).toBe('unset');
+  });
+});
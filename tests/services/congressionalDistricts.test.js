@@ -0,0 +1,92 @@
+/**
+ * Congressional districts: ZIP crosswalk resolution, split-ZIP confidence and
+ * the Census Geocoder path, with the geocoder request stubbed
+ */
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../../src/services/httpClient.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  httpRequest: vi.fn(),
+}));
+
+const { httpRequest } = await import('../../src/services/httpClient.js');
+const { registerZipCrosswalk } = await import('../../src/services/geography.js');
+const {
+  CURRENT_CONGRESS,
+  DISTRICT_METHODS,
+  resolveDistrict,
+  resolveDistrictByZip,
+  toLocationDistrict,
+} = await import('../../src/services/congressionalDistricts.js');
+
+const geocoderMatch = (geoid) => ({
+  result: {
+    addressMatches: [{
+      matchedAddress: '1100 CONGRESS AVE, AUSTIN, TX, 78701',
+      geographies: {
+        '119th Congressional Districts': [{ GEOID: geoid, BASENAME: '37' }],
+        'Census Tracts': [{ GEOID: '48453001100' }],
+      },
+    }],
+  },
+});
+
+beforeEach(() => {
+  httpRequest.mockReset();
+});
+
+describe('resolveDistrictByZip', () => {
+  it('resolves a single-district ZIP with full confidence', () => {
+    expect(resolveDistrictByZip('78701')).toEqual({
+      district: 'TX-37',
+      confidence: 1,
+      method: DISTRICT_METHODS.ZIP,
+      congress: CURRENT_CONGRESS,
+      candidates: [{ district: 'TX-37', share: 1 }],
+    });
+  });
+
+  it('picks the largest district of a split ZIP and keeps every candidate', () => {
+    registerZipCrosswalk({
+      '99997': { city: 'Line Town', state: 'OH', counties: [['39049', 1]], districts: [['3903', 0.62], ['3915', 0.38]] },
+    });
+
+    const resolution = resolveDistrictByZip('99997');
+    expect(resolution.district).toBe('OH-03');
+    expect(resolution.confidence).toBe(0.62);
+    expect(resolution.candidates).toEqual([
+      { district: 'OH-03', share: 0.62 },
+      { district: 'OH-15', share: 0.38 },
+    ]);
+  });
+
+  it('leaves ZIPs outside the crosswalk unresolved', () => {
+    const resolution = resolveDistrictByZip('75801');
+    expect(resolution).toMatchObject({ district: null, confidence: 0, method: DISTRICT_METHODS.UNRESOLVED });
+    expect(toLocationDistrict(resolution)).toMatchObject({ district: 'Unknown', districtConfidence: 0 });
+  });
+});
+
+describe('resolveDistrict', () => {
+  it('uses the geocoded district when an address matches', async () => {
+    httpRequest.mockResolvedValue(geocoderMatch('4837'));
+
+    const resolution = await resolveDistrict({ zip: '78701', address: '1100 Congress Ave' });
+    expect(resolution).toMatchObject({ district: 'TX-37', confidence: 1, method: DISTRICT_METHODS.ADDRESS, congress: 119, tract: '48453001100' });
+    expect(toLocationDistrict(resolution).tract).toBe('48453001100');
+    expect(httpRequest.mock.calls[0][1].params.address).toBe('1100 Congress Ave, 78701');
+  });
+
+  it('falls back to the ZIP when the address is not matched', async () => {
+    httpRequest.mockResolvedValue({ result: { addressMatches: [] } });
+
+    const resolution = await resolveDistrict({ zip: '48197', address: '1 Nowhere Rd' });
+    expect(resolution).toMatchObject({ district: 'MI-06', method: DISTRICT_METHODS.ZIP });
+  });
+
+  it('skips the geocoder without an address', async () => {
+    await resolveDistrict({ zip: '82001' });
+    expect(httpRequest).not.toHaveBeenCalled();
+  });
+});
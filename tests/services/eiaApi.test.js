@@ -0,0 +1,119 @@
+/**
+ * EIA monthly price series: baseline-date comparisons with year-over-year
+ * changes and the national average, gasoline regions, and checking "my
+ * electric rates went up" claims, with the EIA API stubbed
+ */
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../../src/services/httpClient.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  httpRequest: vi.fn(),
+}));
+
+process.env.EIA_API_KEY = 'test-eia-key';
+
+const { httpRequest } = await import('../../src/services/httpClient.js');
+const { CLAIM_STATUS } = await import('../../src/services/claimExtraction.js');
+const { checkEnergyClaims, getEnergyBaseline, getEnergyPriceTrends, getMonthlyPriceSeries } = await import('../../src/services/eiaApi.js');
+
+const MONTHS = [
+  ...Array.from({ length: 12 }, (_, index) => `2024-${String(index + 1).padStart(2, '0')}`),
+  ...Array.from({ length: 8 }, (_, index) => `2025-${String(index + 1).padStart(2, '0')}`),
+];
+
+// Residential electricity (¢/kWh): a yearly step plus 1¢ more in summer
+const ELECTRICITY = { TX: { 2024: 14, 2025: 15 }, US: { 2024: 16, 2025: 16.8 } };
+
+function electricityRows(area) {
+  return MONTHS.map(period => {
+    const summer = ['06', '07', '08'].includes(period.slice(5)) ? 1 : 0;
+    return { period, price: String(ELECTRICITY[area][period.slice(0, 4)] + summer) };
+  });
+}
+
+beforeEach(() => {
+  httpRequest.mockReset();
+  httpRequest.mockImplementation(async (url, { params }) => {
+    if (url.endsWith('/electricity/retail-sales/data/')) {
+      return { response: { data: electricityRows(params['facets[stateid][]']) } };
+    }
+    return { response: { data: MONTHS.map(period => ({ period, value: '3.10' })) } };
+  });
+});
+
+describe('getEnergyBaseline', () => {
+  it('compares the baseline month, year over year and the national average', async () => {
+    const baseline = await getEnergyBaseline('TX', 'electricity');
+
+    expect(httpRequest.mock.calls[0][1].params).toMatchObject({ frequency: 'monthly', start: '2024-01', 'facets[stateid][]': 'TX', 'facets[sectorid][]': 'RES' });
+    expect(httpRequest.mock.calls[1][1].params['facets[stateid][]']).toBe('US');
+
+    expect(baseline).toMatchObject({
+      baselineDate: '2025-01-01',
+      baselinePeriod: '2025-01',
+      baselineValue: 15,
+      currentPeriod: '2025-08',
+      currentValue: 16,
+      absoluteChange: 1,
+      percentChange: 6.7,
+      trend: 'increasing',
+      unit: '¢/kWh',
+    });
+    // Same calendar month a year apart, so the summer premium cancels out
+    expect(baseline.yearOverYear.current).toMatchObject({ priorPeriod: '2024-08', priorValue: 15, percentChange: 6.7 });
+    expect(baseline.yearOverYear.atBaseline).toMatchObject({ priorPeriod: '2024-01', percentChange: 7.1 });
+    expect(baseline.national).toMatchObject({ baselineValue: 16.8, currentValue: 17.8, percentChange: 6 });
+    expect(baseline.vsNational).toEqual({ difference: -1.8, percentAboveNational: -10.1, changeGap: 0.7 });
+  });
+
+  it('returns an error object when the series is unavailable', async () => {
+    httpRequest.mockRejectedValue(Object.assign(new Error('Service unavailable'), { status: 503 }));
+
+    const baseline = await getEnergyBaseline('TX', 'naturalGas');
+    expect(baseline).toMatchObject({ error: true, errorMessage: 'EIA residential natural gas prices unavailable', baselineDate: '2025-01-01' });
+  });
+});
+
+describe('getMonthlyPriceSeries', () => {
+  it('uses the PADD region for states without their own gasoline series', async () => {
+    const michigan = await getMonthlyPriceSeries('MI', 'gasoline', { start: '2025-01' });
+    const texas = await getMonthlyPriceSeries('TX', 'gasoline', { start: '2025-01' });
+
+    expect(michigan.area).toEqual({ code: 'R20', name: 'Midwest (PADD 2)' });
+    expect(texas.area.code).toBe('STX');
+    expect(httpRequest.mock.calls[0][1].params).toMatchObject({ 'facets[duoarea][]': 'R20', 'facets[product][]': 'EPMR' });
+  });
+
+  it('rejects unknown energy types', async () => {
+    expect(await getMonthlyPriceSeries('TX', 'coal')).toMatchObject({ error: true, errorType: 'invalid_input' });
+  });
+});
+
+describe('getEnergyPriceTrends', () => {
+  it('returns the last 12 published months with a year-over-year change', async () => {
+    const trends = await getEnergyPriceTrends('TX', 'electricity');
+
+    expect(trends.trend).toHaveLength(12);
+    expect(trends.trend[0]).toEqual({ month: 'Sep', period: '2024-09', price: '14.00' });
+    expect(trends.yearOverYearChange).toBe('6.7');
+    expect(trends.provenance).toBeUndefined();
+  });
+});
+
+describe('checkEnergyClaims', () => {
+  it('checks claimed price changes against the baseline', async () => {
+    const energyData = { stateName: 'Texas', baselines: [await getEnergyBaseline('TX', 'electricity')] };
+    const claims = [
+      { id: 'c1', subject: 'electric rates', quantity: 20, unit: 'percent', direction: 'increase', to: null },
+      { id: 'c2', subject: 'electricity prices', quantity: 10, unit: 'percent', direction: 'decrease', to: null },
+      { id: 'c3', subject: 'power bill', quantity: 40, unit: 'USD', direction: 'decrease', to: null },
+    ];
+
+    const [rose, fell, bill] = checkEnergyClaims(claims, energyData);
+    expect(rose.status).toBe(CLAIM_STATUS.SUPPORTED);
+    expect(rose.message).toBe('Residential electricity in Texas: 16 ¢/kWh in Aug 2025, +6.7% since Jan 2025 (+6.7% year over year); national average +6% since Jan 2025');
+    expect(fell.status).toBe(CLAIM_STATUS.CONTRADICTED);
+    expect(bill.status).toBe(CLAIM_STATUS.UNVERIFIABLE);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Energy burden: EIA monthly prices priced against the ACS median household
+ * income before and after the baseline date, and checking "my bill eats a
+ * third of my paycheck" claims, with the EIA and Census APIs stubbed
+ */
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../../src/services/httpClient.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  httpRequest: vi.fn(),
+}));
+
+process.env.EIA_API_KEY = 'test-eia-key';
+
+const { httpRequest } = await import('../../src/services/httpClient.js');
+const { CLAIM_STATUS, extractClaimsHeuristic } = await import('../../src/services/claimExtraction.js');
+const { checkEnergyBurdenClaims, getEnergyBurden, parseIncomeBracket } = await import('../../src/services/energyBurden.js');
+
+const MONTHS = [2024, 2025].flatMap(year => Array.from({ length: 12 }, (_, index) => `${year}-${String(index + 1).padStart(2, '0')}`));
+
+// 1,000 kWh per customer every month; 15¢ in 2024, 18¢ in 2025
+const electricityRows = MONTHS.map(period => ({
+  period,
+  price: period < '2025' ? '15' : '18',
+  sales: '1000',
+  customers: '1000000',
+}));
+
+// $10/Mcf in 2024, $12/Mcf in 2025, one month withheld
+const gasRows = MONTHS.map(period => ({
+  period,
+  value: period === '2025-07' ? '--' : period < '2025' ? '10' : '12',
+}));
+
+function respond(url) {
+  if (url.includes('/electricity/retail-sales/')) return { response: { data: electricityRows } };
+  if (url.includes('/natural-gas/pri/sum/')) return { response: { data: gasRows } };
+
+  const codes = new URL(url).searchParams.get('get').split(',').slice(1);
+  return [['NAME', ...codes], ['ZCTA5 78701', ...codes.map(code => (code === 'B19013_001E' ? '50000' : '1000'))]];
+}
+
+beforeEach(() => {
+  httpRequest.mockReset();
+  httpRequest.mockImplementation(async (url, options = {}) => {
+    const query = new URLSearchParams(options.params || {}).toString();
+    return respond(query ? `${url}?${query}` : url);
+  });
+});
+
+describe('getEnergyBurden', () => {
+  it('prices residential usage before and after the baseline against median income', async () => {
+    const burden = await getEnergyBurden({ zip: '78701', stateCode: 'TX' });
+
+    const [electricityUrl, { params }] = httpRequest.mock.calls.find(([url]) => url.includes('/electricity/'));
+    expect(electricityUrl).toBe('https://api.eia.gov/v2/electricity/retail-sales/data/');
+    expect(params).toMatchObject({ frequency: 'monthly', start: '2024-01', 'facets[stateid][]': 'TX', 'facets[sectorid][]': 'RES' });
+
+    expect(burden.medianHouseholdIncome).toBe(50000);
+    // $150 electricity + $58 gas a month in 2024; $180 + $69.60 in 2025
+    expect(burden.baseline).toMatchObject({ start: '2024-01', end: '2024-12', annualCost: 2496, burden: 5 });
+    expect(burden.current).toMatchObject({ start: '2025-01', end: '2025-12', electricity: 2160, naturalGas: 835.2, burden: 6 });
+    expect(burden.change).toEqual({ annualCost: 499.2, percentChange: 20, burdenPoints: 1 });
+    expect(burden.trend).toBe('increasing');
+    expect(burden.highBurden).toBe(true);
+    expect(burden.provenance).toBeNull();
+  });
+
+  it('reports an EIA or Census outage as an error object', async () => {
+    const outage = Object.assign(new Error('Service unavailable'), { status: 503 });
+    httpRequest.mockImplementation(async (url) => {
+      if (url.includes('api.eia.gov')) throw outage;
+      return respond(url);
+    });
+    expect(await getEnergyBurden({ zip: '78701', stateCode: 'TX' })).toMatchObject({ error: true, errorMessage: 'EIA monthly prices unavailable' });
+
+    httpRequest.mockRejectedValue(outage);
+    expect(await getEnergyBurden({ zip: '78701', stateCode: 'TX' })).toMatchObject({ error: true, errorMessage: 'Energy burden calculation failed' });
+  });
+});
+
+describe('checkEnergyBurdenClaims', () => {
+  const story = {
+    story: 'My electric bill now eats a third of my paycheck. Heating is 10% of our income.',
+    location: { zip: '78701' },
+  };
+  const claims = extractClaimsHeuristic(story);
+  let burden;
+
+  beforeEach(async () => {
+    burden = await getEnergyBurden({ zip: '78701', stateCode: 'TX' });
+  });
+
+  it('extracts income-share claims', () => {
+    expect(claims.map(({ subject, quantity, unit, base }) => ({ subject, quantity, unit, base }))).toEqual([
+      { subject: 'electric bill', quantity: 33.3, unit: 'percent', base: 'income' },
+      { subject: 'heating', quantity: 10, unit: 'percent', base: 'income' },
+    ]);
+  });
+
+  it('uses the median income and only supports or leaves claims open', () => {
+    const [third, tenth] = checkEnergyBurdenClaims(claims, burden, story);
+
+    expect(third.status).toBe(CLAIM_STATUS.UNVERIFIABLE);
+    expect(third.message).toMatch(/implies about \$8,995\/year/);
+    expect(tenth.status).toBe(CLAIM_STATUS.SUPPORTED);
+    expect(tenth.message).toMatch(/about 6% of the local median income of \$50,000/);
+  });
+
+  it('contradicts a share far from what the writer\'s income bracket implies', () => {
+    const [third] = checkEnergyBurdenClaims(claims, burden, { ...story, demographics: { income: '30-45k' } });
+
+    expect(third.status).toBe(CLAIM_STATUS.CONTRADICTED);
+    expect(third.message).toMatch(/about 8% of a \$37,500 income/);
+  });
+
+  it('parses income brackets', () => {
+    expect(parseIncomeBracket('45-60k')).toBe(52500);
+    expect(parseIncomeBracket('100k+')).toBe(100000);
+    expect(parseIncomeBracket('prefer not to say')).toBeNull();
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Fixture replay: every fetch → verify path in tests/fixtures/replayPaths.js
+ * runs from tests/fixtures/http with the network blocked - each request has
+ * a fixture, results come out whole and the same on every run.
+ *
+ * Re-record (real keys + network):
+ *   HTTP_FIXTURES=record npx vitest run tests/services/fixtureReplay.test.js
+ */
+
+import { afterAll, beforeAll, describe, expect, it, vi } from 'vitest';
+
+const fixtureReads = vi.hoisted(() => []);
+
+vi.mock('../../src/services/httpFixtures.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  const readFixture = async (source, url, options) => {
+    const fixture = await actual.readFixture(source, url, options);
+    fixtureReads.push({ source, url, found: fixture !== null });
+    return fixture;
+  };
+  return { ...actual, readFixture, default: { ...actual.default, readFixture } };
+});
+
+const { FIXTURE_MODE, getFixtureMode } = await import('../../src/services/httpFixtures.js');
+
+const REPLAYING = getFixtureMode() !== FIXTURE_MODE.RECORD;
+
+// Replay matches requests with credentials stripped, so any value works.
+// Set before the services load - some read their key at import.
+const API_KEYS = [
+  'EIA_API_KEY', 'NCDC_API_TOKEN', 'HUD_API_KEY', 'DOT_ACCESS_TOKEN', 'DOT_SECRET_KEY',
+  'DATA_GOV_API_KEY', 'BEA_USER_ID', 'FRED_API_KEY', 'FEC_API_KEY', 'USDA_API_KEY',
+  'HRSA_API_TOKEN', 'NEWS_API_KEY', 'CONGRESS_API_KEY',
+];
+if (REPLAYING) {
+  API_KEYS.forEach(name => vi.stubEnv(name, 'replay-placeholder-key'));
+}
+
+const { REPLAY_DATE, REPLAY_PATHS } = await import('../fixtures/replayPaths.js');
+
+// Lookups run side by side, so only the set of requests is stable
+const sortReads = reads => reads.map(read => `${read.source} ${read.url}`).sort();
+
+const fetchSpy = vi.fn(async (url) => {
+  throw new Error(`Network blocked: ${url}`);
+});
+
+beforeAll(() => {
+  vi.useFakeTimers({ toFake: ['Date'], now: new Date(REPLAY_DATE) });
+  if (REPLAYING) {
+    vi.stubGlobal('fetch', fetchSpy);
+  }
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  vi.useRealTimers();
+  vi.unstubAllEnvs();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe.each(REPLAY_PATHS)('$name', ({ name, run }) => {
+  it('replays from fixtures with the network blocked', { timeout: 30000 }, async () => {
+    fixtureReads.length = 0;
+    const result = await run();
+    const reads = [...fixtureReads];
+
+    if (REPLAYING) {
+      expect(fetchSpy).not.toHaveBeenCalled();
+      expect(reads.filter(read => !read.found).map(read => read.url)).toEqual([]);
+    }
+
+    expect(result.data).toBeTruthy();
+    expect(result.data.error).toBeUndefined();
+
+    if (result.verification) {
+      expect(result.verification).toMatchObject({
+        confidence: expect.any(Number),
+        verified: expect.any(Boolean),
+        flags: expect.any(Array),
+        insights: expect.any(Array),
+      });
+    }
+    if (result.claimChecks) {
+      expect(Array.isArray(result.claimChecks)).toBe(true);
+    }
+    if (name.endsWith('baseline')) {
+      expect(result.data.status).not.toBe('partial');
+    }
+
+    if (REPLAYING) {
+      fixtureReads.length = 0;
+      expect(await run()).toEqual(result);
+      expect(sortReads(fixtureReads)).toEqual(sortReads(reads));
+    }
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Geography: state code conversion, offline ZIP resolution and geography keys
+ */
+
+import { describe, expect, it } from 'vitest';
+import {
+  formatDistrict,
+  geographyKey,
+  getGeographyKeys,
+  getSampleZip,
+  getStateFips,
+  getStateName,
+  isTerritory,
+  listStates,
+  normalizeStateCode,
+  parseGeographyKey,
+  registerZipCrosswalk,
+  resolveZip,
+} from '../../src/services/geography.js';
+
+describe('states', () => {
+  it('normalizes codes, names and FIPS codes', () => {
+    expect(normalizeStateCode('tx')).toBe('TX');
+    expect(normalizeStateCode('Texas')).toBe('TX');
+    expect(normalizeStateCode('NEW YORK')).toBe('NY');
+    expect(normalizeStateCode('6')).toBe('CA');
+    expect(normalizeStateCode('FIPS:11')).toBe('DC');
+    expect(normalizeStateCode('Unknown')).toBeNull();
+  });
+
+  it('converts between codes, names and FIPS codes', () => {
+    expect(getStateName('MI')).toBe('Michigan');
+    expect(getStateFips('TX')).toBe('48');
+    expect(getStateName('72')).toBe('Puerto Rico');
+    expect(getStateFips('AE')).toBeNull();
+    expect(getSampleZip('MI')).toBe('48201');
+  });
+
+  it('lists the 50 states and DC, with territories on request', () => {
+    expect(listStates()).toHaveLength(51);
+    expect(listStates({ includeTerritories: true })).toHaveLength(56);
+    expect(isTerritory('GU')).toBe(true);
+    expect(isTerritory('DC')).toBe(false);
+  });
+});
+
+describe('resolveZip', () => {
+  it('resolves a crosswalk ZIP to county, CBSA and district', () => {
+    expect(resolveZip('78701')).toMatchObject({
+      zip: '78701',
+      city: 'Austin',
+      state: 'TX',
+      stateFips: '48',
+      county: { fips: '48453', name: 'Travis County' },
+      cbsa: { code: '12420', name: 'Austin-Round Rock-San Marcos, TX' },
+      district: 'TX-37',
+      districts: [{ district: 'TX-37', share: 1 }],
+      precision: 'zip',
+    });
+    expect(resolveZip('82001-1234').district).toBe('WY-AL');
+  });
+
+  it('lists every district and county of a split ZIP, largest share first', () => {
+    registerZipCrosswalk({
+      '99998': {
+        city: 'Split Town',
+        state: 'KY',
+        counties: [['21047', 0.35], ['47125', 0.65]],
+        districts: [['2101', 0.35], ['4707', 0.65]],
+      },
+    });
+
+    const place = resolveZip('99998');
+    expect(place.state).toBe('KY');
+    expect(place.district).toBe('TN-07');
+    expect(place.districts).toEqual([
+      { district: 'TN-07', share: 0.65 },
+      { district: 'KY-01', share: 0.35 },
+    ]);
+    expect(place.counties.map(county => county.fips)).toEqual(['47125', '21047']);
+  });
+
+  it('falls back to the ZIP prefix for the state only', () => {
+    expect(resolveZip('75801')).toMatchObject({ state: 'TX', county: null, district: null, precision: 'zip_prefix' });
+    expect(resolveZip('00802').state).toBe('VI');
+    expect(resolveZip('96799').state).toBe('AS');
+    expect(resolveZip('20101').state).toBe('VA');
+  });
+
+  it('rejects malformed ZIPs', () => {
+    expect(resolveZip('7870')).toBeNull();
+    expect(resolveZip(null)).toBeNull();
+  });
+
+  it('formats at-large and delegate districts', () => {
+    expect(formatDistrict('MI', 6)).toBe('MI-06');
+    expect(formatDistrict('DC', '98')).toBe('DC-AL');
+  });
+});
+
+describe('geography keys', () => {
+  it('builds and parses keys by FIPS code', () => {
+    expect(geographyKey('county', '48453')).toBe('county:48453');
+    expect(geographyKey('state', 6)).toBe('state:06');
+    expect(geographyKey('tract', '4845300110')).toBeNull();
+    expect(parseGeographyKey('tract:48453001100')).toEqual({
+      level: 'tract', code: '48453001100', stateFips: '48', countyFips: '48453', tractCode: '001100',
+    });
+    expect(parseGeographyKey('zcta:78701')).toMatchObject({ stateFips: null, countyFips: null });
+    expect(parseGeographyKey('county:TX')).toBeNull();
+  });
+
+  it('keys a story location from its ZIP and geocoded tract', () => {
+    expect(getGeographyKeys({ zip: '78701' })).toEqual({ state: 'state:48', county: 'county:48453', tract: null, zcta: 'zcta:78701' });
+    expect(getGeographyKeys({ zip: '78701', tract: '48491020100' }).county).toBe('county:48491');
+    expect(getGeographyKeys({})).toEqual({ state: null, county: null, tract: null, zcta: null });
+  });
+});
@@ -0,0 +1,394 @@
+/**
+ * Shared HTTP client: retries, typed errors, circuit breaker, response cache,
+ * quotas and fixtures - all against a local server, no network needed
+ */
+
+import http from 'node:http';
+import { mkdtemp, readFile, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  httpRequest,
+  buildUrl,
+  redactUrl,
+  getErrorType,
+  getCircuitStates,
+  resetCircuitBreakers,
+} from '../../src/services/httpClient.js';
+import {
+  CACHE_POLICIES,
+  clearCache,
+  getCacheStats,
+  normalizeCacheKey,
+  resetCacheStats,
+  trackCachedServes,
+} from '../../src/services/responseCache.js';
+import { registerCacheServeScope } from '../../server/responseCacheStore.js';
+import { registerQuotaRefusalScope } from '../../server/quotaStore.js';
+import {
+  QUOTA_PRIORITY,
+  configureQuota,
+  consumeQuota,
+  createMemoryQuotaStore,
+  parseQuotaOverrides,
+  setQuotaStore,
+  trackQuotaRefusals,
+} from '../../src/services/quotaManager.js';
+import { FIXTURE_MODE, setFixtureMode } from '../../src/services/httpFixtures.js';
+import { getSourceHealth, resetSourceHealth } from '../../src/services/sourceHealth.js';
+
+// Each path behaves differently; hit counts let us see retries and dedupe
+let hits = {};
+let flakyFailures = 0;
+
+const server = http.createServer((req, res) => {
+  const route = req.url.split('?')[0];
+  hits[route] = (hits[route] || 0) + 1;
+
+  const send = (status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+  };
+
+  switch (route) {
+    case '/ok':
+      return send(200, { ok: true, query: req.url.split('?')[1] || '' });
+    case '/slow':
+      return setTimeout(() => send(200, { ok: true }), 300);
+    case '/flaky':
+      return flakyFailures-- > 0 ? send(503, { error: 'down' }) : send(200, { ok: true });
+    case '/rate-limited':
+      return send(429, { error: 'slow down' }, { 'Retry-After': '0' });
+    case '/unauthorized':
+      return send(401, { error: 'bad key' });
+    case '/not-found':
+      return send(404, { error: 'missing' });
+    case '/body-error':
+      return send(200, { error_message: 'Bad series id' });
+    case '/no-content':
+      return send(204);
+    case '/counter':
+      return send(200, { count: hits[route] });
+    case '/outage':
+      return hits[route] === 1 ? send(200, { ok: true }) : send(503, { error: 'down' });
+    default:
+      return send(500, { error: 'boom' });
+  }
+});
+
+let base;
+const fast = { retryDelayMs: 10, maxRetryDelayMs: 1000 };
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function expectError(url, options) {
+  try {
+    await httpRequest(url, options);
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`Expected ${url} to fail`);
+}
+
+beforeAll(async () => {
+  // The suite runs with HTTP_FIXTURES=replay; these tests talk to the local server
+  setFixtureMode(FIXTURE_MODE.OFF);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  setFixtureMode(null);
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  hits = {};
+  resetCircuitBreakers();
+});
+
+describe('URL helpers', () => {
+  it('buildUrl expands objects and arrays and skips empty values', () => {
+    const url = buildUrl(`${base}/ok`, { a: 1, skip: null, page: { size: 10 }, tag: ['x', 'y'] });
+    expect(url).toBe(`${base}/ok?a=1&page%5Bsize%5D=10&tag=x&tag=y`);
+  });
+
+  it('redactUrl hides keys', () => {
+    expect(redactUrl(`${base}/ok?api_key=secret&x=1`)).not.toContain('secret');
+  });
+});
+
+describe('requests', () => {
+  it('performs a GET with params', async () => {
+    const data = await httpRequest(`${base}/ok`, { source: 'Test', params: { q: 'x' } });
+    expect(data).toEqual({ ok: true, query: 'q=x' });
+  });
+
+  it('retries upstream failures', async () => {
+    flakyFailures = 2;
+    const data = await httpRequest(`${base}/flaky`, { source: 'Test', ...fast });
+    expect(data.ok).toBe(true);
+    expect(hits['/flaky']).toBe(3);
+  });
+
+  it('returns null for 204', async () => {
+    expect(await httpRequest(`${base}/no-content`, { source: 'Test' })).toBeNull();
+  });
+
+  it('dedupes identical in-flight GETs', async () => {
+    const [first, second] = await Promise.all([
+      httpRequest(`${base}/slow`, { source: 'Test' }),
+      httpRequest(`${base}/slow`, { source: 'Test' }),
+    ]);
+    expect(first).toBe(second);
+    expect(hits['/slow']).toBe(1);
+  });
+});
+
+describe('typed errors', () => {
+  it('429 → rate_limited, retried', async () => {
+    const error = await expectError(`${base}/rate-limited`, { source: 'Test', retries: 1, ...fast });
+    expect(getErrorType(error)).toBe('rate_limited');
+    expect(hits['/rate-limited']).toBe(2);
+  });
+
+  it('429 is not retried when disabled', async () => {
+    const error = await expectError(`${base}/rate-limited`, { source: 'Test', retryRateLimited: false });
+    expect(getErrorType(error)).toBe('rate_limited');
+    expect(hits['/rate-limited']).toBe(1);
+  });
+
+  it('401 → unauthorized, not retried', async () => {
+    const error = await expectError(`${base}/unauthorized`, { source: 'Test', ...fast });
+    expect(getErrorType(error)).toBe('unauthorized');
+    expect(hits['/unauthorized']).toBe(1);
+  });
+
+  it('404 → bad_params', async () => {
+    const error = await expectError(`${base}/not-found`, { source: 'Test', ...fast });
+    expect(getErrorType(error)).toBe('bad_params');
+    expect(error.status).toBe(404);
+  });
+
+  it('error in a 200 body → bad_params', async () => {
+    const error = await expectError(`${base}/body-error`, {
+      source: 'Test',
+      checkResponse: body => body.error_message || null,
+    });
+    expect(getErrorType(error)).toBe('bad_params');
+    expect(error.message).toContain('Bad series id');
+  });
+
+  it('slow response → timeout', async () => {
+    const error = await expectError(`${base}/slow`, { source: 'Test', timeoutMs: 50, retries: 0, dedupe: false });
+    expect(getErrorType(error)).toBe('timeout');
+    expect(error.message).toContain('timeout');
+  });
+});
+
+describe('circuit breaker', () => {
+  it('opens after repeated failures and fails fast until reset', async () => {
+    const error = await expectError(`${base}/broken`, { source: 'Test', retries: 4, ...fast });
+    expect(getErrorType(error)).toBe('upstream_down');
+    expect(hits['/broken']).toBe(5);
+
+    const host = new URL(base).host;
+    expect(getCircuitStates()[host]?.state).toBe('open');
+    expect(getErrorType(await expectError(`${base}/ok`, { source: 'Test' }))).toBe('circuit_open');
+
+    resetCircuitBreakers(host);
+    expect((await httpRequest(`${base}/ok`, { source: 'Test' })).ok).toBe(true);
+  });
+
+  describe('after the cooldown', () => {
+    const host = () => new URL(base).host;
+    let now;
+
+    beforeEach(async () => {
+      await expectError(`${base}/broken`, { source: 'Test', retries: 4, ...fast });
+      now = Date.now();
+      vi.spyOn(Date, 'now').mockReturnValue(now + 61000);
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('closes when the trial gets an answer that is not an outage', async () => {
+      expect(getErrorType(await expectError(`${base}/not-found`, { source: 'Test', ...fast }))).toBe('bad_params');
+      expect(getCircuitStates()[host()].state).toBe('closed');
+      expect((await httpRequest(`${base}/ok`, { source: 'Test' })).ok).toBe(true);
+    });
+
+    it('reopens with a new cooldown when the trial hits an outage', async () => {
+      await expectError(`${base}/broken`, { source: 'Test', retries: 0 });
+      expect(getCircuitStates()[host()]).toMatchObject({ state: 'open', openedAt: new Date(now + 61000).toISOString() });
+      expect(getErrorType(await expectError(`${base}/ok`, { source: 'Test' }))).toBe('circuit_open');
+    });
+
+    it('stays open for the next trial when the quota refuses it', async () => {
+      setQuotaStore(createMemoryQuotaStore());
+      configureQuota('test', { limit: 1, windowMs: 60 * 60 * 1000 });
+      await consumeQuota('test', { priority: QUOTA_PRIORITY.CITIZEN });
+
+      const refused = await expectError(`${base}/ok`, { source: 'Test', quota: 'test', priority: QUOTA_PRIORITY.CITIZEN });
+      expect(getErrorType(refused)).toBe('quota_exhausted');
+      expect(getCircuitStates()[host()].state).toBe('open');
+
+      expect((await httpRequest(`${base}/ok`, { source: 'Test' })).ok).toBe(true);
+      expect(getCircuitStates()[host()].state).toBe('closed');
+    });
+  });
+});
+
+describe('response cache', () => {
+  const cached = { source: 'Test', cache: 'test', ...fast };
+
+  beforeAll(() => {
+    CACHE_POLICIES.test = { ttlMs: 100, staleMs: 300 };
+    registerCacheServeScope();
+  });
+
+  beforeEach(async () => {
+    await clearCache('test');
+    resetCacheStats();
+    resetSourceHealth('test');
+  });
+
+  afterAll(() => {
+    delete CACHE_POLICIES.test;
+  });
+
+  it('keys ignore credentials and param order', () => {
+    expect(normalizeCacheKey('test', `${base}/ok?b=2&api_key=x&a=1`))
+      .toBe(normalizeCacheKey('test', `${base}/ok?a=1&b=2`));
+  });
+
+  it('serves fresh entries, then stale entries while revalidating', async () => {
+    const miss = await trackCachedServes(() => httpRequest(`${base}/counter`, { ...cached, params: { a: 1 } }));
+    expect(miss.serves.size).toBe(0);
+    const { result: hit, serves } = await trackCachedServes(() => httpRequest(`${base}/counter`, { ...cached, params: { a: 1 } }));
+    expect(hit.count).toBe(1);
+    expect(hits['/counter']).toBe(1);
+    expect(serves.get('test')).toEqual({ at: expect.any(Number), storedAt: expect.any(String) });
+
+    await wait(150);
+    const stale = await httpRequest(`${base}/counter`, { ...cached, params: { a: 1 } });
+    await wait(50);
+    const refreshed = await httpRequest(`${base}/counter`, { ...cached, params: { a: 1 } });
+    expect(stale.count).toBe(1);
+    expect(refreshed.count).toBe(2);
+
+    const { sources } = getCacheStats();
+    expect(sources.test).toMatchObject({ hits: 2, staleHits: 1, misses: 1 });
+  });
+
+  it('reports cache serves only to the work that made them', async () => {
+    await httpRequest(`${base}/ok`, { ...cached, params: { a: 2 } });
+
+    // A live request still in flight while another answers from cache
+    const [live, fromCache] = await Promise.all([
+      trackCachedServes(() => httpRequest(`${base}/slow`, cached)),
+      trackCachedServes(() => httpRequest(`${base}/ok`, { ...cached, params: { a: 2 } })),
+    ]);
+
+    expect(live.serves.has('test')).toBe(false);
+    expect(fromCache.serves.has('test')).toBe(true);
+  });
+
+  it('serves an expired entry when the upstream is down', async () => {
+    await httpRequest(`${base}/outage`, { ...cached, retries: 0 });
+    await wait(450);
+    const fallback = await httpRequest(`${base}/outage`, { ...cached, retries: 0 });
+    expect(fallback.ok).toBe(true);
+    expect(hits['/outage']).toBe(2);
+
+    // Source health sees the failed request behind the cached answer
+    const health = getSourceHealth('test');
+    expect(health).toMatchObject({ requests: 2, failures: 1 });
+    expect(health.recentErrors[0].type).toBe('upstream_down');
+    expect(health.lastFailureAt >= health.lastSuccessAt).toBe(true);
+  });
+});
+
+describe('quotas', () => {
+  beforeEach(() => {
+    setQuotaStore(createMemoryQuotaStore());
+    configureQuota('test', { limit: 10, windowMs: 60 * 60 * 1000 });
+  });
+
+  it('parses API_QUOTAS overrides', () => {
+    const overrides = parseQuotaOverrides('news=100/day, fred=none/minute, bad');
+    expect(overrides.news).toMatchObject({ limit: 100, windowMs: 86400000 });
+    expect(overrides.fred.limit).toBeNull();
+    expect(overrides.bad).toBeUndefined();
+  });
+
+  it('refuses dashboard requests before citizen requests', async () => {
+    for (let i = 0; i < 6; i++) await consumeQuota('test', { priority: QUOTA_PRIORITY.DASHBOARD });
+    const dashboard = await consumeQuota('test', { priority: QUOTA_PRIORITY.DASHBOARD });
+    const citizen = await consumeQuota('test', { priority: QUOTA_PRIORITY.CITIZEN });
+    expect(dashboard.allowed).toBe(false);
+    expect(citizen.allowed).toBe(true);
+  });
+
+  it('fails an exhausted source with quota_exhausted without a request', async () => {
+    registerQuotaRefusalScope();
+    for (let i = 0; i < 10; i++) await consumeQuota('test', { priority: QUOTA_PRIORITY.CITIZEN });
+    const { result: error, refusals } = await trackQuotaRefusals(() => (
+      expectError(`${base}/ok`, { source: 'Test', quota: 'test', priority: QUOTA_PRIORITY.CITIZEN })
+    ));
+    expect(getErrorType(error)).toBe('quota_exhausted');
+    expect(error.resetsAt).toBeTruthy();
+    expect(hits['/ok']).toBeUndefined();
+    // The verification pipeline reads refusals to report quota-limited sources
+    expect(refusals.get('test')?.resetsAt).toBe(error.resetsAt);
+    expect((await trackQuotaRefusals(async () => null)).refusals.size).toBe(0);
+  });
+});
+
+describe('fixtures', () => {
+  const recorded = { source: 'Test', cache: 'fixture-test', params: { api_key: 'secret-test-key' } };
+  let fixtureDir;
+
+  beforeAll(async () => {
+    fixtureDir = await mkdtemp(path.join(tmpdir(), 'http-fixtures-'));
+  });
+
+  afterEach(() => {
+    setFixtureMode(FIXTURE_MODE.OFF);
+  });
+
+  afterAll(async () => {
+    await rm(fixtureDir, { recursive: true, force: true });
+  });
+
+  it('records responses and errors without credentials, then replays them offline', async () => {
+    setFixtureMode(FIXTURE_MODE.RECORD, { directory: fixtureDir });
+    const live = await httpRequest(`${base}/counter`, { ...recorded, params: { ...recorded.params, n: 1 } });
+    await expectError(`${base}/not-found`, { ...recorded, ...fast });
+
+    const folder = path.join(fixtureDir, 'fixture-test');
+    const files = await readdir(folder);
+    expect(files).toHaveLength(2);
+    for (const file of files) {
+      expect(await readFile(path.join(folder, file), 'utf8')).not.toContain('secret-test-key');
+    }
+
+    setFixtureMode(FIXTURE_MODE.REPLAY, { directory: fixtureDir });
+    const counterHits = hits['/counter'];
+    const replayed = await httpRequest(`${base}/counter`, { ...recorded, params: { n: 1, api_key: 'placeholder' } });
+    expect(replayed.count).toBe(live.count);
+    expect(hits['/counter']).toBe(counterHits);
+
+    const error = await expectError(`${base}/not-found`, { ...recorded, ...fast });
+    expect(getErrorType(error)).toBe('bad_params');
+    expect(error.status).toBe(404);
+  });
+
+  it('fails unrecorded requests with fixture_missing', async () => {
+    setFixtureMode(FIXTURE_MODE.REPLAY, { directory: fixtureDir });
+    const error = await expectError(`${base}/ok`, { ...recorded, params: { unrecorded: 1 } });
+    expect(getErrorType(error)).toBe('fixture_missing');
+  });
+});
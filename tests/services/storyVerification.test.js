@@ -0,0 +1,325 @@
+/**
+ * Verification pipeline: fan-out, evidence fusion, time budget and quotas,
+ * driven by test verifiers registered for a policy area no real source covers
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { verifyStory } from '../../src/services/storyVerification.js';
+import { registerVerifier, unregisterVerifier } from '../../src/services/verifierRegistry.js';
+import {
+  configureQuota,
+  consumeQuota,
+  createMemoryQuotaStore,
+  setQuotaStore,
+} from '../../src/services/quotaManager.js';
+import { markSynthetic } from '../../src/services/provenance.js';
+import { clearCache, getOrFetch, setServeScope } from '../../src/services/responseCache.js';
+import { registerQuotaRefusalScope } from '../../server/quotaStore.js';
+
+const story = {
+  id: 'story-1',
+  headline: 'Test headline',
+  story: 'Nothing any real data source would pick up.',
+  policyArea: 'test-area',
+  location: { state: 'TX', zip: '78701' },
+};
+
+const supportive = {
+  id: 'test-support',
+  name: 'Test Support',
+  policyAreas: ['test-area'],
+  reliability: 0.9,
+  fetch: async () => ({ release: '2025-06' }),
+  verify: () => ({
+    verified: true,
+    confidence: 90,
+    insights: [{ type: 'test_support', message: 'Data supports the story' }],
+    flags: ['test_flag'],
+  }),
+  getVintage: data => data.release,
+};
+
+// Same verdict as `supportive`, but from estimates rather than agency data
+const estimated = {
+  ...supportive,
+  id: 'test-estimate',
+  name: 'Test Estimate',
+  fetch: async () => markSynthetic({ release: '2025-06' }, 'Test Estimate', 'API not integrated'),
+  verify: () => ({
+    verified: true,
+    confidence: 90,
+    insights: [{ type: 'test_estimate', message: 'Estimates support the story' }],
+    flags: [],
+  }),
+};
+
+const registered = [];
+function register(descriptor) {
+  registered.push(descriptor.id);
+  return registerVerifier(descriptor);
+}
+
+// Quota refusals are tied to each run the way the API server ties them
+beforeAll(() => {
+  registerQuotaRefusalScope();
+});
+
+beforeEach(() => {
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  registered.splice(0).forEach(unregisterVerifier);
+  vi.restoreAllMocks();
+});
+
+describe('verifyStory', () => {
+  it('requires a story location', async () => {
+    const result = await verifyStory({ ...story, location: {} }, { claims: [] });
+    expect(result.verified).toBe(false);
+    expect(result.insights[0].type).toBe('missing_location');
+  });
+
+  it('falls back to general verification when no source covers the story', async () => {
+    const result = await verifyStory(story, { claims: [] });
+    expect(result).toMatchObject({ status: 'general', verified: true, confidence: 50, dataSource: 'general' });
+    expect(result.insights.map(insight => insight.type)).toEqual(['general_verification']);
+  });
+
+  it('reports a story as unverified when every matching source fails', async () => {
+    setQuotaStore(createMemoryQuotaStore());
+    configureQuota('test-quota', { limit: 0, windowMs: 60 * 60 * 1000 });
+    register({
+      id: 'test-broken',
+      name: 'Test Broken',
+      policyAreas: ['test-area'],
+      fetch: async () => { throw new Error('boom'); },
+      verify: () => { throw new Error('not reached'); },
+    });
+    register({
+      id: 'test-quota',
+      name: 'Test Quota',
+      policyAreas: ['test-area'],
+      fetch: async () => (await consumeQuota('test-quota')).allowed ? {} : { error: true, errorType: 'quota_exhausted' },
+      verify: () => { throw new Error('not reached'); },
+    });
+
+    const result = await verifyStory(story, { claims: [] });
+    expect(result).toMatchObject({ status: 'unavailable', verified: false, confidence: null, dataSource: 'unavailable' });
+    const types = result.insights.map(insight => insight.type);
+    expect(types).toEqual(['verification_error', 'quota_exhausted', 'verification_unavailable']);
+  });
+
+  it('leaves confidence unset while every matching source is still running', async () => {
+    register({ ...supportive, fetch: () => new Promise(resolve => setTimeout(() => resolve({ release: '2025-06' }), 100)) });
+
+    const result = await verifyStory(story, { claims: [], timeBudgetMs: 20 });
+    expect(result).toMatchObject({ status: 'pending', verified: false, confidence: null });
+    expect(result.insights.map(insight => insight.type)).toEqual(['verification_pending']);
+  });
+
+  it('fuses source results and records vintages and source runs', async () => {
+    register(supportive);
+    const result = await verifyStory(story, { claims: [] });
+
+    expect(result.status).toBe('checked');
+    expect(result.verified).toBe(true);
+    expect(result.confidence).toBeGreaterThan(50);
+    expect(result.dataSource).toBe('Test Support');
+    expect(result.insights).toContainEqual({ type: 'test_support', message: 'Data supports the story' });
+    expect(result.flags).toEqual(['test_flag']);
+    expect(result.vintages).toEqual({ 'test-support': '2025-06' });
+    expect(result.sourceRuns).toEqual([
+      expect.objectContaining({ id: 'test-support', status: 'ok', vintage: '2025-06' }),
+    ]);
+    expect(result.provenance['test-support']).toMatchObject({ type: 'live', vintage: '2025-06' });
+  });
+
+  it('does not verify a story from synthetic data alone', async () => {
+    register(estimated);
+    const result = await verifyStory(story, { claims: [] });
+
+    expect(result).toMatchObject({ verified: false, confidence: 50, dataSource: 'general' });
+    expect(result.syntheticSources).toEqual([
+      { id: 'test-estimate', name: 'Test Estimate', reason: 'API not integrated' },
+    ]);
+    expect(result.sources[0]).toMatchObject({ stance: 'synthetic', contribution: 0 });
+    expect(result.insights).toContainEqual({
+      type: 'test_estimate',
+      message: 'Estimates support the story',
+      provenance: 'synthetic',
+    });
+    expect(result.insights.map(insight => insight.type)).toContain('synthetic_data');
+    expect(result.vintages).toEqual({});
+  });
+
+  it('leaves confidence from real sources unchanged by synthetic ones', async () => {
+    register(supportive);
+    const alone = await verifyStory(story, { claims: [] });
+
+    register(estimated);
+    const mixed = await verifyStory(story, { claims: [] });
+
+    expect(mixed.verified).toBe(true);
+    expect(mixed.confidence).toBe(alone.confidence);
+    expect(mixed.dataSource).toBe('Test Support');
+  });
+
+  it('reports a failing source without failing the verification', async () => {
+    register(supportive);
+    register({
+      id: 'test-broken',
+      name: 'Test Broken',
+      policyAreas: ['test-area'],
+      fetch: async () => { throw new Error('boom'); },
+      verify: () => { throw new Error('not reached'); },
+    });
+
+    const result = await verifyStory(story, { claims: [] });
+    expect(result.verified).toBe(true);
+    expect(result.insights).toContainEqual({
+      type: 'verification_error',
+      message: 'Unable to verify with Test Broken data',
+    });
+    expect(result.sourceRuns.find(run => run.id === 'test-broken')).toMatchObject({ status: 'error', error: 'boom' });
+  });
+
+  it('returns partial results when the time budget runs out, then calls onUpdate', async () => {
+    register(supportive);
+    register({
+      ...supportive,
+      id: 'test-slow',
+      name: 'Test Slow',
+      fetch: () => new Promise(resolve => setTimeout(() => resolve({ release: '2025-07' }), 100)),
+    });
+
+    const onUpdate = vi.fn();
+    const result = await verifyStory(story, { claims: [], timeBudgetMs: 20, onUpdate });
+
+    expect(result.pendingSources).toEqual([{ id: 'test-slow', name: 'Test Slow' }]);
+    expect(result.insights.map(insight => insight.type)).toContain('verification_pending');
+    expect(result.sourceRuns.find(run => run.id === 'test-slow').status).toBe('pending');
+
+    await vi.waitFor(() => expect(onUpdate).toHaveBeenCalledTimes(1));
+    const complete = onUpdate.mock.calls[0][0];
+    expect(complete.pendingSources).toEqual([]);
+    expect(complete.vintages).toEqual({ 'test-support': '2025-06', 'test-slow': '2025-07' });
+  });
+
+  it('lists sources that are out of quota instead of treating them as missing data', async () => {
+    setQuotaStore(createMemoryQuotaStore());
+    configureQuota('test-quota', { limit: 0, windowMs: 60 * 60 * 1000 });
+    register({
+      id: 'test-quota',
+      name: 'Test Quota',
+      policyAreas: ['test-area'],
+      fetch: async () => {
+        const quota = await consumeQuota('test-quota');
+        return quota.allowed ? { release: '2025-06' } : { error: true, errorType: 'quota_exhausted' };
+      },
+      verify: () => { throw new Error('not reached'); },
+    });
+
+    const result = await verifyStory(story, { claims: [] });
+    expect(result.quotaLimitedSources).toEqual([
+      { id: 'test-quota', name: 'Test Quota', retryAt: expect.any(String) },
+    ]);
+    const types = result.insights.map(insight => insight.type);
+    expect(types).toContain('quota_exhausted');
+    expect(types).not.toContain('general_verification');
+  });
+
+  it('ties quota refusals to the run that hit them, whichever source refused', async () => {
+    setQuotaStore(createMemoryQuotaStore());
+    configureQuota('test-census', { limit: 0, windowMs: 60 * 60 * 1000 });
+    const otherStory = { ...story, id: 'story-2', policyArea: 'other-area' };
+    let releaseOther;
+    const otherStarted = new Promise(resolve => { releaseOther = resolve; });
+
+    // Reads a quota under another source's id, like energy burden reading Census
+    register({
+      id: 'test-burden',
+      name: 'Test Burden',
+      policyAreas: ['test-area'],
+      fetch: async () => {
+        await otherStarted;
+        const quota = await consumeQuota('test-census');
+        return quota.allowed ? { release: '2025-06' } : { error: true, errorType: 'quota_exhausted' };
+      },
+      verify: () => { throw new Error('not reached'); },
+    });
+    // Fails without data in a run that overlaps, but never touched the quota
+    register({
+      id: 'test-empty',
+      name: 'Test Empty',
+      policyAreas: ['other-area'],
+      fetch: async () => {
+        releaseOther();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return { error: true, errorType: 'no_data' };
+      },
+      verify: () => ({ verified: false, confidence: 0, insights: [], flags: [] }),
+    });
+
+    const [limited, other] = await Promise.all([
+      verifyStory(story, { claims: [] }),
+      verifyStory(otherStory, { claims: [] }),
+    ]);
+
+    expect(limited.quotaLimitedSources).toEqual([
+      { id: 'test-burden', name: 'Test Burden', retryAt: expect.any(String) },
+    ]);
+    expect(other.quotaLimitedSources).toEqual([]);
+  });
+});
+
+describe('provenance', () => {
+  const serveContext = new AsyncLocalStorage();
+
+  // Reads two APIs, like energy burden (EIA prices and Census income)
+  const multiSource = {
+    id: 'test-multi',
+    name: 'Test Multi',
+    policyAreas: ['test-area'],
+    fetch: async () => ({
+      prices: await getOrFetch('eia', 'test-multi:eia', async () => ({ residential: 15 })),
+      income: await getOrFetch('census', 'test-multi:census', async () => ({ median: 60000 })),
+    }),
+    verify: () => ({ verified: true, confidence: 80, insights: [], flags: [] }),
+  };
+
+  beforeEach(() => {
+    setServeScope({
+      run: (serves, fn) => serveContext.run(serves, fn),
+      current: () => serveContext.getStore() || null,
+    });
+  });
+
+  afterEach(async () => {
+    setServeScope({ run: (serves, fn) => fn(), current: () => null });
+    await clearCache('eia');
+    await clearCache('census');
+  });
+
+  it('labels a multi-source verifier live when nothing came from cache', async () => {
+    register(multiSource);
+
+    const result = await verifyStory(story, { claims: [] });
+    expect(result.provenance['test-multi']).toMatchObject({ type: 'live', source: 'Test Multi' });
+  });
+
+  it('labels a multi-source verifier cached when another source it reads was cached', async () => {
+    register(multiSource);
+    // Census answered earlier and is still fresh; EIA is fetched live
+    await getOrFetch('census', 'test-multi:census', async () => ({ median: 60000 }));
+
+    const result = await verifyStory(story, { claims: [] });
+    expect(result.provenance['test-multi']).toMatchObject({
+      type: 'cached',
+      retrievedAt: expect.any(String),
+      cachedSources: ['census'],
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Contract tests for every registered verifier's verify*Story function
+ *
+ * storyVerification.js registers all sources; each one is run against canned
+ * data from tests/fixtures/verifierData.js and must return the result shape
+ * the verification pipeline (and evidence fusion) relies on.
+ */
+
+import { describe, expect, it } from 'vitest';
+import '../../src/services/storyVerification.js';
+import { getVerifiers } from '../../src/services/verifierRegistry.js';
+import { CLAIM_STATUS, extractClaimsHeuristic } from '../../src/services/claimExtraction.js';
+import { VERIFIER_CASES } from '../fixtures/verifierData.js';
+
+function expectVerificationShape(result) {
+  expect(typeof result.verified).toBe('boolean');
+  expect(result.confidence).toBeGreaterThanOrEqual(0);
+  expect(result.confidence).toBeLessThanOrEqual(100);
+  expect(Array.isArray(result.flags)).toBe(true);
+  expect(Array.isArray(result.insights)).toBe(true);
+  result.insights.forEach(insight => {
+    expect(insight).toEqual(expect.objectContaining({
+      type: expect.any(String),
+      message: expect.any(String),
+    }));
+  });
+}
+
+const verifiers = getVerifiers();
+
+describe('verifier registry', () => {
+  it('has canned data for every registered verifier', () => {
+    expect(verifiers.map(verifier => verifier.id).sort()).toEqual(Object.keys(VERIFIER_CASES).sort());
+  });
+});
+
+describe.each(verifiers.map(verifier => [verifier.id, verifier]))('%s verifier', (id, verifier) => {
+  const testCase = VERIFIER_CASES[id];
+
+  it('returns a well-formed verification for its canned data', async () => {
+    const result = await verifier.verify(testCase.story, testCase.data);
+    expectVerificationShape(result);
+    expect(result.insights.length).toBeGreaterThan(0);
+    expect(result.confidence).toBeGreaterThan(50);
+    expect(result.insights.map(insight => insight.type)).toEqual(expect.arrayContaining(testCase.insights));
+    expect(result.flags).toEqual(expect.arrayContaining(testCase.flags || []));
+  });
+
+  it('does not gain confidence from an unrelated story', async () => {
+    const unrelated = {
+      ...testCase.story,
+      headline: 'A note about my neighborhood',
+      story: 'Nothing much changed here this year.',
+    };
+    const result = await verifier.verify(unrelated, testCase.data);
+    expectVerificationShape(result);
+    expect(result.confidence).toBeLessThanOrEqual(testCase.unrelatedConfidence ?? 50);
+  });
+
+  if ('unavailable' in testCase) {
+    it('reports an unavailable source without confirming the story', async () => {
+      const result = await verifier.verify(testCase.story, testCase.unavailable);
+      expectVerificationShape(result);
+      expect(result.confidence).toBeLessThanOrEqual(50);
+    });
+  }
+
+  if (verifier.checkClaims) {
+    it('settles the claims extracted from its story against its canned data', () => {
+      const claims = extractClaimsHeuristic(testCase.story);
+      expect(claims.length).toBeGreaterThan(0);
+
+      const checks = verifier.checkClaims(claims, testCase.data, testCase.story);
+      checks.forEach(check => {
+        expect(claims.map(claim => claim.id)).toContain(check.claimId);
+        expect(Object.values(CLAIM_STATUS)).toContain(check.status);
+        expect(check.message).toEqual(expect.any(String));
+      });
+      const settled = checks.filter(check => [CLAIM_STATUS.SUPPORTED, CLAIM_STATUS.CONTRADICTED].includes(check.status));
+      expect(settled.length).toBeGreaterThan(0);
+    });
+  }
+});
@@ -7,5 +7,15 @@ export default defineConfig({
   server: {
     host: '0.0.0.0',
     port: 5173
+  },
+  test: {
+    include: ['tests/**/*.test.{js,jsx}'],
+    setupFiles: ['tests/setup.js'],
+    // Services answer from recorded fixtures only - a test never reaches a live API.
+    // HTTP_FIXTURES=record re-records them (see tests/services/fixtureReplay.test.js)
+    env: {
+      HTTP_FIXTURES: process.env.HTTP_FIXTURES === 'record' ? 'record' : 'replay',
+      HTTP_FIXTURES_DIR: 'tests/fixtures/http'
+    }
   }
 })